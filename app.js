@@ -16,9 +16,15 @@ const fs = require('fs');
 const connectDB = require('./config/db');
 const { setupSwagger, getLocalIp } = require('./config/swagger');
 const { runDocumentCheck } = require('./jobs/documentDeadlineJob');
+const { runReservationExpiry } = require('./jobs/vehicleReservationJob');
+const { runStockReorder } = require('./jobs/stockReorderJob');
+const { runApprovalEscalation } = require('./jobs/approvalEscalationJob');
+const { runDeviationReset } = require('./jobs/deviationResetJob');
+const { runDuplicateBookingReport } = require('./jobs/duplicateBookingJob');
 
 // RBAC bootstrap helpers
 const { ensureCatalog } = require('./services/permissionBootstrap');
+const { ensureDefaultTemplates: ensureDefaultPdiTemplates } = require('./services/vehiclePdi');
 const { initializeRoles } = require('./utils/initializeRoles');
 
 // -------------------------------
@@ -174,6 +180,18 @@ const commissionPaymentRoutes = require('./routes/commissionPaymentRoutes');
 const bankSubPaymentModeRoutes = require('./routes/bankSubPaymentRoutes');
 const commissionRangeRoutes = require('./routes/commissionRangeRoutes');
 const disbursementRoutes = require('./routes/disbursementRoutes');
+const pdiRoutes = require('./routes/pdiRoutes');
+const stockRequestRoutes = require('./routes/stockRequestRoutes');
+const stockAuditRoutes = require('./routes/stockAuditRoutes');
+const purchaseInvoiceRoutes = require('./routes/purchaseInvoiceRoutes');
+const damageClaimRoutes = require('./routes/damageClaimRoutes');
+const stockLevelRoutes = require('./routes/stockLevelRoutes');
+const backorderRoutes = require('./routes/backorderRoutes');
+const yardBayRoutes = require('./routes/yardBayRoutes');
+const demoFleetRoutes = require('./routes/demoFleetRoutes');
+const discountPolicyRoutes = require('./routes/discountPolicyRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const deviationRoutes = require('./routes/deviationRoutes');
 // const financeDisbursementRoutes1 = require('./routes/financeDisbursementRoutes1')
 // -------------------------------
 // Route mounts
@@ -234,6 +252,18 @@ app.use('/api/v1/banksubpaymentmodes', bankSubPaymentModeRoutes);
 app.use('/api/v1/commission-ranges', commissionRangeRoutes);
 // app.use('/api/v1/down-payments', downPaymentRoutes);
 app.use('/api/v1/disbursements', disbursementRoutes);
+app.use('/api/v1/pdi', pdiRoutes);
+app.use('/api/v1/stock-requests', stockRequestRoutes);
+app.use('/api/v1/stock-audits', stockAuditRoutes);
+app.use('/api/v1/purchase-invoices', purchaseInvoiceRoutes);
+app.use('/api/v1/damage-claims', damageClaimRoutes);
+app.use('/api/v1/stock-levels', stockLevelRoutes);
+app.use('/api/v1/backorders', backorderRoutes);
+app.use('/api/v1/yard-bays', yardBayRoutes);
+app.use('/api/v1/demo-fleet', demoFleetRoutes);
+app.use('/api/v1/discount-policies', discountPolicyRoutes);
+app.use('/api/v1/approvals', approvalRoutes);
+app.use('/api/v1/deviations', deviationRoutes);
 require('./bootstrap/subdealerLedgerBootstrap');
 
 
@@ -253,9 +283,11 @@ app.get('/health', (req, res) => {
 // -------------------------------
 app.use((err, req, res, next) => {
   console.error('Error:', err.stack || err);
-  res.status(500).json({
+  // AppError carries the status the controller meant to send
+  const statusCode = err.isOperational && err.statusCode ? err.statusCode : 500;
+  res.status(statusCode).json({
     success: false,
-    message: 'Server Error',
+    message: statusCode < 500 ? err.message : 'Server Error',
     error: process.env.NODE_ENV === 'development' ? err.message : undefined
   });
 });
@@ -274,9 +306,28 @@ connectDB()
       await initializeRoles();
       console.log('[RBAC] SUPERADMIN ensured');
 
+      // Default EV / ICE PDI checklists (idempotent)
+      await ensureDefaultPdiTemplates();
+      console.log('[PDI] Default checklist templates ensured');
+
       // Run initial jobs that require DB
       await runDocumentCheck();
       console.log('[Jobs] Initial document deadline check completed');
+
+      await runReservationExpiry();
+      console.log('[Jobs] Expired vehicle reservations released');
+
+      await runStockReorder();
+      console.log('[Jobs] Stock reorder suggestions generated');
+
+      await runApprovalEscalation();
+      console.log('[Jobs] Overdue approvals escalated');
+
+      await runDeviationReset();
+      console.log('[Jobs] Deviation budget periods reset');
+
+      await runDuplicateBookingReport();
+      console.log('[Jobs] Duplicate booking report generated');
     } catch (e) {
       console.error('Post-connect bootstrap failed:', e);
     }
@@ -47,7 +47,7 @@ module.exports = {
     // Other existing modules...
     { key: 'AUDIT_LOG',        category: 'SYSTEM',    actions: ['READ'] },
     { key: 'BANK',             category: 'FINANCE',   actions: ['READ','CREATE','UPDATE','DELETE'] },
-    { key: 'BOOKING',          category: 'SALES',     actions: ['READ','CREATE','UPDATE','DELETE','BOOKING_ACTIONS'] },
+    { key: 'BOOKING',          category: 'SALES',     actions: ['READ','CREATE','UPDATE','DELETE','BOOKING_ACTIONS','CANCELLATION_APPROVE','DELIVERY'] },
     { key: 'BROKER',           category: 'PARTNER',   actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'BROKER_LEDGER',    category: 'FINANCE',   actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'BRANCH',           category: 'ORGANIZATION', actions: ['READ','CREATE','UPDATE','DELETE'] },
@@ -66,7 +66,19 @@ module.exports = {
     { key: 'INSURANCE_PROVIDER', category: 'FINANCE', actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'INSURANCE_RECEIPT', category: 'FINANCE',  actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'RTO',              category: 'REGISTRATION', actions: ['READ','CREATE','UPDATE','DELETE'] },
-    { key: 'STOCK_TRANSFER',   category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE'] },
+    { key: 'STOCK_TRANSFER',   category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE','APPROVE'] },
+    { key: 'STOCK_REQUEST',    category: 'INVENTORY', actions: ['READ','CREATE','UPDATE'] },
+    { key: 'STOCK_AUDIT',      category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','APPROVE'] },
+    { key: 'PURCHASE_INVOICE', category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE'] },
+    { key: 'DAMAGE_CLAIM',     category: 'INVENTORY', actions: ['READ','UPDATE','APPROVE'] },
+    { key: 'STOCK_LEVEL',      category: 'INVENTORY', actions: ['READ','UPDATE','DELETE'] },
+    { key: 'YARD_BAY',         category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE','ASSIGN'] },
+    { key: 'BACKORDER',        category: 'SALES',     actions: ['READ','UPDATE'] },
+    { key: 'DEMO_FLEET',       category: 'SALES',     actions: ['READ','CREATE','UPDATE','MANAGE'] },
+    { key: 'DISCOUNT_POLICY',  category: 'SALES',     actions: ['READ','CREATE','UPDATE','DELETE'] },
+    { key: 'APPROVAL',         category: 'ADMIN',     actions: ['READ','CREATE','UPDATE','MANAGE'] },
+    { key: 'DEVIATION',        category: 'FINANCE',   actions: ['READ','UPDATE','MANAGE'] },
+    { key: 'PDI',              category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'TERMS_CONDITION',  category: 'SYSTEM',    actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'WORKSHOP_RECEIPT', category: 'FINANCE',   actions: ['READ','CREATE','UPDATE','DELETE'] },
     { key: 'VEHICLE_INWARD',   category: 'INVENTORY', actions: ['READ','CREATE','UPDATE','DELETE','APPROVE'] },
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const ApprovalChain = require('../models/ApprovalChain');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Branch = require('../models/Branch');
+const Role = require('../models/Role');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const approvalEngine = require('../services/approvalEngine');
+
+const CHAIN_FIELDS = ['name', 'documentType', 'amountAbove', 'branches', 'steps', 'isActive'];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+// Branches and roles named by the chain must exist
+const assertChainRefsExist = async ({ branches, steps }) => {
+  if ((branches || []).some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid branch ID', 400);
+  }
+  const branchIds = [...new Set((branches || []).map(String))];
+  const roleNames = [...new Set((steps || [])
+    .flatMap(step => [step?.role, step?.escalateToRole])
+    .filter(Boolean)
+    .map(name => String(name).toUpperCase()))];
+
+  const [branchCount, roleCount] = await Promise.all([
+    Branch.countDocuments({ _id: { $in: branchIds } }),
+    Role.countDocuments({ name: { $in: roleNames } })
+  ]);
+  if (branchCount !== branchIds.length) throw new AppError('Branch not found', 404);
+  if (roleCount !== roleNames.length) throw new AppError('Role not found', 404);
+};
+
+const loadChain = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid approval chain ID format', 400);
+  }
+  const chain = await ApprovalChain.findById(req.params.id);
+  if (!chain) {
+    throw new AppError('No approval chain found with that ID', 404);
+  }
+  return chain;
+};
+
+const loadRequest = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid approval request ID format', 400);
+  }
+  const request = await ApprovalRequest.findById(req.params.id);
+  if (!request) {
+    throw new AppError('No approval request found with that ID', 404);
+  }
+  return request;
+};
+
+const sendRequest = async (res, id, statusCode = 200) => {
+  const request = await ApprovalRequest.findById(id).populate([
+    { path: 'branchDetails' },
+    { path: 'requestedByDetails' },
+    { path: 'trail.user', select: 'name email' }
+  ]);
+  res.status(statusCode).json({ status: 'success', data: { request } });
+};
+
+exports.getChains = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.documentType) query.documentType = req.query.documentType;
+    if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+    const chains = await ApprovalChain.find(query)
+      .populate('branchDetails')
+      .sort({ documentType: 1, amountAbove: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: chains.length,
+      data: { chains, documentTypes: approvalEngine.DOCUMENT_TYPES }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching approval chains');
+  }
+};
+
+exports.getChain = async (req, res, next) => {
+  try {
+    const chain = await loadChain(req);
+    await chain.populate('branchDetails');
+    res.status(200).json({ status: 'success', data: { chain } });
+  } catch (err) {
+    forward(next, err, 'Error fetching approval chain');
+  }
+};
+
+exports.createChain = async (req, res, next) => {
+  try {
+    await assertChainRefsExist(req.body);
+
+    const chain = new ApprovalChain({ createdBy: req.user.id });
+    CHAIN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) chain[field] = req.body[field];
+    });
+    await chain.save();
+
+    res.status(201).json({ status: 'success', data: { chain } });
+  } catch (err) {
+    forward(next, err, 'Error creating approval chain');
+  }
+};
+
+// Requests already raised keep the steps they started with
+exports.updateChain = async (req, res, next) => {
+  try {
+    const chain = await loadChain(req);
+    await assertChainRefsExist(req.body);
+
+    CHAIN_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) chain[field] = req.body[field];
+    });
+    chain.lastUpdatedBy = req.user.id;
+    await chain.save();
+
+    res.status(200).json({ status: 'success', data: { chain } });
+  } catch (err) {
+    forward(next, err, 'Error updating approval chain');
+  }
+};
+
+exports.deleteChain = async (req, res, next) => {
+  try {
+    const chain = await loadChain(req);
+    const open = await ApprovalRequest.countDocuments({ chain: chain._id, status: 'PENDING' });
+    if (open > 0) {
+      return next(new AppError(`${open} open request(s) use this chain; deactivate it instead`, 409));
+    }
+
+    await chain.deleteOne();
+    res.status(204).json({ status: 'success', data: null });
+  } catch (err) {
+    forward(next, err, 'Error deleting approval chain');
+  }
+};
+
+// Requests waiting on the current user, most overdue first
+exports.getInbox = async (req, res, next) => {
+  try {
+    const requests = await approvalEngine.inbox(req.user, { documentType: req.query.documentType });
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: {
+        requests,
+        overdue: requests.filter(r => r.overdue).length
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching approvals inbox');
+  }
+};
+
+exports.getRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req);
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching approval request');
+  }
+};
+
+// Full approval trail of a document across all the requests raised for it
+exports.getDocumentTrail = async (req, res, next) => {
+  try {
+    const { documentType, documentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return next(new AppError('Invalid document ID format', 400));
+    }
+
+    const requests = await approvalEngine.trailFor(documentType, documentId);
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: { requests }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching approval trail');
+  }
+};
+
+exports.submitDocument = async (req, res, next) => {
+  try {
+    const { documentType, documentId } = req.body;
+    const request = await approvalEngine.submit(documentType, documentId, { userId: req.user.id });
+    await sendRequest(res, request._id, 201);
+  } catch (err) {
+    forward(next, err, 'Error submitting document for approval');
+  }
+};
+
+const decide = (decision, message) => async (req, res, next) => {
+  try {
+    const request = await loadRequest(req);
+    await approvalEngine.decide(request, { decision, comment: req.body.comment, user: req.user });
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, message);
+  }
+};
+
+exports.approveRequest = decide('APPROVE', 'Error approving request');
+exports.rejectRequest = decide('REJECT', 'Error rejecting request');
+
+// Run the SLA escalation now instead of waiting for the job
+exports.escalateOverdue = async (req, res, next) => {
+  try {
+    const escalated = await approvalEngine.escalateOverdue();
+    res.status(200).json({
+      status: 'success',
+      data: { escalated, message: `${escalated} request(s) escalated` }
+    });
+  } catch (err) {
+    forward(next, err, 'Error escalating overdue approvals');
+  }
+};
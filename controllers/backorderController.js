@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const AllocationProposal = require('../models/AllocationProposal');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const backorderQueue = require('../services/backorderQueue');
+
+const PROPOSAL_STATUSES = ['proposed', 'accepted', 'dismissed', 'superseded'];
+
+const populateOptions = [
+  { path: 'bookingDetails' },
+  { path: 'branchDetails' },
+  { path: 'salesExecutiveDetails' },
+  { path: 'model', select: 'model_name' },
+  { path: 'color', select: 'name' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch the user works the backorder queue of. Super admins may name any
+ * branch (null means all branches), everyone else is tied to their own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+const branchFilter = async (req) => {
+  const branch = await resolveBranch(req, req.query.branchId);
+  return branch ? [branch] : undefined;
+};
+
+const loadProposal = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid proposal ID format', 400);
+  }
+  const proposal = await AllocationProposal.findById(req.params.id);
+  if (!proposal) {
+    throw new AppError('No allocation proposal found with that ID', 404);
+  }
+  const ownBranch = await resolveBranch(req);
+  if (ownBranch && !ownBranch.equals(proposal.branch)) {
+    throw new AppError('You can only act on allocation proposals of your own branch', 403);
+  }
+  return proposal;
+};
+
+const sendProposal = async (res, proposalId, extra = {}) => {
+  const proposal = await AllocationProposal.findById(proposalId).populate(populateOptions);
+  res.status(200).json({
+    status: 'success',
+    data: { proposal, ...extra }
+  });
+};
+
+// Waiting bookings per model/color with queue position and expected wait
+exports.getQueues = async (req, res, next) => {
+  try {
+    const { model, color } = req.query;
+    for (const [name, id] of [['model', model], ['color', color]]) {
+      if (id && !mongoose.Types.ObjectId.isValid(id)) {
+        return next(new AppError(`Invalid ${name} ID`, 400));
+      }
+    }
+
+    const queues = await backorderQueue.buildQueues({
+      branchIds: await branchFilter(req),
+      model: model && new mongoose.Types.ObjectId(model),
+      color: color && new mongoose.Types.ObjectId(color)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: queues.length,
+      data: {
+        inwardRateWindowDays: backorderQueue.INWARD_RATE_WINDOW_DAYS,
+        queues
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching backorder queues');
+  }
+};
+
+exports.getBookingQueueEntry = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      return next(new AppError('Invalid booking ID format', 400));
+    }
+    const booking = await Booking.findById(req.params.bookingId).select('branch model color');
+    if (!booking) {
+      return next(new AppError('No booking found with that ID', 404));
+    }
+    const ownBranch = await resolveBranch(req);
+    if (ownBranch && !ownBranch.equals(booking.branch)) {
+      return next(new AppError('You can only view bookings of your own branch', 403));
+    }
+
+    const entry = booking.branch && await backorderQueue.queueEntry(booking);
+    if (!entry) {
+      return next(new AppError('Booking is not waiting for a chassis', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { queue: entry }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching booking queue position');
+  }
+};
+
+// Proposals of the branch; mine=true lists the ones for the user's own bookings
+exports.getProposals = async (req, res, next) => {
+  try {
+    const { status = 'proposed', mine, page = 1, limit = 20 } = req.query;
+    if (!PROPOSAL_STATUSES.includes(status)) {
+      return next(new AppError(`Status must be one of: ${PROPOSAL_STATUSES.join(', ')}`, 400));
+    }
+
+    const branchIds = await branchFilter(req);
+    await backorderQueue.supersedeStale({ branchIds });
+
+    const query = { status };
+    if (branchIds) query.branch = { $in: branchIds };
+    if (mine === 'true') query.salesExecutive = req.user.id;
+
+    const proposals = await AllocationProposal.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: proposals
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching allocation proposals');
+  }
+};
+
+exports.acceptProposal = async (req, res, next) => {
+  try {
+    const proposal = await loadProposal(req);
+    const { booking } = await backorderQueue.acceptProposal(proposal, { userId: req.user.id });
+
+    await sendProposal(res, proposal._id, {
+      booking: {
+        _id: booking._id,
+        bookingNumber: booking.bookingNumber,
+        status: booking.status,
+        chassisNumber: booking.chassisNumber
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error accepting allocation proposal');
+  }
+};
+
+exports.dismissProposal = async (req, res, next) => {
+  try {
+    const proposal = await loadProposal(req);
+    const { next: nextProposal } = await backorderQueue.dismissProposal(proposal, {
+      userId: req.user.id,
+      reason: req.body.reason
+    });
+
+    await sendProposal(res, proposal._id, { nextProposal });
+  } catch (err) {
+    forward(next, err, 'Error dismissing allocation proposal');
+  }
+};
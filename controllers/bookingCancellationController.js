@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const BookingCancellation = require('../models/BookingCancellation');
+const AuditLog = require('../models/AuditLog');
+const bookingCancellation = require('../services/bookingCancellation');
+const { sendError, loadBooking } = require('../utils/bookingHelpers');
+
+const cancellationPopulate = [
+  { path: 'bookingDetails' },
+  { path: 'requestedByDetails' },
+  { path: 'approvedByDetails' },
+  { path: 'refund.cashLocation', select: 'name' },
+  { path: 'refund.bank', select: 'name' }
+];
+
+const loadLatestCancellation = (bookingId) =>
+  BookingCancellation.findOne({ booking: bookingId }).sort({ createdAt: -1 });
+
+// Request cancellation of a booking
+exports.cancelBooking = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { cancellationReason, cancellationCharges, refundMode, cashLocation, bank } = req.body;
+
+    const { cancellation, executed } = await bookingCancellation.requestCancellation(booking, {
+      reason: cancellationReason,
+      cancellationCharges,
+      refundMode,
+      cashLocation,
+      bank,
+      userId: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'CANCEL',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        cancellationReason,
+        cancellationCharges: cancellation.cancellationCharges,
+        refundAmount: cancellation.refund.amount,
+        requiresApproval: cancellation.requiresApproval
+      },
+      status: executed ? 'SUCCESS' : 'PENDING'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    await booking.populate([
+      'modelDetails',
+      'colorDetails',
+      'branchDetails',
+      'createdByDetails',
+      'approvedByDetails'
+    ]);
+    await cancellation.populate(cancellationPopulate);
+
+    res.status(executed ? 200 : 202).json({
+      success: true,
+      data: {
+        booking,
+        cancellation
+      },
+      message: executed
+        ? 'Booking cancelled'
+        : `Cancellation submitted for approval (refund exceeds ${cancellation.approvalLimit})`
+    });
+  } catch (err) {
+    console.error('Error cancelling booking:', err);
+
+    await AuditLog.create({
+      action: 'CANCEL',
+      entity: 'Booking',
+      entityId: req.params.id,
+      user: req.user?.id,
+      ip: req.ip,
+      status: 'FAILED',
+      metadata: { error: err.message }
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    sendError(res, err, 'Error cancelling booking');
+  }
+};
+
+// Get the latest cancellation request of a booking
+exports.getCancellation = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const cancellation = await loadLatestCancellation(booking._id).populate(cancellationPopulate);
+    if (!cancellation) {
+      return res.status(404).json({ success: false, message: 'No cancellation found for this booking' });
+    }
+
+    res.status(200).json({ success: true, data: cancellation });
+  } catch (err) {
+    console.error('Error getting booking cancellation:', err);
+    sendError(res, err, 'Error getting booking cancellation');
+  }
+};
+
+// List cancellation requests (approval queue / refund register)
+exports.getCancellations = async (req, res) => {
+  try {
+    const { status, refundStatus, branch, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (refundStatus) query['refund.status'] = refundStatus;
+    if (branch && mongoose.Types.ObjectId.isValid(branch)) query.branch = branch;
+
+    const result = await BookingCancellation.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+      populate: cancellationPopulate
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.docs,
+      pagination: {
+        total: result.totalDocs,
+        page: result.page,
+        pages: result.totalPages,
+        limit: result.limit
+      }
+    });
+  } catch (err) {
+    console.error('Error listing booking cancellations:', err);
+    sendError(res, err, 'Error listing booking cancellations');
+  }
+};
+
+// Approve a pending cancellation and execute it
+exports.approveCancellation = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const cancellation = await loadLatestCancellation(booking._id);
+    if (!cancellation) {
+      return res.status(404).json({ success: false, message: 'No cancellation found for this booking' });
+    }
+
+    await bookingCancellation.approveCancellation(cancellation, booking, {
+      userId: req.user.id,
+      note: req.body.approvalNote
+    });
+
+    await AuditLog.create({
+      action: 'APPROVE',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        cancellation: cancellation._id,
+        refundAmount: cancellation.refund.amount,
+        approvalNote: req.body.approvalNote
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    await cancellation.populate(cancellationPopulate);
+    res.status(200).json({
+      success: true,
+      data: cancellation,
+      message: 'Cancellation approved and booking cancelled'
+    });
+  } catch (err) {
+    console.error('Error approving booking cancellation:', err);
+    sendError(res, err, 'Error approving booking cancellation');
+  }
+};
+
+// Reject a pending cancellation; the booking stays as it was
+exports.rejectCancellation = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const cancellation = await loadLatestCancellation(booking._id);
+    if (!cancellation) {
+      return res.status(404).json({ success: false, message: 'No cancellation found for this booking' });
+    }
+
+    if (!req.body.rejectionReason) {
+      return res.status(400).json({ success: false, message: 'Rejection reason is required' });
+    }
+
+    await bookingCancellation.rejectCancellation(cancellation, {
+      userId: req.user.id,
+      reason: req.body.rejectionReason
+    });
+
+    await AuditLog.create({
+      action: 'REJECT',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        cancellation: cancellation._id,
+        rejectionReason: req.body.rejectionReason
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    await cancellation.populate(cancellationPopulate);
+    res.status(200).json({
+      success: true,
+      data: cancellation,
+      message: 'Cancellation rejected'
+    });
+  } catch (err) {
+    console.error('Error rejecting booking cancellation:', err);
+    sendError(res, err, 'Error rejecting booking cancellation');
+  }
+};
+
+// Record payout of the refund voucher
+exports.payRefund = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const cancellation = await loadLatestCancellation(booking._id);
+    if (!cancellation) {
+      return res.status(404).json({ success: false, message: 'No cancellation found for this booking' });
+    }
+
+    await bookingCancellation.markRefundPaid(cancellation, booking, {
+      userId: req.user.id,
+      transactionReference: req.body.transactionReference
+    });
+
+    await AuditLog.create({
+      action: 'UPDATE',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        cancellation: cancellation._id,
+        refundVoucher: cancellation.refund.voucherNumber,
+        refundAmount: cancellation.refund.amount,
+        refundMode: cancellation.refund.mode
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    await cancellation.populate(cancellationPopulate);
+    res.status(200).json({
+      success: true,
+      data: cancellation,
+      message: `Refund ${cancellation.refund.voucherNumber} marked as paid`
+    });
+  } catch (err) {
+    console.error('Error paying booking refund:', err);
+    sendError(res, err, 'Error paying booking refund');
+  }
+};
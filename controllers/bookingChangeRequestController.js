@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const bookingChangeRequest = require('../services/bookingChangeRequest');
+const approvalEngine = require('../services/approvalEngine');
+const { sendError, loadBooking } = require('../utils/bookingHelpers');
+
+const loadRequest = async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    res.status(400).json({ success: false, message: 'Version must be a positive whole number' });
+    return null;
+  }
+
+  const request = await bookingChangeRequest.getRequest(req.params.id, version);
+  if (!request) {
+    res.status(404).json({ success: false, message: `No change request version ${version} for this booking` });
+    return null;
+  }
+  return request;
+};
+
+// Every change request of the booking with its diff and the booking versions before and after
+exports.getChangeRequests = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const requests = await bookingChangeRequest.listRequests(booking._id);
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (err) {
+    console.error('Error fetching booking change requests:', err);
+    sendError(res, err, 'Error fetching booking change requests');
+  }
+};
+
+exports.getChangeRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    }
+    const request = await loadRequest(req, res);
+    if (!request) return;
+
+    res.status(200).json({ success: true, data: request });
+  } catch (err) {
+    console.error('Error fetching booking change request:', err);
+    sendError(res, err, 'Error fetching booking change request');
+  }
+};
+
+// Staff raise a change request on behalf of the customer
+exports.submitChangeRequest = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { updates } = req.body;
+    if (!updates || Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, message: 'No updates provided' });
+    }
+
+    const request = await bookingChangeRequest.submitRequest(booking, updates, {
+      source: 'STAFF',
+      userId: req.user.id
+    });
+    const approvalRequest = await approvalEngine.submitIfConfigured('BOOKING_UPDATE_REQUEST', request._id, {
+      userId: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'SUBMIT_UPDATE_REQUEST',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: { updatedFields: request.changes.map(c => c.field), version: request.version },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    res.status(201).json({
+      success: true,
+      message: `Change request version ${request.version} submitted for approval`,
+      data: request,
+      approvalRequest
+    });
+  } catch (err) {
+    console.error('Error submitting booking change request:', err);
+    sendError(res, err, 'Error submitting booking change request');
+  }
+};
+
+// Accept some fields of a pending request and reject the rest
+exports.reviewChangeRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    }
+    const pending = await loadRequest(req, res);
+    if (!pending) return;
+
+    const { accepted, note, notes } = req.body;
+    if (accepted === undefined) {
+      return res.status(400).json({ success: false, message: 'accepted is required: an array of fields, [] to reject all, or ALL' });
+    }
+
+    await approvalEngine.assertNoOpenRequest('BOOKING_UPDATE_REQUEST', pending._id);
+    const { request } = await bookingChangeRequest.reviewRequest(pending, { accepted, note, notes }, { userId: req.user.id });
+    const acceptedFields = request.changes.filter(c => c.decision === 'ACCEPTED').map(c => c.field);
+
+    await AuditLog.create({
+      action: acceptedFields.length > 0 ? 'APPROVE_UPDATE_REQUEST' : 'REJECT_UPDATE_REQUEST',
+      entity: 'Booking',
+      entityId: request.booking,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        updatedFields: acceptedFields,
+        rejectedFields: request.changes.filter(c => c.decision === 'REJECTED').map(c => c.field),
+        version: request.version,
+        note
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    res.status(200).json({
+      success: true,
+      message: `Change request version ${request.version} ${request.status.toLowerCase().replace('_', ' ')}`,
+      data: request
+    });
+  } catch (err) {
+    console.error('Error reviewing booking change request:', err);
+    sendError(res, err, 'Error reviewing booking change request');
+  }
+};
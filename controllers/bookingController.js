@@ -23,6 +23,17 @@ const { generateOTP, sendOTPSMS } = require('../utils/otpService');
 const Role = require('../models/Role')
 // Add these imports at the top of the file
 const BrokerLedger = require('../models/BrokerLedger');
+const bookingStateMachine = require('../services/bookingStateMachine');
+const { buildBookingTimeline } = require('../services/bookingTimeline');
+const { getDeliveryReadiness } = require('../services/bookingDelivery');
+const vehicleReservation = require('../services/vehicleReservation');
+const chassisAllocation = require('../services/chassisAllocation');
+const vinDecoder = require('../services/vinDecoder');
+const damageClaim = require('../services/damageClaim');
+const vehicleMovement = require('../services/vehicleMovement');
+const discountPolicy = require('../services/discountPolicy');
+const approvalEngine = require('../services/approvalEngine');
+const duplicateBooking = require('../services/duplicateBooking');
 // Configure Handlebars helpers
 
 const documentStorage = multer.diskStorage({
@@ -869,13 +880,35 @@ if (payType === 'FINANCE') {
         appliedOn: new Date(),
       });
     }
+    let policyResult = null;
     if (isApplyingDiscount) {
       const dtype = String(req.body.discount.type || '').toUpperCase() === 'PERCENTAGE' ? 'PERCENTAGE' : 'FIXED';
+      const eligibleAmount = discountPolicy.discountableTotal(priceComponents);
+      const requestedDiscount = dtype === 'PERCENTAGE'
+        ? (eligibleAmount * Number(req.body.discount.value)) / 100
+        : Number(req.body.discount.value);
+
+      policyResult = await discountPolicy.evaluate({
+        model: model._id,
+        branch: bookingType === 'BRANCH' ? entityId : null,
+        customerType: req.body.customer_type,
+        user: req.user,
+        discount: requestedDiscount,
+        eligibleAmount
+      });
+      if (policyResult.exceedsPolicy) {
+        return res.status(400).json({
+          success: false,
+          message: policyResult.explanation[policyResult.explanation.length - 1],
+          discountPolicy: policyResult
+        });
+      }
+
       discounts.push({
         amount: Number(req.body.discount.value),
         type: dtype,
-        approvalStatus: 'PENDING',
-        approvalNote: 'Discount applied',
+        approvalStatus: policyResult.autoApproved ? 'APPROVED' : 'PENDING',
+        approvalNote: policyResult.autoApproved ? 'Auto-approved by discount policy' : 'Discount applied',
         isModelDiscount: false,
         appliedOn: new Date(),
       });
@@ -942,11 +975,19 @@ if (payType === 'FINANCE') {
       accessories,
       priceComponents,
       discounts,
+      ...(policyResult && { discountPolicy: discountPolicy.toBookingRecord(policyResult) }),
       accessoriesTotal: Number(accessoriesTotal),
       totalAmount: Number(totalAmount),
       discountedAmount: Number(discountedAmount),
 
       status: 'PENDING_APPROVAL',
+      statusHistory: [{
+        from: null,
+        to: 'PENDING_APPROVAL',
+        action: 'CREATE',
+        changedBy: req.user.id,
+        changedAt: new Date()
+      }],
       bookingType,
       [entityType]: entityId,
       createdBy: req.user.id,
@@ -955,6 +996,19 @@ if (payType === 'FINANCE') {
       ...userAssignment,
     };
 
+    // -------- Duplicate customer / booking check (DUPLICATE_BOOKING_MODE)
+    const duplicateCheck = await duplicateBooking.checkNewBooking(bookingData);
+    if (duplicateCheck.blocked) {
+      return res.status(409).json({
+        success: false,
+        message: 'Booking looks like a duplicate of an active booking',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+    if (duplicateCheck.duplicates.length > 0) {
+      bookingData.suspectedDuplicates = duplicateBooking.toBookingRecords(duplicateCheck.duplicates);
+    }
+
     // -------- Create + QR + populate
     const booking = await Booking.create(bookingData);
 
@@ -1087,6 +1141,17 @@ if (populatedBooking.exchange && populatedBooking.exchangeDetails?.broker) {
   }
 }
 
+    // -------- Approval chains configured for new bookings and their discounts
+    const approvalRequests = [];
+    try {
+      approvalRequests.push(await approvalEngine.submitIfConfigured('BOOKING', booking._id, { userId: req.user.id }));
+      if (policyResult && !policyResult.autoApproved) {
+        approvalRequests.push(await approvalEngine.submitIfConfigured('BOOKING_DISCOUNT', booking._id, { userId: req.user.id }));
+      }
+    } catch (e) {
+      console.warn('Approval submission failed (continuing):', e.message);
+    }
+
     // -------- Shape response (SE vs Subdealer user)
     const out = populatedBooking.toObject();
     if (out.bookingType === 'SUBDEALER') {
@@ -1099,6 +1164,11 @@ if (populatedBooking.exchange && populatedBooking.exchangeDetails?.broker) {
       delete out.subdealerUserDetails;
     }
 
+    out.approvalRequests = approvalRequests.filter(Boolean);
+    if (duplicateCheck.duplicates.length > 0) {
+      out.duplicateWarnings = duplicateCheck.duplicates;
+    }
+
     return res.status(201).json({ success: true, data: out });
   } catch (err) {
     console.error('Error creating booking:', err);
@@ -1477,29 +1547,8 @@ exports.approveBooking = async (req, res) => {
       });
     }
 
-    // 2. Find and update the booking (no status condition)
-    const booking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { 
-        $set: { 
-          status: 'APPROVED',
-          approvedBy: req.user.id,
-          approvedAt: new Date(),
-          // Also approve any pending discounts if they exist
-          "discounts.$[].approvedBy": req.user.id,
-          "discounts.$[].approvalStatus": 'APPROVED',
-          "discounts.$[].approvalNote": req.body.approvalNote || 'Approved'
-        }
-      },
-      { 
-        new: true,
-        runValidators: true 
-      }
-    )
-      .populate("model", "model_name type")
-      .populate("color", "name code")
-      .populate("branch", "name address")
-      .populate("approvedBy", "name email mobile");
+    // 2. Find the booking and move it to APPROVED through the state machine
+    const booking = await Booking.findById(req.params.id);
 
     if (!booking) {
       return res.status(404).json({ 
@@ -1508,6 +1557,40 @@ exports.approveBooking = async (req, res) => {
       });
     }
 
+    let reservedVehicle = null;
+    try {
+      await approvalEngine.assertNoOpenRequest('BOOKING', booking._id);
+      await approvalEngine.assertNoOpenRequest('BOOKING_DISCOUNT', booking._id);
+      await discountPolicy.assertCanApprove(booking.discountPolicy, req.user);
+      await bookingStateMachine.applyTransition(booking, 'APPROVE', {
+        userId: req.user.id,
+        note: req.body.approvalNote
+      });
+      // A vehicle held for this booking becomes its allocated chassis
+      reservedVehicle = await vehicleReservation.allocateFromReservation(booking, { userId: req.user.id });
+    } catch (transitionErr) {
+      return res.status(transitionErr.statusCode || 400).json({
+        success: false,
+        message: transitionErr.message,
+        failedGuards: transitionErr.failedGuards
+      });
+    }
+
+    await booking.save();
+    await vehicleReservation.releaseBookingReservations(booking._id, { userId: req.user.id });
+    if (reservedVehicle) {
+      await vehicleMovement.recordAllocation(booking, {
+        userId: req.user.id,
+        note: 'Allocated from vehicle reservation'
+      });
+    }
+    await booking.populate([
+      { path: 'model', select: 'model_name type' },
+      { path: 'color', select: 'name code' },
+      { path: 'branch', select: 'name address' },
+      { path: 'approvedBy', select: 'name email mobile' }
+    ]);
+
     // 3. (Optional) Generate booking form if needed
     if (process.env.GENERATE_FORMS === 'true') {
       generateBookingFormHTML(booking)
@@ -1529,7 +1612,8 @@ exports.approveBooking = async (req, res) => {
       user: req.user.id,
       ip: req.ip,
       metadata: {
-        approvalNote: req.body.approvalNote || 'No note provided'
+        approvalNote: req.body.approvalNote || 'No note provided',
+        ...(reservedVehicle && { allocatedFromReservation: reservedVehicle.chassisNumber })
       },
       status: "SUCCESS"
     });
@@ -2517,8 +2601,7 @@ if (req.body.note !== undefined) {
                     discounts.push({
                         amount: discount.amount,
                         type: discount.type.toUpperCase() === 'PERCENTAGE' ? 'PERCENTAGE' : 'FIXED',
-                        approvedBy: discount.approved ? req.user._id : undefined,
-                        approvalStatus: discount.approved ? 'APPROVED' : 'PENDING',
+                        approved: !!discount.approved,
                         approvalNote: discount.note || '',
                         appliedOn: new Date()
                     });
@@ -2544,7 +2627,41 @@ if (req.body.note !== undefined) {
                 updateData.priceComponents = updatedComponents;
             }
 
+            // The discount policy decides which discounts stand without sign-off;
+            // a discount marked approved only counts when the user may approve it
+            let policyRecord;
+            if (totalDiscount > 0) {
+                const policyResult = await discountPolicy.evaluate({
+                    model: updateData.model,
+                    branch: existingBooking.branch,
+                    customerType: updateData.customerType,
+                    user: req.user,
+                    discount: totalDiscount,
+                    eligibleAmount: discountPolicy.discountableTotal(existingBooking.priceComponents)
+                });
+                if (policyResult.exceedsPolicy) {
+                    return res.status(400).json({
+                        success: false,
+                        message: policyResult.explanation[policyResult.explanation.length - 1],
+                        discountPolicy: policyResult
+                    });
+                }
+                policyRecord = discountPolicy.toBookingRecord(policyResult);
+            }
+            const mayApprove = policyRecord ? await discountPolicy.canApprove(policyRecord, req.user) : true;
+
+            discounts = discounts.map(({ approved, ...discount }) => {
+                if (policyRecord?.autoApproved) {
+                    return { ...discount, approvalStatus: 'APPROVED', approvalNote: discount.approvalNote || 'Auto-approved by discount policy' };
+                }
+                if (approved && mayApprove) {
+                    return { ...discount, approvedBy: req.user._id, approvalStatus: 'APPROVED' };
+                }
+                return { ...discount, approvalStatus: 'PENDING' };
+            });
+
             updateData.discounts = discounts;
+            updateData.discountPolicy = policyRecord || null;
             
             const baseAmount = (updateData.priceComponents || existingBooking.priceComponents)
                 .reduce((sum, c) => sum + c.originalValue, 0);
@@ -2624,6 +2741,7 @@ if (req.body.note !== undefined) {
         }
 
         // Update status if provided
+        let statusAction = null;
         if (req.body.status !== undefined) {
             const validStatuses = [
                 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 
@@ -2661,18 +2779,70 @@ if (req.body.note !== undefined) {
                 });
             }
 
-            updateData.status = req.body.status;
-            
-            if (req.body.status === 'APPROVED') {
-                updateData.approvedBy = req.user._id;
+            // Cancellation needs its refund, stock release and ledger reversals
+            if (req.body.status === 'CANCELLED') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Use POST /api/v1/bookings/:id/cancel to cancel a booking'
+                });
             }
+
+            // Route the requested status through the booking state machine
+            if (req.body.status !== existingBooking.status) {
+                const action = bookingStateMachine.findActionForTarget(existingBooking.status, req.body.status);
+                if (!action) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Booking cannot move from ${existingBooking.status} to ${req.body.status}`
+                    });
+                }
+
+                const evaluation = await bookingStateMachine.evaluateTransition(existingBooking, action);
+                if (!evaluation.allowed) {
+                    return res.status(400).json({
+                        success: false,
+                        message: evaluation.failedGuards.map(g => g.message).join('; '),
+                        failedGuards: evaluation.failedGuards
+                    });
+                }
+
+                if (['APPROVED', 'REJECTED'].includes(req.body.status)) {
+                    const openRequest = await approvalEngine.openRequestFor('BOOKING', existingBooking._id);
+                    if (openRequest) {
+                        return res.status(409).json({
+                            success: false,
+                            message: `Booking is awaiting approval through the "${openRequest.chainName}" chain`
+                        });
+                    }
+                }
+
+                if (req.body.status === 'APPROVED' &&
+                    !(await discountPolicy.canApprove(updateData.discountPolicy, req.user))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: `Discount needs approval by ${updateData.discountPolicy.approverRole}`
+                    });
+                }
+
+                statusAction = action;
+            }
+        }
+
+        if (statusAction) {
+            // The transition's effects (discount approval, chassis lock) only
+            // run on the document, so apply it there together with the update
+            const booking = await Booking.findById(req.params.id);
+            booking.set(updateData);
+            await bookingStateMachine.applyTransition(booking, statusAction, {
+                userId: req.user._id,
+                note: 'Status changed via booking update'
+            });
+            await booking.save();
+        } else {
+            await Booking.findByIdAndUpdate(req.params.id, { $set: updateData });
         }
 
-        const updatedBooking = await Booking.findByIdAndUpdate(
-            req.params.id,
-            { $set: updateData },
-            { new: true }
-        )
+        const updatedBooking = await Booking.findById(req.params.id)
         .populate('modelDetails')
         .populate('colorDetails')
         .populate(entityType === 'branch' ? 'branchDetails' : 'subdealerDetails')
@@ -2763,27 +2933,23 @@ exports.rejectBooking = async (req, res) => {
       });
     }
 
-    // Check if booking needs approval
-    if (booking.status !== 'PENDING_APPROVAL') {
-      return res.status(400).json({
+    // Move booking to REJECTED (also rejects pending discounts)
+    try {
+      await approvalEngine.assertNoOpenRequest('BOOKING', booking._id);
+      await bookingStateMachine.applyTransition(booking, 'REJECT', {
+        userId: req.user.id,
+        note: req.body.rejectionNote
+      });
+    } catch (transitionErr) {
+      return res.status(transitionErr.statusCode || 400).json({
         success: false,
-        message: 'Booking does not require approval'
+        message: transitionErr.message,
+        failedGuards: transitionErr.failedGuards
       });
     }
 
-    // Update booking status
-    booking.status = 'REJECTED';
-    booking.approvedBy = req.user.id;
-    
-    // Update discount approval status
-    booking.discounts = booking.discounts.map(d => ({
-      ...d.toObject(),
-      approvedBy: req.user.id,
-      approvalStatus: 'REJECTED',
-      approvalNote: req.body.rejectionNote
-    }));
-
     await booking.save();
+    await vehicleReservation.releaseBookingReservations(booking._id, { userId: req.user.id, note: 'Booking rejected' });
 
     await booking.populate([
       'modelDetails',
@@ -2843,16 +3009,20 @@ exports.completeBooking = async (req, res) => {
       });
     }
 
-    // Check if booking can be completed
-    if (booking.status !== 'APPROVED') {
-      return res.status(400).json({
+    // Move booking to COMPLETED (requires chassis, KYC, finance letter, zero balance and passed PDI)
+    try {
+      await bookingStateMachine.applyTransition(booking, 'COMPLETE', {
+        userId: req.user.id,
+        note: req.body.note
+      });
+    } catch (transitionErr) {
+      return res.status(transitionErr.statusCode || 400).json({
         success: false,
-        message: 'Only APPROVED bookings can be completed'
+        message: transitionErr.message,
+        failedGuards: transitionErr.failedGuards
       });
     }
 
-    // Update booking status
-    booking.status = 'COMPLETED';
     await booking.save();
 
     await booking.populate([
@@ -2898,75 +3068,6 @@ exports.completeBooking = async (req, res) => {
   }
 };
 
-// Cancel booking
-exports.cancelBooking = async (req, res) => {
-  try {
-    // Find booking
-    const booking = await Booking.findById(req.params.id);
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    // Check if booking can be cancelled
-    if (booking.status === 'COMPLETED' || booking.status === 'CANCELLED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking cannot be cancelled in its current state'
-      });
-    }
-
-    // Update booking status
-    booking.status = 'CANCELLED';
-    await booking.save();
-
-    await booking.populate([
-      'modelDetails',
-      'colorDetails',
-      'rtoDetails',
-      'branchDetails',
-      'createdByDetails',
-      'approvedByDetails'
-    ]);
-
-    await AuditLog.create({
-      action: 'CANCEL',
-      entity: 'Booking',
-      entityId: booking._id,
-      user: req.user.id,
-      ip: req.ip,
-      metadata: {
-        cancellationReason: req.body.cancellationReason
-      },
-      status: 'SUCCESS'
-    });
-
-    res.status(200).json({
-      success: true,
-      data: booking
-    });
-  } catch (err) {
-    console.error('Error cancelling booking:', err);
-    
-    await AuditLog.create({
-      action: 'CANCEL',
-      entity: 'Booking',
-      entityId: req.params.id,
-      user: req.user?.id,
-      ip: req.ip,
-      status: 'FAILED',
-      error: err.message
-    });
-
-    res.status(500).json({
-      success: false,
-      message: 'Error cancelling booking',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-  }
-};
 // Get booking with documents
 exports.getBookingWithDocuments = async (req, res) => {
   try {
@@ -3056,25 +3157,15 @@ exports.checkReadyForDelivery = async (req, res) => {
       });
     }
 
-    // Check if all requirements are met
-    const requirements = {
-      bookingApproved: booking.status === 'APPROVED',
-      kycApproved: booking.kycStatus === 'APPROVED',
-      financeLetterApproved: booking.payment.type === 'FINANCE' ? 
-        booking.financeLetterStatus === 'APPROVED' : true
-    };
-
-    const isReady = Object.values(requirements).every(val => val === true);
-    const missingRequirements = Object.entries(requirements)
-      .filter(([_, val]) => !val)
-      .map(([key]) => key.replace(/([A-Z])/g, ' $1').toLowerCase());
+    // Same checks a delivery has to pass before the booking is completed
+    const { isReady, requirements, missingRequirements } = await getDeliveryReadiness(booking);
 
     res.status(200).json({
       success: true,
       data: {
         isReady,
         requirements,
-        missingRequirements: isReady ? [] : missingRequirements
+        missingRequirements
       }
     });
 
@@ -3087,6 +3178,94 @@ exports.checkReadyForDelivery = async (req, res) => {
     });
   }
 };
+// Get lifecycle transitions available from the booking's current status
+exports.getBookingTransitions = async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('statusHistory.changedBy', 'name email');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const transitions = await bookingStateMachine.getAvailableTransitions(booking, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        currentStatus: booking.status,
+        isTerminal: bookingStateMachine.TERMINAL_STATES.includes(booking.status),
+        transitions,
+        statusHistory: booking.statusHistory
+      }
+    });
+  } catch (err) {
+    console.error('Error getting booking transitions:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking transitions',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Get chronological activity feed of a booking
+exports.getBookingTimeline = async (req, res) => {
+  try {
+    const bookingId = req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : undefined;
+    const order = req.query.order === 'desc' ? 'desc' : 'asc';
+
+    const events = await buildBookingTimeline(booking, { types, order });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        currentStatus: booking.status,
+        count: events.length,
+        events
+      }
+    });
+  } catch (err) {
+    console.error('Error getting booking timeline:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching booking timeline',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
 // Get update form
 exports.getUpdateForm = async (req, res) => {
   try {
@@ -3200,13 +3379,7 @@ exports.getFullyPaidPendingRTOBookings = async (req, res) => {
 };
 // Allocate chassis number to booking with claim functionality
 exports.allocateChassisNumber = async (req, res) => {
-  // Define status constants for better maintainability
-  const STATUS = {
-    PENDING_APPROVAL: 'PENDING_APPROVAL',
-    ALLOCATED: 'ALLOCATED',
-    COMPLETED: 'COMPLETED',
-    CANCELLED: 'CANCELLED'
-  };
+  const STATUS = bookingStateMachine.BOOKING_STATUS;
 
   try {
     // 1. Validate booking ID format
@@ -3218,15 +3391,20 @@ exports.allocateChassisNumber = async (req, res) => {
     }
 
     // 2. Extract data from both form-data and query params
-    const { chassisNumber, hasClaim, priceClaim, description } = req.body;
+    const { hasClaim, priceClaim, description } = req.body;
+    let { chassisNumber } = req.body;
     const { reason } = req.query; // Get reason from query params
+    const autoAllocate = req.query.mode === 'auto';
 
-    // 3. Validate chassis number format
-    if (!chassisNumber || !/^[A-Z0-9]{17}$/.test(chassisNumber)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Chassis number must be exactly 17 alphanumeric characters'
-      });
+    // 3. Validate chassis number is a well formed VIN (picked from stock in auto mode)
+    if (!autoAllocate) {
+      const vinErrors = vinDecoder.vinErrors(chassisNumber);
+      if (vinErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: vinErrors.join('; ')
+        });
+      }
     }
 
     // 4. Find booking and validate existence
@@ -3237,12 +3415,94 @@ exports.allocateChassisNumber = async (req, res) => {
         message: 'Booking not found' 
       });
     }
-    // 5. Determine allocation scenario
+    // 5. Make sure the booking can take a chassis in its current status
+    const allocation = await bookingStateMachine.evaluateTransition(booking, 'ALLOCATE_CHASSIS');
+    if (!allocation.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: allocation.failedGuards.map(g => g.message).join('; '),
+        failedGuards: allocation.failedGuards
+      });
+    }
+
+    // 5a. Auto mode: oldest matching in-stock vehicle at the booking branch
+    let autoVehicle = null;
+    if (autoAllocate) {
+      if (booking.chassisNumber) {
+        return res.status(400).json({
+          success: false,
+          message: 'Booking already has a chassis allocated; pass chassisNumber to change it'
+        });
+      }
+      try {
+        [autoVehicle] = await chassisAllocation.findCandidates(booking, { limit: 1 });
+      } catch (candidateErr) {
+        return res.status(candidateErr.statusCode || 400).json({
+          success: false,
+          message: candidateErr.message
+        });
+      }
+      if (!autoVehicle) {
+        return res.status(404).json({
+          success: false,
+          message: 'No matching in-stock vehicle available at the booking branch'
+        });
+      }
+      chassisNumber = autoVehicle.chassisNumber;
+    }
+
+    // 5b. A vehicle held for another booking cannot be hard-allocated
+    try {
+      await vehicleReservation.assertNotReservedForOther(chassisNumber, booking._id);
+    } catch (reservationErr) {
+      return res.status(reservationErr.statusCode || 409).json({
+        success: false,
+        message: reservationErr.message
+      });
+    }
+
+    // 5c. Decode the VIN; a model year or model that does not fit the booking is flagged, not rejected
+    const [bookedModel, stockVehicle] = await Promise.all([
+      Model.findById(booking.model).select('model_name vin_prefix'),
+      Vehicle.findOne({ chassisNumber: chassisNumber.toUpperCase() }).select('chassisNumber createdAt isDemo')
+    ]);
+    let vinCheck;
+    try {
+      vinCheck = vinDecoder.inspectVin(chassisNumber, {
+        model: bookedModel,
+        inwardDate: stockVehicle?.createdAt
+      });
+    } catch (vinErr) {
+      return res.status(vinErr.statusCode || 400).json({
+        success: false,
+        message: vinErr.message
+      });
+    }
+
+    // 5d. A vehicle awaiting repair of a damage claim cannot be allocated
+    try {
+      await damageClaim.assertRepaired(stockVehicle);
+    } catch (repairErr) {
+      return res.status(repairErr.statusCode || 409).json({
+        success: false,
+        message: repairErr.message
+      });
+    }
+
+    // 5e. Demo vehicles stay out of sellable stock until taken off the demo fleet
+    if (stockVehicle?.isDemo) {
+      return res.status(409).json({
+        success: false,
+        message: `Vehicle ${stockVehicle.chassisNumber} is a demo vehicle and cannot be allocated`
+      });
+    }
+
+    // 6. Determine allocation scenario
     const isInitialAllocation = !booking.chassisNumber;
     const isChangeAfterAllocation = booking.chassisNumber && booking.status === STATUS.ALLOCATED;
     const hasPendingClaim = hasClaim === 'true';
 
-    // 6. Validate reason for post-allocation changes
+    // 7. Validate reason for post-allocation changes
     if (isChangeAfterAllocation) {
       if (!reason || reason.trim() === '') {
         return res.status(400).json({
@@ -3259,7 +3519,7 @@ exports.allocateChassisNumber = async (req, res) => {
       }
     }
 
-    // 7. Process claim if exists
+    // 8. Process claim if exists
     if (hasPendingClaim) {
       if (!priceClaim || !description) {
         return res.status(400).json({
@@ -3293,7 +3553,8 @@ exports.allocateChassisNumber = async (req, res) => {
       };
     }
 
-    // 8. Record history if changing existing number
+    // 9. Record history if changing existing number
+    const previousChassis = booking.chassisNumber;
     if (booking.chassisNumber) {
       booking.chassisNumberHistory.push({
         number: booking.chassisNumber,
@@ -3304,33 +3565,44 @@ exports.allocateChassisNumber = async (req, res) => {
       });
     }
 
-    // 9. Update chassis number (always uppercase)
+    // 10. Update chassis number (always uppercase)
     booking.chassisNumber = chassisNumber.toUpperCase();
+    if (autoVehicle) {
+      booking.vehicleRef = autoVehicle._id;
+    }
 
-    // 10. Update status based on business rules
+    // 11. Update status through the state machine
     if (isInitialAllocation) {
-      booking.status = hasPendingClaim ? STATUS.ALLOCATED : STATUS.ALLOCATED;
       booking.chassisNumberChangeAllowed = true;
-    } 
-    else if (isChangeAfterAllocation) {
+    } else if (isChangeAfterAllocation) {
       booking.chassisNumberChangeAllowed = false;
-      
-      // Only update status if not already in an allocated state
-      if (![STATUS.ALLOCATED, STATUS.ALLOCATED].includes(booking.status)) {
-        booking.status = hasPendingClaim ? STATUS.ALLOCATED : STATUS.ALLOCATED;
-      }
-    }
-    else {
-      // For other cases (like changing chassis number when status wasn't ALLOCATED)
-      booking.status = hasPendingClaim ? STATUS.ALLOCATED : STATUS.ALLOCATED;
     }
 
-    // 11. Save the updated booking
+    await bookingStateMachine.applyTransition(booking, 'ALLOCATE_CHASSIS', {
+      userId: req.user.id,
+      note: reason || 'Initial allocation',
+      metadata: {
+        chassisNumber: booking.chassisNumber,
+        hasClaim: hasPendingClaim,
+        auto: autoAllocate,
+        vinFlags: vinCheck.flags.map(flag => flag.code)
+      }
+    });
+
+    // 12. Save the updated booking; any soft hold of the booking is no longer needed
     await booking.save();
+    await vehicleReservation.releaseBookingReservations(booking._id, { userId: req.user.id });
+    await vehicleMovement.recordAllocation(booking, {
+      userId: req.user.id,
+      previousChassis,
+      note: reason || undefined
+    });
 
-    // 12. Return appropriate response
+    // 13. Return appropriate response
     let message;
-    if (isInitialAllocation) {
+    if (autoAllocate) {
+      message = `Chassis number ${booking.chassisNumber} allocated automatically`;
+    } else if (isInitialAllocation) {
       message = hasPendingClaim 
         ? 'Chassis number allocated with claim successfully' 
         : 'Chassis number allocated successfully';
@@ -3343,16 +3615,28 @@ exports.allocateChassisNumber = async (req, res) => {
     res.status(200).json({
       success: true,
       data: booking,
+      vinCheck: {
+        manufacturer: vinCheck.manufacturer,
+        modelYear: vinCheck.modelYear,
+        plantCode: vinCheck.plantCode,
+        flags: vinCheck.flags
+      },
       message
     });
-      const vehicle = await Vehicle.findOne({ chassisNumber: req.body.chassisNumber });
+      const vehicle = await Vehicle.findOne({ chassisNumber: booking.chassisNumber });
     if (vehicle) {
       // Link vehicle to booking
       booking.vehicleRef = vehicle._id;
       
       // Always set to in_stock when first allocated
+      const previousStatus = vehicle.status;
       vehicle.status = 'in_stock';
       await vehicle.save();
+      await vehicleMovement.recordChange(
+        { status: previousStatus, branch: vehicle.unloadLocation },
+        vehicle,
+        { userId: req.user.id, source: { kind: 'Booking', id: booking._id, reference: booking.bookingNumber } }
+      );
     }
 
   } catch (err) {
@@ -3365,6 +3649,99 @@ exports.allocateChassisNumber = async (req, res) => {
   }
 };
 
+// Preview the vehicle auto allocation would pick (FIFO by inward date) and the next alternates
+exports.previewChassisAllocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const requested = parseInt(req.query.alternates, 10);
+    const alternates = Number.isNaN(requested)
+      ? chassisAllocation.DEFAULT_ALTERNATES
+      : Math.min(Math.max(requested, 0), 20);
+    const preview = await chassisAllocation.previewAllocation(booking, { alternates });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        currentChassisNumber: booking.chassisNumber || null,
+        ...preview
+      }
+    });
+  } catch (err) {
+    console.error('Error previewing chassis allocation:', err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      message: err.statusCode ? err.message : 'Error previewing chassis allocation',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Auto-allocate every approved booking of a branch that still has no chassis
+exports.autoAllocateBranch = async (req, res) => {
+  try {
+    const { branchId } = req.body;
+    if (!branchId || !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid branchId is required'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!(await user.isSuperAdmin()) && String(user.branch) !== String(branchId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only auto-allocate bookings of your own branch'
+      });
+    }
+
+    const result = await chassisAllocation.autoAllocateBranch(branchId, { userId: req.user.id });
+
+    await AuditLog.create({
+      action: 'ALLOCATE_CHASSIS',
+      entity: 'Booking',
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        mode: 'auto',
+        branch: branchId,
+        allocated: result.allocated.map(a => ({ booking: a.bookingId, chassisNumber: a.chassisNumber })),
+        skipped: result.skipped.length
+      },
+      status: 'SUCCESS'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `${result.allocated.length} booking(s) allocated, ${result.skipped.length} skipped`
+    });
+  } catch (err) {
+    console.error('Error auto-allocating chassis numbers:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Error auto-allocating chassis numbers',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
 // Get bookings by insurance status
 exports.getBookingsByInsuranceStatus = async (req, res, next) => {
   try {
@@ -5,6 +5,7 @@ const Bank = require('../models/Bank');
 const CashLocation = require('../models/cashLocation');
 const BankSubPaymentMode = require('../models/BankSubPaymentMode');
 const mongoose = require('mongoose');
+const approvalEngine = require('../services/approvalEngine');
 
 // Initialize ledger for new broker in a branch
 exports.initializeLedger = async (brokerId, branchId, userId) => {
@@ -438,6 +439,14 @@ exports.approveOnAccountPayment = async (req, res) => {
       });
     }
 
+    const openRequest = await approvalEngine.openRequestFor('BROKER_TRANSACTION', transaction._id);
+    if (openRequest) {
+      return res.status(409).json({
+        success: false,
+        message: `Transaction is awaiting approval through the "${openRequest.chainName}" chain`
+      });
+    }
+
     // Update transaction status
     transaction.approvalStatus = 'Approved';
     transaction.approvedBy = userId;
@@ -699,6 +708,10 @@ exports.addTransaction = async (req, res) => {
     }
     
     await ledger.save();
+    if (approvalStatus === 'Pending') {
+      const savedTransaction = ledger.transactions[ledger.transactions.length - 1];
+      await approvalEngine.submitIfConfigured('BROKER_TRANSACTION', savedTransaction._id, { userId });
+    }
     // Populate the response with subPaymentMode
     const populatedLedger = await BrokerLedger.findById(ledger._id)
       .populate('broker', 'name mobile')
@@ -860,6 +873,14 @@ exports.approveBrokerTransaction = async (req, res) => {
       });
     }
 
+    const openRequest = await approvalEngine.openRequestFor('BROKER_TRANSACTION', transaction._id);
+    if (openRequest) {
+      return res.status(409).json({
+        success: false,
+        message: `Transaction is awaiting approval through the "${openRequest.chainName}" chain`
+      });
+    }
+
     // Update transaction status
    transaction.approvalStatus = 'Approved';
     transaction.approvedBy = userId;
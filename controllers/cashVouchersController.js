@@ -3,6 +3,7 @@ const Branch = require('../models/Branch');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
+const approvalEngine = require('../services/approvalEngine');
 
 /**
  * Create Cash Voucher
@@ -68,6 +69,9 @@ exports.createCashVoucher = async (req, res) => {
       await fs.promises.writeFile(filePath, req.file.buffer);
     }
 
+    // A voucher covered by an approval chain starts pending and goes through it
+    const approvalChain = await approvalEngine.findChain('CASH_VOUCHER', { amount: parseFloat(amount), branch });
+
     const voucher = new CashVoucher({
       voucherType,
       recipientName: recipientName.trim(),
@@ -75,7 +79,7 @@ exports.createCashVoucher = async (req, res) => {
       cashLocation: cashLocation.trim(),
       expenseType: expenseType.trim(),
       remark: remark?.trim() || '',
-      status: status || 'pending',
+      status: approvalChain ? 'pending' : (status || 'pending'),
       branch,
       billUrl,
       date: date || new Date()
@@ -83,10 +87,14 @@ exports.createCashVoucher = async (req, res) => {
 
     const savedVoucher = await voucher.save();
     const populatedVoucher = await savedVoucher.populate('branch');
+    const approvalRequest = approvalChain
+      ? await approvalEngine.submit('CASH_VOUCHER', savedVoucher._id, { userId: req.user.id })
+      : null;
 
     res.status(201).json({
       success: true,
       data: populatedVoucher,
+      approvalRequest,
       message: 'Cash voucher created successfully'
     });
 
@@ -183,6 +191,17 @@ exports.getCashVoucherById = async (req, res) => {
  */
 exports.updateCashVoucher = async (req, res) => {
   try {
+    // Vouchers under an approval chain are decided from the approvals inbox
+    if (req.body.status && mongoose.Types.ObjectId.isValid(req.params.id)) {
+      const openRequest = await approvalEngine.openRequestFor('CASH_VOUCHER', req.params.id);
+      if (openRequest) {
+        return res.status(409).json({
+          success: false,
+          message: `Voucher is awaiting approval through the "${openRequest.chainName}" chain`
+        });
+      }
+    }
+
     const updateData = { ...req.body };
 
     // If bill file uploaded
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const Branch = require('../models/Branch'); // Assuming you have this model
 const mongoose = require('mongoose');
+const approvalEngine = require('../services/approvalEngine');
 
 // Create Contra Voucher
 exports.createContraVoucher = async (req, res) => {
@@ -66,6 +67,9 @@ exports.createContraVoucher = async (req, res) => {
       await fs.promises.writeFile(filePath, req.file.buffer);
     }
 
+    // A voucher covered by an approval chain starts pending and goes through it
+    const approvalChain = await approvalEngine.findChain('CONTRA_VOUCHER', { amount: parseFloat(amount), branch });
+
     const voucher = new ContraVoucher({
       voucherType,
       recipientName: recipientName.trim(),
@@ -73,7 +77,7 @@ exports.createContraVoucher = async (req, res) => {
       amount: parseFloat(amount),
       bankLocation: bankLocation.trim(),
       remark: remark?.trim() || '',
-      status: status || 'pending',
+      status: approvalChain ? 'pending' : (status || 'pending'),
       branch,
       billUrl,
       date: date || new Date()
@@ -81,10 +85,14 @@ exports.createContraVoucher = async (req, res) => {
 
     const savedVoucher = await voucher.save();
     const populatedVoucher = await savedVoucher.populate('branch');
+    const approvalRequest = approvalChain
+      ? await approvalEngine.submit('CONTRA_VOUCHER', savedVoucher._id, { userId: req.user.id })
+      : null;
 
     res.status(201).json({
       success: true,
       data: populatedVoucher,
+      approvalRequest,
       message: 'Contra voucher created successfully'
     });
 
@@ -190,6 +198,17 @@ exports.getContraVouchersByStatus = async (req, res) => {
 
 exports.updateContraVoucher = async (req, res) => {
   try {
+    // Vouchers under an approval chain are decided from the approvals inbox
+    if (req.body.status && mongoose.Types.ObjectId.isValid(req.params.id)) {
+      const openRequest = await approvalEngine.openRequestFor('CONTRA_VOUCHER', req.params.id);
+      if (openRequest) {
+        return res.status(409).json({
+          success: false,
+          message: `Voucher is awaiting approval through the "${openRequest.chainName}" chain`
+        });
+      }
+    }
+
     const updateData = {};
 
     // Allow updating status if provided
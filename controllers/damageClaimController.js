@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const DamageClaim = require('../models/DamageClaim');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const damageClaim = require('../services/damageClaim');
+
+const populateOptions = [
+  { path: 'branchDetails' },
+  { path: 'reportedByDetails' },
+  { path: 'vehicleDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+const loadClaim = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid damage claim ID format', 400);
+  }
+
+  const claim = await DamageClaim.findById(id);
+  if (!claim) {
+    throw new AppError('No damage claim found with that ID', 404);
+  }
+  return claim;
+};
+
+const sendClaim = async (res, id) => {
+  const claim = await DamageClaim.findById(id).populate(populateOptions);
+  res.status(200).json({ status: 'success', data: { claim } });
+};
+
+exports.getClaims = async (req, res, next) => {
+  try {
+    const {
+      branch, vehicle, status, responsibleParty, repairStatus, search,
+      fromDate, toDate, page = 1, limit = 20
+    } = req.query;
+
+    const query = {};
+    for (const [field, value] of Object.entries({ branch, vehicle })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return next(new AppError(`Invalid ${field} ID`, 400));
+      }
+      query[field] = value;
+    }
+    if (status) query.status = status;
+    if (responsibleParty) query.responsibleParty = responsibleParty;
+    if (repairStatus) query.repairStatus = repairStatus;
+    if (search) {
+      const term = _.escapeRegExp(search.trim().toUpperCase());
+      query.$or = [
+        { claimNumber: { $regex: term } },
+        { chassisNumber: { $regex: term } },
+        { partyClaimNumber: { $regex: term } }
+      ];
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) query.createdAt.$gte = new Date(fromDate);
+      if (toDate) query.createdAt.$lte = new Date(toDate);
+    }
+
+    const result = await DamageClaim.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: result.docs.length,
+      data: {
+        claims: result.docs,
+        pagination: {
+          total: result.totalDocs,
+          page: result.page,
+          pages: result.totalPages,
+          limit: result.limit
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching damage claims');
+  }
+};
+
+exports.getClaim = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching damage claim');
+  }
+};
+
+exports.submitClaim = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await damageClaim.submitClaim(claim, req.body, { userId: req.user.id });
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error submitting damage claim');
+  }
+};
+
+exports.approveClaim = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await damageClaim.approveClaim(claim, req.body, { userId: req.user.id });
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error approving damage claim');
+  }
+};
+
+exports.rejectClaim = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await damageClaim.rejectClaim(claim, req.body, { userId: req.user.id });
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error rejecting damage claim');
+  }
+};
+
+exports.settleClaim = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await damageClaim.settleClaim(claim, req.body, { userId: req.user.id });
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error settling damage claim');
+  }
+};
+
+exports.markRepaired = async (req, res, next) => {
+  try {
+    const claim = await loadClaim(req.params.id);
+    await damageClaim.markRepaired(claim, req.body, { userId: req.user.id });
+    await sendClaim(res, claim._id);
+  } catch (err) {
+    forward(next, err, 'Error updating damage claim repair');
+  }
+};
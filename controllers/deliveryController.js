@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Delivery = require('../models/Delivery');
+const AuditLog = require('../models/AuditLog');
+const bookingDelivery = require('../services/bookingDelivery');
+const { sendError, loadBooking } = require('../utils/bookingHelpers');
+
+const deliveryPopulate = [
+  { path: 'bookingDetails' },
+  { path: 'vehicleDetails' },
+  { path: 'branchDetails' },
+  { path: 'deliveredByDetails' },
+  { path: 'pdiInspection', select: 'result items inspectedAt inspectedBy' }
+];
+
+// Multipart requests send the accessories array as a JSON string
+const parseList = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    const parseErr = new Error('accessories must be a JSON array');
+    parseErr.statusCode = 400;
+    throw parseErr;
+  }
+};
+
+// Record delivery of a booking's vehicle and issue the gate pass
+exports.createDelivery = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { deliveryDate, odometerReading, receivedBy, remarks } = req.body;
+
+    const delivery = await bookingDelivery.createDelivery(booking, {
+      deliveryDate,
+      odometerReading,
+      receivedBy,
+      remarks,
+      accessories: parseList(req.body.accessories)
+    }, {
+      userId: req.user.id,
+      files: {
+        customerSignature: req.files?.customerSignature?.[0],
+        customerPhoto: req.files?.customerPhoto?.[0]
+      }
+    });
+
+    await AuditLog.create({
+      action: 'DELIVER',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        delivery: delivery._id,
+        gatePassNumber: delivery.gatePassNumber,
+        chassisNumber: delivery.chassisNumber
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    await delivery.populate(deliveryPopulate);
+    res.status(201).json({
+      success: true,
+      data: delivery,
+      message: delivery.gatePass?.path
+        ? `Vehicle delivered, gate pass ${delivery.gatePassNumber} generated`
+        : `Vehicle delivered; gate pass ${delivery.gatePassNumber} could not be generated, download it to retry`
+    });
+  } catch (err) {
+    console.error('Error creating delivery:', err);
+
+    await AuditLog.create({
+      action: 'DELIVER',
+      entity: 'Booking',
+      entityId: mongoose.Types.ObjectId.isValid(req.params.id) ? req.params.id : undefined,
+      user: req.user?.id,
+      ip: req.ip,
+      status: 'FAILED',
+      metadata: { error: err.message }
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+    sendError(res, err, 'Error creating delivery');
+  }
+};
+
+// Get the delivery of a booking
+exports.getDelivery = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const delivery = await Delivery.findOne({ booking: booking._id }).populate(deliveryPopulate);
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'No delivery found for this booking' });
+    }
+
+    res.status(200).json({ success: true, data: delivery });
+  } catch (err) {
+    console.error('Error getting delivery:', err);
+    sendError(res, err, 'Error getting delivery');
+  }
+};
+
+// List deliveries (delivery register)
+exports.getDeliveries = async (req, res) => {
+  try {
+    const { branch, fromDate, toDate, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (branch && mongoose.Types.ObjectId.isValid(branch)) query.branch = branch;
+    if (fromDate || toDate) {
+      query.deliveryDate = {};
+      if (fromDate) query.deliveryDate.$gte = new Date(fromDate);
+      if (toDate) query.deliveryDate.$lte = new Date(toDate);
+    }
+
+    const result = await Delivery.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { deliveryDate: -1 },
+      populate: deliveryPopulate
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result.docs,
+      pagination: {
+        total: result.totalDocs,
+        page: result.page,
+        pages: result.totalPages,
+        limit: result.limit
+      }
+    });
+  } catch (err) {
+    console.error('Error listing deliveries:', err);
+    sendError(res, err, 'Error listing deliveries');
+  }
+};
+
+// Download the gate pass PDF, regenerating it when missing
+exports.downloadGatePass = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    let delivery = await Delivery.findOne({ booking: booking._id });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'No delivery found for this booking' });
+    }
+
+    const filePath = () => delivery.gatePass?.path && path.join(__dirname, '..', delivery.gatePass.path);
+    if (!filePath() || !fs.existsSync(filePath()) || req.query.regenerate === 'true') {
+      delivery = await bookingDelivery.generateGatePass(delivery);
+    }
+
+    if (!filePath() || !fs.existsSync(filePath())) {
+      return res.status(500).json({ success: false, message: 'Gate pass could not be generated' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${delivery.gatePassNumber}.pdf"`);
+    fs.createReadStream(filePath()).pipe(res);
+  } catch (err) {
+    console.error('Error downloading gate pass:', err);
+    sendError(res, err, 'Error downloading gate pass');
+  }
+};
@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const TestRide = require('../models/TestRide');
+const Vehicle = require('../models/vehicleInwardModel');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const demoFleet = require('../services/demoFleet');
+const { findScannedVehicle } = require('../services/vehicleScan');
+
+const populateOptions = [
+  { path: 'branchDetails' },
+  { path: 'vehicleDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch whose demo fleet the user works on. Super admins may name any
+ * branch (all branches when none is named), everyone else is tied to their
+ * own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+const assertOwnBranch = async (req, branch, message) => {
+  const ownBranch = await resolveBranch(req);
+  if (ownBranch && !ownBranch.equals(branch)) {
+    throw new AppError(message, 403);
+  }
+};
+
+// Vehicle by id, QR code or chassis number
+const findVehicle = async ({ vehicleId, qrCode, chassisNumber }) => {
+  if (vehicleId) {
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      throw new AppError('Invalid vehicle ID format', 400);
+    }
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      throw new AppError('No vehicle found with that ID', 404);
+    }
+    return vehicle;
+  }
+
+  const { vehicle, code } = await findScannedVehicle({ qrCode, chassisNumber });
+  if (!vehicle) {
+    throw new AppError(`No vehicle found for ${code}`, 404);
+  }
+  return vehicle;
+};
+
+const loadRide = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid test ride ID format', 400);
+  }
+  const ride = await TestRide.findById(req.params.id);
+  if (!ride) {
+    throw new AppError('No test ride found with that ID', 404);
+  }
+  await assertOwnBranch(req, ride.branch, 'You can only manage test rides of your own branch');
+  return ride;
+};
+
+const sendRide = async (res, id, statusCode = 200) => {
+  const ride = await TestRide.findById(id).populate(populateOptions);
+  res.status(statusCode).json({ status: 'success', data: { ride } });
+};
+
+// Demo vehicles with the open test rides booked on them
+exports.getDemoVehicles = async (req, res, next) => {
+  try {
+    const branch = await resolveBranch(req, req.query.branchId);
+    const vehicles = await Vehicle.find({ isDemo: true, ...(branch && { unloadLocation: branch }) })
+      .select('chassisNumber model modelName color.name status unloadLocation demo')
+      .populate('unloadLocation', 'name')
+      .sort({ 'demo.since': 1 })
+      .lean();
+
+    const openRides = await TestRide.find({
+      vehicle: { $in: vehicles.map(v => v._id) },
+      status: { $in: demoFleet.OPEN_STATUSES }
+    })
+      .select('rideNumber vehicle customerName slotStart slotEnd status')
+      .sort({ slotStart: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: vehicles.length,
+      data: {
+        vehicles: vehicles.map(vehicle => {
+          const rides = openRides.filter(ride => ride.vehicle.equals(vehicle._id));
+          return {
+            ...vehicle,
+            onRide: rides.find(ride => ride.status === 'out') || null,
+            upcomingRides: rides.filter(ride => ride.status === 'scheduled')
+          };
+        })
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching demo vehicles');
+  }
+};
+
+exports.flagDemoVehicle = async (req, res, next) => {
+  try {
+    const { vehicleId, qrCode, chassisNumber, note, odometer } = req.body;
+    const vehicle = await findVehicle({ vehicleId, qrCode, chassisNumber });
+    await assertOwnBranch(req, vehicle.unloadLocation, 'You can only manage demo vehicles of your own branch');
+
+    const flagged = await demoFleet.flagDemo(vehicle, { userId: req.user.id, note, odometer });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        vehicle: flagged,
+        message: `Vehicle ${flagged.chassisNumber} added to the demo fleet`
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error adding demo vehicle');
+  }
+};
+
+exports.unflagDemoVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await findVehicle({ vehicleId: req.params.vehicleId });
+    await assertOwnBranch(req, vehicle.unloadLocation, 'You can only manage demo vehicles of your own branch');
+
+    const updated = await demoFleet.unflagDemo(vehicle, { userId: req.user.id });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        vehicle: updated,
+        message: `Vehicle ${updated.chassisNumber} returned to sellable stock`
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error removing demo vehicle');
+  }
+};
+
+exports.getTestRides = async (req, res, next) => {
+  try {
+    const { branchId, vehicle, quotation, status, mobile, fromDate, toDate, page = 1, limit = 20 } = req.query;
+
+    const branch = await resolveBranch(req, branchId);
+    const query = branch ? { branch } : {};
+    for (const [field, value] of Object.entries({ vehicle, quotation })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return next(new AppError(`Invalid ${field} ID`, 400));
+      }
+      query[field] = value;
+    }
+    if (status) query.status = { $in: status.split(',') };
+    if (mobile) query.mobile = mobile.trim();
+    if (fromDate || toDate) {
+      query.slotStart = {};
+      if (fromDate) query.slotStart.$gte = new Date(fromDate);
+      if (toDate) query.slotStart.$lte = new Date(toDate);
+    }
+
+    const result = await TestRide.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { slotStart: -1 },
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: result.docs.length,
+      data: {
+        rides: result.docs,
+        pagination: {
+          total: result.totalDocs,
+          page: result.page,
+          pages: result.totalPages,
+          limit: result.limit
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching test rides');
+  }
+};
+
+exports.getTestRide = async (req, res, next) => {
+  try {
+    const ride = await loadRide(req);
+    await sendRide(res, ride._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching test ride');
+  }
+};
+
+exports.createTestRide = async (req, res, next) => {
+  try {
+    const { vehicleId, qrCode, chassisNumber, ...details } = req.body;
+    const vehicle = await findVehicle({ vehicleId, qrCode, chassisNumber });
+    await assertOwnBranch(req, vehicle.unloadLocation, 'You can only book test rides at your own branch');
+
+    const ride = await demoFleet.scheduleRide(vehicle, details, { userId: req.user.id });
+    await sendRide(res, ride._id, 201);
+  } catch (err) {
+    forward(next, err, 'Error booking test ride');
+  }
+};
+
+exports.checkOutTestRide = async (req, res, next) => {
+  try {
+    const ride = await loadRide(req);
+    await demoFleet.checkOut(ride, req.body, { userId: req.user.id });
+    await sendRide(res, ride._id);
+  } catch (err) {
+    forward(next, err, 'Error checking out test ride');
+  }
+};
+
+exports.checkInTestRide = async (req, res, next) => {
+  try {
+    const ride = await loadRide(req);
+    await demoFleet.checkIn(ride, req.body, { userId: req.user.id });
+    await sendRide(res, ride._id);
+  } catch (err) {
+    forward(next, err, 'Error checking in test ride');
+  }
+};
+
+exports.cancelTestRide = async (req, res, next) => {
+  try {
+    const ride = await loadRide(req);
+    const { reason, noShow } = req.body;
+    await demoFleet.cancelRide(ride, { reason, noShow: noShow === true || noShow === 'true' }, { userId: req.user.id });
+    await sendRide(res, ride._id);
+  } catch (err) {
+    forward(next, err, 'Error cancelling test ride');
+  }
+};
+
+// Test-ride-to-booking conversion; defaults to the rides of the last 30 days
+exports.getConversionReport = async (req, res, next) => {
+  try {
+    const { branchId, from, to } = req.query;
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return next(new AppError('Invalid from or to date. Use YYYY-MM-DD.', 400));
+    }
+    // A plain date includes the whole day
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setHours(23, 59, 59, 999);
+    if (start > end) {
+      return next(new AppError('from must not be after to', 400));
+    }
+
+    const branch = await resolveBranch(req, branchId);
+    const report = await demoFleet.conversionReport({
+      from: start,
+      to: end,
+      branchIds: branch ? [branch] : undefined
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { branch, ...report }
+    });
+  } catch (err) {
+    forward(next, err, 'Error building test ride conversion report');
+  }
+};
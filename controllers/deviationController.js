@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const DeviationLedger = require('../models/DeviationLedger');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const deviationBudget = require('../services/deviationBudget');
+
+const LEDGER_TYPES = DeviationLedger.schema.path('type').enumValues;
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branches the user reports on. Super admins may name any branch (undefined
+ * means all branches), everyone else sees their own branch.
+ */
+const branchFilter = async (req) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    const requested = req.query.branchId;
+    if (!requested) return undefined;
+    if (!mongoose.Types.ObjectId.isValid(requested)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return [new mongoose.Types.ObjectId(requested)];
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return [user.branch];
+};
+
+const parseDate = (value, name) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date. Use YYYY-MM-DD.`, 400);
+  }
+  return date;
+};
+
+exports.getLedger = async (req, res, next) => {
+  try {
+    const { manager, booking, type } = req.query;
+    if (manager && !mongoose.Types.ObjectId.isValid(manager)) {
+      return next(new AppError('Invalid manager ID', 400));
+    }
+    if (booking && !mongoose.Types.ObjectId.isValid(booking)) {
+      return next(new AppError('Invalid booking ID', 400));
+    }
+    if (type && !LEDGER_TYPES.includes(type)) {
+      return next(new AppError(`type must be one of: ${LEDGER_TYPES.join(', ')}`, 400));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const query = deviationBudget.ledgerQuery({
+      manager,
+      booking,
+      type,
+      branchIds: await branchFilter(req),
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to')
+    });
+
+    const [entries, total] = await Promise.all([
+      DeviationLedger.find(query)
+        .populate([
+          { path: 'managerDetails' },
+          { path: 'bookingDetails' },
+          { path: 'branch', select: 'name' },
+          { path: 'approvedBy', select: 'name email' }
+        ])
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DeviationLedger.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: {
+        entries,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching deviation ledger');
+  }
+};
+
+// Deviation used against allotted per manager and branch
+exports.getReport = async (req, res, next) => {
+  try {
+    const report = await deviationBudget.utilisationReport({ branchIds: await branchFilter(req) });
+    res.status(200).json({ status: 'success', data: report });
+  } catch (err) {
+    forward(next, err, 'Error building deviation report');
+  }
+};
+
+// Managers at or above the utilisation threshold
+exports.getAlerts = async (req, res, next) => {
+  try {
+    const { threshold, managers } = await deviationBudget.utilisationReport({ branchIds: await branchFilter(req) });
+    const alerts = managers.filter(row => row.alert);
+    res.status(200).json({
+      status: 'success',
+      results: alerts.length,
+      data: { threshold, alerts }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching deviation alerts');
+  }
+};
+
+// Reset one manager's usage by hand, e.g. on a NONE budget
+exports.resetManager = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid manager ID format', 400));
+    }
+    const manager = await User.findById(req.params.id);
+    if (!manager) {
+      return next(new AppError('No manager found with that ID', 404));
+    }
+    const branchIds = await branchFilter(req);
+    if (branchIds && !branchIds.some(id => String(id) === String(manager.branch))) {
+      return next(new AppError('Not authorized to reset this manager', 403));
+    }
+
+    const start = deviationBudget.periodStartOf(manager.deviationBudgetPeriod) || new Date();
+    await manager.resetDeviationUsage({
+      approvedBy: req.user.id,
+      periodStart: start,
+      note: req.body.note || 'Reset by hand'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        manager: {
+          _id: manager._id,
+          name: manager.name,
+          totalDeviationAmount: manager.totalDeviationAmount,
+          currentDeviationUsage: manager.currentDeviationUsage,
+          deviationBudgetPeriod: manager.deviationBudgetPeriod,
+          deviationPeriodStart: manager.deviationPeriodStart
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error resetting deviation usage');
+  }
+};
+
+// Run the period reset now instead of waiting for the job
+exports.resetDuePeriods = async (req, res, next) => {
+  try {
+    const reset = await deviationBudget.resetDuePeriods();
+    res.status(200).json({
+      status: 'success',
+      data: { reset, message: `${reset} manager budget(s) reset` }
+    });
+  } catch (err) {
+    forward(next, err, 'Error resetting deviation budgets');
+  }
+};
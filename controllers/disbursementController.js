@@ -3,6 +3,7 @@ const Disbursement = require('../models/Disbursement');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Role = require('../models/Role');
+const deviationBudget = require('../services/deviationBudget');
 
 exports.createDisbursement = async (req, res) => {
   try {
@@ -87,12 +88,16 @@ exports.createDisbursement = async (req, res) => {
         branch: branchId,
         roles: managerRole._id,
         status: 'ACTIVE'
-      }).select('name totalDeviationAmount currentDeviationUsage perTransactionDeviationLimit').exec();
+      }).select('name branch totalDeviationAmount currentDeviationUsage perTransactionDeviationLimit ' +
+        'deviationBudgetPeriod deviationPeriodStart deviationAlertedAt').exec();
 
       if (!managerDoc) {
         return res.status(404).json({ success: false, message: 'Branch manager not configured for this branch' });
       }
 
+      // A budget period that ended since the last reset starts again from zero
+      await deviationBudget.resetIfDue(managerDoc, { userId: req.user?.id });
+
       // 3) Compute remaining deviation & per-txn cap
       const totalDeviationAmount = Number(managerDoc.totalDeviationAmount || 0);
       const currentDeviationUsage = Number(managerDoc.currentDeviationUsage || 0);
@@ -138,10 +143,14 @@ exports.createDisbursement = async (req, res) => {
       deviationAmount: deviationUsed
     });
 
-    // Update manager usage by the amount ACTUALLY used
+    // Update manager usage by the amount ACTUALLY used, recorded in the deviation ledger
+    let deviationAlert = null;
     if (managerDoc && deviationUsed > 0) {
-      managerDoc.currentDeviationUsage = Number(managerDoc.currentDeviationUsage || 0) + deviationUsed;
-      await managerDoc.save();
+      ({ alert: deviationAlert } = await deviationBudget.consume(managerDoc, deviationUsed, {
+        booking: bookingId,
+        disbursement: disbursement._id,
+        approvedBy: req.user?.id
+      }));
     }
 
     // Effective down-payment considered for chassis allocation:
@@ -164,7 +173,8 @@ exports.createDisbursement = async (req, res) => {
           used: deviationUsed,
           perTransactionDeviationLimit: perTxnLimit,
           availableBefore,
-          availableAfter
+          availableAfter,
+          utilisationAlert: deviationAlert ? deviationAlert.note : undefined
         },
         allocationCheck: {
           // Use this in your chassis allocation rule:
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const DiscountPolicy = require('../models/DiscountPolicy');
+const Branch = require('../models/Branch');
+const Model = require('../models/ModelModel');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const discountPolicy = require('../services/discountPolicy');
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'models', 'branches', 'customerTypes', 'roles',
+  'validFrom', 'validTo', 'priority', 'autoApprove', 'approvalLevels', 'isActive'
+];
+
+const populateOptions = [
+  { path: 'modelDetails' },
+  { path: 'branchDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+const validIds = (ids) => (ids || []).every(id => mongoose.Types.ObjectId.isValid(id));
+
+// Models, branches and roles named by the policy must exist
+const assertScopeExists = async ({ models, branches, roles, approvalLevels }) => {
+  if (!validIds(models) || !validIds(branches)) {
+    throw new AppError('Invalid model or branch ID', 400);
+  }
+
+  const modelIds = [...new Set((models || []).map(String))];
+  const branchIds = [...new Set((branches || []).map(String))];
+  const roleNames = [...new Set([...(roles || []), ...(approvalLevels || []).map(l => l?.role)]
+    .filter(Boolean)
+    .map(name => String(name).toUpperCase()))];
+
+  const [modelCount, branchCount, roleCount] = await Promise.all([
+    Model.countDocuments({ _id: { $in: modelIds } }),
+    Branch.countDocuments({ _id: { $in: branchIds } }),
+    Role.countDocuments({ name: { $in: roleNames } })
+  ]);
+  if (modelCount !== modelIds.length) throw new AppError('Model not found', 404);
+  if (branchCount !== branchIds.length) throw new AppError('Branch not found', 404);
+  if (roleCount !== roleNames.length) throw new AppError('Role not found', 404);
+};
+
+const loadPolicy = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid discount policy ID format', 400);
+  }
+  const policy = await DiscountPolicy.findById(req.params.id);
+  if (!policy) {
+    throw new AppError('No discount policy found with that ID', 404);
+  }
+  return policy;
+};
+
+exports.getPolicies = async (req, res, next) => {
+  try {
+    const { model, branch, customerType, active } = req.query;
+    const query = {};
+    for (const [field, value] of Object.entries({ models: model, branches: branch })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return next(new AppError(`Invalid ${field === 'models' ? 'model' : 'branch'} ID`, 400));
+      }
+      // Rules naming the model/branch and the ones covering all of them
+      query.$and = [...(query.$and || []), { $or: [{ [field]: value }, { [field]: { $size: 0 } }] }];
+    }
+    if (customerType) {
+      query.$and = [...(query.$and || []), { $or: [{ customerTypes: customerType }, { customerTypes: { $size: 0 } }] }];
+    }
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const policies = await DiscountPolicy.find(query)
+      .populate(populateOptions)
+      .sort({ isActive: -1, priority: -1, updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: policies.length,
+      data: { policies }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching discount policies');
+  }
+};
+
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req);
+    await policy.populate(populateOptions);
+    res.status(200).json({ status: 'success', data: { policy } });
+  } catch (err) {
+    forward(next, err, 'Error fetching discount policy');
+  }
+};
+
+exports.createPolicy = async (req, res, next) => {
+  try {
+    await assertScopeExists(req.body);
+
+    const policy = new DiscountPolicy({ createdBy: req.user.id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    await policy.save();
+    await policy.populate(populateOptions);
+
+    res.status(201).json({ status: 'success', data: { policy } });
+  } catch (err) {
+    forward(next, err, 'Error creating discount policy');
+  }
+};
+
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req);
+    await assertScopeExists(req.body);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    policy.lastUpdatedBy = req.user.id;
+    await policy.save();
+    await policy.populate(populateOptions);
+
+    res.status(200).json({ status: 'success', data: { policy } });
+  } catch (err) {
+    forward(next, err, 'Error updating discount policy');
+  }
+};
+
+// Bookings keep the policy name they were evaluated under, so rules can be removed
+exports.deletePolicy = async (req, res, next) => {
+  try {
+    const policy = await loadPolicy(req);
+    await policy.deleteOne();
+    res.status(204).json({ status: 'success', data: null });
+  } catch (err) {
+    forward(next, err, 'Error deleting discount policy');
+  }
+};
+
+// Dry run: which rule applies to a discount and what approval it needs
+exports.evaluatePolicy = async (req, res, next) => {
+  try {
+    const { model: modelId, branch, customerType, userId, discount = {}, date } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(modelId)) {
+      return next(new AppError('A valid model ID is required', 400));
+    }
+    if (branch && !mongoose.Types.ObjectId.isValid(branch)) {
+      return next(new AppError('Invalid branch ID', 400));
+    }
+    if (!['B2B', 'B2C', 'CSD'].includes(customerType)) {
+      return next(new AppError('customerType must be B2B, B2C or CSD', 400));
+    }
+    const value = Number(discount.value);
+    if (!Number.isFinite(value) || value < 0) {
+      return next(new AppError('discount.value must be a non-negative number', 400));
+    }
+    const when = date ? new Date(date) : new Date();
+    if (isNaN(when.getTime())) {
+      return next(new AppError('Invalid date. Use YYYY-MM-DD.', 400));
+    }
+
+    const model = await Model.findById(modelId);
+    if (!model) {
+      return next(new AppError('No model found with that ID', 404));
+    }
+
+    // Evaluate as another user (e.g. the sales executive) or as the caller
+    let user = req.user;
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return next(new AppError('Invalid user ID', 400));
+      }
+      user = await User.findById(userId).populate('roles');
+      if (!user) {
+        return next(new AppError('No user found with that ID', 404));
+      }
+    }
+
+    const eligibleAmount = await discountPolicy.modelDiscountableTotal(model, branch);
+    const amount = String(discount.type || '').toUpperCase() === 'PERCENTAGE'
+      ? (eligibleAmount * value) / 100
+      : value;
+
+    const result = await discountPolicy.evaluate({
+      model: model._id,
+      branch,
+      customerType,
+      user,
+      discount: amount,
+      eligibleAmount,
+      date: when
+    });
+
+    res.status(200).json({ status: 'success', data: result });
+  } catch (err) {
+    forward(next, err, 'Error evaluating discount policy');
+  }
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const duplicateBooking = require('../services/duplicateBooking');
+const { sendError } = require('../utils/bookingHelpers');
+
+// Dry run of the createBooking check, with the same body fields
+exports.checkDuplicates = async (req, res) => {
+  try {
+    const details = req.body.customer_details || {};
+    if (!details.mobile1 && !details.pan_no && !details.aadhar_number && !req.body.exchange?.chassis_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide customer_details.mobile1, pan_no, aadhar_number or exchange.chassis_number'
+      });
+    }
+    if (req.body.model_id && !mongoose.Types.ObjectId.isValid(req.body.model_id)) {
+      return res.status(400).json({ success: false, message: 'Invalid model ID format' });
+    }
+
+    const { mode, blocked, duplicates } = await duplicateBooking.checkNewBooking({
+      model: req.body.model_id,
+      customerDetails: {
+        name: details.name,
+        mobile1: details.mobile1,
+        panNo: details.pan_no,
+        aadharNumber: details.aadhar_number
+      },
+      exchangeDetails: { chassisNumber: req.body.exchange?.chassis_number }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { mode, wouldBlock: blocked, duplicates }
+    });
+  } catch (err) {
+    console.error('Error checking duplicate bookings:', err);
+    sendError(res, err, 'Error checking duplicate bookings');
+  }
+};
+
+// Active bookings that look like duplicates of this one
+exports.getBookingDuplicates = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    }
+    const booking = await Booking.findById(req.params.id)
+      .select('bookingNumber customerDetails exchangeDetails model suspectedDuplicates')
+      .lean();
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    const duplicates = await duplicateBooking.findDuplicates(booking, { excludeId: booking._id });
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingNumber: booking.bookingNumber,
+        duplicates,
+        atCreation: booking.suspectedDuplicates || []
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching booking duplicates:', err);
+    sendError(res, err, 'Error fetching booking duplicates');
+  }
+};
+
+// Latest stored report of suspected duplicates
+exports.getDuplicateReport = async (req, res) => {
+  try {
+    const { branchId } = req.query;
+    if (branchId && !mongoose.Types.ObjectId.isValid(branchId)) {
+      return res.status(400).json({ success: false, message: 'Invalid branch ID format' });
+    }
+
+    const report = await duplicateBooking.latestReport({
+      branchIds: branchId ? [branchId] : undefined
+    });
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'No duplicate report generated yet'
+      });
+    }
+    res.status(200).json({ success: true, data: report });
+  } catch (err) {
+    console.error('Error fetching duplicate booking report:', err);
+    sendError(res, err, 'Error fetching duplicate booking report');
+  }
+};
+
+// Regenerate today's report now instead of waiting for the job
+exports.generateDuplicateReport = async (req, res) => {
+  try {
+    const report = await duplicateBooking.generateReport({ userId: req.user.id });
+    res.status(201).json({
+      success: true,
+      message: `${report.totals.groups} suspected duplicate group(s) found`,
+      data: report
+    });
+  } catch (err) {
+    console.error('Error generating duplicate booking report:', err);
+    sendError(res, err, 'Error generating duplicate booking report');
+  }
+};
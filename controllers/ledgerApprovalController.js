@@ -2,6 +2,7 @@ const Ledger = require('../models/Ledger');
 const BrokerLedger = require('../models/BrokerLedger');
 const Booking = require('../models/Booking');
 const AppError = require('../utils/appError');
+const approvalEngine = require('../services/approvalEngine');
 const logger = require('../config/logger');
 
 // Approve ledger entry
@@ -19,6 +20,11 @@ exports.approveLedgerEntry = async (req, res, next) => {
       return next(new AppError('Entry is not pending approval', 400));
     }
 
+    const openRequest = await approvalEngine.openRequestFor('LEDGER_ENTRY', ledgerEntry._id);
+    if (openRequest) {
+      return next(new AppError(`Ledger entry is awaiting approval through the "${openRequest.chainName}" chain`, 409));
+    }
+
     // Update ledger entry
     ledgerEntry.approvalStatus = 'Approved';
     ledgerEntry.approvedBy = req.user.id;
@@ -76,6 +82,11 @@ exports.rejectLedgerEntry = async (req, res, next) => {
       return next(new AppError('Entry is not pending approval', 400));
     }
 
+    const openRequest = await approvalEngine.openRequestFor('LEDGER_ENTRY', ledgerEntry._id);
+    if (openRequest) {
+      return next(new AppError(`Ledger entry is awaiting approval through the "${openRequest.chainName}" chain`, 409));
+    }
+
     ledgerEntry.approvalStatus = 'Rejected';
     ledgerEntry.rejectionReason = rejectionReason;
     ledgerEntry.approvedBy = req.user.id;
@@ -120,6 +131,11 @@ exports.approveBrokerTransaction = async (req, res, next) => {
       return next(new AppError('Transaction is not pending approval', 400));
     }
 
+    const openRequest = await approvalEngine.openRequestFor('BROKER_TRANSACTION', transaction._id);
+    if (openRequest) {
+      return next(new AppError(`Broker transaction is awaiting approval through the "${openRequest.chainName}" chain`, 409));
+    }
+
     transaction.approvalStatus = 'Approved';
     transaction.approvedBy = req.user.id;
     transaction.approvedAt = new Date();
@@ -180,6 +196,11 @@ exports.rejectBrokerTransaction = async (req, res, next) => {
       return next(new AppError('Transaction is not pending approval', 400));
     }
 
+    const openRequest = await approvalEngine.openRequestFor('BROKER_TRANSACTION', transaction._id);
+    if (openRequest) {
+      return next(new AppError(`Broker transaction is awaiting approval through the "${openRequest.chainName}" chain`, 409));
+    }
+
     transaction.approvalStatus = 'Rejected';
     transaction.rejectionReason = rejectionReason;
     transaction.approvedBy = req.user.id;
@@ -5,10 +5,13 @@ const Receipt = require('../models/Receipt');
 const Bank = require('../models/Bank');
 const CashLocation = require('../models/cashLocation');
 const AppError = require('../utils/appError');
+const approvalEngine = require('../services/approvalEngine');
+const ledgerEntryApproval = require('../services/ledgerEntryApproval');
 const logger = require('../config/logger');
 const Vehicle = require('../models/vehicleInwardModel'); 
 const BankSubPaymentMode = require('../models/BankSubPaymentMode')
 const BrokerLedger = require('../models/BrokerLedger');
+const vehicleMovement = require('../services/vehicleMovement');
 
 
 exports.addReceipt = async (req, res, next) => {
@@ -100,6 +103,11 @@ exports.addReceipt = async (req, res, next) => {
         approvedAt: new Date()
       })
     });
+
+    // Pending entries covered by an approval chain are approved through it
+    if (approvalStatus === 'Pending') {
+      await approvalEngine.submitIfConfigured('LEDGER_ENTRY', ledgerEntry._id, { userId: req.user.id });
+    }
  
     let updatedBooking = null;
     let receipt = null;
@@ -182,7 +190,7 @@ exports.addReceipt = async (req, res, next) => {
        
         // Only update if status changed
         if (newStatus !== previousStatus) {
-          await Vehicle.findByIdAndUpdate(
+          const updatedVehicle = await Vehicle.findByIdAndUpdate(
             vehicleToUpdate._id,
             {
               status: newStatus,
@@ -197,7 +205,16 @@ exports.addReceipt = async (req, res, next) => {
                 ...(booking.chargerNumber && { chargerNumber: booking.chargerNumber })
               })
             },
-            { runValidators: true, runSetters: true }
+            { new: true, runValidators: true, runSetters: true }
+          );
+          await vehicleMovement.recordChange(
+            { status: previousStatus, branch: vehicleToUpdate.unloadLocation },
+            updatedVehicle,
+            {
+              userId: req.user.id,
+              source: { kind: 'Ledger', id: ledgerEntry._id, reference: booking.bookingNumber },
+              metadata: { paymentPercentage: Number(paymentPercentage.toFixed(2)) }
+            }
           );
          
           logger.info(`Vehicle ${vehicleToUpdate.chassisNumber} (Model: ${booking.modelDetails?.model_name}) status changed from ${previousStatus} to ${newStatus} (${paymentPercentage.toFixed(2)}% paid)`);
@@ -267,38 +284,14 @@ exports.approveLedgerEntry = async (req, res, next) => {
       return next(new AppError('Entry is not pending approval', 400));
     }
 
-    // Update ledger entry
-    ledgerEntry.approvalStatus = 'Approved';
-    ledgerEntry.approvedBy = req.user.id;
-    ledgerEntry.approvedAt = new Date();
-    if (remark) ledgerEntry.remark = remark;
-
-    await ledgerEntry.save();
-
-    // Update booking amounts
-    const booking = await Booking.findById(ledgerEntry.booking);
-    if (booking) {
-      booking.receivedAmount += ledgerEntry.amount;
-      booking.balanceAmount = booking.discountedAmount - booking.receivedAmount;
-      
-      // Generate receipt for approved entry
-      const receiptNumber = `RCPT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      const receipt = await Receipt.create({
-        booking: ledgerEntry.booking,
-        amount: ledgerEntry.amount,
-        paymentMode: ledgerEntry.paymentMode,
-        details: ledgerEntry._id,
-        generatedBy: req.user.id,
-        receiptNumber,
-        subPaymentMode: ledgerEntry.subPaymentMode
-      });
-      
-      // Add receipt and ledger entry to booking
-      booking.receipts.push(receipt._id);
-      booking.ledgerEntries.push(ledgerEntry._id);
-      await booking.save();
+    const openRequest = await approvalEngine.openRequestFor('LEDGER_ENTRY', ledgerEntry._id);
+    if (openRequest) {
+      return next(new AppError(`Ledger entry is awaiting approval through the "${openRequest.chainName}" chain`, 409));
     }
 
+    // Approve the entry and record the payment on the booking with its receipt
+    await ledgerEntryApproval.approveLedgerEntry(ledgerEntry, { userId: req.user.id, remark });
+
     res.status(200).json({
       status: 'success',
       data: {
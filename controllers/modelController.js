@@ -7,7 +7,7 @@ const mongoose = require('mongoose');
 // modelController.js
 exports.createModel = async (req, res, next) => {
   try {
-    const { model_name, type, prices = [], model_discount = 0 } = req.body;
+    const { model_name, type, prices = [], model_discount = 0, vin_prefix } = req.body;
     
     // Validate inputs
     if (!model_name || typeof model_name !== 'string') {
@@ -42,6 +42,7 @@ exports.createModel = async (req, res, next) => {
       type: type.toUpperCase(),
       prices,
       model_discount,
+      vin_prefix,
       created_by: req.user.id
     });
     
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const PdiTemplate = require('../models/PdiTemplate');
+const PdiInspection = require('../models/PdiInspection');
+const Vehicle = require('../models/vehicleInwardModel');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const vehiclePdi = require('../services/vehiclePdi');
+
+const TEMPLATE_FIELDS = ['name', 'vehicleType', 'model', 'items', 'isActive'];
+
+const pick = (body, fields) =>
+  fields.reduce((acc, f) => (body[f] !== undefined ? { ...acc, [f]: body[f] } : acc), {});
+
+// Multipart requests send items as a JSON string
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+  try {
+    return JSON.parse(items);
+  } catch (err) {
+    throw new AppError('items must be a JSON array', 400);
+  }
+};
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const { vehicleType, model, isActive } = req.query;
+    const query = {};
+    if (vehicleType) query.vehicleType = vehicleType.toUpperCase();
+    if (model && mongoose.Types.ObjectId.isValid(model)) query.model = model;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const templates = await PdiTemplate.find(query)
+      .populate('modelDetails')
+      .sort({ vehicleType: 1, model: 1, version: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: templates.length,
+      data: { templates }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching PDI templates');
+  }
+};
+
+exports.getTemplate = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid template ID format', 400));
+    }
+
+    const template = await PdiTemplate.findById(req.params.id).populate('modelDetails');
+    if (!template) {
+      return next(new AppError('No PDI template found with that ID', 404));
+    }
+
+    res.status(200).json({ status: 'success', data: { template } });
+  } catch (err) {
+    forward(next, err, 'Error fetching PDI template');
+  }
+};
+
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const template = await PdiTemplate.create({
+      ...pick(req.body, TEMPLATE_FIELDS),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ status: 'success', data: { template } });
+  } catch (err) {
+    forward(next, err, 'Error creating PDI template');
+  }
+};
+
+// Changing the checklist bumps the version; past inspections keep the labels they were recorded with
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid template ID format', 400));
+    }
+
+    const template = await PdiTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('No PDI template found with that ID', 404));
+    }
+
+    const updates = pick(req.body, TEMPLATE_FIELDS);
+    Object.assign(template, updates);
+    if (updates.items) template.version += 1;
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    res.status(200).json({ status: 'success', data: { template } });
+  } catch (err) {
+    forward(next, err, 'Error updating PDI template');
+  }
+};
+
+// Templates referenced by inspections are deactivated instead of removed
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid template ID format', 400));
+    }
+
+    const template = await PdiTemplate.findById(req.params.id);
+    if (!template) {
+      return next(new AppError('No PDI template found with that ID', 404));
+    }
+
+    if (await PdiInspection.exists({ template: template._id })) {
+      template.isActive = false;
+      template.updatedBy = req.user.id;
+      await template.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Template is used by inspections and has been deactivated',
+        data: { template }
+      });
+    }
+
+    await template.deleteOne();
+    res.status(204).json({ status: 'success', data: null });
+  } catch (err) {
+    forward(next, err, 'Error deleting PDI template');
+  }
+};
+
+// Checklist the next inspection of this vehicle will be recorded against
+exports.getVehicleChecklist = async (req, res, next) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId);
+    const template = await vehiclePdi.getTemplateForVehicle(vehicle);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        vehicle: {
+          _id: vehicle._id,
+          chassisNumber: vehicle.chassisNumber,
+          type: vehicle.type,
+          pdiStatus: vehicle.pdiStatus
+        },
+        template
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching PDI checklist');
+  }
+};
+
+exports.createInspection = async (req, res, next) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId);
+
+    // Item photos are uploaded as photos_<itemKey>, general photos as photos
+    const photosByKey = {};
+    const photos = [];
+    (req.files || []).forEach(file => {
+      const filePath = `/uploads/pdi/${file.filename}`;
+      if (file.fieldname === 'photos') {
+        photos.push(filePath);
+      } else if (file.fieldname.startsWith('photos_')) {
+        const key = file.fieldname.slice('photos_'.length).toLowerCase();
+        (photosByKey[key] = photosByKey[key] || []).push(filePath);
+      }
+    });
+
+    const inspection = await vehiclePdi.recordInspection(vehicle, {
+      items: parseItems(req.body.items),
+      remarks: req.body.remarks
+    }, {
+      userId: req.user.id,
+      photosByKey,
+      photos
+    });
+
+    await inspection.populate(['inspectedByDetails', 'templateDetails']);
+
+    res.status(201).json({
+      status: 'success',
+      message: inspection.result === 'PASSED'
+        ? 'PDI passed'
+        : `PDI failed: ${inspection.failedItems.join(', ')}`,
+      data: { inspection }
+    });
+  } catch (err) {
+    forward(next, err, 'Error recording PDI inspection');
+  }
+};
+
+exports.getVehicleInspections = async (req, res, next) => {
+  try {
+    const vehicle = await loadVehicle(req.params.vehicleId);
+
+    const inspections = await PdiInspection.find({ vehicle: vehicle._id })
+      .populate(['inspectedByDetails', 'templateDetails'])
+      .sort({ inspectedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: inspections.length,
+      data: {
+        pdiStatus: vehicle.pdiStatus,
+        inspections
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching PDI inspections');
+  }
+};
+
+exports.getInspection = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid inspection ID format', 400));
+    }
+
+    const inspection = await PdiInspection.findById(req.params.id)
+      .populate(['inspectedByDetails', 'templateDetails']);
+    if (!inspection) {
+      return next(new AppError('No PDI inspection found with that ID', 404));
+    }
+
+    res.status(200).json({ status: 'success', data: { inspection } });
+  } catch (err) {
+    forward(next, err, 'Error fetching PDI inspection');
+  }
+};
+
+async function loadVehicle(vehicleId) {
+  if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+    throw new AppError('Invalid vehicle ID format', 400);
+  }
+  const vehicle = await Vehicle.findById(vehicleId);
+  if (!vehicle) {
+    throw new AppError('No vehicle found with that ID', 404);
+  }
+  return vehicle;
+}
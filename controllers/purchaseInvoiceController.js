@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Branch = require('../models/Branch');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const purchaseInvoice = require('../services/purchaseInvoice');
+
+const populateOptions = [
+  { path: 'branchDetails' },
+  { path: 'createdByDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  if (err.name === 'VersionError') {
+    return next(new AppError('Invoice was updated by someone else, please retry', 409));
+  }
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+const loadInvoice = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid purchase invoice ID format', 400);
+  }
+
+  const invoice = await PurchaseInvoice.findById(id);
+  if (!invoice) {
+    throw new AppError('No purchase invoice found with that ID', 404);
+  }
+  return invoice;
+};
+
+const assertBranch = async (branchId) => {
+  if (!mongoose.Types.ObjectId.isValid(branchId)) {
+    throw new AppError('Valid receiving branch is required', 400);
+  }
+  const branch = await Branch.findById(branchId).select('is_active');
+  if (!branch || !branch.is_active) {
+    throw new AppError('Branch not found or inactive', 404);
+  }
+};
+
+const sendInvoice = async (res, id, statusCode = 200) => {
+  const invoice = await PurchaseInvoice.findById(id).populate(populateOptions);
+  res.status(statusCode).json({ status: 'success', data: { invoice } });
+};
+
+exports.createInvoice = async (req, res, next) => {
+  try {
+    await assertBranch(req.body.branch);
+    const invoice = await purchaseInvoice.createInvoice(req.body, { userId: req.user.id });
+    await sendInvoice(res, invoice._id, 201);
+  } catch (err) {
+    forward(next, err, 'Error creating purchase invoice');
+  }
+};
+
+exports.getInvoices = async (req, res, next) => {
+  try {
+    const { branch, status, supplier, search, fromDate, toDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (branch) {
+      if (!mongoose.Types.ObjectId.isValid(branch)) {
+        return next(new AppError('Invalid branch ID', 400));
+      }
+      query.branch = branch;
+    }
+    if (status) query.status = status;
+    if (supplier) query.supplierName = { $regex: _.escapeRegExp(supplier), $options: 'i' };
+    if (search) {
+      const term = _.escapeRegExp(search.trim().toUpperCase());
+      query.$or = [
+        { invoiceNumber: { $regex: term } },
+        { grnNumber: { $regex: term } },
+        { 'items.chassisNumber': { $regex: term } }
+      ];
+    }
+    if (fromDate || toDate) {
+      query.invoiceDate = {};
+      if (fromDate) query.invoiceDate.$gte = new Date(fromDate);
+      if (toDate) query.invoiceDate.$lte = new Date(toDate);
+    }
+
+    const result = await PurchaseInvoice.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { invoiceDate: -1, createdAt: -1 },
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: result.docs.length,
+      data: {
+        invoices: result.docs,
+        pagination: {
+          total: result.totalDocs,
+          page: result.page,
+          pages: result.totalPages,
+          limit: result.limit
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching purchase invoices');
+  }
+};
+
+exports.getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.id);
+    await sendInvoice(res, invoice._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching purchase invoice');
+  }
+};
+
+exports.updateInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.id);
+    if (req.body.branch !== undefined) {
+      await assertBranch(req.body.branch);
+    }
+
+    await purchaseInvoice.updateInvoice(invoice, req.body, { userId: req.user.id });
+    await sendInvoice(res, invoice._id);
+  } catch (err) {
+    forward(next, err, 'Error updating purchase invoice');
+  }
+};
+
+exports.cancelInvoice = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.id);
+    await purchaseInvoice.cancelInvoice(invoice, { userId: req.user.id, reason: req.body?.reason });
+    await sendInvoice(res, invoice._id);
+  } catch (err) {
+    forward(next, err, 'Error cancelling purchase invoice');
+  }
+};
+
+// Invoiced vs received chassis of the GRN
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    const invoice = await loadInvoice(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        grnNumber: invoice.grnNumber,
+        status: invoice.status,
+        ...(await purchaseInvoice.reconcile(invoice))
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching purchase invoice reconciliation');
+  }
+};
@@ -4,7 +4,10 @@ const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const AuditLog = require('../models/AuditLog');
 const Handlebars = require('handlebars');
-const Color = require('../models/Color');
+const BookingChangeRequest = require('../models/BookingChangeRequest');
+const AppError = require('../utils/appError');
+const bookingChangeRequest = require('../services/bookingChangeRequest');
+const approvalEngine = require('../services/approvalEngine');
 // const { generateBookingFormHTML } = require('../controllers/bookingController');
 const path = require('path');
 const fs = require('fs');
@@ -109,6 +112,30 @@ exports.getBookingForUpdateForm = async (bookingId) => {
   }
 };
 
+const sendUpdateError = (res, err, fallbackMessage) => {
+  const statusCode = err.statusCode || (err.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode < 500 ? err.message : fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+// Pending change request of the booking. Updates submitted before change
+// requests were versioned only live in Booking.pendingUpdates; they get a
+// request on first review.
+const pendingChangeRequest = async (booking) => {
+  const request = await bookingChangeRequest.pendingRequestOf(booking._id);
+  if (request) return request;
+  if (!booking.pendingUpdates || booking.updateRequestStatus !== 'PENDING') {
+    throw new AppError('No pending update request found for this booking', 400);
+  }
+  return bookingChangeRequest.submitRequest(booking, booking.pendingUpdates, {
+    source: 'QR_FORM',
+    userId: booking.updateRequestedBy
+  });
+};
+
 exports.submitUpdateRequest = async (req, res) => {
   try {
     const { updates } = req.body;
@@ -120,9 +147,19 @@ exports.submitUpdateRequest = async (req, res) => {
         message: 'No updates provided' 
       });
     }
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    }
 
-    // Check if update was already submitted
     const existingBooking = await Booking.findById(bookingId);
+    if (!existingBooking) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Booking not found' 
+      });
+    }
+
+    // The QR form can be submitted once
     if (existingBooking.updateRequestSubmitted) {
       return res.status(400).json({
         success: false,
@@ -130,46 +167,42 @@ exports.submitUpdateRequest = async (req, res) => {
       });
     }
 
-    // Update the booking
-    const booking = await Booking.findByIdAndUpdate(
-      bookingId,
-      { 
-        pendingUpdates: updates,
-        updateRequestStatus: 'PENDING',
-        updateRequestedBy: null, // Since this is unauthenticated
-        updateRequestSubmitted: true // Mark as submitted
-      },
-      { new: true }
-    );
+    // Unauthenticated, so there is no requesting user
+    const changeRequest = await bookingChangeRequest.submitRequest(existingBooking, updates, { source: 'QR_FORM' });
+    const approvalRequest = await approvalEngine.submitIfConfigured('BOOKING_UPDATE_REQUEST', changeRequest._id);
+    const booking = await Booking.findById(bookingId);
 
-    if (!booking) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Booking not found' 
-      });
-    }
+    await AuditLog.create({
+      action: 'SUBMIT_UPDATE_REQUEST',
+      entity: 'Booking',
+      entityId: booking._id,
+      ip: req.ip,
+      metadata: { updatedFields: changeRequest.changes.map(c => c.field), version: changeRequest.version },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
 
     res.status(200).json({
       success: true,
       message: 'Update request submitted successfully. It will be reviewed by management.',
-      data: booking
+      data: booking,
+      changeRequest,
+      approvalRequest
     });
   } catch (error) {
     console.error('submitUpdateRequest error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    sendUpdateError(res, error, 'Internal server error');
   }
 };
 
-// Process update request (approve/reject)
+// Approve the pending update request, all of it or only the `accepted` fields
 exports.approveUpdateRequest = async (req, res) => {
   try {
     const bookingId = req.params.id;
-    const { note } = req.body;
+    const { note, accepted = 'ALL', notes } = req.body;
 
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    }
     const booking = await Booking.findById(bookingId);
     if (!booking) {
       return res.status(404).json({ 
@@ -178,45 +211,25 @@ exports.approveUpdateRequest = async (req, res) => {
       });
     }
 
-    // Check if there are pending updates
-    if (!booking.pendingUpdates || booking.updateRequestStatus !== 'PENDING') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No pending update request found for this booking' 
-      });
-    }
-
-    // Apply updates from pendingUpdates
-    const updates = booking.pendingUpdates;
-    
-    if (updates.customerDetails) {
-      booking.customerDetails = {
-        ...booking.customerDetails,
-        ...updates.customerDetails
-      };
-    }
-
-    if (updates.payment) {
-      booking.payment = {
-        ...booking.payment,
-        ...updates.payment
-      };
-    }
-
-    if (updates.color) {
-      const color = await Color.findOne({ name: updates.color });
-      if (color) {
-        booking.color = color._id;
-      }
-    }
-
-    // Clear pending updates and update status
-    booking.pendingUpdates = null;
-    booking.updateRequestStatus = 'APPROVED';
-    booking.updateApprovedBy = req.user.id;
-    booking.updateRequestNote = note || '';
-    
-    await booking.save();
+    const pending = await pendingChangeRequest(booking);
+    await approvalEngine.assertNoOpenRequest('BOOKING_UPDATE_REQUEST', pending._id);
+    const { request } = await bookingChangeRequest.reviewRequest(pending, { accepted, note, notes }, { userId: req.user.id });
+    const acceptedFields = request.changes.filter(c => c.decision === 'ACCEPTED').map(c => c.field);
+
+    await AuditLog.create({
+      action: acceptedFields.length > 0 ? 'APPROVE_UPDATE_REQUEST' : 'REJECT_UPDATE_REQUEST',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        updatedFields: acceptedFields,
+        rejectedFields: request.changes.filter(c => c.decision === 'REJECTED').map(c => c.field),
+        version: request.version,
+        note
+      },
+      status: 'SUCCESS'
+    }).catch(logErr => console.error('Failed to create audit log:', logErr));
 
     // Populate the updated booking for response
     const updatedBooking = await Booking.findById(bookingId)
@@ -227,18 +240,47 @@ exports.approveUpdateRequest = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      message: 'Booking updates approved successfully',
-      data: updatedBooking
+      message: request.status === 'APPROVED'
+        ? 'Booking updates approved successfully'
+        : request.status === 'PARTIALLY_APPROVED'
+          ? `Booking updates partially approved (${acceptedFields.length} of ${request.changes.length} fields)`
+          : 'Booking updates rejected',
+      data: updatedBooking,
+      changeRequest: request
     });
 
   } catch (err) {
     console.error('approveUpdateRequest error:', err);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
+    sendUpdateError(res, err, 'Internal server error');
+  }
+};
+
+// Reject a pending update request, keeping the booking unchanged
+exports.processUpdateRequest = async (bookingId, action, userId, note) => {
+  if (action !== 'REJECT') {
+    throw new Error(`Unsupported update request action: ${action}`);
+  }
+
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
   }
+
+  const pending = await pendingChangeRequest(booking);
+  await approvalEngine.assertNoOpenRequest('BOOKING_UPDATE_REQUEST', pending._id);
+  const { request, booking: updated } = await bookingChangeRequest.reviewRequest(pending, { accepted: [], note }, { userId });
+
+  await AuditLog.create({
+    action: 'REJECT_UPDATE_REQUEST',
+    entity: 'Booking',
+    entityId: booking._id,
+    user: userId,
+    ip: 'system',
+    metadata: { updatedFields: request.changes.map(c => c.field), version: request.version, note },
+    status: 'SUCCESS'
+  }).catch(logErr => console.error('Failed to create audit log:', logErr));
+
+  return updated;
 };
 
 // Get pending update requests
@@ -270,6 +312,14 @@ exports.getPendingUpdateRequests = async (branchId = null) => {
       .sort({ updatedAt: -1 })
       .lean();
 
+    const requests = await BookingChangeRequest.find({
+      booking: { $in: bookings.map(booking => booking._id) },
+      status: 'PENDING'
+    })
+      .select('booking version source changes createdAt')
+      .lean();
+    const requestByBooking = new Map(requests.map(request => [request.booking.toString(), request]));
+
     // Transform the data to include model ID and name
     const pendingUpdates = bookings.map(booking => ({
       _id: booking._id,
@@ -284,6 +334,7 @@ exports.getPendingUpdateRequests = async (branchId = null) => {
       updateRequestStatus: booking.updateRequestStatus,
       updateRequestNote: booking.updateRequestNote,
       updateRequestedBy: booking.updateRequestedBy,
+      changeRequest: requestByBooking.get(booking._id.toString()) || null,
       createdAt: booking.createdAt,
       updatedAt: booking.updatedAt
     }));
@@ -322,6 +373,10 @@ exports.getPendingUpdateRequestById = async (bookingId) => {
       throw new Error('No pending update request found for this booking');
     }
 
+    const changeRequest = await BookingChangeRequest.findOne({ booking: booking._id, status: 'PENDING' })
+      .select('version source changes totals createdAt')
+      .lean();
+
     return {
       _id: booking._id,
       bookingNumber: booking.bookingNumber,
@@ -332,6 +387,7 @@ exports.getPendingUpdateRequestById = async (bookingId) => {
       updateRequestStatus: booking.updateRequestStatus,
       updateRequestNote: booking.updateRequestNote,
       updateRequestedBy: booking.updateRequestedBy,
+      changeRequest,
       createdAt: booking.createdAt,
       updatedAt: booking.updatedAt
     };
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const StockAudit = require('../models/StockAudit');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const stockAudit = require('../services/stockAudit');
+
+const populateOptions = [
+  { path: 'branchDetails' },
+  { path: 'startedByDetails' },
+  { path: 'signedOffByDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  if (err.name === 'VersionError') {
+    return next(new AppError('Audit was updated by someone else, please retry', 409));
+  }
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch the user audits. Super admins may name any branch (null means all
+ * branches), everyone else is tied to their own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+const loadAudit = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid stock audit ID format', 400);
+  }
+
+  const audit = await StockAudit.findById(req.params.id);
+  if (!audit) {
+    throw new AppError('No stock audit found with that ID', 404);
+  }
+
+  const branch = await resolveBranch(req);
+  if (branch && !branch.equals(audit.branch)) {
+    throw new AppError('You do not have access to audits of this branch', 403);
+  }
+  return audit;
+};
+
+const sendAudit = async (res, id, statusCode = 200) => {
+  const audit = await StockAudit.findById(id).populate(populateOptions);
+  res.status(statusCode).json({ status: 'success', data: { audit } });
+};
+
+exports.startAudit = async (req, res, next) => {
+  try {
+    const branchId = await resolveBranch(req, req.body.branchId);
+    if (!branchId) {
+      return next(new AppError('branchId is required', 400));
+    }
+
+    const branch = await Branch.findById(branchId).select('is_active');
+    if (!branch || !branch.is_active) {
+      return next(new AppError('Branch not found or inactive', 404));
+    }
+
+    const audit = await stockAudit.startAudit(branchId, {
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+
+    await sendAudit(res, audit._id, 201);
+  } catch (err) {
+    forward(next, err, 'Error starting stock audit');
+  }
+};
+
+exports.getAudits = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const branch = await resolveBranch(req, req.query.branchId);
+
+    const query = {};
+    if (status) query.status = status;
+    if (branch) query.branch = branch;
+
+    const result = await StockAudit.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+      // Expected and scanned vehicles are only returned with a single audit
+      select: '-expected -scans',
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: result.docs.length,
+      data: {
+        audits: result.docs,
+        pagination: {
+          total: result.totalDocs,
+          page: result.page,
+          pages: result.totalPages,
+          limit: result.limit
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock audits');
+  }
+};
+
+exports.getAudit = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+    await sendAudit(res, audit._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching stock audit');
+  }
+};
+
+exports.recordScan = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+    const { qrCode, chassisNumber, note } = req.body;
+
+    const { scan, duplicate } = await stockAudit.recordScan(
+      audit,
+      { qrCode, chassisNumber, note },
+      { userId: req.user.id }
+    );
+
+    res.status(duplicate ? 200 : 201).json({
+      status: 'success',
+      data: { scan, duplicate }
+    });
+  } catch (err) {
+    forward(next, err, 'Error recording stock audit scan');
+  }
+};
+
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        auditNumber: audit.auditNumber,
+        status: audit.status,
+        ...stockAudit.reconcile(audit)
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock audit reconciliation');
+  }
+};
+
+exports.completeAudit = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+    await stockAudit.completeAudit(audit, { userId: req.user.id });
+    await sendAudit(res, audit._id);
+  } catch (err) {
+    forward(next, err, 'Error completing stock audit');
+  }
+};
+
+exports.signOffAudit = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+    const { remarks, corrections = [] } = req.body;
+    if (!Array.isArray(corrections)) {
+      return next(new AppError('corrections must be an array', 400));
+    }
+
+    await stockAudit.signOffAudit(audit, { userId: req.user.id, remarks, corrections });
+    await sendAudit(res, audit._id);
+  } catch (err) {
+    forward(next, err, 'Error signing off stock audit');
+  }
+};
+
+exports.cancelAudit = async (req, res, next) => {
+  try {
+    const audit = await loadAudit(req);
+    await stockAudit.cancelAudit(audit, { userId: req.user.id });
+    await sendAudit(res, audit._id);
+  } catch (err) {
+    forward(next, err, 'Error cancelling stock audit');
+  }
+};
+
+// Download the signed-off audit report, regenerating it when missing
+exports.downloadReport = async (req, res, next) => {
+  try {
+    let audit = await loadAudit(req);
+    if (audit.status !== 'signed_off') {
+      return next(new AppError('The report is available once the audit is signed off', 400));
+    }
+
+    const filePath = () => audit.report?.path && path.join(__dirname, '..', audit.report.path);
+    if (!filePath() || !fs.existsSync(filePath()) || req.query.regenerate === 'true') {
+      audit = await stockAudit.generateReport(audit);
+    }
+
+    if (!filePath() || !fs.existsSync(filePath())) {
+      return next(new AppError('Stock audit report could not be generated', 500));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${audit.auditNumber}.pdf"`);
+    fs.createReadStream(filePath()).pipe(res);
+  } catch (err) {
+    forward(next, err, 'Error downloading stock audit report');
+  }
+};
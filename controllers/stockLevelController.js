@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const StockLevel = require('../models/StockLevel');
+const Branch = require('../models/Branch');
+const Model = require('../models/ModelModel');
+const Color = require('../models/Color');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const stockReorder = require('../services/stockReorder');
+
+const MAX_LEVELS_PER_REQUEST = 200;
+
+const populateOptions = [
+  { path: 'branchDetails' },
+  { path: 'modelDetails' },
+  { path: 'colorDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch the user manages stock levels for. Super admins may name any branch
+ * (null means all branches), everyone else is tied to their own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+const branchFilter = async (req) => {
+  const branch = await resolveBranch(req, req.query.branchId);
+  return branch ? [branch] : undefined;
+};
+
+exports.getLevels = async (req, res, next) => {
+  try {
+    const branchIds = await branchFilter(req);
+    const query = branchIds ? { branch: { $in: branchIds } } : {};
+    if (req.query.model) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.model)) {
+        return next(new AppError('Invalid model ID', 400));
+      }
+      query.model = req.query.model;
+    }
+
+    const levels = await StockLevel.find(query)
+      .populate(populateOptions)
+      .sort({ branch: 1, model: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: levels.length,
+      data: { levels }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock levels');
+  }
+};
+
+// Create or update the levels of several model/color combinations at once
+exports.saveLevels = async (req, res, next) => {
+  try {
+    const { levels } = req.body;
+    if (!Array.isArray(levels) || levels.length === 0) {
+      return next(new AppError('Provide a non-empty levels array', 400));
+    }
+    if (levels.length > MAX_LEVELS_PER_REQUEST) {
+      return next(new AppError(`At most ${MAX_LEVELS_PER_REQUEST} levels can be saved at once`, 400));
+    }
+
+    const ownBranch = await resolveBranch(req);
+    const ids = (field) => [...new Set(levels.map(l => String(l[field])))];
+    for (const field of ['branch', 'model', 'color']) {
+      if (ids(field).some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return next(new AppError(`Every level needs a valid ${field} ID`, 400));
+      }
+    }
+    if (ownBranch && ids('branch').some(id => !ownBranch.equals(id))) {
+      return next(new AppError('You can only set stock levels of your own branch', 403));
+    }
+
+    const [branches, models, colors] = await Promise.all([
+      Branch.countDocuments({ _id: { $in: ids('branch') } }),
+      Model.countDocuments({ _id: { $in: ids('model') } }),
+      Color.countDocuments({ _id: { $in: ids('color') } })
+    ]);
+    if (branches !== ids('branch').length || models !== ids('model').length || colors !== ids('color').length) {
+      return next(new AppError('Branch, model or color not found', 404));
+    }
+
+    const saved = [];
+    for (const { branch, model, color, minimumStock, targetStock } of levels) {
+      // eslint-disable-next-line no-await-in-loop
+      let level = await StockLevel.findOne({ branch, model, color });
+      if (!level) {
+        level = new StockLevel({ branch, model, color, createdBy: req.user.id });
+      }
+      level.minimumStock = minimumStock;
+      level.targetStock = targetStock;
+      level.lastUpdatedBy = req.user.id;
+      // eslint-disable-next-line no-await-in-loop
+      saved.push(await level.save());
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: saved.length,
+      data: {
+        levels: await StockLevel.find({ _id: { $in: saved.map(l => l._id) } }).populate(populateOptions)
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error saving stock levels');
+  }
+};
+
+exports.deleteLevel = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(new AppError('Invalid stock level ID format', 400));
+    }
+
+    const level = await StockLevel.findById(req.params.id);
+    if (!level) {
+      return next(new AppError('No stock level found with that ID', 404));
+    }
+    const ownBranch = await resolveBranch(req);
+    if (ownBranch && !ownBranch.equals(level.branch)) {
+      return next(new AppError('You can only remove stock levels of your own branch', 403));
+    }
+
+    await level.deleteOne();
+    res.status(204).json({ status: 'success', data: null });
+  } catch (err) {
+    forward(next, err, 'Error deleting stock level');
+  }
+};
+
+// Dashboard list of model/color combinations below their minimum right now
+exports.getLowStockAlerts = async (req, res, next) => {
+  try {
+    const alerts = await stockReorder.lowStockAlerts({ branchIds: await branchFilter(req) });
+    const branches = await Branch.find({ _id: { $in: alerts.map(a => a.branch) } }).select('name').lean();
+    const branchName = new Map(branches.map(b => [b._id.toString(), b.name]));
+
+    res.status(200).json({
+      status: 'success',
+      results: alerts.length,
+      data: {
+        alerts: alerts.map(alert => ({ ...alert, branchName: branchName.get(alert.branch.toString()) }))
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching low stock alerts');
+  }
+};
+
+exports.getReorderSuggestions = async (req, res, next) => {
+  try {
+    const suggestions = await stockReorder.latestSuggestions({ branchIds: await branchFilter(req) });
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: { suggestions }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching reorder suggestions');
+  }
+};
+
+// Regenerate today's suggestion without waiting for the daily job
+exports.generateReorderSuggestions = async (req, res, next) => {
+  try {
+    const branchIds = await branchFilter(req);
+    await stockReorder.generateSuggestions({ branchIds, userId: req.user.id });
+    const suggestions = await stockReorder.latestSuggestions({ branchIds });
+
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: { suggestions }
+    });
+  } catch (err) {
+    forward(next, err, 'Error generating reorder suggestions');
+  }
+};
+
+exports.exportReorderSuggestions = async (req, res, next) => {
+  try {
+    const suggestions = await stockReorder.latestSuggestions({ branchIds: await branchFilter(req) });
+    if (suggestions.length === 0) {
+      return next(new AppError('No reorder suggestion has been generated yet', 404));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const styleHeader = (sheet) => {
+      sheet.getRow(1).eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F81BD' } };
+        cell.alignment = { vertical: 'middle', horizontal: 'center' };
+      });
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    };
+
+    const lineColumns = [
+      { header: 'Branch', key: 'branch', width: 30 },
+      { header: 'Suggested On', key: 'forDate', width: 14, style: { numFmt: 'dd-mm-yyyy' } },
+      { header: 'Model', key: 'model', width: 30 },
+      { header: 'Color', key: 'color', width: 20 },
+      { header: 'Minimum', key: 'minimumStock', width: 10 },
+      { header: 'Target', key: 'targetStock', width: 10 },
+      { header: 'In Stock', key: 'inStock', width: 10 },
+      { header: 'Awaiting Allocation', key: 'awaitingAllocation', width: 20 },
+      { header: 'Available', key: 'available', width: 10 },
+      { header: 'Order Qty', key: 'suggestedQuantity', width: 12 }
+    ];
+    const lineRow = (suggestion, line) => ({
+      branch: suggestion.branchDetails?.name || suggestion.branch.toString(),
+      forDate: suggestion.forDate,
+      model: line.modelName,
+      color: line.colorName,
+      minimumStock: line.minimumStock,
+      targetStock: line.targetStock,
+      inStock: line.inStock,
+      awaitingAllocation: line.awaitingAllocation,
+      available: line.available,
+      suggestedQuantity: line.suggestedQuantity
+    });
+
+    // ---- Sheet 1: OEM indent (lines to order) ----------------------------
+    const indentSheet = workbook.addWorksheet('OEM Indent');
+    indentSheet.columns = lineColumns;
+    let totalQuantity = 0;
+    suggestions.forEach(suggestion => {
+      suggestion.lines
+        .filter(line => line.suggestedQuantity > 0)
+        .forEach(line => {
+          indentSheet.addRow(lineRow(suggestion, line));
+          totalQuantity += line.suggestedQuantity;
+        });
+    });
+    const total = indentSheet.addRow({ branch: 'TOTAL', suggestedQuantity: totalQuantity });
+    total.font = { bold: true };
+    styleHeader(indentSheet);
+
+    // ---- Sheet 2: every configured level --------------------------------
+    const levelSheet = workbook.addWorksheet('All Stock Levels');
+    levelSheet.columns = lineColumns;
+    suggestions.forEach(suggestion => {
+      suggestion.lines.forEach(line => {
+        const row = levelSheet.addRow(lineRow(suggestion, line));
+        if (line.belowMinimum) row.font = { color: { argb: 'FFFF0000' } };
+      });
+    });
+    styleHeader(levelSheet);
+
+    const filename = `oem_indent_${new Date().toISOString().slice(0, 10)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error exporting reorder suggestions: ${err.message}`);
+    next(new AppError('Export failed', 500));
+  }
+};
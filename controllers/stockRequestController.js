@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const StockRequest = require('../models/StockRequest');
+const StockTransfer = require('../models/stockTransferModel');
+const Branch = require('../models/Branch');
+const Model = require('../models/ModelModel');
+const Color = require('../models/Color');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const chassisAllocation = require('../services/chassisAllocation');
+const stockTransferLifecycle = require('../services/stockTransferLifecycle');
+
+const populateOptions = [
+  { path: 'requestingBranchDetails' },
+  { path: 'supplyingBranchDetails' },
+  { path: 'modelDetails' },
+  { path: 'colorDetails' },
+  { path: 'requestedByDetails' },
+  { path: 'transferDetails' }
+];
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch the user acts for. Super admins may name any branch (null means all
+ * branches), everyone else is tied to their own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+const loadRequest = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid stock request ID format', 400);
+  }
+
+  const request = await StockRequest.findById(id);
+  if (!request) {
+    throw new AppError('No stock request found with that ID', 404);
+  }
+  return request;
+};
+
+// Only the given side of the request (or a super admin) may act on it
+const assertSide = async (req, request, side) => {
+  const branch = await resolveBranch(req);
+  const field = side === 'supplying' ? 'supplyingBranch' : 'requestingBranch';
+  if (branch && !branch.equals(request[field])) {
+    throw new AppError(`Only the ${side} branch can perform this action`, 403);
+  }
+};
+
+// Claim an open request atomically so two users cannot respond to it at once
+const claimOpenRequest = async (request, update) => {
+  if (request.status !== 'open') {
+    throw new AppError(`Stock request is already ${request.status}`, 400);
+  }
+
+  const claimed = await StockRequest.findOneAndUpdate(
+    { _id: request._id, status: 'open' },
+    { $set: update },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError('Stock request was answered by someone else meanwhile', 409);
+  }
+  return claimed;
+};
+
+const sendRequest = async (res, id, statusCode = 200) => {
+  const request = await StockRequest.findById(id).populate(populateOptions);
+  res.status(statusCode).json({ status: 'success', data: { request } });
+};
+
+// Vehicles are checked with the automatic allocation rules, as if the request
+// were a booking at the supplying branch: undamaged in-stock units of the model
+// and color that are not reserved, allocated or already on a transfer.
+const asAllocationTarget = (request) => ({
+  _id: request._id,
+  model: request.model,
+  color: request.color,
+  branch: request.supplyingBranch
+});
+
+exports.createRequest = async (req, res, next) => {
+  try {
+    const { supplyingBranch, model, color, quantity, neededBy, notes } = req.body;
+
+    const requestingBranch = await resolveBranch(req, req.body.requestingBranch);
+    if (!requestingBranch) {
+      return next(new AppError('requestingBranch is required', 400));
+    }
+    if (![supplyingBranch, model, color].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return next(new AppError('Valid supplyingBranch, model and color are required', 400));
+    }
+
+    const [branch, modelDoc, colorDoc] = await Promise.all([
+      Branch.findById(supplyingBranch).select('is_active'),
+      Model.findById(model).select('model_name colors'),
+      Color.findById(color).select('name')
+    ]);
+    if (!branch || !branch.is_active) {
+      return next(new AppError('Supplying branch not found or inactive', 404));
+    }
+    if (!modelDoc || !colorDoc) {
+      return next(new AppError('Model or color not found', 404));
+    }
+    if (modelDoc.colors?.length && !modelDoc.colors.some(c => c.equals(colorDoc._id))) {
+      return next(new AppError(`${colorDoc.name} is not available for ${modelDoc.model_name}`, 400));
+    }
+
+    const request = await StockRequest.create({
+      requestingBranch,
+      supplyingBranch,
+      model,
+      color,
+      quantity,
+      neededBy,
+      notes,
+      requestedBy: req.user.id
+    });
+
+    await sendRequest(res, request._id, 201);
+  } catch (err) {
+    forward(next, err, 'Error creating stock request');
+  }
+};
+
+exports.getRequests = async (req, res, next) => {
+  try {
+    const { direction = 'both', status, page = 1, limit = 20 } = req.query;
+    const branch = await resolveBranch(req, req.query.branchId);
+
+    const query = {};
+    if (status) query.status = status;
+    if (branch) {
+      if (direction === 'incoming') query.supplyingBranch = branch;
+      else if (direction === 'outgoing') query.requestingBranch = branch;
+      else query.$or = [{ supplyingBranch: branch }, { requestingBranch: branch }];
+    }
+
+    const result = await StockRequest.paginate(query, {
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      sort: { createdAt: -1 },
+      populate: populateOptions
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: result.docs.length,
+      data: {
+        requests: result.docs,
+        pagination: {
+          total: result.totalDocs,
+          page: result.page,
+          pages: result.totalPages,
+          limit: result.limit
+        }
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock requests');
+  }
+};
+
+// Open requests of a branch on both sides, plus accepted ones whose transfer has not been received
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const branch = await resolveBranch(req, req.query.branchId);
+    if (!branch) {
+      return next(new AppError('branchId is required', 400));
+    }
+
+    const sides = [{ supplyingBranch: branch }, { requestingBranch: branch }];
+    const openTransfers = await StockTransfer.find({
+      stockRequest: { $exists: true },
+      status: { $in: stockTransferLifecycle.OPEN_STATUSES },
+      $or: [{ fromBranch: branch }, { toBranch: branch }]
+    }).select('stockRequest').lean();
+
+    const requests = await StockRequest.find({
+      $or: [
+        { status: 'open', $or: sides },
+        { status: 'accepted', _id: { $in: openTransfers.map(t => t.stockRequest) } }
+      ]
+    })
+      .populate(populateOptions)
+      .sort({ neededBy: 1, createdAt: 1 });
+
+    const group = (field) => {
+      const mine = requests.filter(r => r[field].equals(branch));
+      return {
+        open: mine.filter(r => r.status === 'open'),
+        inTransfer: mine.filter(r => r.status === 'accepted')
+      };
+    };
+    const incoming = group('supplyingBranch');
+    const outgoing = group('requestingBranch');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        branch,
+        counts: {
+          incomingOpen: incoming.open.length,
+          incomingInTransfer: incoming.inTransfer.length,
+          outgoingOpen: outgoing.open.length,
+          outgoingInTransfer: outgoing.inTransfer.length
+        },
+        incoming,
+        outgoing
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock request dashboard');
+  }
+};
+
+exports.getRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+
+    const branch = await resolveBranch(req);
+    if (branch && !branch.equals(request.supplyingBranch) && !branch.equals(request.requestingBranch)) {
+      return next(new AppError('You do not have access to this stock request', 403));
+    }
+
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, 'Error fetching stock request');
+  }
+};
+
+// Vehicles the supplying branch can send, oldest inward first
+exports.getCandidates = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    await assertSide(req, request, 'supplying');
+
+    const vehicles = await chassisAllocation.findCandidates(asAllocationTarget(request), {
+      limit: request.quantity + chassisAllocation.DEFAULT_ALTERNATES
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: vehicles.length,
+      data: {
+        vehicles: vehicles.map(vehicle => ({
+          vehicleId: vehicle._id,
+          chassisNumber: vehicle.chassisNumber,
+          modelName: vehicle.modelName,
+          color: vehicle.color?.name,
+          inwardDate: vehicle.createdAt
+        }))
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching stock request candidates');
+  }
+};
+
+// Supplying branch picks the chassis to send; a transfer to the requesting branch is created
+exports.acceptRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    await assertSide(req, request, 'supplying');
+
+    const { expectedDeliveryDate, notes } = req.body;
+    const chassisNumbers = [...new Set((req.body.chassisNumbers || []).map(c => String(c).trim().toUpperCase()))];
+    if (chassisNumbers.length === 0) {
+      return next(new AppError('Select at least one chassis number', 400));
+    }
+    if (chassisNumbers.length > request.quantity) {
+      return next(new AppError(`Only ${request.quantity} unit(s) were requested`, 400));
+    }
+
+    const vehicles = await chassisAllocation.findCandidates(asAllocationTarget(request), {
+      limit: chassisNumbers.length,
+      chassisNumbers
+    });
+    if (vehicles.length !== chassisNumbers.length) {
+      const eligible = new Set(vehicles.map(v => v.chassisNumber));
+      return next(new AppError(
+        `Vehicles not available for this request: ${chassisNumbers.filter(c => !eligible.has(c)).join(', ')}`,
+        400
+      ));
+    }
+
+    await claimOpenRequest(request, {
+      status: 'accepted',
+      respondedBy: req.user.id,
+      respondedAt: new Date(),
+      fulfilledQuantity: vehicles.length
+    });
+
+    let transfer;
+    try {
+      transfer = await stockTransferLifecycle.createTransfer({
+        fromBranch: request.supplyingBranch,
+        toBranch: request.requestingBranch,
+        items: vehicles.map(vehicle => ({ vehicle: vehicle._id })),
+        expectedDeliveryDate: expectedDeliveryDate || request.neededBy,
+        notes: notes || `Stock request ${request.requestNumber}`,
+        stockRequest: request._id
+      }, { userId: req.user.id });
+    } catch (err) {
+      await StockRequest.updateOne(
+        { _id: request._id },
+        { $set: { status: 'open' }, $unset: { respondedBy: 1, respondedAt: 1, fulfilledQuantity: 1 } }
+      );
+      throw err;
+    }
+
+    await StockRequest.updateOne({ _id: request._id }, { $set: { transfer: transfer._id } });
+
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, 'Error accepting stock request');
+  }
+};
+
+exports.rejectRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    await assertSide(req, request, 'supplying');
+
+    const { reason } = req.body;
+    if (!reason) {
+      return next(new AppError('Rejection reason is required', 400));
+    }
+
+    await claimOpenRequest(request, {
+      status: 'rejected',
+      rejectionReason: reason,
+      respondedBy: req.user.id,
+      respondedAt: new Date()
+    });
+
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, 'Error rejecting stock request');
+  }
+};
+
+// Requesting branch withdraws a request that has not been answered yet
+exports.cancelRequest = async (req, res, next) => {
+  try {
+    const request = await loadRequest(req.params.id);
+    await assertSide(req, request, 'requesting');
+
+    await claimOpenRequest(request, {
+      status: 'cancelled',
+      cancellationReason: req.body?.reason
+    });
+
+    await sendRequest(res, request._id);
+  } catch (err) {
+    forward(next, err, 'Error cancelling stock request');
+  }
+};
@@ -1,12 +1,14 @@
 const StockTransfer = require('../models/stockTransferModel');
 const VehicleInward = require('../models/vehicleInwardModel');
-const Branch = require('../models/Branch');
+const User = require('../models/User');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
 const fs = require('fs');
 const path = require('path')
 const mongoose = require('mongoose');
 const { generateTrackingNumber } = require('../utils/trackingNumberGenerator');
+const stockTransferLifecycle = require('../services/stockTransferLifecycle');
+const backorderQueue = require('../services/backorderQueue');
 
 // Helper function to validate transfer data (simplified)
 const validateTransferData = (data) => {
@@ -19,6 +21,29 @@ const validateTransferData = (data) => {
   return errors.length > 0 ? errors : null;
 };
 
+const loadTransfer = async (transferId) => {
+  if (!mongoose.Types.ObjectId.isValid(transferId)) {
+    throw new AppError('Invalid transfer ID format', 400);
+  }
+
+  const transfer = await StockTransfer.findById(transferId);
+  if (!transfer) {
+    throw new AppError('No transfer found with that ID', 404);
+  }
+  return transfer;
+};
+
+// Dispatch belongs to the source branch and receipt to the destination; super admins can do both
+const assertBranchAccess = async (req, branchId, action) => {
+  const user = await User.findById(req.user._id);
+  if (await user.isSuperAdmin()) return;
+
+  if (!user.branch || String(user.branch) !== String(branchId)) {
+    const side = action === 'dispatch' ? 'source' : 'destination';
+    throw new AppError(`Only users of the ${side} branch can ${action} this transfer`, 403);
+  }
+};
+
 // Population options for stock transfers
 const populateOptions = [
   { path: 'fromBranchDetails', select: 'name address city state' },
@@ -36,65 +61,40 @@ const populateOptions = [
   }
 ];
 
-exports.createTransfer = async (req, res, next) => {
-  // Remove transactions for standalone MongoDB
-  try {
-    const { fromBranch, toBranch, expectedDeliveryDate, items, notes } = req.body;
+const sendTransfer = async (res, transferId) => {
+  const transfer = await StockTransfer.findById(transferId)
+    .populate(populateOptions);
 
-    // Validation (same as before)
-    if (!fromBranch || !toBranch || !items?.length) {
-      throw new AppError('Missing required fields', 400);
+  res.status(200).json({
+    status: 'success',
+    data: {
+      transfer
     }
+  });
+};
 
-    // Verify branches
-    const branches = await Branch.find({ _id: { $in: [fromBranch, toBranch] } });
-    if (branches.length !== 2) {
-      throw new AppError('Branch not found', 404);
-    }
+// Transfers start as 'requested'; vehicles only move on confirmed receipt (see services/stockTransferLifecycle)
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const { fromBranch, toBranch, expectedDeliveryDate, items, notes } = req.body;
 
-    // Process vehicles
-    const vehicleIds = [...new Set(items.map(i => i.vehicle))];
-    if (vehicleIds.length !== items.length) {
-      throw new AppError('Duplicate vehicles', 400);
+    const errors = validateTransferData(req.body);
+    if (errors) {
+      throw new AppError(errors.join(', '), 400);
     }
-
-    // Update vehicles
-    const updateResult = await VehicleInward.updateMany(
-      { _id: { $in: vehicleIds }, unloadLocation: fromBranch, status: 'in_stock' },
-      { 
-        unloadLocation: toBranch,
-        status: 'in_stock',
-        lastUpdatedBy: req.user._id
-      }
+    const transfer = await stockTransferLifecycle.createTransfer(
+      { fromBranch, toBranch, expectedDeliveryDate, items, notes },
+      { userId: req.user._id }
     );
-
-    if (updateResult.modifiedCount !== vehicleIds.length) {
-      throw new AppError('Some vehicles not available', 400);
-    }
-
-    // Create transfer record
-    const transfer = await StockTransfer.create({
-      fromBranch,
-      toBranch,
-      expectedDeliveryDate: expectedDeliveryDate || new Date(),
-      items: items.map(item => ({
-        vehicle: item.vehicle,
-        status: 'completed',
-        notes: item.notes || ''
-      })),
-      initiatedBy: req.user._id,
-      notes,
-      transferDate: new Date(),
-      status: 'completed',
-      challanStatus: 'pending'
-    });
+    const vehicleIds = transfer.items.map(item => item.vehicle);
 
     res.status(201).json({
       status: 'success',
       data: {
         transferId: transfer._id,
+        trackingNumber: transfer.trackingNumber,
         vehicles: vehicleIds,
-        message: 'Transfer completed'
+        message: 'Transfer requested'
       }
     });
 
@@ -172,126 +172,150 @@ exports.getTransferById = async (req, res, next) => {
 };
 
 exports.updateTransferStatus = async (req, res, next) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
- 
   try {
-    const { transferId } = req.params;
-    const { status } = req.body;
-
-    if (!mongoose.Types.ObjectId.isValid(transferId)) {
-      await session.abortTransaction();
-      return next(new AppError('Invalid transfer ID format', 400));
-    }
-
-    if (!status || !['completed', 'cancelled'].includes(status)) {
-      await session.abortTransaction();
-      return next(new AppError('Only completed or cancelled status is allowed', 400));
-    }
-
-    const transfer = await StockTransfer.findById(transferId).session(session);
-    if (!transfer) {
-      await session.abortTransaction();
-      return next(new AppError('No transfer found with that ID', 404));
-    }
+    const { status, notes } = req.body;
 
-    // Only allow cancellation (completion happens automatically)
-    if (status === 'cancelled') {
-      transfer.status = 'cancelled';
-      transfer.items.forEach(item => {
-        item.status = 'cancelled';
-      });
-
-      await transfer.save({ session });
-
-      // Revert vehicle locations to source branch
-      const vehicleIds = transfer.items.map(item => item.vehicle);
-      await Vehicle.updateMany(
-        { _id: { $in: vehicleIds } },
-        { unloadLocation: transfer.fromBranch },
-        { session }
-      );
+    if (status !== 'cancelled') {
+      return next(new AppError('Only cancelled status is allowed; use the lifecycle endpoints for other changes', 400));
     }
 
-    await session.commitTransaction();
-   
-    const updatedTransfer = await StockTransfer.findById(transferId)
-      .populate(populateOptions);
+    const transfer = await loadTransfer(req.params.transferId);
+    await stockTransferLifecycle.cancelTransfer(transfer, { userId: req.user._id, reason: notes });
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        transfer: updatedTransfer
-      }
-    });
+    await sendTransfer(res, transfer._id);
   } catch (err) {
-    await session.abortTransaction();
+    if (err instanceof AppError) return next(err);
     logger.error(`Error updating transfer status: ${err.message}`);
     next(new AppError('Failed to update transfer status', 500));
-  } finally {
-    session.endSession();
   }
 };
 
 exports.updateTransferItemStatus = async (req, res, next) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
- 
   try {
     const { transferId, itemId } = req.params;
     const { status, notes } = req.body;
 
-    if (!mongoose.Types.ObjectId.isValid(transferId) || !mongoose.Types.ObjectId.isValid(itemId)) {
-      await session.abortTransaction();
-      return next(new AppError('Invalid transfer or item ID format', 400));
+    if (!mongoose.Types.ObjectId.isValid(itemId)) {
+      return next(new AppError('Invalid item ID format', 400));
     }
 
-    if (!status || status !== 'cancelled') {
-      await session.abortTransaction();
+    if (status !== 'cancelled') {
       return next(new AppError('Only cancellation is allowed for individual items', 400));
     }
 
-    const transfer = await StockTransfer.findById(transferId).session(session);
-    if (!transfer) {
-      await session.abortTransaction();
-      return next(new AppError('No transfer found with that ID', 404));
-    }
+    const transfer = await loadTransfer(transferId);
+    await stockTransferLifecycle.cancelItem(transfer, itemId, { userId: req.user._id, notes });
 
-    const item = transfer.items.id(itemId);
-    if (!item) {
-      await session.abortTransaction();
-      return next(new AppError('No item found with that ID in this transfer', 404));
-    }
+    await sendTransfer(res, transfer._id);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error updating transfer item status: ${err.message}`);
+    next(new AppError('Failed to update transfer item status', 500));
+  }
+};
+
+exports.approveTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.transferId);
+    await stockTransferLifecycle.approveTransfer(transfer, { userId: req.user._id, note: req.body?.notes });
+
+    await sendTransfer(res, transfer._id);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error approving transfer: ${err.message}`);
+    next(new AppError('Failed to approve transfer', 500));
+  }
+};
+
+exports.rejectTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.transferId);
+    await stockTransferLifecycle.rejectTransfer(transfer, { userId: req.user._id, reason: req.body?.reason });
+
+    await sendTransfer(res, transfer._id);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error rejecting transfer: ${err.message}`);
+    next(new AppError('Failed to reject transfer', 500));
+  }
+};
+
+exports.dispatchTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.transferId);
+    await assertBranchAccess(req, transfer.fromBranch, 'dispatch');
+
+    const { vehicleNumber, driverName, driverPhone, transporterName, ewayBillNumber } = req.body;
+    await stockTransferLifecycle.dispatchTransfer(transfer, {
+      userId: req.user._id,
+      vehicleNumber,
+      driverName,
+      driverPhone,
+      transporterName,
+      ewayBillNumber
+    });
+
+    await sendTransfer(res, transfer._id);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error dispatching transfer: ${err.message}`);
+    next(new AppError('Failed to dispatch transfer', 500));
+  }
+};
 
-    item.status = 'cancelled';
-    if (notes) item.notes = notes;
+exports.markTransferInTransit = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.transferId);
+    await stockTransferLifecycle.markInTransit(transfer, { userId: req.user._id, note: req.body?.notes });
 
-    await transfer.save({ session });
+    await sendTransfer(res, transfer._id);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error marking transfer in transit: ${err.message}`);
+    next(new AppError('Failed to mark transfer in transit', 500));
+  }
+};
 
-    // Revert this specific vehicle's location to source branch
-    await Vehicle.findByIdAndUpdate(
-      item.vehicle,
-      { unloadLocation: transfer.fromBranch },
-      { session }
+// Receiving branch scans one vehicle QR (or keys in the chassis number) per call
+exports.receiveTransferVehicle = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req.params.transferId);
+    await assertBranchAccess(req, transfer.toBranch, 'receive');
+
+    const { qrCode, chassisNumber, discrepancy, images, notes } = req.body;
+    const { vehicle } = await stockTransferLifecycle.receiveVehicle(
+      transfer,
+      { qrCode, chassisNumber, discrepancy, images, notes },
+      { userId: req.user._id }
     );
+    const allocationProposals = await backorderQueue.proposeForVehicles([vehicle._id], {
+      trigger: 'transfer',
+      userId: req.user._id
+    });
 
-    await session.commitTransaction();
-   
-    const updatedTransfer = await StockTransfer.findById(transferId)
+    const updatedTransfer = await StockTransfer.findById(transfer._id)
       .populate(populateOptions);
 
     res.status(200).json({
       status: 'success',
       data: {
-        transfer: updatedTransfer
+        transfer: updatedTransfer,
+        vehicle: {
+          _id: vehicle._id,
+          chassisNumber: vehicle.chassisNumber,
+          status: vehicle.status,
+          unloadLocation: vehicle.unloadLocation
+        },
+        allocationProposals: allocationProposals.length > 0 ? allocationProposals : undefined,
+        message: discrepancy
+          ? `Vehicle ${vehicle.chassisNumber} received with discrepancy`
+          : `Vehicle ${vehicle.chassisNumber} received`
       }
     });
   } catch (err) {
-    await session.abortTransaction();
-    logger.error(`Error updating transfer item status: ${err.message}`);
-    next(new AppError('Failed to update transfer item status', 500));
-  } finally {
-    session.endSession();
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error receiving transfer vehicle: ${err.message}`);
+    next(new AppError('Failed to receive vehicle', 500));
   }
 };
 
@@ -349,7 +373,7 @@ exports.getVehiclesAtBranch = async (req, res, next) => {
     }
 
     // Build query for vehicles at branch
-    let query = Vehicle.find({
+    let query = VehicleInward.find({
       unloadLocation: branchId
     }).populate([
       { path: 'model', select: 'model_name type' },
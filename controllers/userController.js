@@ -2,6 +2,7 @@ const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const Permission = require('../models/Permission');
 const Role = require("../models/Role");
+const deviationBudget = require('../services/deviationBudget');
 // const userStatusMiddleware = require('../middlewares/userStatusMiddleware');
 
 
@@ -196,12 +197,20 @@ exports.updateUser = async (req, res) => {
 exports.updateDeviationAmounts = async (req, res) => {
   try {
     const { id } = req.params;
-    const { totalDeviationAmount, perTransactionDeviationLimit } = req.body;
+    const { totalDeviationAmount, perTransactionDeviationLimit, deviationBudgetPeriod } = req.body;
 
-    if (totalDeviationAmount === undefined && perTransactionDeviationLimit === undefined) {
+    if (totalDeviationAmount === undefined && perTransactionDeviationLimit === undefined &&
+        deviationBudgetPeriod === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Either totalDeviationAmount or perTransactionDeviationLimit is required'
+        message: 'Either totalDeviationAmount, perTransactionDeviationLimit or deviationBudgetPeriod is required'
+      });
+    }
+
+    if (deviationBudgetPeriod !== undefined && !deviationBudget.BUDGET_PERIODS.includes(deviationBudgetPeriod)) {
+      return res.status(400).json({
+        success: false,
+        message: `deviationBudgetPeriod must be one of: ${deviationBudget.BUDGET_PERIODS.join(', ')}`
       });
     }
 
@@ -270,6 +279,11 @@ exports.updateDeviationAmounts = async (req, res) => {
     const updates = {};
     if (totalDeviationAmount !== undefined) updates.totalDeviationAmount = totalDeviationAmount;
     if (perTransactionDeviationLimit !== undefined) updates.perTransactionDeviationLimit = perTransactionDeviationLimit;
+    // A new budget period counts the usage so far towards the period under way
+    if (deviationBudgetPeriod !== undefined && deviationBudgetPeriod !== user.deviationBudgetPeriod) {
+      updates.deviationBudgetPeriod = deviationBudgetPeriod;
+      updates.deviationPeriodStart = deviationBudget.periodStartOf(deviationBudgetPeriod);
+    }
 
     const updatedUser = await User.findByIdAndUpdate(
       id,
@@ -290,8 +304,10 @@ exports.updateDeviationAmounts = async (req, res) => {
       metadata: {
         totalDeviationAmount,
         perTransactionDeviationLimit,
+        deviationBudgetPeriod,
         previousTotal: user.totalDeviationAmount,
-        previousPerTransaction: user.perTransactionDeviationLimit
+        previousPerTransaction: user.perTransactionDeviationLimit,
+        previousBudgetPeriod: user.deviationBudgetPeriod
       }
     });
 
@@ -8,9 +8,21 @@ const User = require('../models/User');
 const Color = require('../models/Color');
 const { stringify } = require('csv-stringify');
 const Model = require('../models/ModelModel');
+const DamageClaim = require('../models/DamageClaim');
 const _ = require('lodash');
 const excel = require('excel4node');
 const ExcelJS = require('exceljs');
+const stockAgeing = require('../services/stockAgeing');
+const vehicleReservation = require('../services/vehicleReservation');
+const purchaseInvoice = require('../services/purchaseInvoice');
+const vinDecoder = require('../services/vinDecoder');
+const damageClaim = require('../services/damageClaim');
+const backorderQueue = require('../services/backorderQueue');
+const approvalEngine = require('../services/approvalEngine');
+const yardLocation = require('../services/yardLocation');
+const vehicleMovement = require('../services/vehicleMovement');
+const vehicleLabels = require('../services/vehicleLabels');
+const { generateQrLabelSheetPDF } = require('../utils/pdfGenerator');
 
 
 const populateOptions = [
@@ -39,7 +51,9 @@ exports.createVehicle = async (req, res, next) => {
       chargerNumber,
       engineNumber,
       hasDamage = false,
-      damages = []
+      damages = [],
+      purchaseInvoice: purchaseInvoiceId,
+      yardBay
     } = req.body;
 
     // Validate IDs
@@ -55,8 +69,14 @@ exports.createVehicle = async (req, res, next) => {
       return next(new AppError('Invalid color ID format', 400));
     }
 
+    // Chassis number must be a well formed VIN
+    const vinErrors = vinDecoder.vinErrors(chassisNumber);
+    if (vinErrors.length > 0) {
+      return next(new AppError(vinErrors.join('; '), 400));
+    }
+
     // Fetch referenced model
-    const model = await Model.findById(modelId).select('model_name type');
+    const model = await Model.findById(modelId).select('model_name type vin_prefix');
     if (!model) return next(new AppError('Model not found', 404));
 
     // Fetch color to confirm and get its name
@@ -73,6 +93,17 @@ exports.createVehicle = async (req, res, next) => {
       ));
     }
 
+    // Chassis must be on the OEM invoice it is inwarded against
+    let invoice;
+    let invoiceLine;
+    if (purchaseInvoiceId) {
+      invoice = await purchaseInvoice.loadReceivableInvoice(purchaseInvoiceId, unloadLocation);
+      invoiceLine = purchaseInvoice.findLine(invoice, chassisNumber, { model: model._id });
+    }
+
+    // Bay the vehicle is parked in at inward
+    const bay = yardBay ? await yardLocation.resolveBay(unloadLocation, yardBay) : null;
+
     // Validate damages
     if (hasDamage && damages.length > 0) {
       for (let damage of damages) {
@@ -87,6 +118,11 @@ exports.createVehicle = async (req, res, next) => {
       }
     }
 
+    // Each inward damage is recorded with the claim opened for it
+    const inwardDamages = hasDamage
+      ? damages.map(damage => ({ claimId: damageClaim.newClaimId(), damage }))
+      : [];
+
     // Create payload with proper color structure
     const vehiclePayload = {
       model: modelId,
@@ -104,14 +140,53 @@ exports.createVehicle = async (req, res, next) => {
       motorNumber: motorNumber?.toUpperCase(),
       chargerNumber: chargerNumber?.toUpperCase(),
       engineNumber: engineNumber?.toUpperCase(),
+      vinDetails: vinDecoder.toVinDetails(vinDecoder.inspectVin(chassisNumber, { model })),
       hasDamage,
-      damages,
+      damages: inwardDamages.map(({ claimId, damage }) => damageClaim.damageEntry(claimId, damage, req.user.id)),
       addedBy: req.user.id,
-      status: 'not_approved' // Default status
+      status: 'not_approved', // Default status
+      ...(invoiceLine && purchaseInvoice.costFields(invoice, invoiceLine)),
+      ...(bay && await yardLocation.inwardFields(bay, req.user.id))
     };
 
     const newVehicle = await Vehicle.create(vehiclePayload);
 
+    try {
+      for (const { claimId, damage } of inwardDamages) {
+        // eslint-disable-next-line no-await-in-loop
+        await damageClaim.openClaim(claimId, newVehicle, damage, { userId: req.user.id, source: 'inward' });
+      }
+    } catch (err) {
+      await DamageClaim.deleteMany({ vehicle: newVehicle._id });
+      await Vehicle.deleteOne({ _id: newVehicle._id });
+      throw err.name === 'ValidationError' ? new AppError(err.message, 400) : err;
+    }
+
+    if (invoiceLine) {
+      try {
+        await purchaseInvoice.markReceived(invoice, invoiceLine, newVehicle._id, { userId: req.user.id });
+      } catch (err) {
+        await Vehicle.deleteOne({ _id: newVehicle._id });
+        throw err;
+      }
+      await purchaseInvoice.syncStatus(invoice._id);
+    }
+
+    await vehicleMovement.recordMovement(newVehicle, 'INWARD', {
+      userId: req.user.id,
+      source: invoice && { kind: 'PurchaseInvoice', id: invoice._id, reference: invoice.invoiceNumber },
+      metadata: inwardDamages.length > 0 ? { damages: inwardDamages.length } : undefined
+    });
+
+    const allocationProposals = await backorderQueue.proposeForVehicles([newVehicle._id], {
+      trigger: 'inward',
+      userId: req.user.id
+    });
+
+    const approvalRequest = await approvalEngine.submitIfConfigured('VEHICLE_INWARD', newVehicle._id, {
+      userId: req.user.id
+    });
+
     // Format response
     const response = {
       ...newVehicle.toObject(),
@@ -126,10 +201,15 @@ exports.createVehicle = async (req, res, next) => {
 
     res.status(201).json({
       status: 'success',
-      data: { vehicle: response }
+      data: {
+        vehicle: response,
+        allocationProposals: allocationProposals.length > 0 ? allocationProposals : undefined,
+        approvalRequest: approvalRequest || undefined
+      }
     });
 
   } catch (err) {
+    if (err instanceof AppError) return next(err);
     console.error('Vehicle creation error:', err);
     next(new AppError(err.message || 'Internal server error', 500));
   }
@@ -149,11 +229,17 @@ exports.approveVehicles = async (req, res, next) => {
       return next(new AppError(`Invalid vehicle IDs: ${invalidIds.join(', ')}`, 400));
     }
 
+    // Vehicles under an approval chain are approved from the approvals inbox
+    await approvalEngine.assertNoOpenRequest('VEHICLE_INWARD', vehicleIds);
+
+    // Only approve vehicles that are not already approved
+    const pendingIds = await Vehicle.find({ _id: { $in: vehicleIds }, status: 'not_approved' }).distinct('_id');
+
     // Update all vehicles to in_stock status
     const result = await Vehicle.updateMany(
       { 
-        _id: { $in: vehicleIds },
-        status: 'not_approved' // Only approve vehicles that are not already approved
+        _id: { $in: pendingIds },
+        status: 'not_approved'
       },
       { 
         $set: { 
@@ -167,15 +253,28 @@ exports.approveVehicles = async (req, res, next) => {
       return next(new AppError('No vehicles were approved (either already approved or not found)', 404));
     }
 
+    await vehicleMovement.recordMovements(pendingIds, 'APPROVAL', {
+      userId: req.user.id,
+      from: { status: 'not_approved' }
+    });
+
+    // Vehicles proposed at inward keep their proposal; the rest go to the queue heads now
+    const allocationProposals = await backorderQueue.proposeForVehicles(vehicleIds, {
+      trigger: 'approval',
+      userId: req.user.id
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
         approvedCount: result.modifiedCount,
+        allocationProposals: allocationProposals.length > 0 ? allocationProposals : undefined,
         message: `${result.modifiedCount} vehicle(s) approved successfully`
       }
     });
 
   } catch (err) {
+    if (err instanceof AppError) return next(err);
     logger.error(`Error approving vehicles: ${err.message}`);
     next(new AppError('Server Error', 500));
   }
@@ -385,6 +484,66 @@ exports.getVehicleById = async (req, res, next) => {
   }
 };
 
+// A4 sheet of QR stickers for a list of vehicles, an inward batch or an inward date range
+exports.printQrLabels = async (req, res, next) => {
+  try {
+    const { vehicleIds, purchaseInvoice, from, to, branch, layout, offset } = req.body;
+    const branchIds = await resolveBranchScope(req, branch);
+
+    const vehicles = await vehicleLabels.selectVehicles({ vehicleIds, purchaseInvoice, from, to }, { branchIds });
+    const sheets = await vehicleLabels.buildLabelSheets(vehicles, { layout, offset });
+    const pdf = await generateQrLabelSheetPDF(sheets);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="qr_labels_${sheets.layout.key}_${Date.now()}.pdf"`);
+    res.setHeader('X-Label-Count', sheets.labels);
+    res.setHeader('X-Sheet-Count', sheets.pages.length);
+    res.send(pdf);
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error printing QR labels: ${err.message}`);
+    next(new AppError('Error generating QR label sheet', 500));
+  }
+};
+
+// Movement log of a vehicle, oldest first
+exports.getVehicleHistory = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.vehicleId)) {
+      return next(new AppError('Invalid vehicle ID format', 400));
+    }
+
+    const vehicle = await Vehicle.findById(req.params.vehicleId)
+      .select('chassisNumber modelName color status unloadLocation createdAt')
+      .populate('unloadLocation', 'name');
+    if (!vehicle) {
+      return next(new AppError('No vehicle found with that ID', 404));
+    }
+
+    const types = req.query.type
+      ? String(req.query.type).split(',').map(t => t.trim().toUpperCase()).filter(Boolean)
+      : undefined;
+    const unknown = (types || []).filter(t => !vehicleMovement.MOVEMENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return next(new AppError(`Invalid movement type: ${unknown.join(', ')}. Allowed: ${vehicleMovement.MOVEMENT_TYPES.join(', ')}`, 400));
+    }
+
+    const movements = await vehicleMovement.historyFor(vehicle._id, { types });
+
+    res.status(200).json({
+      status: 'success',
+      results: movements.length,
+      data: {
+        vehicle,
+        movements
+      }
+    });
+  } catch (err) {
+    logger.error(`Error getting vehicle history: ${err.message}`);
+    next(new AppError('Server Error', 500));
+  }
+};
+
 exports.getVehicleByQrCode = async (req, res, next) => {
   try {
     const { qrCode } = req.params;
@@ -437,9 +596,14 @@ exports.updateVehicleStatus = async (req, res, next) => {
       return next(new AppError('Valid status is required', 400));
     }
     
+    const previous = await Vehicle.findById(vehicleId).select('status unloadLocation');
+    if (!previous) {
+      return next(new AppError('No vehicle found with that ID', 404));
+    }
+
     const updatedVehicle = await Vehicle.findByIdAndUpdate(
       vehicleId,
-      { status },
+      { status, lastUpdatedBy: req.user.id },
       { new: true, runValidators: true }
     ).populate(populateOptions);
     
@@ -447,6 +611,12 @@ exports.updateVehicleStatus = async (req, res, next) => {
       return next(new AppError('No vehicle found with that ID', 404));
     }
 
+    await vehicleMovement.recordChange(
+      { status: previous.status, branch: previous.unloadLocation },
+      updatedVehicle,
+      { userId: req.user.id, note: req.body.note }
+    );
+
     const vehicleObj = updatedVehicle.toObject();
     
     if (!vehicleObj.unloadLocation) {
@@ -478,7 +648,7 @@ exports.updateVehicleStatus = async (req, res, next) => {
 exports.addDamage = async (req, res, next) => {
   try {
     const { vehicleId } = req.params;
-    const { description, images } = req.body;
+    const { description, images, responsibleParty, partyName, estimatedRepairCost } = req.body;
     
     if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
       return next(new AppError('Invalid vehicle ID format', 400));
@@ -488,18 +658,13 @@ exports.addDamage = async (req, res, next) => {
       return next(new AppError('Damage description and at least one image are required', 400));
     }
     
-    const updatedVehicle = await Vehicle.findByIdAndUpdate(
+    // Every damage becomes a claim against the transporter or OEM
+    const { claim } = await damageClaim.reportDamage(
       vehicleId,
-      { 
-        $push: { damages: { description, images } },
-        $set: { hasDamage: true, status: 'damaged' }
-      },
-      { new: true, runValidators: true }
-    ).populate(populateOptions);
-    
-    if (!updatedVehicle) {
-      return next(new AppError('No vehicle found with that ID', 404));
-    }
+      { description, images, responsibleParty, partyName, estimatedRepairCost },
+      { userId: req.user.id }
+    );
+    const updatedVehicle = await Vehicle.findById(vehicleId).populate(populateOptions);
 
     const vehicleObj = updatedVehicle.toObject();
     
@@ -520,10 +685,13 @@ exports.addDamage = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        vehicle: vehicleObj
+        vehicle: vehicleObj,
+        claim
       }
     });
   } catch (err) {
+    if (err instanceof AppError) return next(err);
+    if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
     logger.error(`Error adding damage to vehicle: ${err.message}`);
     next(new AppError('Server Error', 500));
   }
@@ -668,7 +836,8 @@ exports.getVehicleByChassisNumber = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        vehicle: vehicleObj
+        vehicle: vehicleObj,
+        location: yardLocation.whereIs(vehicleObj)
       }
     });
   } catch (err) {
@@ -982,7 +1151,7 @@ exports.importCSV = async (req, res, next) => {
     }
 
     // 2. Extract query parameters
-    const { type, branch_id } = req.query;
+    const { type, branch_id, purchase_invoice_id } = req.query;
 
     // 3. Validate type parameter
     if (!type || !['EV', 'ICE'].includes(type.toUpperCase())) {
@@ -998,6 +1167,11 @@ exports.importCSV = async (req, res, next) => {
     const branchExists = await Branch.exists({ _id: branch_id });
     if (!branchExists) return next(new AppError('Branch not found', 404));
 
+    // Rows are inwarded against this OEM invoice when given
+    const invoice = purchase_invoice_id
+      ? await purchaseInvoice.loadReceivableInvoice(purchase_invoice_id, branch_id)
+      : null;
+
     // 6. Convert CSV buffer to string and clean it
     const csvString = req.file.buffer.toString('utf8').trim();
     const rows = csvString.split('\n').filter(row => row.trim() !== '');
@@ -1060,6 +1234,8 @@ exports.importCSV = async (req, res, next) => {
 
     // 13. Initialize counters and error collection
     const errors = [];
+    const vinFlags = [];
+    const inwardedIds = [];
     let importedCount = 0;
     let updatedCount = 0;
 
@@ -1117,6 +1293,12 @@ exports.importCSV = async (req, res, next) => {
           continue;
         }
 
+        const vinErrors = vinDecoder.vinErrors(vehicleData.chassisNumber);
+        if (vinErrors.length > 0) {
+          errors.push(`Row ${rows.indexOf(row) + 1}: ${vinErrors.join('; ')}`);
+          continue;
+        }
+
         if (!vehicleData.colorName) {
           errors.push(`Row ${rows.indexOf(row) + 1}: Color is required`);
           continue;
@@ -1137,6 +1319,16 @@ exports.importCSV = async (req, res, next) => {
           // Leave model reference undefined
         }
 
+        // Decode the VIN and flag model year / model mismatches
+        vehicleData.vinDetails = vinDecoder.toVinDetails(vinDecoder.inspectVin(vehicleData.chassisNumber, { model }));
+        if (vehicleData.vinDetails.flags.length > 0) {
+          vinFlags.push({
+            row: rows.indexOf(row) + 1,
+            chassisNumber: vehicleData.chassisNumber,
+            flags: vehicleData.vinDetails.flags
+          });
+        }
+
         // 22. Handle color - find or create
         let color = await Color.findOne({ 
           name: { $regex: new RegExp(`^${vehicleData.colorName}$`, 'i') } 
@@ -1183,6 +1375,16 @@ exports.importCSV = async (req, res, next) => {
         // 25. Check if vehicle already exists
         const existingVehicle = await Vehicle.findOne({ chassisNumber: vehicleData.chassisNumber });
 
+        let invoiceLine;
+        if (invoice) {
+          invoiceLine = purchaseInvoice.findLine(invoice, vehicleData.chassisNumber, {
+            vehicle: existingVehicle,
+            model: vehicleData.model
+          });
+          Object.assign(vehicleData, purchaseInvoice.costFields(invoice, invoiceLine));
+        }
+
+        let vehicleId;
         if (existingVehicle) {
           // 26. Update existing vehicle
           const update = {
@@ -1190,12 +1392,18 @@ exports.importCSV = async (req, res, next) => {
             lastUpdatedBy: req.user.id
           };
           await Vehicle.findByIdAndUpdate(existingVehicle._id, update);
+          vehicleId = existingVehicle._id;
           updatedCount++;
         } else {
           // 27. Create new vehicle
-          await Vehicle.create(vehicleData);
+          vehicleId = (await Vehicle.create(vehicleData))._id;
           importedCount++;
         }
+        inwardedIds.push(vehicleId);
+
+        if (invoiceLine) {
+          await purchaseInvoice.markReceived(invoice, invoiceLine, vehicleId, { userId: req.user.id });
+        }
 
       } catch (rowError) {
         // 28. Catch and record any row processing errors
@@ -1203,17 +1411,35 @@ exports.importCSV = async (req, res, next) => {
       }
     }
 
-    // 29. Return import results
+    // 29. Record the inward in the movement log of each vehicle
+    await vehicleMovement.recordMovements(inwardedIds, 'INWARD', {
+      userId: req.user.id,
+      source: invoice
+        ? { kind: 'PurchaseInvoice', id: invoice._id, reference: invoice.invoiceNumber }
+        : { kind: 'Import', reference: req.file.originalname }
+    });
+
+    // 30. Propose the inwarded vehicles to the backorder queues
+    const allocationProposals = await backorderQueue.proposeForVehicles(inwardedIds, {
+      trigger: 'inward',
+      userId: req.user.id
+    });
+
+    // 31. Return import results
     res.status(200).json({
       status: 'success',
       message: 'CSV import completed',
       imported: importedCount,
       updated: updatedCount,
+      purchaseInvoice: invoice ? await purchaseInvoice.syncStatus(invoice._id) : undefined,
+      vinFlags: vinFlags.length > 0 ? vinFlags : undefined,
+      allocationProposals: allocationProposals.length > 0 ? allocationProposals : undefined,
       errors: errors.length > 0 ? errors : undefined
     });
 
   } catch (err) {
-    // 30. Handle any unexpected errors
+    // 32. Handle any unexpected errors
+    if (err instanceof AppError) return next(err);
     logger.error(`Error importing CSV: ${err.message}`);
     next(new AppError('Error processing CSV file', 500));
   }
@@ -1312,6 +1538,172 @@ exports.getVehiclesByStatus = async (req, res, next) => {
     next(new AppError('Server Error', 500));
   }
 };
+
+// Super admins may work on any branch (all branches by default), everyone else on their own branch
+const resolveBranchScope = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id).populate('branch');
+
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return undefined;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return [new mongoose.Types.ObjectId(requestedBranch)];
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return [user.branch._id];
+};
+
+const resolveAgeingFilters = async (req) => {
+  const { branch_id, type, model, as_of: asOfParam } = req.query;
+  const branchIds = await resolveBranchScope(req, branch_id);
+
+  const filters = { branchIds };
+  if (type) {
+    filters.type = String(type).trim().toUpperCase();
+    if (!['EV', 'ICE'].includes(filters.type)) {
+      throw new AppError('Invalid type. Allowed: EV or ICE', 400);
+    }
+  }
+  if (model) {
+    if (!mongoose.Types.ObjectId.isValid(model)) {
+      throw new AppError('Invalid model ID', 400);
+    }
+    filters.model = model;
+  }
+  if (asOfParam) {
+    let asOf = new Date(asOfParam);
+    if (isNaN(asOf.getTime())) {
+      throw new AppError('Invalid as_of date. Use YYYY-MM-DD.', 400);
+    }
+    const now = new Date();
+    if (asOf > now) {
+      throw new AppError('as_of cannot be in the future', 400);
+    }
+    // A plain date means the stock at the end of that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(asOfParam)) {
+      asOf.setHours(23, 59, 59, 999);
+      if (asOf > now) asOf = now;
+    }
+    filters.asOf = asOf;
+    filters.historical = true;
+  }
+  return filters;
+};
+
+exports.getStockAgeingReport = async (req, res, next) => {
+  try {
+    const report = await stockAgeing.buildStockAgeingReport(await resolveAgeingFilters(req));
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error building stock ageing report: ${err.message}`);
+    next(new AppError('Server Error', 500));
+  }
+};
+
+exports.exportStockAgeingExcel = async (req, res, next) => {
+  try {
+    const report = await stockAgeing.buildStockAgeingReport(await resolveAgeingFilters(req));
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = report.asOf;
+    const money = '₹#,##0.00';
+
+    const styleHeader = (sheet) => {
+      sheet.getRow(1).eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4F81BD' } };
+        cell.alignment = { vertical: 'middle', horizontal: 'center' };
+      });
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    };
+
+    const bucketColumns = report.buckets.flatMap(b => [
+      { header: `${b.label} (Qty)`, key: `${b.key}_count`, width: 14 },
+      { header: `${b.label} (Value)`, key: `${b.key}_value`, width: 18, style: { numFmt: money } }
+    ]);
+    const totalColumns = [
+      { header: 'Total Qty', key: 'total_count', width: 12 },
+      { header: 'Total Value', key: 'total_value', width: 18, style: { numFmt: money } },
+      { header: 'Landed Cost', key: 'total_cost', width: 18, style: { numFmt: money } }
+    ];
+    const bucketValues = (entry) => report.buckets.reduce((acc, b) => ({
+      ...acc,
+      [`${b.key}_count`]: entry.buckets[b.key].count,
+      [`${b.key}_value`]: entry.buckets[b.key].value
+    }), { total_count: entry.total.count, total_value: entry.total.value, total_cost: entry.total.cost });
+
+    // ---- Sheet 1: Branch summary -------------------------------------------
+    const summarySheet = workbook.addWorksheet('Branch Summary');
+    summarySheet.columns = [
+      { header: 'Branch', key: 'branch', width: 30 },
+      ...bucketColumns,
+      ...totalColumns
+    ];
+    report.branches.forEach(branch => {
+      summarySheet.addRow({ branch: branch.branchName, ...bucketValues(branch) });
+    });
+    const grandTotal = summarySheet.addRow({ branch: 'TOTAL', ...bucketValues(report.totals) });
+    grandTotal.font = { bold: true };
+    styleHeader(summarySheet);
+
+    // ---- Sheet 2: Branch / model / color detail ---------------------------
+    const detailSheet = workbook.addWorksheet('Model & Color Detail');
+    detailSheet.columns = [
+      { header: 'Branch', key: 'branch', width: 30 },
+      { header: 'Type', key: 'type', width: 8 },
+      { header: 'Model', key: 'model', width: 30 },
+      { header: 'Color', key: 'color', width: 20 },
+      { header: 'Ex-Showroom Price', key: 'unit_price', width: 18, style: { numFmt: money } },
+      ...bucketColumns,
+      ...totalColumns
+    ];
+    report.rows.forEach(row => {
+      detailSheet.addRow({
+        branch: row.branchName,
+        type: row.type,
+        model: row.modelName,
+        color: row.color,
+        unit_price: row.unitPrice ?? 'Not priced',
+        ...bucketValues(row)
+      });
+    });
+    styleHeader(detailSheet);
+
+    const notes = [
+      report.historical && `Stock as of ${report.asOf.toISOString().slice(0, 10)}, rebuilt from the vehicle movement log`,
+      report.unloggedUnits > 0 && `${report.unloggedUnits} vehicle(s) have no movement recorded by then and are shown in their current status and branch`,
+      report.unpricedUnits > 0 && `${report.unpricedUnits} vehicle(s) have no ex-showroom price and are valued at 0`,
+      report.uncostedUnits > 0 && `${report.uncostedUnits} vehicle(s) were not inwarded against a purchase invoice and have no landed cost`
+    ].filter(Boolean);
+    if (notes.length) {
+      summarySheet.addRow([]);
+      notes.forEach(text => {
+        const note = summarySheet.addRow([text]);
+        note.font = { italic: true, color: { argb: 'FFFF0000' } };
+      });
+    }
+
+    const filename = `stock_ageing_${report.asOf.toISOString().slice(0, 10)}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (err) {
+    if (err instanceof AppError) return next(err);
+    logger.error(`Error exporting stock ageing report: ${err.message}`);
+    next(new AppError('Export failed', 500));
+  }
+};
 // Replace the exportCSVTemplate function with this Excel export function
 exports.exportExcelWithSheets = async (req, res, next) => {
   try {
@@ -1487,7 +1879,7 @@ exports.importExcel = async (req, res, next) => {
     }
 
     // 2. Extract query parameters
-    const { type, branch_id } = req.query;
+    const { type, branch_id, purchase_invoice_id } = req.query;
 
     // 3. Validate type parameter
     if (!type || !['EV', 'ICE'].includes(type.toUpperCase())) {
@@ -1503,6 +1895,11 @@ exports.importExcel = async (req, res, next) => {
     const branchExists = await Branch.exists({ _id: branch_id });
     if (!branchExists) return next(new AppError('Branch not found', 404));
 
+    // Rows are inwarded against this OEM invoice when given
+    const invoice = purchase_invoice_id
+      ? await purchaseInvoice.loadReceivableInvoice(purchase_invoice_id, branch_id)
+      : null;
+
     // 6. Check file type
     if (!req.file.originalname.endsWith('.xlsx') && !req.file.originalname.endsWith('.xls')) {
       return next(new AppError('Only Excel files (.xlsx, .xls) are allowed', 400));
@@ -1624,6 +2021,8 @@ exports.importExcel = async (req, res, next) => {
 
     // 13. Process each data row
     const errors = [];
+    const vinFlags = [];
+    const inwardedIds = [];
     let importedCount = 0;
     let updatedCount = 0;
     let skippedCount = 0;
@@ -1672,6 +2071,14 @@ exports.importExcel = async (req, res, next) => {
           continue;
         }
 
+        // Validate chassis number is a well formed VIN - SKIP ROW if not
+        const vinErrors = vinDecoder.vinErrors(vehicleData.chassisNumber);
+        if (vinErrors.length > 0) {
+          errors.push(`Row ${index + 1}: Skipped - ${vinErrors.join('; ')}`);
+          skippedCount++;
+          continue;
+        }
+
         // Validate required fields - SKIP ROW if missing model
         if (!vehicleData.modelName) {
           errors.push(`Row ${index + 1}: Skipped - Missing required field (model)`);
@@ -1714,6 +2121,16 @@ exports.importExcel = async (req, res, next) => {
           vehicleData.modelName = vehicleData.modelName;
         }
 
+        // Decode the VIN and flag model year / model mismatches
+        vehicleData.vinDetails = vinDecoder.toVinDetails(vinDecoder.inspectVin(vehicleData.chassisNumber, { model }));
+        if (vehicleData.vinDetails.flags.length > 0) {
+          vinFlags.push({
+            row: index + 1,
+            chassisNumber: vehicleData.chassisNumber,
+            flags: vehicleData.vinDetails.flags
+          });
+        }
+
         // Handle color - find or create
         let color = await Color.findOne({ 
           name: { $regex: new RegExp(`^${vehicleData.colorName}$`, 'i') } 
@@ -1742,6 +2159,16 @@ exports.importExcel = async (req, res, next) => {
         // Check if vehicle already exists
         const existingVehicle = await Vehicle.findOne({ chassisNumber: vehicleData.chassisNumber });
 
+        let invoiceLine;
+        if (invoice) {
+          invoiceLine = purchaseInvoice.findLine(invoice, vehicleData.chassisNumber, {
+            vehicle: existingVehicle,
+            model: vehicleData.model
+          });
+          Object.assign(vehicleData, purchaseInvoice.costFields(invoice, invoiceLine));
+        }
+
+        let vehicleId;
         if (existingVehicle) {
           // Update existing vehicle
           const update = {
@@ -1749,14 +2176,20 @@ exports.importExcel = async (req, res, next) => {
             lastUpdatedBy: req.user.id
           };
           await Vehicle.findByIdAndUpdate(existingVehicle._id, update);
+          vehicleId = existingVehicle._id;
           updatedCount++;
           logger.info(`Updated vehicle with chassis: ${vehicleData.chassisNumber}`);
         } else {
           // Create new vehicle
-          await Vehicle.create(vehicleData);
+          vehicleId = (await Vehicle.create(vehicleData))._id;
           importedCount++;
           logger.info(`Imported new vehicle with chassis: ${vehicleData.chassisNumber}`);
         }
+        inwardedIds.push(vehicleId);
+
+        if (invoiceLine) {
+          await purchaseInvoice.markReceived(invoice, invoiceLine, vehicleId, { userId: req.user.id });
+        }
 
       } catch (rowError) {
         logger.error(`Error processing row ${index + 1}: ${rowError.message}`);
@@ -1764,7 +2197,21 @@ exports.importExcel = async (req, res, next) => {
       }
     }
 
-    // 14. Return import results
+    // 14. Record the inward in the movement log of each vehicle
+    await vehicleMovement.recordMovements(inwardedIds, 'INWARD', {
+      userId: req.user.id,
+      source: invoice
+        ? { kind: 'PurchaseInvoice', id: invoice._id, reference: invoice.invoiceNumber }
+        : { kind: 'Import', reference: req.file.originalname }
+    });
+
+    // 15. Propose the inwarded vehicles to the backorder queues
+    const allocationProposals = await backorderQueue.proposeForVehicles(inwardedIds, {
+      trigger: 'inward',
+      userId: req.user.id
+    });
+
+    // 16. Return import results
     res.status(200).json({
       status: 'success',
       message: 'Excel import completed',
@@ -1773,11 +2220,15 @@ exports.importExcel = async (req, res, next) => {
         updated: updatedCount,
         skipped: skippedCount,
         totalProcessed: dataRows.length,
+        purchaseInvoice: invoice ? await purchaseInvoice.syncStatus(invoice._id) : undefined,
+        vinFlags: vinFlags.length > 0 ? vinFlags : undefined,
+        allocationProposals: allocationProposals.length > 0 ? allocationProposals : undefined,
         errors: errors.length > 0 ? errors : undefined
       }
     });
 
   } catch (err) {
+    if (err instanceof AppError) return next(err);
     logger.error(`Error importing Excel: ${err.message}`);
     logger.error(err.stack);
     next(new AppError('Error processing Excel file. Please ensure the file is a valid Excel format.', 500));
@@ -1883,6 +2334,16 @@ exports.updateVehicle = async (req, res, next) => {
       updatePayload.engineNumber = engineNumber?.toUpperCase();
     }
     if (hasDamage !== undefined) {
+      // Damage with a claim is cleared by marking its repair done on the claim
+      if (hasDamage === false) {
+        const pending = await damageClaim.pendingRepairs(existingVehicle._id);
+        if (pending.length > 0) {
+          return next(new AppError(
+            `Mark the repair done on claim ${pending.map(c => c.claimNumber).join(', ')} to clear the damage`,
+            400
+          ));
+        }
+      }
       updatePayload.hasDamage = hasDamage;
       if (hasDamage === false && existingVehicle.damages.length === 0) {
         updatePayload.status = 'in_stock';
@@ -1896,6 +2357,12 @@ exports.updateVehicle = async (req, res, next) => {
       { new: true, runValidators: true }
     ).populate(populateOptions);
 
+    await vehicleMovement.recordChange(
+      { status: existingVehicle.status, branch: existingVehicle.unloadLocation },
+      updatedVehicle,
+      { userId: req.user.id }
+    );
+
     // Transform the response
     const vehicleObj = updatedVehicle.toObject();
     
@@ -1960,11 +2427,15 @@ exports.getChassisNumbersByModelAndColor = async (req, res, next) => {
       return next(new AppError('No color found with that ID', 404));
     }
  
-    // Fetch vehicles with matching model, color, and in_stock status
+    // Fetch vehicles with matching model, color, and in_stock status,
+    // leaving out demo vehicles and vehicles other users currently hold for
+    // their bookings
     const vehicles = await Vehicle.find({
       model: modelId,
       colors: colorId,
-      status: 'in_stock'
+      status: 'in_stock',
+      isDemo: { $ne: true },
+      ...vehicleReservation.availableToUserFilter(req.user?.id)
     })
       .select('chassisNumber model colors status')
       .sort({ chassisNumber: 1 })
@@ -2014,6 +2485,7 @@ exports.deleteVehicle = async (req, res, next) => {
     }
 
     await Vehicle.findByIdAndDelete(vehicleId);
+    await purchaseInvoice.releaseVehicle(vehicle);
 
     res.status(204).json({
       status: 'success',
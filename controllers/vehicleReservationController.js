@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/vehicleInwardModel');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const vehicleReservation = require('../services/vehicleReservation');
+const { sendError, loadBooking } = require('../utils/bookingHelpers');
+
+// Active vehicle hold of a booking
+exports.getReservation = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const vehicle = await vehicleReservation.getBookingReservation(booking._id);
+
+    res.status(200).json({
+      success: true,
+      data: vehicle
+        ? {
+          vehicleId: vehicle._id,
+          chassisNumber: vehicle.chassisNumber,
+          modelName: vehicle.modelName,
+          color: vehicle.color?.name,
+          ...vehicle.reservation.toObject()
+        }
+        : null
+    });
+  } catch (err) {
+    console.error('Error fetching vehicle reservation:', err);
+    sendError(res, err, 'Error fetching vehicle reservation');
+  }
+};
+
+// Soft-hold a specific vehicle (by vehicleId or chassisNumber) for the booking
+exports.reserveVehicle = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const { vehicleId, chassisNumber, hours, note } = req.body;
+    let vehicle = null;
+    if (vehicleId) {
+      if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return res.status(400).json({ success: false, message: 'Invalid vehicle ID format' });
+      }
+      vehicle = await Vehicle.findById(vehicleId);
+    } else if (chassisNumber) {
+      vehicle = await Vehicle.findOne({ chassisNumber: String(chassisNumber).toUpperCase() });
+    } else {
+      return res.status(400).json({ success: false, message: 'vehicleId or chassisNumber is required' });
+    }
+
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Vehicle not found' });
+    }
+
+    const reserved = await vehicleReservation.reserveVehicle(booking, vehicle, {
+      hours,
+      note,
+      userId: req.user.id
+    });
+
+    await AuditLog.create({
+      action: 'RESERVE',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        vehicle: reserved._id,
+        chassisNumber: reserved.chassisNumber,
+        expiresAt: reserved.reservation.expiresAt
+      },
+      status: 'SUCCESS'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        vehicleId: reserved._id,
+        chassisNumber: reserved.chassisNumber,
+        ...reserved.reservation.toObject()
+      },
+      message: `Vehicle ${reserved.chassisNumber} reserved until ${reserved.reservation.expiresAt.toISOString()}`
+    });
+  } catch (err) {
+    console.error('Error reserving vehicle:', err);
+    sendError(res, err, 'Error reserving vehicle');
+  }
+};
+
+// Only the user who placed the hold or a booking approver can release it early
+exports.releaseReservation = async (req, res) => {
+  try {
+    const booking = await loadBooking(req, res);
+    if (!booking) return;
+
+    const vehicle = await vehicleReservation.getBookingReservation(booking._id);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: 'Booking has no active vehicle reservation' });
+    }
+
+    if (String(vehicle.reservation.reservedBy) !== String(req.user.id)) {
+      const user = await User.findById(req.user.id);
+      if (!(await user.hasPermission('BOOKING.BOOKING_ACTIONS'))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the user who reserved the vehicle can release it'
+        });
+      }
+    }
+
+    await vehicleReservation.releaseBookingReservations(booking._id, { userId: req.user.id });
+
+    await AuditLog.create({
+      action: 'RELEASE_RESERVATION',
+      entity: 'Booking',
+      entityId: booking._id,
+      user: req.user.id,
+      ip: req.ip,
+      metadata: {
+        vehicle: vehicle._id,
+        chassisNumber: vehicle.chassisNumber,
+        reason: req.body?.reason
+      },
+      status: 'SUCCESS'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reservation of vehicle ${vehicle.chassisNumber} released`
+    });
+  } catch (err) {
+    console.error('Error releasing vehicle reservation:', err);
+    sendError(res, err, 'Error releasing vehicle reservation');
+  }
+};
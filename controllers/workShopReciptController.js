@@ -3,6 +3,7 @@ const Branch = require('../models/Branch');
 const fs = require('fs');
 const path = require('path');
 const mongoose = require('mongoose');
+const approvalEngine = require('../services/approvalEngine');
 
 /**
  * Create Workshop Receipt Voucher
@@ -65,13 +66,16 @@ exports.createWorkShopReceiptVoucher = async (req, res) => {
       await fs.promises.writeFile(filePath, req.file.buffer);
     }
 
+    // A voucher covered by an approval chain starts pending and goes through it
+    const approvalChain = await approvalEngine.findChain('WORKSHOP_RECEIPT', { amount: parseFloat(amount), branch });
+
     const voucher = new WorkShopReceiptVoucher({
       voucherType,
       recipientName: recipientName.trim(),
       receiptType: receiptType.trim(),
       amount: parseFloat(amount),
       remark: remark?.trim() || '',
-      status: status || 'pending',
+      status: approvalChain ? 'pending' : (status || 'pending'),
       bankName: bankName?.trim() || '',
       bankLocation: bankLocation?.trim() || '',
       branch,
@@ -81,10 +85,14 @@ exports.createWorkShopReceiptVoucher = async (req, res) => {
 
     const savedVoucher = await voucher.save();
     const populatedVoucher = await savedVoucher.populate('branch');
+    const approvalRequest = approvalChain
+      ? await approvalEngine.submit('WORKSHOP_RECEIPT', savedVoucher._id, { userId: req.user.id })
+      : null;
 
     res.status(201).json({
       success: true,
       data: populatedVoucher,
+      approvalRequest,
       message: 'Workshop receipt voucher created successfully'
     });
 
@@ -188,6 +196,17 @@ exports.getWorkShopReceiptVoucherById = async (req, res) => {
 exports.updateWorkShopReceiptVoucher = async (req, res) => {
   try {
     const { id } = req.params;
+    // Vouchers under an approval chain are decided from the approvals inbox
+    if (req.body.status && mongoose.Types.ObjectId.isValid(id)) {
+      const openRequest = await approvalEngine.openRequestFor('WORKSHOP_RECEIPT', id);
+      if (openRequest) {
+        return res.status(409).json({
+          success: false,
+          message: `Voucher is awaiting approval through the "${openRequest.chainName}" chain`
+        });
+      }
+    }
+
     const updates = {};
 
     // Validate and set status
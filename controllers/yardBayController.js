@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const YardBay = require('../models/YardBay');
+const Vehicle = require('../models/vehicleInwardModel');
+const Branch = require('../models/Branch');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const yardLocation = require('../services/yardLocation');
+const { findScannedVehicle } = require('../services/vehicleScan');
+
+const MAX_BAYS_PER_REQUEST = 500;
+
+const forward = (next, err, message) => {
+  if (err instanceof AppError) return next(err);
+  if (err.name === 'ValidationError') return next(new AppError(err.message, 400));
+  if (err.code === 11000) return next(new AppError('A bay with that code already exists at the branch', 409));
+  logger.error(`${message}: ${err.message}`);
+  next(new AppError(message, 500));
+};
+
+/**
+ * Branch whose yard the user manages. Super admins may name any branch,
+ * everyone else is tied to their own branch.
+ */
+const resolveBranch = async (req, requestedBranch) => {
+  const user = await User.findById(req.user.id);
+  if (await user.isSuperAdmin()) {
+    if (!requestedBranch) return null;
+    if (!mongoose.Types.ObjectId.isValid(requestedBranch)) {
+      throw new AppError('Invalid branch ID', 400);
+    }
+    return new mongoose.Types.ObjectId(requestedBranch);
+  }
+
+  if (!user.branch) {
+    throw new AppError('User is not assigned to any branch', 400);
+  }
+  return user.branch;
+};
+
+// The yard views work on one branch at a time
+const requireBranch = async (req, requestedBranch) => {
+  const branch = await resolveBranch(req, requestedBranch);
+  if (!branch) {
+    throw new AppError('branchId is required', 400);
+  }
+  return branch;
+};
+
+const loadBay = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new AppError('Invalid yard bay ID format', 400);
+  }
+  const bay = await YardBay.findById(req.params.id);
+  if (!bay) {
+    throw new AppError('No yard bay found with that ID', 404);
+  }
+  const ownBranch = await resolveBranch(req);
+  if (ownBranch && !ownBranch.equals(bay.branch)) {
+    throw new AppError('You can only manage yard bays of your own branch', 403);
+  }
+  return bay;
+};
+
+exports.getBays = async (req, res, next) => {
+  try {
+    const branch = await requireBranch(req, req.query.branchId);
+    const query = { branch };
+    if (req.query.zone) query.zone = req.query.zone.toUpperCase();
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const bays = await YardBay.find(query).sort({ zone: 1, code: 1 });
+    const occupants = await yardLocation.countOccupants(bays.map(b => b._id));
+
+    res.status(200).json({
+      status: 'success',
+      results: bays.length,
+      data: {
+        bays: bays.map(bay => ({
+          ...bay.toObject(),
+          occupied: occupants.get(bay._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching yard bays');
+  }
+};
+
+// Create several bays of a branch at once, e.g. a whole zone
+exports.createBays = async (req, res, next) => {
+  try {
+    const { branch: branchId, bays } = req.body;
+    if (!Array.isArray(bays) || bays.length === 0) {
+      return next(new AppError('Provide a non-empty bays array', 400));
+    }
+    if (bays.length > MAX_BAYS_PER_REQUEST) {
+      return next(new AppError(`At most ${MAX_BAYS_PER_REQUEST} bays can be created at once`, 400));
+    }
+
+    const branch = await requireBranch(req, branchId);
+    if (!(await Branch.exists({ _id: branch }))) {
+      return next(new AppError('Branch not found', 404));
+    }
+
+    const codes = bays.map(bay => String(bay.code || '').trim().toUpperCase());
+    if (new Set(codes).size !== codes.length) {
+      return next(new AppError('Bay codes must be unique', 400));
+    }
+    const existing = await YardBay.find({ branch, code: { $in: codes } }).select('code');
+    if (existing.length > 0) {
+      return next(new AppError(`Bays already exist at the branch: ${existing.map(b => b.code).join(', ')}`, 409));
+    }
+
+    const created = await YardBay.insertMany(bays.map(({ zone, code, capacity, notes }) => ({
+      branch,
+      zone,
+      code,
+      capacity,
+      notes,
+      createdBy: req.user.id
+    })));
+
+    res.status(201).json({
+      status: 'success',
+      results: created.length,
+      data: { bays: created }
+    });
+  } catch (err) {
+    forward(next, err, 'Error creating yard bays');
+  }
+};
+
+exports.updateBay = async (req, res, next) => {
+  try {
+    const bay = await loadBay(req);
+    const { zone, capacity, isActive, notes } = req.body;
+
+    if (isActive === false && bay.isActive) {
+      const occupants = await yardLocation.countOccupants([bay._id]);
+      if (occupants.get(bay._id.toString())) {
+        return next(new AppError(`Move the vehicles out of bay ${bay.code} before taking it out of use`, 409));
+      }
+    }
+
+    if (zone !== undefined) bay.zone = zone;
+    if (capacity !== undefined) bay.capacity = capacity;
+    if (isActive !== undefined) bay.isActive = isActive;
+    if (notes !== undefined) bay.notes = notes;
+    bay.lastUpdatedBy = req.user.id;
+    await bay.save();
+
+    // Parked vehicles carry a copy of the zone
+    if (zone !== undefined) {
+      await Vehicle.updateMany({ 'yardLocation.bay': bay._id }, { $set: { 'yardLocation.zone': bay.zone } });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { bay }
+    });
+  } catch (err) {
+    forward(next, err, 'Error updating yard bay');
+  }
+};
+
+exports.deleteBay = async (req, res, next) => {
+  try {
+    const bay = await loadBay(req);
+    const occupants = await yardLocation.countOccupants([bay._id]);
+    if (occupants.get(bay._id.toString())) {
+      return next(new AppError(`Bay ${bay.code} still has vehicles parked in it`, 409));
+    }
+
+    await bay.deleteOne();
+    res.status(204).json({ status: 'success', data: null });
+  } catch (err) {
+    forward(next, err, 'Error deleting yard bay');
+  }
+};
+
+// Zones and bays of a branch with the vehicles parked in them
+exports.getOccupancy = async (req, res, next) => {
+  try {
+    const branch = await requireBranch(req, req.query.branchId);
+    const occupancy = await yardLocation.occupancy(branch, {
+      zone: req.query.zone,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: { branch, ...occupancy }
+    });
+  } catch (err) {
+    forward(next, err, 'Error fetching yard occupancy');
+  }
+};
+
+// Yard staff scan the vehicle QR (or key in the chassis) and the bay label
+exports.assignBay = async (req, res, next) => {
+  try {
+    const { qrCode, chassisNumber, bay: bayRef, note } = req.body;
+    const { vehicle, code, method } = await findScannedVehicle({ qrCode, chassisNumber });
+    if (!vehicle) {
+      return next(new AppError(`No vehicle found for ${code}`, 404));
+    }
+
+    const ownBranch = await resolveBranch(req);
+    if (ownBranch && !ownBranch.equals(vehicle.unloadLocation)) {
+      return next(new AppError('You can only park vehicles of your own branch', 403));
+    }
+
+    const bay = await yardLocation.resolveBay(vehicle.unloadLocation, bayRef);
+    const updated = await yardLocation.assignBay(vehicle, bay, {
+      userId: req.user.id,
+      method: method === 'QR' ? 'scan' : 'manual',
+      note
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        vehicle: {
+          _id: updated._id,
+          chassisNumber: updated.chassisNumber,
+          status: updated.status,
+          yardLocation: updated.yardLocation
+        },
+        message: `Vehicle ${updated.chassisNumber} parked in bay ${bay.code}`
+      }
+    });
+  } catch (err) {
+    forward(next, err, 'Error assigning yard bay');
+  }
+};
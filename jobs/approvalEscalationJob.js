@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { escalateOverdue } = require('../services/approvalEngine');
+
+const CHECK_INTERVAL_MINUTES = 15;
+
+const runApprovalEscalation = async () => {
+  try {
+    const escalated = await escalateOverdue();
+    if (escalated > 0) {
+      logger.info(`[Approvals] Escalated ${escalated} overdue approval request(s)`);
+    }
+  } catch (err) {
+    logger.error(`[Approvals] Error escalating overdue approvals: ${err.message}`);
+  }
+};
+
+cron.schedule(`*/${CHECK_INTERVAL_MINUTES} * * * *`, runApprovalEscalation);
+
+module.exports = { runApprovalEscalation };
@@ -0,0 +1,21 @@
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { resetDuePeriods } = require('../services/deviationBudget');
+
+// Just after midnight, so the first deviation of a period finds the budget reset
+const SCHEDULE = '5 0 * * *';
+
+const runDeviationReset = async () => {
+  try {
+    const reset = await resetDuePeriods();
+    if (reset > 0) {
+      logger.info(`[Deviation] Reset the deviation budget of ${reset} manager(s)`);
+    }
+  } catch (err) {
+    logger.error(`[Deviation] Error resetting deviation budgets: ${err.message}`);
+  }
+};
+
+cron.schedule(SCHEDULE, runDeviationReset);
+
+module.exports = { runDeviationReset };
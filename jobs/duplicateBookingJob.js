@@ -0,0 +1,19 @@
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { generateReport } = require('../services/duplicateBooking');
+
+// Every night, ready for the morning review
+const SCHEDULE = '30 1 * * *';
+
+const runDuplicateBookingReport = async () => {
+  try {
+    const report = await generateReport();
+    logger.info(`[Duplicate Bookings] ${report.totals.groups} suspected duplicate group(s), ${report.totals.high} high severity`);
+  } catch (err) {
+    logger.error(`[Duplicate Bookings] Error generating duplicate booking report: ${err.message}`);
+  }
+};
+
+cron.schedule(SCHEDULE, runDuplicateBookingReport);
+
+module.exports = { runDuplicateBookingReport };
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { generateSuggestions } = require('../services/stockReorder');
+
+// Every morning before the branches open
+const SCHEDULE = '0 6 * * *';
+
+const runStockReorder = async () => {
+  try {
+    const suggestions = await generateSuggestions();
+    const belowMinimum = suggestions.reduce((sum, s) => sum + s.totals.belowMinimum, 0);
+    logger.info(`[Stock Reorder] Suggestions generated for ${suggestions.length} branch(es), ${belowMinimum} below minimum`);
+  } catch (err) {
+    logger.error(`[Stock Reorder] Error generating reorder suggestions: ${err.message}`);
+  }
+};
+
+cron.schedule(SCHEDULE, runStockReorder);
+
+module.exports = { runStockReorder };
@@ -0,0 +1,20 @@
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const { expireReservations } = require('../services/vehicleReservation');
+
+const CHECK_INTERVAL_MINUTES = 5;
+
+const runReservationExpiry = async () => {
+  try {
+    const released = await expireReservations();
+    if (released > 0) {
+      logger.info(`[Vehicle Reservation] Released ${released} expired reservation(s)`);
+    }
+  } catch (err) {
+    logger.error(`[Vehicle Reservation] Error expiring reservations: ${err.message}`);
+  }
+};
+
+cron.schedule(`*/${CHECK_INTERVAL_MINUTES} * * * *`, runReservationExpiry);
+
+module.exports = { runReservationExpiry };
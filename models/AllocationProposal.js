@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// A newly inwarded or received vehicle offered to the head of the backorder
+// queue of its branch, model and color (see services/backorderQueue). The
+// booking's sales executive accepts it, which allocates the chassis, or
+// dismisses it so the vehicle moves on to the next booking in the queue.
+const allocationProposalSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  bookingNumber: String,
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  chassisNumber: {
+    type: String,
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  color: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Color',
+    required: true
+  },
+  // What made the vehicle available
+  trigger: {
+    type: String,
+    enum: ['inward', 'approval', 'transfer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'dismissed', 'superseded'],
+    default: 'proposed'
+  },
+  // Position of the booking in its queue when the proposal was made
+  queuePosition: Number,
+  // Sales executive of the booking; sees the proposal in their inbox
+  salesExecutive: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When the sales executive was sent a WhatsApp message about the proposal
+  notifiedAt: Date,
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  // Dismissal reason, or why the proposal was superseded
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true,
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A vehicle or booking has at most one open proposal
+allocationProposalSchema.index(
+  { vehicle: 1 },
+  { unique: true, partialFilterExpression: { status: 'proposed' } }
+);
+allocationProposalSchema.index(
+  { booking: 1 },
+  { unique: true, partialFilterExpression: { status: 'proposed' } }
+);
+allocationProposalSchema.index({ branch: 1, status: 1, createdAt: -1 });
+allocationProposalSchema.index({ salesExecutive: 1, status: 1 });
+
+allocationProposalSchema.virtual('bookingDetails', {
+  ref: 'Booking',
+  localField: 'booking',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'bookingNumber customerDetails.name customerDetails.mobile1 status receivedAmount createdAt' }
+});
+
+allocationProposalSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+allocationProposalSchema.virtual('salesExecutiveDetails', {
+  ref: 'User',
+  localField: 'salesExecutive',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email mobile' }
+});
+
+allocationProposalSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('AllocationProposal', allocationProposalSchema);
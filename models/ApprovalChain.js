@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// One approver in a chain. BRANCH scope limits the step to users of the
+// document's branch (e.g. its branch manager); ANY lets every user with the
+// role act.
+const approvalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Approver role is required'],
+    uppercase: true,
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: ['BRANCH', 'ANY'],
+    default: 'ANY'
+  },
+  // Hours the approver has before the step escalates
+  slaHours: {
+    type: Number,
+    min: [1, 'SLA must be at least one hour'],
+    default: 24
+  },
+  // Role that can act once the SLA is breached; defaults to the next step's role
+  escalateToRole: {
+    type: String,
+    uppercase: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Approvers a document type needs above an amount (see services/approvalEngine).
+// Of the active chains covering a document the one with the highest threshold
+// wins, and a branch-specific chain over one for every branch.
+const approvalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Chain name is required'],
+    trim: true
+  },
+  documentType: {
+    type: String,
+    enum: [
+      'BOOKING', 'BOOKING_DISCOUNT', 'BOOKING_UPDATE_REQUEST', 'LEDGER_ENTRY',
+      'BROKER_TRANSACTION', 'CASH_VOUCHER', 'CONTRA_VOUCHER', 'WORKSHOP_RECEIPT', 'VEHICLE_INWARD'
+    ],
+    required: [true, 'Document type is required']
+  },
+  // The chain applies to documents whose amount exceeds this; empty for every amount
+  amountAbove: {
+    type: Number,
+    min: [0, 'Amount threshold cannot be negative']
+  },
+  // Empty for every branch
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  steps: {
+    type: [approvalStepSchema],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'A chain needs at least one approval step'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+approvalChainSchema.index({ documentType: 1, isActive: 1, amountAbove: -1 });
+
+approvalChainSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branches',
+  foreignField: '_id',
+  options: { select: 'name' }
+});
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
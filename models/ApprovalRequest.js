@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// A step of the chain as it stood when the request was raised, with its outcome
+const requestStepSchema = new mongoose.Schema({
+  name: String,
+  role: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['BRANCH', 'ANY'],
+    default: 'ANY'
+  },
+  slaHours: Number,
+  escalateToRole: String,
+  status: {
+    type: String,
+    enum: ['WAITING', 'PENDING', 'APPROVED', 'REJECTED'],
+    default: 'WAITING'
+  },
+  startedAt: Date,
+  dueAt: Date,
+  escalatedAt: Date,
+  escalatedTo: String,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  comment: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const trailEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['SUBMITTED', 'APPROVED', 'REJECTED', 'ESCALATED', 'COMPLETED', 'CANCELLED'],
+    required: true
+  },
+  step: Number,
+  role: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  comment: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A document going through an approval chain (see services/approvalEngine).
+// The chain's steps are copied so later edits to the chain do not change
+// requests already under way; trail records every action on the request.
+const approvalRequestSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    immutable: true
+  },
+  // Voucher, booking or chassis number shown in the inbox
+  documentNumber: String,
+  summary: String,
+  amount: {
+    type: Number,
+    default: 0
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  chain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalChain'
+  },
+  chainName: String,
+  steps: [requestStepSchema],
+  currentStep: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'],
+    default: 'PENDING'
+  },
+  trail: [trailEntrySchema],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+approvalRequestSchema.index({ documentType: 1, document: 1, createdAt: -1 });
+approvalRequestSchema.index({ status: 1, 'steps.role': 1 });
+// At most one open request per document
+approvalRequestSchema.index(
+  { documentType: 1, document: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING' } }
+);
+
+approvalRequestSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+approvalRequestSchema.virtual('requestedByDetails', {
+  ref: 'User',
+  localField: 'requestedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
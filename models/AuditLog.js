@@ -12,20 +12,14 @@ const AuditLogSchema = new mongoose.Schema({
       'UPDATE_BROKER', 'REMOVE_BROKER',
       'ADD_BRANCH', 'UPDATE_BRANCH', 'REMOVE_BRANCH','ASSIGN_PERMISSIONS',"UPDATE_STATUS",'CREATE_USER','DELETE_BROKER','SUBMIT_KYC','SUBMIT_FINANCE_LETTER','VERIFY_KYC','UNAUTHORIZED_ACCESS_ATTEMPT','KYC_SUBMISSION_FAILED','KYC_SUBMITTED','KYC_VERIFICATION_FAILED','KYC_VERIFIED'
       ,'FINANCE_LETTER_SUBMISSION_FAILED','FINANCE_LETTER_SUBMITTED','FINANCE_LETTER_VERIFICATION_FAILED','FINANCE_LETTER_VERIFIED','FINANCE_LETTER_RESUBMITTED','KYC_RESUBMITTED','APPROVE','UNFREEZE_USER','EXTEND_DEADLINE','VIEW_UPDATE_FORM','ASSIGNED','PENDING','ALLOCATE','ALLOCATE_CHASSIS','ADD_PAYMENT','ADD_BRANCHES','CHASSIS_NUMBER_OPERATION_FAILED','CHANGE_CHASSIS_AFTER_ALLOCATION','ALLOCATE_CHASSIS_FAILED','UPLOAD_DEAL_FORM','UPLOAD_DELIVERY_CHALLAN','DOWNLOAD_DEAL_FORM','DOWNLOAD_DELIVERY_CHALLAN','UPDATE_DISBURSEMENT_AMOUNT','UPDATE_DEVIATION_AMOUNTS','CREATE_FINANCE_DISBURSEMENT'
+      ,'CANCEL','REJECT','COMPLETE','CONFIRM','SUBMIT_UPDATE_REQUEST','APPROVE_UPDATE_REQUEST','REJECT_UPDATE_REQUEST','DELIVER','RESERVE','RELEASE_RESERVATION','CHECK_OUT','CHECK_IN'
     ]
   },
+  // Free-form model name ('User', 'Booking', 'KYC', ...); matched by the booking timeline
   entity: {
     type: String,
     required: true,
-    entity: {
-    type: String,
-    required: true,
-    enum: [
-      'User', 'Role', 'Permission', 'IP', 
-      'Auth', 'System', 'RTO', 'Broker',
-      'Branch', 'Employee'
-    ]
-  },
+    trim: true
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
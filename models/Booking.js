@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
 const { computeBookingFinancials } = require('../utils/bookingFinancials');
+const { isValidVin } = require('../services/vinDecoder');
 const CounterSchema = new mongoose.Schema({
   _id: { type: String, required: true },
   seq: { type: Number, default: 0 }
@@ -200,6 +201,55 @@ const discountSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// Outcome of the discount policy for the discount entered on the booking
+// (see services/discountPolicy)
+const discountPolicyResultSchema = new mongoose.Schema({
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountPolicy'
+  },
+  policyName: String,
+  // POLICY when a rule matched, USER_LIMIT when the user's own discount limit applied
+  source: {
+    type: String,
+    enum: ['POLICY', 'USER_LIMIT']
+  },
+  requestedDiscount: Number,
+  autoApproveLimit: Number,
+  autoApproved: Boolean,
+  // Role that has to approve the discount beyond the auto-approved limit
+  approverRole: String,
+  // Set when an approval chain approved the discount (see services/approvalEngine)
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  evaluatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Active booking found by the duplicate check when this booking was created
+// (see services/duplicateBooking)
+const suspectedDuplicateSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingNumber: String,
+  matchedOn: [{
+    type: String,
+    enum: ['MOBILE', 'PAN', 'AADHAR', 'EXCHANGE_CHASSIS']
+  }],
+  severity: {
+    type: String,
+    enum: ['HIGH', 'LOW']
+  }
+}, { _id: false });
+
 const claimDetailsSchema = new mongoose.Schema({
   hasClaim: {
     type: Boolean,
@@ -230,6 +280,35 @@ const claimDetailsSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One entry per lifecycle transition, written by services/bookingStateMachine
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   bookingNumber: {
     type: String,
@@ -260,9 +339,14 @@ const bookingSchema = new mongoose.Schema({
     validate: {
       validator: function(v) {
         if (!v) return true;
-        return /^[A-Z0-9]{17}$/.test(v);
+        // Chassis allocated before VIN validation may contain I, O or Q; only
+        // check a newly allocated number so those bookings can still be saved
+        if (typeof this.isModified === 'function' && !this.isNew && !this.isModified('chassisNumber')) {
+          return true;
+        }
+        return isValidVin(v);
       },
-      message: 'Chassis number must be 17 alphanumeric characters',
+      message: 'Chassis number must be a 17 character VIN without the letters I, O or Q',
     },
   },
   chassisNumberHistory: [{
@@ -509,6 +593,8 @@ brokerLedgerEntries: [{
   accessories: [accessorySchema],
   priceComponents: [priceComponentSchema],
   discounts: [discountSchema],
+  discountPolicy: discountPolicyResultSchema,
+  suspectedDuplicates: [suspectedDuplicateSchema],
   accessoriesTotal: {
     type: Number,
     min: 0,
@@ -556,6 +642,15 @@ brokerLedgerEntries: [{
     enum: ['PENDING_APPROVAL', 'ALLOCATED', 'APPROVED', 'REJECTED', 'COMPLETED', 'CANCELLED', 'KYC_PENDING', 'KYC_VERIFIED', 'PENDING_APPROVAL (Discount_Exceeded)'],
     default: 'PENDING_APPROVAL'
   },
+  statusHistory: [statusHistorySchema],
+  cancellation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingCancellation'
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
   insuranceStatus: {
     type: String,
     enum: ['AWAITING', 'COMPLETED', 'LATER'],
@@ -643,7 +738,7 @@ brokerLedgerEntries: [{
   },
   updateRequestStatus: {
     type: String,
-    enum: ['NONE', 'PENDING', 'APPROVED', 'REJECTED'],
+    enum: ['NONE', 'PENDING', 'APPROVED', 'PARTIALLY_APPROVED', 'REJECTED'],
     default: 'NONE'
   },
   updateRequestedBy: {
@@ -951,6 +1046,9 @@ bookingSchema.index({ createdBy: 1 });
 bookingSchema.index({ salesExecutive: 1 });
 bookingSchema.index({ subdealerUser: 1 });
 bookingSchema.index({ 'customerDetails.mobile1': 1 });
+bookingSchema.index({ 'customerDetails.panNo': 1 });
+bookingSchema.index({ 'customerDetails.aadharNumber': 1 });
+bookingSchema.index({ 'exchangeDetails.chassisNumber': 1 });
 bookingSchema.index({ createdAt: 1 });
 bookingSchema.index({ updatedAt: 1 });
 
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const refundSchema = new mongoose.Schema({
+  voucherNumber: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  mode: {
+    type: String,
+    enum: ['Cash', 'Bank', 'None'],
+    default: 'None'
+  },
+  cashLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashLocation',
+    required: function() {
+      return this.mode === 'Cash' && this.amount > 0;
+    }
+  },
+  bank: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bank',
+    required: function() {
+      return this.mode === 'Bank' && this.amount > 0;
+    }
+  },
+  transactionReference: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['NOT_APPLICABLE', 'PENDING', 'PAID'],
+    default: 'NOT_APPLICABLE'
+  },
+  cashVoucher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashVoucher'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const brokerReversalSchema = new mongoose.Schema({
+  ledger: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BrokerLedger'
+  },
+  originalTransaction: mongoose.Schema.Types.ObjectId,
+  reversalTransaction: mongoose.Schema.Types.ObjectId,
+  modeOfPayment: String,
+  amount: Number
+}, { _id: false });
+
+const bookingCancellationSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Cancellation reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  statusAtRequest: {
+    type: String
+  },
+  amountReceived: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cancellationCharges: {
+    type: Number,
+    min: [0, 'Cancellation charges cannot be negative'],
+    default: 0
+  },
+  refund: {
+    type: refundSchema,
+    default: () => ({})
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  approvalLimit: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['PENDING_APPROVAL', 'APPROVED', 'REJECTED'],
+    default: 'PENDING_APPROVAL'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  approvalNote: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // What executing the cancellation changed, so it can be audited
+  reversals: {
+    ledgerEntries: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ledger'
+    }],
+    brokerTransactions: [brokerReversalSchema],
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    chassisNumber: String
+  },
+  executedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bookingCancellationSchema.virtual('bookingDetails', {
+  ref: 'Booking',
+  localField: 'booking',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'bookingNumber customerDetails.name status' }
+});
+
+bookingCancellationSchema.virtual('requestedByDetails', {
+  ref: 'User',
+  localField: 'requestedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+bookingCancellationSchema.virtual('approvedByDetails', {
+  ref: 'User',
+  localField: 'approvedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+// Generate refund voucher number (RV-YYYY-0001) when a refund is due
+bookingCancellationSchema.pre('save', async function(next) {
+  try {
+    if (this.refund.amount > 0 && !this.refund.voucherNumber) {
+      const year = new Date().getFullYear();
+      const last = await this.constructor
+        .findOne({ 'refund.voucherNumber': new RegExp(`^RV-${year}-\\d{4}$`) })
+        .sort({ createdAt: -1 })
+        .select('refund.voucherNumber');
+
+      let nextNumber = 1;
+      if (last) {
+        const lastNumber = parseInt(last.refund.voucherNumber.split('-')[2], 10);
+        if (!isNaN(lastNumber)) nextNumber = lastNumber + 1;
+      }
+      this.refund.voucherNumber = `RV-${year}-${String(nextNumber).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+bookingCancellationSchema.index({ booking: 1 });
+bookingCancellationSchema.index({ status: 1 });
+bookingCancellationSchema.index({ branch: 1, status: 1 });
+bookingCancellationSchema.index({ 'refund.status': 1 });
+
+bookingCancellationSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('BookingCancellation', bookingCancellationSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// One field of a booking change request with the approver's decision on it.
+// field is the dotted path of the value on the booking, e.g.
+// customerDetails.mobile1, accessories.<accessoryId> or priceComponents.<headerId>.
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    enum: ['customerDetails', 'model', 'color', 'accessories', 'priceComponents', 'payment'],
+    required: true
+  },
+  label: String,
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+  // Readable values of references (model, color, accessory, header, financer names)
+  fromText: String,
+  toText: String,
+  // Changes the booking's price totals when accepted
+  financial: {
+    type: Boolean,
+    default: false
+  },
+  decision: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A versioned request to change a booking (see services/bookingChangeRequest).
+// Versions count up per booking. before is the booking as it was when the
+// request was submitted and after the booking once the accepted fields were
+// applied, so every past version of the booking stays retrievable.
+const bookingChangeRequestSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    immutable: true
+  },
+  bookingNumber: String,
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // QR_FORM requests come from the customer through the booking QR code
+  source: {
+    type: String,
+    enum: ['QR_FORM', 'STAFF'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'PARTIALLY_APPROVED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  // Updates as submitted
+  requested: mongoose.Schema.Types.Mixed,
+  changes: [fieldChangeSchema],
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  totals: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+bookingChangeRequestSchema.index({ booking: 1, version: 1 }, { unique: true });
+bookingChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+bookingChangeRequestSchema.virtual('requestedByDetails', {
+  ref: 'User',
+  localField: 'requestedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+bookingChangeRequestSchema.virtual('reviewedByDetails', {
+  ref: 'User',
+  localField: 'reviewedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+module.exports = mongoose.model('BookingChangeRequest', bookingChangeRequestSchema);
@@ -115,6 +115,15 @@ const transactionSchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
     trim: true
+  },
+  // Booking cancellation reversals: the original DEBIT is flagged and a
+  // matching CREDIT references it
+  isReversed: {
+    type: Boolean,
+    default: false
+  },
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId
   }
 }, { timestamps: true });
 
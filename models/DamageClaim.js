@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// A damage found on a vehicle, claimed from the transporter or the OEM that is
+// responsible for it. The vehicle stays blocked from allocation until its
+// repair is marked done; the settlement received is posted to the ledger.
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const damageClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    unique: true
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required'],
+    immutable: true
+  },
+  chassisNumber: {
+    type: String,
+    required: true,
+    uppercase: true,
+    immutable: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required']
+  },
+  // Where the damage was found
+  source: {
+    type: String,
+    enum: ['inward', 'transfer', 'stock'],
+    default: 'stock',
+    immutable: true
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
+  description: {
+    type: String,
+    required: [true, 'Damage description is required'],
+    trim: true,
+    maxlength: [500, 'Damage description cannot exceed 500 characters']
+  },
+  images: [String],
+  responsibleParty: {
+    type: String,
+    enum: ['transporter', 'oem']
+  },
+  partyName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  // Claim number issued by the transporter or OEM
+  partyClaimNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  estimatedRepairCost: {
+    type: Number,
+    min: [0, 'Estimated repair cost cannot be negative']
+  },
+  actualRepairCost: {
+    type: Number,
+    min: [0, 'Actual repair cost cannot be negative']
+  },
+  approvedAmount: {
+    type: Number,
+    min: [0, 'Approved amount cannot be negative']
+  },
+  settlementAmount: {
+    type: Number,
+    min: [0, 'Settlement amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['reported', 'submitted', 'approved', 'settled', 'rejected'],
+    default: 'reported'
+  },
+  statusHistory: [statusHistorySchema],
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  settledAt: Date,
+  // Ledger entry the settlement was posted as
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  },
+  repairStatus: {
+    type: String,
+    enum: ['pending', 'done'],
+    default: 'pending'
+  },
+  repairedAt: Date,
+  repairedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  repairNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Repair notes cannot exceed 500 characters']
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  optimisticConcurrency: true
+});
+
+damageClaimSchema.plugin(mongoosePaginate);
+
+damageClaimSchema.index({ vehicle: 1, repairStatus: 1 });
+damageClaimSchema.index({ branch: 1, status: 1 });
+damageClaimSchema.index({ responsibleParty: 1, status: 1 });
+damageClaimSchema.index({ chassisNumber: 1 });
+damageClaimSchema.index({ createdAt: -1 });
+
+damageClaimSchema.pre('save', async function(next) {
+  if (this.claimNumber) return next();
+
+  try {
+    const year = new Date().getFullYear();
+    // Compiled by models/Booking, which also defines the Counter model
+    const Counter = mongoose.model('Counter');
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `damageClaim_${year}` },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.claimNumber = `DC-${year}-${String(counter.seq).padStart(4, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+damageClaimSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name address city' }
+});
+
+damageClaimSchema.virtual('reportedByDetails', {
+  ref: 'User',
+  localField: 'reportedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+damageClaimSchema.virtual('vehicleDetails', {
+  ref: 'Vehicle',
+  localField: 'vehicle',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'chassisNumber modelName color status unloadLocation' }
+});
+
+module.exports = mongoose.model('DamageClaim', damageClaimSchema);
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const fileSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  size: Number,
+  mimetype: String,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const handedAccessorySchema = new mongoose.Schema({
+  accessory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Accessory'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  handedOver: {
+    type: Boolean,
+    default: true
+  },
+  remarks: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const deliverySchema = new mongoose.Schema({
+  gatePassNumber: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  chassisNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  deliveryDate: {
+    type: Date,
+    default: Date.now
+  },
+  odometerReading: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative'],
+    default: 0
+  },
+  accessories: [handedAccessorySchema],
+  // Passed inspection the vehicle was handed over on
+  pdiInspection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PdiInspection'
+  },
+  receivedBy: {
+    type: String,
+    trim: true
+  },
+  customerSignature: fileSchema,
+  customerPhoto: fileSchema,
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  gatePass: {
+    path: String,
+    generatedAt: Date
+  },
+  deliveredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deliverySchema.virtual('bookingDetails', {
+  ref: 'Booking',
+  localField: 'booking',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'bookingNumber customerDetails status' }
+});
+
+deliverySchema.virtual('vehicleDetails', {
+  ref: 'Vehicle',
+  localField: 'vehicle',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'modelName chassisNumber color status' }
+});
+
+deliverySchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name address city' }
+});
+
+deliverySchema.virtual('deliveredByDetails', {
+  ref: 'User',
+  localField: 'deliveredBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+// Generate gate pass number (GP-YYYY-0001)
+deliverySchema.pre('save', async function(next) {
+  try {
+    if (!this.gatePassNumber) {
+      const year = new Date().getFullYear();
+      const last = await this.constructor
+        .findOne({ gatePassNumber: new RegExp(`^GP-${year}-\\d{4}$`) })
+        .sort({ createdAt: -1 })
+        .select('gatePassNumber');
+
+      let nextNumber = 1;
+      if (last) {
+        const lastNumber = parseInt(last.gatePassNumber.split('-')[2], 10);
+        if (!isNaN(lastNumber)) nextNumber = lastNumber + 1;
+      }
+      this.gatePassNumber = `GP-${year}-${String(nextNumber).padStart(4, '0')}`;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+deliverySchema.index({ booking: 1 }, { unique: true });
+deliverySchema.index({ vehicle: 1 });
+deliverySchema.index({ branch: 1, deliveryDate: -1 });
+
+deliverySchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('Delivery', deliverySchema);
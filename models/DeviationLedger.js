@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// One entry of the append-only deviation ledger of a manager (see
+// services/deviationBudget). CONSUMED is deviation given on a booking's down
+// payment, RESET closes a budget period and ALERT records the manager crossing
+// the utilisation threshold. usage and allotted are the manager's figures
+// right after the entry.
+const deviationLedgerSchema = new mongoose.Schema({
+  manager: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  type: {
+    type: String,
+    enum: ['CONSUMED', 'RESET', 'ALERT'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Deviation amount cannot be negative']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  disbursement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Disbursement'
+  },
+  // User whose action consumed the deviation or reset the budget
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usage: {
+    type: Number,
+    default: 0
+  },
+  allotted: {
+    type: Number,
+    default: 0
+  },
+  period: {
+    type: String,
+    enum: ['NONE', 'MONTHLY', 'QUARTERLY']
+  },
+  periodStart: Date,
+  note: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+deviationLedgerSchema.index({ manager: 1, at: -1 });
+deviationLedgerSchema.index({ branch: 1, at: -1 });
+deviationLedgerSchema.index({ booking: 1 });
+
+deviationLedgerSchema.virtual('managerDetails', {
+  ref: 'User',
+  localField: 'manager',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email mobile' }
+});
+
+deviationLedgerSchema.virtual('bookingDetails', {
+  ref: 'Booking',
+  localField: 'booking',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'bookingNumber customerDetails.name' }
+});
+
+module.exports = mongoose.model('DeviationLedger', deviationLedgerSchema);
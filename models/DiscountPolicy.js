@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Who may approve a discount up to maxAmount. The last level may leave
+// maxAmount empty to approve any discount.
+const approvalLevelSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, 'Approver role is required'],
+    uppercase: true,
+    trim: true
+  },
+  maxAmount: {
+    type: Number,
+    min: [0, 'Approval limit cannot be negative']
+  }
+}, { _id: false });
+
+// A discount rule (see services/discountPolicy). Empty scope lists match
+// every model, branch, customer type or role. Of the rules matching a
+// booking the highest priority wins, then the most specific one.
+const discountPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  models: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model'
+  }],
+  branches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }],
+  customerTypes: [{
+    type: String,
+    enum: ['B2B', 'B2C', 'CSD']
+  }],
+  // Role names of the user giving the discount, e.g. SALES_EXECUTIVE
+  roles: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  validFrom: Date,
+  validTo: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.validFrom || value >= this.validFrom;
+      },
+      message: 'validTo cannot be before validFrom'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Discount approved without anyone signing off. When both are set the
+  // lower of the two applies, when neither is nothing is auto-approved; the
+  // percentage is of the discountable price.
+  autoApprove: {
+    maxAmount: {
+      type: Number,
+      min: [0, 'Auto-approval limit cannot be negative']
+    },
+    maxPercent: {
+      type: Number,
+      min: [0, 'Auto-approval percentage cannot be negative'],
+      max: [100, 'Auto-approval percentage cannot exceed 100']
+    }
+  },
+  // Approvers beyond the auto-approved discount, lowest level first
+  approvalLevels: {
+    type: [approvalLevelSchema],
+    validate: {
+      validator: function(levels) {
+        return levels.every((level, i) =>
+          i === 0 || (levels[i - 1].maxAmount != null &&
+            (level.maxAmount == null || level.maxAmount > levels[i - 1].maxAmount)));
+      },
+      message: 'Approval levels must be in increasing order of maxAmount; only the last may be unlimited'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+discountPolicySchema.index({ isActive: 1, priority: -1 });
+
+discountPolicySchema.virtual('modelDetails', {
+  ref: 'Model',
+  localField: 'models',
+  foreignField: '_id',
+  options: { select: 'model_name type' }
+});
+
+discountPolicySchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branches',
+  foreignField: '_id',
+  options: { select: 'name' }
+});
+
+module.exports = mongoose.model('DiscountPolicy', discountPolicySchema);
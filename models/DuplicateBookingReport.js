@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Suspected duplicate bookings for one day, generated from the active bookings
+// by jobs/duplicateBookingJob (or on demand). Regenerating the same day
+// replaces the groups. A group is the active bookings sharing one customer
+// mobile, PAN, Aadhaar or exchange chassis number.
+const duplicateBookingSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingNumber: String,
+  customerName: String,
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model'
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  status: String,
+  bookedAt: Date
+}, { _id: false });
+
+const duplicateGroupSchema = new mongoose.Schema({
+  matchedOn: {
+    type: String,
+    enum: ['MOBILE', 'PAN', 'AADHAR', 'EXCHANGE_CHASSIS'],
+    required: true
+  },
+  // Aadhaar numbers are masked to their last four digits
+  value: String,
+  severity: {
+    type: String,
+    enum: ['HIGH', 'LOW'],
+    required: true
+  },
+  reasons: [String],
+  sameModel: Boolean,
+  nameMismatch: Boolean,
+  bookings: [duplicateBookingSchema]
+}, { _id: false });
+
+const duplicateBookingReportSchema = new mongoose.Schema({
+  // Start of the day the report is for
+  forDate: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Empty when generated by the daily job
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  groups: [duplicateGroupSchema],
+  totals: {
+    groups: Number,
+    high: Number,
+    bookings: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+module.exports = mongoose.model('DuplicateBookingReport', duplicateBookingReportSchema);
@@ -5,11 +5,14 @@ const ledgerSchema = new mongoose.Schema({
   booking: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
-    required: true
+    // Damage claim settlements are received for a vehicle, not a booking
+    required: function() {
+      return this.type !== 'DAMAGE_CLAIM_SETTLEMENT';
+    }
   },
   type: {
     type: String,
-    enum: ['BOOKING_PAYMENT', 'INSURANCE_PAYMENT', 'DEBIT_ENTRY', 'Finance Disbursement'],
+    enum: ['BOOKING_PAYMENT', 'INSURANCE_PAYMENT', 'DEBIT_ENTRY', 'Finance Disbursement', 'CANCELLATION_REVERSAL', 'DAMAGE_CLAIM_SETTLEMENT'],
     default: 'BOOKING_PAYMENT'
   },
   paymentMode: {
@@ -27,7 +30,7 @@ const ledgerSchema = new mongoose.Schema({
       'Other Debit'
     ],
     required: function() {
-      return !this.isDebit; 
+      return !this.isDebit && this.type !== 'CANCELLATION_REVERSAL';
     }
   },
   amount: {
@@ -117,6 +120,15 @@ const ledgerSchema = new mongoose.Schema({
   rejectionReason: {
     type: String,
     trim: true
+  },
+  // Set on entries posted by a booking cancellation and on the entries they reverse
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ledger'
   }
 }, {
   timestamps: true,
@@ -133,6 +145,7 @@ ledgerSchema.index({ booking: 1 });
 ledgerSchema.index({ isDebit: 1 });
 ledgerSchema.index({ debitStatus: 1 });
 ledgerSchema.index({ receiptDate: -1 });
+ledgerSchema.index({ reversalOf: 1 });
 
 // Virtuals
 ledgerSchema.virtual('bankDetails', {
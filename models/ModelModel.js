@@ -99,6 +99,14 @@ const modelSchema = new mongoose.Schema({
     min: [0, 'Discount cannot be negative'],
     set: v => Math.round(v * 100) / 100
   },
+  // Leading VIN characters (WMI and descriptor) of this model's chassis; allocations
+  // and inwards of a chassis that does not start with it are flagged
+  vin_prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-HJ-NPR-Z0-9]{3,8}$/, 'VIN prefix must be 3 to 8 VIN characters (no I, O or Q)']
+  },
   prices: {
     type: [priceDataSchema],
     default: []
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const inspectionItemSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: ['PASS', 'FAIL', 'NA'],
+    required: [true, 'Result is required for every PDI item']
+  },
+  value: mongoose.Schema.Types.Mixed,
+  remarks: {
+    type: String,
+    trim: true
+  },
+  photos: [String]
+}, { _id: false });
+
+const pdiInspectionSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required']
+  },
+  chassisNumber: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['EV', 'ICE']
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PdiTemplate',
+    required: true
+  },
+  templateVersion: Number,
+  items: [inspectionItemSchema],
+  photos: [String],
+  result: {
+    type: String,
+    enum: ['PASSED', 'FAILED'],
+    required: true
+  },
+  failedItems: [String],
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  inspectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pdiInspectionSchema.virtual('inspectedByDetails', {
+  ref: 'User',
+  localField: 'inspectedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+pdiInspectionSchema.virtual('templateDetails', {
+  ref: 'PdiTemplate',
+  localField: 'template',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name vehicleType version' }
+});
+
+pdiInspectionSchema.index({ vehicle: 1, inspectedAt: -1 });
+pdiInspectionSchema.index({ result: 1 });
+
+pdiInspectionSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('PdiInspection', pdiInspectionSchema);
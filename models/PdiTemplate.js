@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const templateItemSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Item key is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Item key may only contain letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Item label is required'],
+    trim: true
+  },
+  inputType: {
+    type: String,
+    enum: ['CHECK', 'NUMBER', 'TEXT'],
+    default: 'CHECK'
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  photoRequired: {
+    type: Boolean,
+    default: false
+  },
+  // NUMBER items outside this range fail automatically
+  minValue: Number,
+  maxValue: Number,
+  unit: {
+    type: String,
+    trim: true
+  },
+  // TEXT items that must equal a field of the vehicle (e.g. chargerNumber)
+  matchVehicleField: {
+    type: String,
+    enum: ['chassisNumber', 'engineNumber', 'motorNumber', 'chargerNumber', 'batteryNumber', 'keyNumber']
+  }
+}, { _id: false });
+
+const pdiTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['EV', 'ICE'],
+    required: [true, 'Vehicle type is required (EV/ICE)'],
+    uppercase: true
+  },
+  // Optional: template only applies to this model instead of every model of the type
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    default: null
+  },
+  items: {
+    type: [templateItemSchema],
+    validate: [
+      {
+        validator: (items) => items.length > 0,
+        message: 'A PDI template needs at least one item'
+      },
+      {
+        validator: (items) => new Set(items.map(i => i.key)).size === items.length,
+        message: 'Item keys must be unique within a template'
+      }
+    ]
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+pdiTemplateSchema.virtual('modelDetails', {
+  ref: 'Model',
+  localField: 'model',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'model_name type' }
+});
+
+pdiTemplateSchema.index({ vehicleType: 1, model: 1, isActive: 1 });
+
+module.exports = mongoose.model('PdiTemplate', pdiTemplateSchema);
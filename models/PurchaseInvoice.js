@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// One invoiced chassis. The vehicle is linked when it is inwarded against the invoice.
+const lineItemSchema = new mongoose.Schema({
+  chassisNumber: {
+    type: String,
+    required: [true, 'Chassis number is required'],
+    trim: true,
+    uppercase: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model'
+  },
+  modelName: {
+    type: String,
+    trim: true
+  },
+  colorName: {
+    type: String,
+    trim: true
+  },
+  // Invoiced value before tax
+  taxableValue: {
+    type: Number,
+    required: [true, 'Taxable value is required'],
+    min: [0, 'Taxable value cannot be negative']
+  },
+  // Freight, insurance and other charges billed on the line
+  otherCharges: {
+    type: Number,
+    default: 0,
+    min: [0, 'Other charges cannot be negative']
+  },
+  gstRate: {
+    type: Number,
+    required: [true, 'GST rate is required'],
+    min: [0, 'GST rate cannot be negative'],
+    max: [50, 'GST rate cannot exceed 50%']
+  },
+  gstAmount: Number,
+  // Cost carried onto the vehicle; input GST is claimed back so it is not part of it
+  landedCost: Number,
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  receivedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const purchaseInvoiceSchema = new mongoose.Schema({
+  // Goods receipt note number generated on save
+  grnNumber: {
+    type: String,
+    unique: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: [true, 'OEM invoice number is required'],
+    trim: true,
+    uppercase: true
+  },
+  invoiceDate: {
+    type: Date,
+    required: [true, 'Invoice date is required']
+  },
+  supplierName: {
+    type: String,
+    required: [true, 'Supplier (OEM) name is required'],
+    trim: true
+  },
+  supplierGstin: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Branch the vehicles are unloaded at
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Receiving branch is required']
+  },
+  dispatchNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  truckNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  items: {
+    type: [lineItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'Invoice must have at least one chassis'
+    }
+  },
+  totals: {
+    taxableValue: Number,
+    otherCharges: Number,
+    gstAmount: Number,
+    invoiceValue: Number
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'partially_received', 'received', 'cancelled'],
+    default: 'pending'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  optimisticConcurrency: true
+});
+
+purchaseInvoiceSchema.index({ supplierName: 1, invoiceNumber: 1 }, { unique: true });
+purchaseInvoiceSchema.index({ branch: 1, status: 1 });
+purchaseInvoiceSchema.index({ 'items.chassisNumber': 1 });
+purchaseInvoiceSchema.index({ invoiceDate: -1 });
+
+purchaseInvoiceSchema.pre('validate', function(next) {
+  const chassisNumbers = this.items.map(item => item.chassisNumber);
+  if (new Set(chassisNumbers).size !== chassisNumbers.length) {
+    this.invalidate('items', 'A chassis number can only appear once on an invoice');
+  }
+
+  const totals = { taxableValue: 0, otherCharges: 0, gstAmount: 0, invoiceValue: 0 };
+  this.items.forEach(item => {
+    item.gstAmount = round2((item.taxableValue || 0) * (item.gstRate || 0) / 100);
+    item.landedCost = round2((item.taxableValue || 0) + (item.otherCharges || 0));
+    totals.taxableValue += item.taxableValue || 0;
+    totals.otherCharges += item.otherCharges || 0;
+    totals.gstAmount += item.gstAmount;
+  });
+  totals.invoiceValue = totals.taxableValue + totals.otherCharges + totals.gstAmount;
+  this.totals = {
+    taxableValue: round2(totals.taxableValue),
+    otherCharges: round2(totals.otherCharges),
+    gstAmount: round2(totals.gstAmount),
+    invoiceValue: round2(totals.invoiceValue)
+  };
+  next();
+});
+
+purchaseInvoiceSchema.pre('save', function(next) {
+  if (!this.grnNumber) {
+    this.grnNumber = `GRN-${Date.now().toString(36).toUpperCase()}`;
+  }
+  next();
+});
+
+purchaseInvoiceSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name address city' }
+});
+
+purchaseInvoiceSchema.virtual('createdByDetails', {
+  ref: 'User',
+  localField: 'createdBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+purchaseInvoiceSchema.virtual('receivedCount').get(function() {
+  return (this.items || []).filter(item => item.vehicle).length;
+});
+
+purchaseInvoiceSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('PurchaseInvoice', purchaseInvoiceSchema);
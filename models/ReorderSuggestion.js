@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// OEM indent suggestion of a branch for one day, generated from its stock
+// levels by jobs/stockReorderJob (or on demand). Regenerating the same day
+// replaces the lines.
+const suggestionLineSchema = new mongoose.Schema({
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: true
+  },
+  modelName: String,
+  color: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Color',
+    required: true
+  },
+  colorName: String,
+  minimumStock: Number,
+  targetStock: Number,
+  inStock: Number,
+  awaitingAllocation: Number,
+  // inStock less the bookings waiting for a chassis
+  available: Number,
+  belowMinimum: Boolean,
+  suggestedQuantity: Number
+}, { _id: false });
+
+const reorderSuggestionSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  // Start of the day the suggestion is for
+  forDate: {
+    type: Date,
+    required: true
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Empty when generated by the daily job
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lines: [suggestionLineSchema],
+  totals: {
+    levels: Number,
+    belowMinimum: Number,
+    suggestedQuantity: Number
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+reorderSuggestionSchema.index({ branch: 1, forDate: -1 }, { unique: true });
+
+reorderSuggestionSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+module.exports = mongoose.model('ReorderSuggestion', reorderSuggestionSchema);
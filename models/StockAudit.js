@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Vehicles the system expects in the yard when the audit starts
+const expectedVehicleSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  chassisNumber: String,
+  modelName: String,
+  color: String,
+  status: String
+}, { _id: false });
+
+const scanSchema = new mongoose.Schema({
+  // Empty for UNKNOWN scans that match no vehicle record
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  chassisNumber: String,
+  method: {
+    type: String,
+    enum: ['QR', 'MANUAL'],
+    required: true
+  },
+  // MATCHED: expected here; UNEXPECTED: belongs to another branch;
+  // WRONG_STATUS: belongs here but its status says it should not be in the yard
+  result: {
+    type: String,
+    enum: ['MATCHED', 'UNEXPECTED', 'WRONG_STATUS', 'UNKNOWN'],
+    required: true
+  },
+  vehicleBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  vehicleStatus: String,
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const correctionSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  chassisNumber: String,
+  action: {
+    type: String,
+    enum: ['MOVE_TO_BRANCH', 'SET_STATUS'],
+    required: true
+  },
+  from: String,
+  to: String,
+  appliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const stockAuditSchema = new mongoose.Schema({
+  auditNumber: {
+    type: String,
+    unique: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required'],
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'signed_off', 'cancelled'],
+    default: 'in_progress'
+  },
+  expected: [expectedVehicleSchema],
+  scans: [scanSchema],
+  // Frozen reconciliation, set when scanning is completed
+  summary: {
+    expected: Number,
+    matched: Number,
+    missing: Number,
+    unexpected: Number,
+    wrongStatus: Number,
+    unknown: Number
+  },
+  corrections: [correctionSchema],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  signedOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  signedOffAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  signOffRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  report: {
+    path: String,
+    generatedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  optimisticConcurrency: true
+});
+
+stockAuditSchema.index({ branch: 1, status: 1 });
+stockAuditSchema.index({ createdAt: -1 });
+// Only one audit can be running per branch
+stockAuditSchema.index(
+  { branch: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+stockAuditSchema.pre('save', function(next) {
+  if (!this.auditNumber) {
+    this.auditNumber = `SA-${Date.now().toString(36).toUpperCase()}`;
+  }
+  next();
+});
+
+stockAuditSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name address city' }
+});
+
+stockAuditSchema.virtual('startedByDetails', {
+  ref: 'User',
+  localField: 'startedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+stockAuditSchema.virtual('signedOffByDetails', {
+  ref: 'User',
+  localField: 'signedOffBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+stockAuditSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('StockAudit', stockAuditSchema);
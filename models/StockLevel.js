@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Minimum and target stock of a model/color at a branch. Free stock below the
+// minimum is reordered from the OEM up to the target (see services/stockReorder).
+const stockLevelSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required'],
+    immutable: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: [true, 'Model is required'],
+    immutable: true
+  },
+  color: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Color',
+    required: [true, 'Color is required'],
+    immutable: true
+  },
+  minimumStock: {
+    type: Number,
+    required: [true, 'Minimum stock is required'],
+    min: [0, 'Minimum stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Minimum stock must be a whole number'
+    }
+  },
+  targetStock: {
+    type: Number,
+    required: [true, 'Target stock is required'],
+    validate: [
+      {
+        validator: Number.isInteger,
+        message: 'Target stock must be a whole number'
+      },
+      {
+        validator: function(value) {
+          return value >= this.minimumStock;
+        },
+        message: 'Target stock cannot be below the minimum stock'
+      }
+    ]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+stockLevelSchema.index({ branch: 1, model: 1, color: 1 }, { unique: true });
+
+stockLevelSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+stockLevelSchema.virtual('modelDetails', {
+  ref: 'Model',
+  localField: 'model',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'model_name type' }
+});
+
+stockLevelSchema.virtual('colorDetails', {
+  ref: 'Color',
+  localField: 'color',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+module.exports = mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// A branch asking another branch for stock. Accepting it creates the StockTransfer
+// that moves the chosen vehicles from the supplying to the requesting branch.
+const stockRequestSchema = new mongoose.Schema({
+  requestNumber: {
+    type: String,
+    unique: true
+  },
+  requestingBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Requesting branch is required'],
+    immutable: true
+  },
+  supplyingBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Supplying branch is required'],
+    immutable: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model',
+    required: [true, 'Model is required'],
+    immutable: true
+  },
+  color: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Color',
+    required: [true, 'Color is required'],
+    immutable: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    max: [50, 'Quantity cannot exceed 50'],
+    immutable: true
+  },
+  neededBy: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'rejected', 'cancelled'],
+    default: 'open'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  // Transfer created on acceptance; may carry fewer vehicles than requested
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
+  fulfilledQuantity: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+  optimisticConcurrency: true
+});
+
+stockRequestSchema.index({ requestingBranch: 1, status: 1 });
+stockRequestSchema.index({ supplyingBranch: 1, status: 1 });
+stockRequestSchema.index({ createdAt: -1 });
+
+stockRequestSchema.pre('save', function(next) {
+  if (!this.requestNumber) {
+    this.requestNumber = `SR-${Date.now().toString(36).toUpperCase()}`;
+  }
+  if (this.isNew && this.requestingBranch && this.requestingBranch.equals(this.supplyingBranch)) {
+    return next(new Error('Requesting and supplying branches cannot be the same'));
+  }
+  next();
+});
+
+stockRequestSchema.virtual('requestingBranchDetails', {
+  ref: 'Branch',
+  localField: 'requestingBranch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name city' }
+});
+
+stockRequestSchema.virtual('supplyingBranchDetails', {
+  ref: 'Branch',
+  localField: 'supplyingBranch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name city' }
+});
+
+stockRequestSchema.virtual('modelDetails', {
+  ref: 'Model',
+  localField: 'model',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'model_name type' }
+});
+
+stockRequestSchema.virtual('colorDetails', {
+  ref: 'Color',
+  localField: 'color',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+stockRequestSchema.virtual('requestedByDetails', {
+  ref: 'User',
+  localField: 'requestedBy',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+stockRequestSchema.virtual('transferDetails', {
+  ref: 'StockTransfer',
+  localField: 'transfer',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'trackingNumber status items.vehicle items.status' }
+});
+
+stockRequestSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('StockRequest', stockRequestSchema);
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// A test ride on a demo vehicle of a branch (see services/demoFleet). The
+// slot is booked ahead, the vehicle is checked out and back in with odometer
+// readings, and the ride is linked to the customer's quotation and, once the
+// customer books, to the booking for test-ride-to-booking conversion.
+const testRideSchema = new mongoose.Schema({
+  rideNumber: {
+    type: String,
+    unique: true
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required'],
+    immutable: true
+  },
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle is required'],
+    immutable: true
+  },
+  chassisNumber: {
+    type: String,
+    required: true,
+    uppercase: true,
+    immutable: true
+  },
+  model: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Model'
+  },
+  modelName: String,
+  customerName: {
+    type: String,
+    required: [true, 'Customer name is required'],
+    trim: true,
+    maxlength: [100, 'Customer name cannot exceed 100 characters']
+  },
+  mobile: {
+    type: String,
+    required: [true, 'Mobile number is required'],
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Mobile number must be 10 digits']
+  },
+  licenceNumber: {
+    type: String,
+    required: [true, 'Driving licence number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Licence number cannot exceed 20 characters']
+  },
+  slotStart: {
+    type: Date,
+    required: [true, 'Slot start is required']
+  },
+  slotEnd: {
+    type: Date,
+    required: [true, 'Slot end is required'],
+    validate: {
+      validator: function(value) {
+        return !this.slotStart || value > this.slotStart;
+      },
+      message: 'Slot end must be after slot start'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'out', 'completed', 'cancelled', 'no_show'],
+    default: 'scheduled'
+  },
+  odometerOut: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  odometerIn: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  checkedOutAt: Date,
+  checkedOutBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkedInAt: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lead the ride came from
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Booking made by the customer after the ride
+  conversion: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    bookingNumber: String,
+    convertedAt: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+testRideSchema.index({ vehicle: 1, slotStart: 1 });
+testRideSchema.index({ branch: 1, slotStart: -1 });
+testRideSchema.index({ mobile: 1 });
+testRideSchema.index({ quotation: 1 });
+
+testRideSchema.virtual('distance').get(function() {
+  if (this.odometerOut == null || this.odometerIn == null) return undefined;
+  return this.odometerIn - this.odometerOut;
+});
+
+testRideSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+testRideSchema.virtual('vehicleDetails', {
+  ref: 'Vehicle',
+  localField: 'vehicle',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'chassisNumber modelName color.name status isDemo demo.odometer' }
+});
+
+testRideSchema.pre('save', async function(next) {
+  if (this.rideNumber) return next();
+
+  try {
+    const year = new Date().getFullYear();
+    // Compiled by models/Booking, which also defines the Counter model
+    const Counter = mongoose.model('Counter');
+    const counter = await Counter.findOneAndUpdate(
+      { _id: `testRide_${year}` },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.rideNumber = `TR-${year}-${String(counter.seq).padStart(4, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+testRideSchema.plugin(mongoosePaginate);
+
+module.exports = mongoose.model('TestRide', testRideSchema);
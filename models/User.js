@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Role = require('./Role'); 
 const Permission = require('./Permission');
+const DeviationLedger = require('./DeviationLedger');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -204,6 +205,16 @@ perTransactionDeviationLimit: {
       message: 'Current deviation usage cannot exceed total deviation amount'
     }
   },
+  // Budget period after which currentDeviationUsage starts again from zero
+  // (see services/deviationBudget); NONE keeps the usage until reset by hand
+  deviationBudgetPeriod: {
+    type: String,
+    enum: ['NONE', 'MONTHLY', 'QUARTERLY'],
+    default: 'NONE'
+  },
+  deviationPeriodStart: Date,
+  // Set when the utilisation alert was raised in the current period
+  deviationAlertedAt: Date,
 
   isFrozen: {
     type: Boolean,
@@ -285,21 +296,55 @@ UserSchema.methods.canUseDeviation = function(amount) {
   return withinPerTransactionLimit && withinTotalLimit;
 };
 
-// Method to use deviation amount
-UserSchema.methods.useDeviation = async function(amount) {
+// Method to use deviation amount, recorded in the deviation ledger
+UserSchema.methods.useDeviation = async function(amount, context = {}) {
   if (!this.canUseDeviation(amount)) {
     throw new Error(`Cannot use deviation amount: ${amount}. Available: ${this.availableDeviationAmount}, Per transaction limit: ${this.perTransactionDeviationLimit}`);
   }
-  
+  return this.recordDeviationUse(amount, context);
+};
+
+// Method to add deviation already bounded by the caller to the usage and
+// record it in the deviation ledger
+UserSchema.methods.recordDeviationUse = async function(amount, { booking, disbursement, approvedBy, note } = {}) {
   this.currentDeviationUsage += amount;
   await this.save();
+  await DeviationLedger.create({
+    manager: this._id,
+    branch: this.branch,
+    type: 'CONSUMED',
+    amount,
+    booking,
+    disbursement,
+    approvedBy,
+    usage: this.currentDeviationUsage,
+    allotted: this.totalDeviationAmount,
+    period: this.deviationBudgetPeriod,
+    periodStart: this.deviationPeriodStart,
+    note
+  });
   return this.availableDeviationAmount;
 };
 
-// Method to reset deviation usage
-UserSchema.methods.resetDeviationUsage = async function() {
+// Method to reset deviation usage, starting a new budget period
+UserSchema.methods.resetDeviationUsage = async function({ approvedBy, note, periodStart = new Date() } = {}) {
+  const used = this.currentDeviationUsage;
   this.currentDeviationUsage = 0;
+  this.deviationPeriodStart = periodStart;
+  this.deviationAlertedAt = undefined;
   await this.save();
+  await DeviationLedger.create({
+    manager: this._id,
+    branch: this.branch,
+    type: 'RESET',
+    amount: used,
+    approvedBy,
+    usage: 0,
+    allotted: this.totalDeviationAmount,
+    period: this.deviationBudgetPeriod,
+    periodStart,
+    note
+  });
   return this.availableDeviationAmount;
 };
 
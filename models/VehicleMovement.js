@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'INWARD',
+  'APPROVAL',
+  'STATUS_CHANGE',
+  'BRANCH_CHANGE',
+  'RESERVATION',
+  'RESERVATION_RELEASE',
+  'ALLOCATION',
+  'DEALLOCATION',
+  'DELIVERY',
+  'DAMAGE',
+  'REPAIR'
+];
+
+const SOURCE_KINDS = [
+  'PurchaseInvoice',
+  'Import',
+  'StockTransfer',
+  'Booking',
+  'Delivery',
+  'DamageClaim',
+  'StockAudit',
+  'Ledger'
+];
+
+// One entry of the append-only movement log of a Vehicle (see
+// services/vehicleMovement). status and branch are the vehicle's state right
+// after the event, so the state at any past date is the last entry before it.
+const vehicleMovementSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: true
+  },
+  chassisNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['not_approved', 'in_stock', 'in_transit', 'sold', 'service', 'damaged']
+  },
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  fromStatus: String,
+  fromBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Document that caused the movement
+  source: {
+    kind: {
+      type: String,
+      enum: SOURCE_KINDS
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    reference: {
+      type: String,
+      trim: true
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+vehicleMovementSchema.index({ vehicle: 1, createdAt: 1 });
+vehicleMovementSchema.index({ createdAt: 1 });
+
+vehicleMovementSchema.virtual('actorDetails', {
+  ref: 'User',
+  localField: 'actor',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name email' }
+});
+
+vehicleMovementSchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+// The log is append-only
+function rejectChange() {
+  throw new Error('Vehicle movements cannot be changed or removed');
+}
+
+vehicleMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+vehicleMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Vehicle movements cannot be changed or removed'));
+  next();
+});
+
+module.exports = mongoose.model('VehicleMovement', vehicleMovementSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A parking bay in the yard of a branch, grouped into zones. Vehicles are
+// parked in a bay at inward or by scanning (see services/yardLocation); the
+// bay code is what is painted on the ground and printed on the bay label.
+const yardBaySchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Branch is required'],
+    immutable: true
+  },
+  zone: {
+    type: String,
+    required: [true, 'Zone is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Zone cannot exceed 30 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Bay code is required'],
+    trim: true,
+    uppercase: true,
+    immutable: true,
+    maxlength: [30, 'Bay code cannot exceed 30 characters']
+  },
+  // Number of vehicles the bay holds
+  capacity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Capacity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Capacity must be a whole number'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+yardBaySchema.index({ branch: 1, code: 1 }, { unique: true });
+yardBaySchema.index({ branch: 1, zone: 1 });
+
+yardBaySchema.virtual('branchDetails', {
+  ref: 'Branch',
+  localField: 'branch',
+  foreignField: '_id',
+  justOne: true,
+  options: { select: 'name' }
+});
+
+module.exports = mongoose.model('YardBay', yardBaySchema);
@@ -7,16 +7,23 @@ const transferItemSchema = new mongoose.Schema({
     required: [true, 'Vehicle reference is required'],
     immutable: true
   },
+  // 'in_stock' and 'completed' are kept for transfers created before the dispatch/receipt lifecycle
   status: {
     type: String,
-    enum: ['in_stock', 'completed', 'cancelled'],
-    default: 'in_stock'
+    enum: ['pending', 'in_transit', 'received', 'cancelled', 'in_stock', 'completed'],
+    default: 'pending'
   },
   receivedAt: Date,
   receivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Condition mismatch found on receipt; also logged as a damage report on the vehicle
+  discrepancy: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Discrepancy cannot exceed 500 characters']
+  },
   challanDocument: {
     type: String,
     trim: true
@@ -31,6 +38,60 @@ const transferItemSchema = new mongoose.Schema({
   timestamps: false
 });
 
+const dispatchSchema = new mongoose.Schema({
+  vehicleNumber: {
+    type: String,
+    required: [true, 'Carrier vehicle number is required'],
+    trim: true,
+    uppercase: true
+  },
+  driverName: {
+    type: String,
+    required: [true, 'Driver name is required'],
+    trim: true
+  },
+  driverPhone: {
+    type: String,
+    trim: true
+  },
+  transporterName: {
+    type: String,
+    trim: true
+  },
+  ewayBillNumber: {
+    type: String,
+    required: [true, 'E-way bill number is required'],
+    trim: true
+  },
+  dispatchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const stockTransferSchema = new mongoose.Schema({
   fromBranch: {
     type: mongoose.Schema.Types.ObjectId,
@@ -60,10 +121,43 @@ const stockTransferSchema = new mongoose.Schema({
       message: 'At least one item is required for transfer'
     }
   },
+  // Lifecycle is driven by services/stockTransferLifecycle; 'in_stock' and 'completed' are legacy
   status: {
     type: String,
-    enum: ['in_stock', 'completed', 'cancelled'],
-    default: 'in_stock'
+    enum: [
+      'requested', 'approved', 'dispatched', 'in_transit', 'partially_received',
+      'received', 'rejected', 'cancelled', 'in_stock', 'completed'
+    ],
+    default: 'requested'
+  },
+  statusHistory: [statusHistorySchema],
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  dispatch: dispatchSchema,
+  inTransitAt: Date,
+  receivedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
   },
   challanStatus: {
     type: String,
@@ -92,6 +186,11 @@ const stockTransferSchema = new mongoose.Schema({
   trackingNumber: {
     type: String,
     unique: true
+  },
+  // Set when the transfer fulfils an inter-branch stock request
+  stockRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockRequest'
   }
 }, {
   timestamps: true,
@@ -118,6 +217,7 @@ stockTransferSchema.index({ toBranch: 1, status: 1 });
 stockTransferSchema.index({ initiatedBy: 1, status: 1 });
 stockTransferSchema.index({ 'items.vehicle': 1, status: 1 });
 stockTransferSchema.index({ transferDate: -1 });
+stockTransferSchema.index({ stockRequest: 1 }, { sparse: true });
 
 // Generate tracking number before save
 stockTransferSchema.pre('save', async function(next) {
@@ -169,26 +269,6 @@ stockTransferSchema.pre('save', async function(next) {
   }
 });
 
-// Update vehicle locations when status is pending
-stockTransferSchema.post('save', async function(doc, next) {
-  try {
-    if (doc.status === 'in_stock') {
-      const vehicleIds = doc.items.map(item => item.vehicle);
-      
-      await mongoose.model('Vehicle').updateMany(
-        { _id: { $in: vehicleIds } },
-        {
-          unloadLocation: doc.toBranch,
-          status: 'in_stock'
-        }
-      );
-    }
-    next();
-  } catch (err) {
-    console.error('Error updating vehicle locations:', err);
-    next(err);
-  }
-});
 // Virtuals for populated data
 stockTransferSchema.virtual('fromBranchDetails', {
   ref: 'Branch',
@@ -234,65 +314,4 @@ stockTransferSchema.virtual('vehicleDetails', {
   }
 });
 
-// Method to mark transfer as in transit
-stockTransferSchema.methods.markAsInTransit = async function(userId) {
-  if (this.status !== 'in_stock') {
-    throw new Error('Only in_stock transfers can be marked as in transit');
-  }
- 
-  this.status = 'in_stock';
- 
-  // Update vehicle statuses to in_transit
-  const vehicleIds = this.items.map(item => item.vehicle);
-  await mongoose.model('Vehicle').updateMany(
-    { _id: { $in: vehicleIds } },
-    {
-      status: 'in_stock'
-    }
-  );
- 
-  return this.save();
-};
-
-// Method to complete a transfer
-stockTransferSchema.methods.completeTransfer = async function(userId) {
-  this.status = 'completed';
-  this.receivedBy = userId;
-  this.receivedAt = new Date();
-  
-  this.items.forEach(item => {
-    item.status = 'completed';
-    item.receivedAt = new Date();
-    item.receivedBy = userId;
-  });
-
-  return this.save();
-};
-
-// Method to cancel a transfer
-stockTransferSchema.methods.cancelTransfer = async function(userId, reason) {
-  if (this.status === 'completed') {
-    throw new Error('Completed transfers cannot be cancelled');
-  }
- 
-  this.status = 'cancelled';
-  this.notes = reason || 'Transfer cancelled';
- 
-  this.items.forEach(item => {
-    item.status = 'cancelled';
-  });
-
-  // Revert vehicle locations and status
-  const vehicleIds = this.items.map(item => item.vehicle);
-  await mongoose.model('Vehicle').updateMany(
-    { _id: { $in: vehicleIds } },
-    {
-      unloadLocation: this.fromBranch,
-      status: 'in_stock'
-    }
-  );
- 
-  return this.save();
-};
-
 module.exports = mongoose.model('StockTransfer', stockTransferSchema);
\ No newline at end of file
@@ -220,6 +220,128 @@ const damageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Transporter / OEM claim opened for the damage
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DamageClaim'
+  }
+}, { _id: false });
+
+// Soft hold of the vehicle for a booking; expired holds are cleared by jobs/vehicleReservationJob
+const reservationSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required for a reservation']
+  },
+  reservedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Reservation expiry is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reservation note cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// Decoded chassis VIN (services/vinDecoder) with the mismatches found at inward
+const vinDetailsSchema = new mongoose.Schema({
+  wmi: String,
+  manufacturer: String,
+  modelYear: Number,
+  plantCode: String,
+  serialNumber: String,
+  checkDigitValid: Boolean,
+  flags: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  decodedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Yard bay the vehicle is parked in (models/YardBay); code and zone are copied
+// so a lookup does not need the bay
+const yardLocationSchema = new mongoose.Schema({
+  bay: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'YardBay',
+    required: true
+  },
+  zone: String,
+  code: String,
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// One move within the yard; an entry without a bay records the vehicle leaving the yard
+const yardMoveSchema = new mongoose.Schema({
+  bay: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'YardBay'
+  },
+  zone: String,
+  code: String,
+  method: {
+    type: String,
+    enum: ['inward', 'scan', 'manual', 'left_yard'],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Move note cannot exceed 200 characters']
+  },
+  movedAt: {
+    type: Date,
+    default: Date.now
+  },
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// Demo/test-ride use of the vehicle (services/demoFleet). A demo vehicle is
+// kept out of sellable stock until it is taken off the demo fleet.
+const demoSchema = new mongoose.Schema({
+  since: {
+    type: Date,
+    default: Date.now
+  },
+  flaggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  // Reading at the last test ride check-in (or when flagged)
+  odometer: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
   }
 }, { _id: false });
 
@@ -277,6 +399,7 @@ modelName: {
     trim: true,
     uppercase: true
   },
+  vinDetails: vinDetailsSchema,
   motorNumber: {
     type: String,
     trim: true,
@@ -310,6 +433,46 @@ modelName: {
     enum: ['not_approved', 'in_stock', 'in_transit', 'sold', 'service', 'damaged'],
     default: 'not_approved'
   },
+  // Status a damaged vehicle goes back to once repaired
+  statusBeforeDamage: {
+    type: String,
+    enum: ['not_approved', 'in_stock', 'in_transit', 'service']
+  },
+  pdiStatus: {
+    type: String,
+    enum: ['PENDING', 'PASSED', 'FAILED'],
+    default: 'PENDING'
+  },
+  lastPdi: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PdiInspection'
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Delivery'
+  },
+  deliveredAt: Date,
+  reservation: reservationSchema,
+  yardLocation: yardLocationSchema,
+  yardHistory: [yardMoveSchema],
+  isDemo: {
+    type: Boolean,
+    default: false
+  },
+  demo: demoSchema,
+  // OEM invoice the vehicle was inwarded against, with the landed cost and input GST of its line
+  purchaseInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseInvoice'
+  },
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  },
+  inputGst: {
+    type: Number,
+    min: [0, 'Input GST cannot be negative']
+  },
   addedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -335,6 +498,12 @@ vehicleSchema.index({ type: 1 });
 vehicleSchema.index({ status: 1 });
 vehicleSchema.index({ 'color.name': 1 });
 vehicleSchema.index({ 'color.id': 1 });
+vehicleSchema.index({ 'reservation.booking': 1 });
+vehicleSchema.index({ 'reservation.expiresAt': 1 });
+vehicleSchema.index({ purchaseInvoice: 1 });
+vehicleSchema.index({ 'vinDetails.flags.code': 1 });
+vehicleSchema.index({ 'yardLocation.bay': 1 });
+vehicleSchema.index({ isDemo: 1, unloadLocation: 1 });
 
 // Pre-save hooks
 vehicleSchema.pre('save', async function(next) {
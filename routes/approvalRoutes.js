@@ -0,0 +1,530 @@
+const express = require('express');
+const router = express.Router();
+const approvalController = require('../controllers/approvalController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Approvals
+ *   description: |
+ *     Multi-level approval chains shared by bookings, booking discounts, booking update
+ *     requests, ledger entries, broker transactions, cash/contra vouchers, workshop receipts
+ *     and vehicle inward. Admins define chains per document type and amount threshold; a
+ *     covered document gets an approval request that walks the chain's steps in order. A step
+ *     past its SLA escalates to its escalation role (or the next step's role), which may then
+ *     act on it too. While a request is open, the document's own approve/reject endpoints
+ *     answer 409. Cash, contra and workshop vouchers, bookings, booking discounts and booking
+ *     update requests are submitted automatically when a chain covers them; other documents
+ *     are submitted with POST /api/v1/approvals.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApprovalDocumentType:
+ *       type: string
+ *       enum: [BOOKING, BOOKING_DISCOUNT, BOOKING_UPDATE_REQUEST, LEDGER_ENTRY, BROKER_TRANSACTION, CASH_VOUCHER, CONTRA_VOUCHER, WORKSHOP_RECEIPT, VEHICLE_INWARD]
+ *     ApprovalChainInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - documentType
+ *         - steps
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Cash vouchers above 10,000
+ *         documentType:
+ *           $ref: '#/components/schemas/ApprovalDocumentType'
+ *         amountAbove:
+ *           type: number
+ *           description: Applies to documents above this amount; empty for every amount
+ *           example: 10000
+ *         branches:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Empty for every branch
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Branch manager
+ *               role:
+ *                 type: string
+ *                 example: MANAGER
+ *               scope:
+ *                 type: string
+ *                 enum: [BRANCH, ANY]
+ *                 description: BRANCH limits the step to users of the document's branch
+ *               slaHours:
+ *                 type: number
+ *                 example: 24
+ *               escalateToRole:
+ *                 type: string
+ *                 example: ACCOUNTS_HEAD
+ *         isActive:
+ *           type: boolean
+ *     ApprovalRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         documentType:
+ *           $ref: '#/components/schemas/ApprovalDocumentType'
+ *         document:
+ *           type: string
+ *         documentNumber:
+ *           type: string
+ *         summary:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         chainName:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PENDING, APPROVED, REJECTED, CANCELLED]
+ *         currentStep:
+ *           type: integer
+ *         steps:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [WAITING, PENDING, APPROVED, REJECTED]
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *               escalatedTo:
+ *                 type: string
+ *               decidedBy:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *         trail:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [SUBMITTED, APPROVED, REJECTED, ESCALATED, COMPLETED, CANCELLED]
+ *               step:
+ *                 type: integer
+ *               role:
+ *                 type: string
+ *               user:
+ *                 type: object
+ *               comment:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/approvals/inbox:
+ *   get:
+ *     summary: My approvals
+ *     description: Open requests whose current step the user can decide, most overdue first.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           $ref: '#/components/schemas/ApprovalDocumentType'
+ *     responses:
+ *       200:
+ *         description: Requests with their current step and an overdue flag
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/inbox',
+  protect,
+  requirePermission('APPROVAL.READ'),
+  approvalController.getInbox
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/escalate:
+ *   post:
+ *     summary: Escalate overdue approval steps now
+ *     description: Also runs every 15 minutes.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of requests escalated
+ */
+router.post(
+  '/escalate',
+  protect,
+  requirePermission('APPROVAL.MANAGE'),
+  approvalController.escalateOverdue
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/chains:
+ *   get:
+ *     summary: List approval chains
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           $ref: '#/components/schemas/ApprovalDocumentType'
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Chains and the supported document types
+ *   post:
+ *     summary: Create an approval chain
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApprovalChainInput'
+ *     responses:
+ *       201:
+ *         description: Created chain
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Branch or role not found
+ */
+router.route('/chains')
+  .get(
+    protect,
+    requirePermission('APPROVAL.READ'),
+    approvalController.getChains
+  )
+  .post(
+    protect,
+    requirePermission('APPROVAL.MANAGE'),
+    logAction('CREATE', 'ApprovalChain'),
+    approvalController.createChain
+  );
+
+/**
+ * @swagger
+ * /api/v1/approvals/chains/{id}:
+ *   get:
+ *     summary: Get an approval chain
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval chain
+ *       404:
+ *         description: Not found
+ *   patch:
+ *     summary: Update an approval chain
+ *     description: Requests already raised keep the steps they started with.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApprovalChainInput'
+ *     responses:
+ *       200:
+ *         description: Updated chain
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     summary: Delete an approval chain
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       409:
+ *         description: Open requests use the chain
+ */
+router.route('/chains/:id')
+  .get(
+    protect,
+    requirePermission('APPROVAL.READ'),
+    approvalController.getChain
+  )
+  .patch(
+    protect,
+    requirePermission('APPROVAL.MANAGE'),
+    logAction('UPDATE', 'ApprovalChain'),
+    approvalController.updateChain
+  )
+  .delete(
+    protect,
+    requirePermission('APPROVAL.MANAGE'),
+    logAction('DELETE', 'ApprovalChain'),
+    approvalController.deleteChain
+  );
+
+/**
+ * @swagger
+ * /api/v1/approvals/documents/{documentType}/{documentId}:
+ *   get:
+ *     summary: Approval trail of a document
+ *     description: Every request raised for the document, oldest first, with each step and action.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ApprovalDocumentType'
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: For broker transactions, the transaction ID
+ *     responses:
+ *       200:
+ *         description: Approval requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     requests:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApprovalRequest'
+ *       400:
+ *         description: Unknown document type or invalid ID
+ */
+router.get(
+  '/documents/:documentType/:documentId',
+  protect,
+  requirePermission('APPROVAL.READ'),
+  approvalController.getDocumentTrail
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals:
+ *   post:
+ *     summary: Submit a document for approval
+ *     description: Raises a request under the chain covering the document's type, amount and branch.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentType
+ *               - documentId
+ *             properties:
+ *               documentType:
+ *                 $ref: '#/components/schemas/ApprovalDocumentType'
+ *               documentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Approval request
+ *       400:
+ *         description: Document not awaiting approval
+ *       404:
+ *         description: Document not found or no chain covers it
+ *       409:
+ *         description: Document already has an open request
+ */
+router.post(
+  '/',
+  protect,
+  requirePermission('APPROVAL.CREATE'),
+  approvalController.submitDocument
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}:
+ *   get:
+ *     summary: Get an approval request
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     request:
+ *                       $ref: '#/components/schemas/ApprovalRequest'
+ *       404:
+ *         description: Not found
+ */
+router.get(
+  '/:id',
+  protect,
+  requirePermission('APPROVAL.READ'),
+  approvalController.getRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}/approve:
+ *   post:
+ *     summary: Approve the current step
+ *     description: The last step's approval applies the outcome to the document.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated request
+ *       400:
+ *         description: Request no longer pending
+ *       403:
+ *         description: User cannot act on the current step
+ *       409:
+ *         description: Document was decided outside the chain; the request is cancelled
+ */
+router.post(
+  '/:id/approve',
+  protect,
+  requirePermission('APPROVAL.UPDATE'),
+  logAction('APPROVE', 'ApprovalRequest'),
+  approvalController.approveRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/approvals/{id}/reject:
+ *   post:
+ *     summary: Reject the current step
+ *     description: Rejects the whole request and applies the rejection to the document.
+ *     tags: [Approvals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected request
+ *       400:
+ *         description: Comment missing or request no longer pending
+ *       403:
+ *         description: User cannot act on the current step
+ */
+router.post(
+  '/:id/reject',
+  protect,
+  requirePermission('APPROVAL.UPDATE'),
+  logAction('REJECT', 'ApprovalRequest'),
+  approvalController.rejectRequest
+);
+
+module.exports = router;
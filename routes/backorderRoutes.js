@@ -0,0 +1,331 @@
+const express = require('express');
+const router = express.Router();
+const backorderController = require('../controllers/backorderController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Backorder
+ *   description: |
+ *     Per-branch waitlist of bookings whose model/color has no free stock. A queue holds the
+ *     open bookings without a chassis, ordered by booking date and, on the same day, by the
+ *     payment received (higher first). Vehicles inwarded, approved or received on a transfer
+ *     are proposed to the head of their queue and the booking's sales executive is sent a
+ *     WhatsApp message (when the WhatsApp Business API is configured) and sees the proposal in
+ *     GET /backorders/proposals?mine=true; accepting a proposal allocates the chassis, dismissing it offers the vehicle to the next
+ *     booking.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BackorderEntry:
+ *       type: object
+ *       properties:
+ *         booking:
+ *           type: string
+ *         bookingNumber:
+ *           type: string
+ *         customerName:
+ *           type: string
+ *         status:
+ *           type: string
+ *         bookingDate:
+ *           type: string
+ *           format: date-time
+ *         receivedAmount:
+ *           type: number
+ *         salesExecutive:
+ *           type: string
+ *         position:
+ *           type: integer
+ *           description: 1 is the head of the queue
+ *         proposedChassis:
+ *           type: string
+ *           description: Chassis currently proposed to the booking, if any
+ *         expectedWaitDays:
+ *           type: integer
+ *           nullable: true
+ *           description: 0 when stock can serve the booking now; null without recent inward to estimate from
+ *         basis:
+ *           type: string
+ *           enum: [stock, incoming, inward_rate]
+ *           description: |
+ *             stock - free in_stock or awaiting-approval vehicles cover the position;
+ *             incoming - vehicles in transit to the branch or on an open OEM invoice cover it;
+ *             inward_rate - estimated from the recent inward rate only
+ *     BackorderSupply:
+ *       type: object
+ *       properties:
+ *         inStock:
+ *           type: integer
+ *         awaitingApproval:
+ *           type: integer
+ *         inTransit:
+ *           type: integer
+ *         onOrder:
+ *           type: integer
+ *           description: Lines of open OEM invoices not yet inwarded
+ *         inwardPerDay:
+ *           type: number
+ *     AllocationProposal:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         bookingNumber:
+ *           type: string
+ *         vehicle:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         branch:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [inward, approval, transfer]
+ *         status:
+ *           type: string
+ *           enum: [proposed, accepted, dismissed, superseded]
+ *         queuePosition:
+ *           type: integer
+ *         salesExecutive:
+ *           type: string
+ *         notifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the sales executive was sent a WhatsApp message; empty when none was sent
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolutionNote:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/backorders:
+ *   get:
+ *     summary: Backorder queues with position and expected wait of each booking
+ *     tags: [Backorder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: One queue per branch, model and color
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     inwardRateWindowDays:
+ *                       type: integer
+ *                     queues:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           branch:
+ *                             type: string
+ *                           model:
+ *                             type: string
+ *                           modelName:
+ *                             type: string
+ *                           color:
+ *                             type: string
+ *                           colorName:
+ *                             type: string
+ *                           supply:
+ *                             $ref: '#/components/schemas/BackorderSupply'
+ *                           bookings:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/BackorderEntry'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  protect,
+  requirePermission('BACKORDER.READ'),
+  backorderController.getQueues
+);
+
+/**
+ * @swagger
+ * /api/v1/backorders/bookings/{bookingId}:
+ *   get:
+ *     summary: Queue position and expected wait of one booking
+ *     tags: [Backorder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The BackorderEntry with queueLength, supply and the model/color
+ *       403:
+ *         description: Booking of another branch
+ *       404:
+ *         description: Booking not found or not waiting for a chassis
+ */
+router.get(
+  '/bookings/:bookingId',
+  protect,
+  requirePermission('BACKORDER.READ'),
+  backorderController.getBookingQueueEntry
+);
+
+/**
+ * @swagger
+ * /api/v1/backorders/proposals:
+ *   get:
+ *     summary: List allocation proposals
+ *     description: Proposals whose booking or vehicle is no longer available are marked superseded first.
+ *     tags: [Backorder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, accepted, dismissed, superseded]
+ *           default: proposed
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only proposals of the current user's bookings as sales executive
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated proposals
+ */
+router.get(
+  '/proposals',
+  protect,
+  requirePermission('BACKORDER.READ'),
+  backorderController.getProposals
+);
+
+/**
+ * @swagger
+ * /api/v1/backorders/proposals/{id}/accept:
+ *   post:
+ *     summary: Accept a proposal and allocate the chassis to the booking
+ *     tags: [Backorder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accepted proposal and the booking with its chassis
+ *       400:
+ *         description: Proposal not open, vehicle not approved yet or booking cannot be allocated
+ *       403:
+ *         description: Proposal of another branch
+ *       409:
+ *         description: Vehicle no longer available (the proposal is superseded) or proposal resolved meanwhile
+ */
+router.post(
+  '/proposals/:id/accept',
+  protect,
+  requirePermission('BACKORDER.UPDATE'),
+  logAction('ACCEPT', 'AllocationProposal'),
+  backorderController.acceptProposal
+);
+
+/**
+ * @swagger
+ * /api/v1/backorders/proposals/{id}/dismiss:
+ *   post:
+ *     summary: Dismiss a proposal and offer the vehicle to the next booking in the queue
+ *     tags: [Backorder]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Customer prefers to wait for the next lot
+ *     responses:
+ *       200:
+ *         description: Dismissed proposal and nextProposal (null when the queue has no other booking)
+ *       400:
+ *         description: Proposal not open or reason missing
+ *       403:
+ *         description: Proposal of another branch
+ */
+router.post(
+  '/proposals/:id/dismiss',
+  protect,
+  requirePermission('BACKORDER.UPDATE'),
+  logAction('DISMISS', 'AllocationProposal'),
+  backorderController.dismissProposal
+);
+
+module.exports = router;
@@ -6,6 +6,11 @@ const { validateSalesExecutive } = require('../middlewares/validateSalesExecutiv
 const pdfController = require('../controllers/pdfController');
 const { logAction } = require('../middlewares/audit');
 const qrController = require('../controllers/qrController');
+const bookingCancellationController = require('../controllers/bookingCancellationController');
+const deliveryController = require('../controllers/deliveryController');
+const vehicleReservationController = require('../controllers/vehicleReservationController');
+const bookingChangeRequestController = require('../controllers/bookingChangeRequestController');
+const duplicateBookingController = require('../controllers/duplicateBookingController');
 const multer = require('multer');
 const Vehicle = require('../models/vehicleInwardModel');
 const { requirePermission } = require('../middlewares/requirePermission');
@@ -198,6 +203,10 @@ const upload = multer({
  *                 example: false
  *         discount:
  *           type: object
+ *           description: |
+ *             Checked against the discount policy (/api/v1/discount-policies). Within the
+ *             auto-approval limit it is approved at once; above the highest approval level
+ *             the booking is refused with 400.
  *           properties:
  *             type:
  *               type: string
@@ -561,6 +570,12 @@ router.get('/insurance-status/:status', protect, bookingController.getBookingsBy
  *         description: Unauthorized
  *       403:
  *         description: Forbidden (no permission)
+ *       409:
+ *         description: |
+ *           Duplicate of an active booking (DUPLICATE_BOOKING_MODE=BLOCK only). Active bookings
+ *           are matched on customer mobile, PAN, Aadhaar and exchange chassis number; in the
+ *           default WARN mode the booking is created and the matches are returned in
+ *           data.duplicateWarnings.
  *       500:
  *         description: Server error
  */
@@ -780,6 +795,102 @@ router.get('/',
   bookingController.getAllBookings
 );
 
+/**
+ * @swagger
+ * /api/v1/bookings/cancellations:
+ *   get:
+ *     summary: List booking cancellation requests
+ *     description: Approval queue and refund register for booking cancellations.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING_APPROVAL, APPROVED, REJECTED]
+ *       - in: query
+ *         name: refundStatus
+ *         schema:
+ *           type: string
+ *           enum: [NOT_APPLICABLE, PENDING, PAID]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated cancellation requests
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/cancellations',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingCancellationController.getCancellations
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/deliveries:
+ *   get:
+ *     summary: List vehicle deliveries
+ *     description: Delivery register with gate pass numbers, newest first
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of deliveries
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/deliveries',
+  protect,
+  requirePermission('BOOKING.READ'),
+  deliveryController.getDeliveries
+);
+
 /**
  * @swagger
  * /api/v1/bookings/{id}:
@@ -811,6 +922,164 @@ router.get('/',
  *       500:
  *         description: Server error
  */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingDuplicate:
+ *       type: object
+ *       properties:
+ *         booking:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             bookingNumber:
+ *               type: string
+ *             customerName:
+ *               type: string
+ *             model:
+ *               type: string
+ *             branch:
+ *               type: string
+ *             status:
+ *               type: string
+ *             bookedAt:
+ *               type: string
+ *               format: date-time
+ *             link:
+ *               type: string
+ *               example: /api/v1/bookings/60a1b2c3d4e5f6a7b8c9d0e1
+ *         matchedOn:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MOBILE, PAN, AADHAR, EXCHANGE_CHASSIS]
+ *         values:
+ *           type: object
+ *           description: Matched values; Aadhaar masked to the last four digits
+ *         sameModel:
+ *           type: boolean
+ *         nameMismatch:
+ *           type: boolean
+ *         severity:
+ *           type: string
+ *           enum: [HIGH, LOW]
+ *           description: HIGH for the same customer and model, PAN/Aadhaar under another name or a reused exchange vehicle
+ *         reasons:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/duplicate-check:
+ *   post:
+ *     summary: Check a booking for duplicates before creating it
+ *     description: Runs the createBooking duplicate check against the active bookings without saving anything.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               model_id:
+ *                 type: string
+ *               customer_details:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   mobile1:
+ *                     type: string
+ *                   pan_no:
+ *                     type: string
+ *                   aadhar_number:
+ *                     type: string
+ *               exchange:
+ *                 type: object
+ *                 properties:
+ *                   chassis_number:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Matches and whether createBooking would refuse the booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mode:
+ *                       type: string
+ *                       enum: [WARN, BLOCK, OFF]
+ *                     wouldBlock:
+ *                       type: boolean
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookingDuplicate'
+ *       400:
+ *         description: Nothing to check
+ */
+router.post('/duplicate-check',
+  protect,
+  requirePermission('BOOKING.CREATE'),
+  duplicateBookingController.checkDuplicates
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/duplicates/report:
+ *   get:
+ *     summary: Latest report of suspected duplicate bookings
+ *     description: |
+ *       Generated every night from the active bookings: groups of bookings sharing a customer
+ *       mobile, PAN, Aadhaar or exchange chassis number, HIGH severity first.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Only groups with a booking of this branch
+ *     responses:
+ *       200:
+ *         description: Duplicate report
+ *       404:
+ *         description: No report generated yet
+ *   post:
+ *     summary: Regenerate today's duplicate booking report
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Regenerated report
+ */
+router.route('/duplicates/report')
+  .get(
+    protect,
+    requirePermission('BOOKING.READ'),
+    duplicateBookingController.getDuplicateReport
+  )
+  .post(
+    protect,
+    requirePermission('BOOKING.BOOKING_ACTIONS'),
+    duplicateBookingController.generateDuplicateReport
+  );
+
 router.get('/:id', 
   // protect,
   // requirePermission('BOOKING.READ'),
@@ -883,7 +1152,8 @@ router.put('/:id',
  *     summary: Approve a booking (simple version - just updates status)
  *     description: |
  *       Updates booking status to APPROVED and records approval details.
- *       Requires ADMIN or MANAGER role.
+ *       Requires ADMIN or MANAGER role. A discount beyond the auto-approved limit of the
+ *       discount policy can only be approved by the approver role in booking.discountPolicy.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -932,7 +1202,7 @@ router.put('/:id',
  *               success: false
  *               message: "Invalid booking ID format"
  *       403:
- *         description: Unauthorized to approve bookings
+ *         description: Unauthorized to approve bookings, or the discount needs a higher approver
  *         content:
  *           application/json:
  *             schema:
@@ -972,6 +1242,12 @@ router.put('/:id/approve',
  *       - Allows unlimited changes before allocation
  *       - Allows only one change after allocation (requires reason)
  *       - Optional claim with documents (max 6 files)
+ *       - With mode=auto the oldest undamaged in-stock vehicle of the booking's model and
+ *         color at its branch is picked (FIFO by inward date) and chassisNumber is not needed.
+ *         A vehicle reserved for the booking is picked first. See /bookings/{id}/allocate/preview.
+ *       - The chassis must be a valid VIN (17 characters, no I, O or Q). Its decoded model year
+ *         is checked against the vehicle's inward date and its prefix against the booked model's
+ *         vin_prefix; mismatches do not block the allocation and are returned in vinCheck.flags.
  *     tags: [Bookings]
  *     consumes:
  *       - multipart/form-data
@@ -992,19 +1268,24 @@ router.put('/:id/approve',
  *         schema:
  *           type: string
  *         description: Required when changing chassis after allocation
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [auto]
+ *         description: Pick the chassis automatically (booking must not have one yet)
  *     requestBody:
  *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
  *             type: object
- *             required:
- *               - chassisNumber
  *             properties:
  *               chassisNumber:
  *                 type: string
- *                 pattern: '^[A-Z0-9]{17}$'
+ *                 pattern: '^[A-HJ-NPR-Z0-9]{17}$'
  *                 example: "MA6FRE4521KM12345"
+ *                 description: Required unless mode=auto
  *               hasClaim:
  *                 type: boolean
  *                 default: false
@@ -1053,6 +1334,83 @@ router.put(
   upload.array('documents'),
   bookingController.allocateChassisNumber
 );
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/allocate/preview:
+ *   get:
+ *     summary: Preview automatic chassis allocation
+ *     description: |
+ *       Shows the vehicle PUT /bookings/{id}/allocate?mode=auto would pick and the next
+ *       alternates: undamaged in-stock vehicles of the booking's model and color at its
+ *       branch, oldest inward first. Vehicles reserved for other bookings, allocated to
+ *       another open booking or on an unreceived stock transfer are excluded.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: query
+ *         name: alternates
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Candidate vehicle (null when none is available) and alternates
+ *       400:
+ *         description: Invalid booking ID or not a branch booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/allocate/preview',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingController.previewChassisAllocation
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/auto-allocate:
+ *   post:
+ *     summary: Auto-allocate chassis numbers for a branch
+ *     description: |
+ *       Allocates a chassis (FIFO by inward date) to every APPROVED booking of the branch
+ *       that has none yet, oldest booking first. Bookings without a matching vehicle are
+ *       reported as skipped.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - branchId
+ *             properties:
+ *               branchId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Allocated and skipped bookings
+ *       400:
+ *         description: Missing or invalid branchId
+ *       403:
+ *         description: Branch is not the user's branch
+ */
+router.post('/auto-allocate',
+  protect,
+  requirePermission('BOOKING.BOOKING_ACTIONS'),
+  bookingController.autoAllocateBranch
+);
 // Add this to your routes file
 // /**
 //  * @swagger
@@ -1361,6 +1719,13 @@ router.get('/chassis/:chassisNumber',
  * /api/v1/bookings/{id}/cancel:
  *   post:
  *     summary: Cancel a booking (requires CANCEL_BOOKING permission)
+ *     description: |
+ *       Creates a cancellation request. The refund is the amount received less the
+ *       cancellation charges. When the refund is within CANCELLATION_APPROVAL_LIMIT the
+ *       cancellation is executed immediately: the booking moves to CANCELLED, the
+ *       allocated chassis goes back to in_stock, Ledger entries and broker
+ *       Exchange/Commission debits are reversed and a refund voucher is issued.
+ *       Larger refunds wait for approval via /bookings/{id}/cancellation/approve.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -1376,10 +1741,25 @@ router.get('/chassis/:chassisNumber',
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - cancellationReason
  *             properties:
  *               cancellationReason:
  *                 type: string
  *                 description: Reason for cancellation
+ *               cancellationCharges:
+ *                 type: number
+ *                 description: Charges deducted from the refund
+ *               refundMode:
+ *                 type: string
+ *                 enum: [Cash, Bank]
+ *                 description: Required when a refund is due
+ *               cashLocation:
+ *                 type: string
+ *                 description: Cash location ID (refundMode Cash)
+ *               bank:
+ *                 type: string
+ *                 description: Bank ID (refundMode Bank)
  *     responses:
  *       200:
  *         description: Booking cancelled
@@ -1387,6 +1767,8 @@ router.get('/chassis/:chassisNumber',
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Booking'
+ *       202:
+ *         description: Cancellation submitted for manager approval
  *       400:
  *         description: Booking cannot be cancelled in current state
  *         content:
@@ -1414,16 +1796,14 @@ router.post('/:id/cancel',
   protect, 
   requirePermission('BOOKING.BOOKING_ACTIONS'),
   logAction('CANCEL', 'Booking'), 
-  bookingController.cancelBooking
+  bookingCancellationController.cancelBooking
 );
 
-
 /**
  * @swagger
- * /api/v1/bookings/{id}/receipt:
+ * /api/v1/bookings/{id}/cancellation:
  *   get:
- *     summary: Generate booking receipt (PDF)
- *     description: Generates a PDF booking receipt. Only available for APPROVED or COMPLETED bookings.
+ *     summary: Get the latest cancellation request of a booking
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -1436,28 +1816,178 @@ router.post('/:id/cancel',
  *         description: Booking ID
  *     responses:
  *       200:
- *         description: PDF booking receipt
- *         content:
- *           application/pdf:
- *             schema:
- *               type: string
- *               format: binary
- *       400:
- *         description: Booking not in APPROVED or COMPLETED state
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden (no permission)
+ *         description: Cancellation with refund voucher and reversals
  *       404:
- *         description: Booking not found
- *       500:
- *         description: Server error
+ *         description: Booking or cancellation not found
  */
-router.get('/:id/receipt', 
+router.get('/:id/cancellation',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingCancellationController.getCancellation
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/cancellation/approve:
+ *   post:
+ *     summary: Approve a pending booking cancellation and execute it
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               approvalNote:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation approved and booking cancelled
+ *       400:
+ *         description: Cancellation is not pending approval
+ *       403:
+ *         description: Forbidden (missing BOOKING.CANCELLATION_APPROVE)
+ *       404:
+ *         description: Booking or cancellation not found
+ */
+router.post('/:id/cancellation/approve',
+  protect,
+  requirePermission('BOOKING.CANCELLATION_APPROVE'),
+  logAction('APPROVE', 'Booking'),
+  bookingCancellationController.approveCancellation
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/cancellation/reject:
+ *   post:
+ *     summary: Reject a pending booking cancellation
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rejectionReason
+ *             properties:
+ *               rejectionReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation rejected
+ *       400:
+ *         description: Missing reason or cancellation is not pending approval
+ *       404:
+ *         description: Booking or cancellation not found
+ */
+router.post('/:id/cancellation/reject',
+  protect,
+  requirePermission('BOOKING.CANCELLATION_APPROVE'),
+  logAction('REJECT', 'Booking'),
+  bookingCancellationController.rejectCancellation
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/cancellation/refund:
+ *   post:
+ *     summary: Mark the cancellation refund voucher as paid
+ *     description: Cash refunds of branch bookings are also posted to the cash book as a debit cash voucher.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               transactionReference:
+ *                 type: string
+ *                 description: Required for bank refunds
+ *     responses:
+ *       200:
+ *         description: Refund marked as paid
+ *       400:
+ *         description: Refund not payable
+ *       404:
+ *         description: Booking or cancellation not found
+ */
+router.post('/:id/cancellation/refund',
+  protect,
+  requirePermission('BOOKING.BOOKING_ACTIONS'),
+  logAction('UPDATE', 'Booking'),
+  bookingCancellationController.payRefund
+);
+
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/receipt:
+ *   get:
+ *     summary: Generate booking receipt (PDF)
+ *     description: Generates a PDF booking receipt. Only available for APPROVED or COMPLETED bookings.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: PDF booking receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Booking not in APPROVED or COMPLETED state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden (no permission)
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/receipt', 
   protect,
   requirePermission('BOOKING.READ'),
   pdfController.generateBookingReceipt
@@ -1601,7 +2131,10 @@ router.get('/:id/documents',
  * /api/v1/bookings/{id}/ready-for-delivery:
  *   get:
  *     summary: Check if booking is ready for delivery
- *     description: Verifies all required documents (KYC, Finance Letter) are approved
+ *     description: |
+ *       Runs the checks a delivery has to pass before the booking can be completed:
+ *       booking approved, chassis allocated, KYC and finance letter approved,
+ *       balance cleared and the vehicle's latest PDI passed.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -1620,27 +2153,474 @@ router.get('/:id/documents',
  *             schema:
  *               type: object
  *               properties:
- *                 ready:
+ *                 success:
  *                   type: boolean
- *                   description: Whether booking is ready for delivery
- *                 missingRequirements:
- *                   type: array
- *                   items:
- *                     type: string
- *                   description: List of missing requirements if not ready
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isReady:
+ *                       type: boolean
+ *                       description: Whether booking is ready for delivery
+ *                     requirements:
+ *                       type: object
+ *                       properties:
+ *                         bookingApproved:
+ *                           type: boolean
+ *                         chassisAllocated:
+ *                           type: boolean
+ *                         kycApproved:
+ *                           type: boolean
+ *                         financeLetterApproved:
+ *                           type: boolean
+ *                         balanceCleared:
+ *                           type: boolean
+ *                         pdiPassed:
+ *                           type: boolean
+ *                     missingRequirements:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: List of missing requirements if not ready
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/ready-for-delivery',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingController.checkReadyForDelivery
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/delivery:
+ *   post:
+ *     summary: Deliver the booked vehicle
+ *     description: |
+ *       Records the hand-over of the allocated vehicle and generates the gate pass PDF.
+ *       Only allowed when the booking is ready for delivery (see ready-for-delivery),
+ *       which includes a passed pre-delivery inspection of the vehicle. The booking
+ *       moves to COMPLETED and the vehicle is marked sold.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveryDate:
+ *                 type: string
+ *                 format: date
+ *               odometerReading:
+ *                 type: number
+ *               receivedBy:
+ *                 type: string
+ *                 description: Person taking delivery (defaults to the customer)
+ *               accessories:
+ *                 type: string
+ *                 description: |
+ *                   JSON array of { accessory, name, quantity, handedOver, remarks }.
+ *                   Defaults to the accessories on the booking.
+ *               remarks:
+ *                 type: string
+ *               customerSignature:
+ *                 type: string
+ *                 format: binary
+ *               customerPhoto:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Vehicle delivered
+ *       400:
+ *         description: Booking not ready for delivery or invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking or vehicle already delivered
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: Get the delivery of a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Delivery details
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking or delivery not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/delivery',
+  protect,
+  requirePermission('BOOKING.DELIVERY'),
+  documentUpload.fields([
+    { name: 'customerSignature', maxCount: 1 },
+    { name: 'customerPhoto', maxCount: 1 }
+  ]),
+  deliveryController.createDelivery
+);
+
+router.get('/:id/delivery',
+  protect,
+  requirePermission('BOOKING.READ'),
+  deliveryController.getDelivery
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/delivery/gate-pass:
+ *   get:
+ *     summary: Download the gate pass PDF
+ *     description: Regenerates the PDF when it is missing or when regenerate=true
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: query
+ *         name: regenerate
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Gate pass PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking or delivery not found
+ *       500:
+ *         description: Gate pass could not be generated
+ */
+router.get('/:id/delivery/gate-pass',
+  protect,
+  requirePermission('BOOKING.READ'),
+  deliveryController.downloadGatePass
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/reservation:
+ *   get:
+ *     summary: Get the vehicle currently reserved for a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Active reservation, or null when the booking holds no vehicle
+ *       404:
+ *         description: Booking not found
+ *   post:
+ *     summary: Reserve a specific vehicle for a booking
+ *     description: |
+ *       Soft-holds an in-stock vehicle of the booking's model and color. While the hold is
+ *       active the chassis is hidden from other users' chassis lists and cannot be allocated
+ *       to another booking. Holds expire automatically (48 hours by default, at most 7 days)
+ *       and become the booking's chassis allocation when the booking is approved.
+ *       Reserving another vehicle releases the booking's previous hold.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *                 description: Used when vehicleId is not given
+ *               hours:
+ *                 type: number
+ *                 description: Hold duration in hours
+ *                 example: 48
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Vehicle reserved
+ *       400:
+ *         description: Booking or vehicle cannot be reserved
+ *       404:
+ *         description: Booking or vehicle not found
+ *       409:
+ *         description: Vehicle already reserved or allocated for another booking
+ *   delete:
+ *     summary: Release a booking's vehicle reservation
+ *     description: Allowed for the user who reserved the vehicle or users who can approve bookings.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       403:
+ *         description: Reservation belongs to another user
+ *       404:
+ *         description: Booking not found or no active reservation
+ */
+router.route('/:id/reservation')
+  .get(
+    protect,
+    requirePermission('BOOKING.READ'),
+    vehicleReservationController.getReservation
+  )
+  .post(
+    protect,
+    requirePermission('BOOKING.CREATE', 'BOOKING.UPDATE'),
+    vehicleReservationController.reserveVehicle
+  )
+  .delete(
+    protect,
+    requirePermission('BOOKING.CREATE', 'BOOKING.UPDATE'),
+    vehicleReservationController.releaseReservation
+  );
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/transitions:
+ *   get:
+ *     summary: List lifecycle actions available for a booking
+ *     description: |
+ *       Returns every action defined from the booking's current status (APPROVE, REJECT,
+ *       ALLOCATE_CHASSIS, COMPLETE, CANCEL) with the target status, whether the current
+ *       user holds the required permission and which preconditions (KYC verified,
+ *       finance letter approved, chassis allocated, balance zero, PDI passed) are not yet met.
+ *       Also returns the booking's status history.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Available transitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentStatus:
+ *                       type: string
+ *                     isTerminal:
+ *                       type: boolean
+ *                     transitions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             example: COMPLETE
+ *                           label:
+ *                             type: string
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                           allowed:
+ *                             type: boolean
+ *                           hasPermission:
+ *                             type: boolean
+ *                           failedGuards:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 guard:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *                     statusHistory:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid booking ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/transitions',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingController.getBookingTransitions
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/timeline:
+ *   get:
+ *     summary: Get booking timeline
+ *     description: |
+ *       Chronological feed of everything that happened to a booking - status changes,
+ *       chassis changes, ledger receipts and debits, KYC and finance letter decisions,
+ *       insurance, RTO progress, delivery, cancellation and customer update requests - each with
+ *       its timestamp and acting user.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: STATUS_CHANGE,RECEIPT
+ *         description: |
+ *           Comma-separated event types to include (BOOKING_CREATED, STATUS_CHANGE, CHASSIS_CHANGE,
+ *           DOCUMENT, UPDATE_REQUEST, RECEIPT, DEBIT, REVERSAL, RECEIPT_APPROVAL, KYC, FINANCE_LETTER,
+ *           INSURANCE, RTO, DELIVERY, CANCELLATION, REFUND)
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Booking timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingNumber:
+ *                       type: string
+ *                     currentStatus:
+ *                       type: string
+ *                     count:
+ *                       type: integer
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           at:
+ *                             type: string
+ *                             format: date-time
+ *                           type:
+ *                             type: string
+ *                             example: STATUS_CHANGE
+ *                           title:
+ *                             type: string
+ *                             example: PENDING_APPROVAL → APPROVED
+ *                           actor:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               email:
+ *                                 type: string
+ *                           source:
+ *                             type: string
+ *                             example: Ledger
+ *                           refId:
+ *                             type: string
+ *                           details:
+ *                             type: object
+ *       400:
+ *         description: Invalid booking ID
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Forbidden
  *       404:
  *         description: Booking not found
  *       500:
  *         description: Server error
  */
-router.get('/:id/ready-for-delivery',
+router.get('/:id/timeline',
   protect,
   requirePermission('BOOKING.READ'),
-  bookingController.checkReadyForDelivery
+  bookingController.getBookingTimeline
 );
 /**
  * @swagger
@@ -1802,8 +2782,7 @@ router.get('/:id/qr-code',
  *             type: object
  *             properties:
  *               updates:
- *                 type: object
- *                 description: Fields to update
+ *                 $ref: '#/components/schemas/BookingChangeInput'
  *     responses:
  *       200:
  *         description: Update request submitted
@@ -1812,9 +2791,11 @@ router.get('/:id/qr-code',
  *             schema:
  *               $ref: '#/components/schemas/Booking'
  *       400:
- *         description: Invalid update request
+ *         description: Invalid update request, nothing changed or form already submitted
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking already has a pending change request
  *       500:
  *         description: Server error
  */
@@ -1846,9 +2827,25 @@ router.post('/:id/submit-update',
  *               note:
  *                 type: string
  *                 description: Optional approval note
+ *               accepted:
+ *                 description: |
+ *                   Fields of the change request to apply (see GET /bookings/{id}/pending-update,
+ *                   changeRequest.changes[].field); the others are rejected. Defaults to ALL.
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                     example: [customerDetails.mobile1, accessories.64f0c2a1e4b0a1b2c3d4e5f6]
+ *                   - type: string
+ *                     enum: [ALL]
+ *               notes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Reason per field, keyed by field
  *     responses:
  *       200:
- *         description: Update approved
+ *         description: Update approved, partially approved or, with no accepted fields, rejected
  *         content:
  *           application/json:
  *             schema:
@@ -1939,7 +2936,7 @@ router.post('/:id/reject-update',
       );
       res.json(booking);
     } catch (error) {
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         success: false, 
         message: error.message 
       });
@@ -2033,11 +3030,13 @@ router.get('/:id/update-form', bookingController.getUpdateForm);
  *                   description: Requested updates
  *                 updateRequestStatus:
  *                   type: string
- *                   enum: [NONE, PENDING, APPROVED, REJECTED]
+ *                   enum: [NONE, PENDING, APPROVED, PARTIALLY_APPROVED, REJECTED]
  *                   description: Update request status
  *                 updateRequestNote:
  *                   type: string
  *                   description: Update request note
+ *                 changeRequest:
+ *                   $ref: '#/components/schemas/BookingChangeRequest'
  *                 updateRequestedBy:
  *                   type: object
  *                   properties:
@@ -2087,6 +3086,365 @@ router.get('/:id/pending-update',
   }
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookingChangeInput:
+ *       type: object
+ *       description: Only the sections given are compared with the booking
+ *       properties:
+ *         customerDetails:
+ *           type: object
+ *           description: Any of salutation, name, panNo, dob, occupation, address, taluka, district, pincode, mobile1, mobile2, aadharNumber, nomineeName, nomineeRelation, nomineeAge
+ *           example:
+ *             mobile1: '9876543210'
+ *             address: 12 MG Road
+ *         model:
+ *           type: string
+ *           description: Model ID; only while no chassis is allocated
+ *         color:
+ *           type: string
+ *           description: Color ID or name; only while no chassis is allocated
+ *         accessories:
+ *           type: array
+ *           description: Full accessory selection (accessory IDs)
+ *           items:
+ *             type: string
+ *         priceComponents:
+ *           type: array
+ *           description: Not together with a model change
+ *           items:
+ *             type: object
+ *             required:
+ *               - header
+ *             properties:
+ *               header:
+ *                 type: string
+ *               discountedValue:
+ *                 type: number
+ *                 description: Between 0 and the component's list price; an optional component not on the booking is added
+ *               selected:
+ *                 type: boolean
+ *                 description: false removes an optional component
+ *         payment:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [CASH, FINANCE]
+ *             financer:
+ *               type: string
+ *             scheme:
+ *               type: string
+ *             emiPlan:
+ *               type: string
+ *             gcApplicable:
+ *               type: boolean
+ *             gcAmount:
+ *               type: number
+ *     BookingChangeRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         booking:
+ *           type: string
+ *         bookingNumber:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Counts up per booking
+ *         source:
+ *           type: string
+ *           enum: [QR_FORM, STAFF]
+ *         status:
+ *           type: string
+ *           enum: [PENDING, APPROVED, PARTIALLY_APPROVED, REJECTED]
+ *         requested:
+ *           $ref: '#/components/schemas/BookingChangeInput'
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: customerDetails.mobile1
+ *               section:
+ *                 type: string
+ *                 enum: [customerDetails, model, color, accessories, priceComponents, payment]
+ *               label:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *               fromText:
+ *                 type: string
+ *               toText:
+ *                 type: string
+ *               financial:
+ *                 type: boolean
+ *                 description: Accepting it recomputes the booking totals
+ *               decision:
+ *                 type: string
+ *                 enum: [PENDING, ACCEPTED, REJECTED]
+ *               note:
+ *                 type: string
+ *         before:
+ *           type: object
+ *           description: The booking when the request was submitted
+ *         after:
+ *           type: object
+ *           description: The booking after the accepted fields were applied
+ *         totals:
+ *           type: object
+ *           properties:
+ *             before:
+ *               type: object
+ *             after:
+ *               type: object
+ *         requestedBy:
+ *           type: string
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewNote:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/change-requests:
+ *   get:
+ *     summary: List the change requests of a booking
+ *     description: All versions, oldest first, each with its field diff and the booking before and after review.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Change requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BookingChangeRequest'
+ *       404:
+ *         description: Booking not found
+ *   post:
+ *     summary: Submit a change request for a booking
+ *     description: Raised by staff; the customer uses submit-update through the booking QR code. One request can be pending at a time.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - updates
+ *             properties:
+ *               updates:
+ *                 $ref: '#/components/schemas/BookingChangeInput'
+ *     responses:
+ *       201:
+ *         description: Change request submitted
+ *       400:
+ *         description: Invalid updates, nothing changed or booking closed
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking already has a pending change request
+ */
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/duplicates:
+ *   get:
+ *     summary: Active bookings that look like duplicates of this booking
+ *     description: Current matches, and the ones found when the booking was created (atCreation).
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suspected duplicates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingNumber:
+ *                       type: string
+ *                     duplicates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BookingDuplicate'
+ *                     atCreation:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/duplicates',
+  protect,
+  requirePermission('BOOKING.READ'),
+  duplicateBookingController.getBookingDuplicates
+);
+
+router.route('/:id/change-requests')
+  .get(
+    protect,
+    requirePermission('BOOKING.READ'),
+    bookingChangeRequestController.getChangeRequests
+  )
+  .post(
+    protect,
+    requirePermission('BOOKING.UPDATE'),
+    logAction('SUBMIT_UPDATE_REQUEST', 'Booking'),
+    bookingChangeRequestController.submitChangeRequest
+  );
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/change-requests/{version}:
+ *   get:
+ *     summary: Get one version of a booking change request
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Change request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BookingChangeRequest'
+ *       404:
+ *         description: No such version
+ */
+router.get('/:id/change-requests/:version',
+  protect,
+  requirePermission('BOOKING.READ'),
+  bookingChangeRequestController.getChangeRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}/change-requests/{version}/review:
+ *   post:
+ *     summary: Approve a change request field by field
+ *     description: |
+ *       The accepted fields are applied to the booking and the rest rejected. Accepted model,
+ *       accessory or price component changes recompute the booking's accessories total, total
+ *       and discounted amounts. A field changed on the booking since the request was submitted
+ *       cannot be accepted.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - accepted
+ *             properties:
+ *               accepted:
+ *                 description: Fields to apply ([] rejects the whole request), or ALL
+ *                 oneOf:
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                   - type: string
+ *                     enum: [ALL]
+ *               notes:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 description: Reason per field, keyed by field
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved, partially approved or rejected
+ *       400:
+ *         description: Request already reviewed, unknown fields or the result fails booking validation
+ *       404:
+ *         description: No such version
+ *       409:
+ *         description: Accepted fields changed on the booking meanwhile
+ */
+router.post('/:id/change-requests/:version/review',
+  protect,
+  requirePermission('BOOKING.BOOKING_ACTIONS'),
+  logAction('APPROVE_UPDATE_REQUEST', 'Booking'),
+  bookingChangeRequestController.reviewChangeRequest
+);
+
 router.post('/verify-broker-otp', protect, async (req, res) => {
     const { otp } = req.body;
     if (!otp) return res.status(400).json({ success: false, message: 'OTP is required' });
@@ -0,0 +1,450 @@
+const express = require('express');
+const router = express.Router();
+const damageClaimController = require('../controllers/damageClaimController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Damage Claim
+ *   description: |
+ *     Vehicle damage claimed from the transporter or OEM. Claims are opened when damage is
+ *     reported (POST /vehicles/{vehicleId}/damage), recorded at inward or found on a stock
+ *     transfer receipt. The vehicle cannot be allocated until the repair of every claim on
+ *     it is marked done.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DamageClaim:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         claimNumber:
+ *           type: string
+ *           example: DC-2026-0001
+ *         vehicle:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         branch:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [inward, transfer, stock]
+ *         transfer:
+ *           type: string
+ *           description: Stock transfer the damage was found on
+ *         description:
+ *           type: string
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *         responsibleParty:
+ *           type: string
+ *           enum: [transporter, oem]
+ *         partyName:
+ *           type: string
+ *         partyClaimNumber:
+ *           type: string
+ *           description: Claim number issued by the transporter or OEM
+ *         estimatedRepairCost:
+ *           type: number
+ *         actualRepairCost:
+ *           type: number
+ *         approvedAmount:
+ *           type: number
+ *         settlementAmount:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [reported, submitted, approved, settled, rejected]
+ *         ledgerEntry:
+ *           type: string
+ *           description: Ledger receipt the settlement was posted as
+ *         repairStatus:
+ *           type: string
+ *           enum: [pending, done]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/damage-claims:
+ *   get:
+ *     summary: List damage claims
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vehicle
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [reported, submitted, approved, settled, rejected]
+ *       - in: query
+ *         name: responsibleParty
+ *         schema:
+ *           type: string
+ *           enum: [transporter, oem]
+ *       - in: query
+ *         name: repairStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, done]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Claim number, chassis number or the party's claim number
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated damage claims
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/',
+  protect,
+  requirePermission('DAMAGE_CLAIM.READ'),
+  damageClaimController.getClaims
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}:
+ *   get:
+ *     summary: Get a damage claim
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Damage claim details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     claim:
+ *                       $ref: '#/components/schemas/DamageClaim'
+ *       404:
+ *         description: Damage claim not found
+ */
+router.get(
+  '/:id',
+  protect,
+  requirePermission('DAMAGE_CLAIM.READ'),
+  damageClaimController.getClaim
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}/submit:
+ *   put:
+ *     summary: Submit a reported claim to the transporter or OEM
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - partyClaimNumber
+ *             properties:
+ *               responsibleParty:
+ *                 type: string
+ *                 enum: [transporter, oem]
+ *                 description: Required unless given when the damage was reported
+ *               partyName:
+ *                 type: string
+ *                 example: Example Roadways
+ *               partyClaimNumber:
+ *                 type: string
+ *                 example: CLM/2026/0451
+ *               estimatedRepairCost:
+ *                 type: number
+ *                 description: Required unless given when the damage was reported
+ *                 example: 4500
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim submitted
+ *       400:
+ *         description: Claim is not reported or details missing
+ *       404:
+ *         description: Damage claim not found
+ */
+router.put(
+  '/:id/submit',
+  protect,
+  requirePermission('DAMAGE_CLAIM.UPDATE'),
+  logAction('SUBMIT', 'DamageClaim'),
+  damageClaimController.submitClaim
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}/approve:
+ *   put:
+ *     summary: Record the transporter's or OEM's approval of a submitted claim
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - approvedAmount
+ *             properties:
+ *               approvedAmount:
+ *                 type: number
+ *                 example: 4000
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim approved
+ *       400:
+ *         description: Claim is not submitted or amount missing
+ *       404:
+ *         description: Damage claim not found
+ */
+router.put(
+  '/:id/approve',
+  protect,
+  requirePermission('DAMAGE_CLAIM.APPROVE'),
+  logAction('APPROVE', 'DamageClaim'),
+  damageClaimController.approveClaim
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}/reject:
+ *   put:
+ *     summary: Record the rejection of a reported or submitted claim
+ *     description: The repair still has to be marked done before the vehicle can be allocated.
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Claim rejected
+ *       400:
+ *         description: Claim cannot be rejected or reason missing
+ *       404:
+ *         description: Damage claim not found
+ */
+router.put(
+  '/:id/reject',
+  protect,
+  requirePermission('DAMAGE_CLAIM.APPROVE'),
+  logAction('REJECT', 'DamageClaim'),
+  damageClaimController.rejectClaim
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}/settle:
+ *   put:
+ *     summary: Settle an approved claim
+ *     description: |
+ *       Records the amount received from the transporter or OEM and posts it to the ledger as an
+ *       approved DAMAGE_CLAIM_SETTLEMENT receipt. Payment fields follow the ledger rules
+ *       (bank and sub payment mode for Bank, cash location for Cash).
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - settlementAmount
+ *               - paymentMode
+ *             properties:
+ *               settlementAmount:
+ *                 type: number
+ *                 example: 4000
+ *               paymentMode:
+ *                 type: string
+ *                 enum: [Cash, Bank]
+ *               bank:
+ *                 type: string
+ *               subPaymentMode:
+ *                 type: string
+ *               cashLocation:
+ *                 type: string
+ *               transactionReference:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim settled
+ *       400:
+ *         description: Claim is not approved or payment details invalid
+ *       404:
+ *         description: Damage claim not found
+ */
+router.put(
+  '/:id/settle',
+  protect,
+  requirePermission('DAMAGE_CLAIM.APPROVE'),
+  logAction('SETTLE', 'DamageClaim'),
+  damageClaimController.settleClaim
+);
+
+/**
+ * @swagger
+ * /api/v1/damage-claims/{id}/repair:
+ *   put:
+ *     summary: Mark the repair of the damage done
+ *     description: |
+ *       Allowed whatever the claim status. Once no repair is pending on the vehicle its damage
+ *       flag is cleared and a damaged vehicle goes back to in_stock.
+ *     tags: [Damage Claim]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - actualRepairCost
+ *             properties:
+ *               actualRepairCost:
+ *                 type: number
+ *                 example: 3800
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Repair marked done
+ *       400:
+ *         description: Repair already done or cost missing
+ *       404:
+ *         description: Damage claim not found
+ */
+router.put(
+  '/:id/repair',
+  protect,
+  requirePermission('DAMAGE_CLAIM.UPDATE'),
+  logAction('REPAIR', 'DamageClaim'),
+  damageClaimController.markRepaired
+);
+
+module.exports = router;
@@ -0,0 +1,567 @@
+const express = require('express');
+const router = express.Router();
+const demoFleetController = require('../controllers/demoFleetController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Demo Fleet
+ *   description: |
+ *     Demo vehicles of a branch and test rides on them. A demo vehicle stays in stock but is left
+ *     out of allocation, reservations and stock counts until it is taken off the demo fleet.
+ *     Test rides book a slot on a demo vehicle (slots on the same vehicle cannot overlap), are
+ *     checked out and in with odometer readings, and count as converted when the customer books
+ *     at the branch within TEST_RIDE_CONVERSION_DAYS (default 30) after the ride, matched on the
+ *     customer's mobile number.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TestRideInput:
+ *       type: object
+ *       required:
+ *         - slotStart
+ *         - slotEnd
+ *         - licenceNumber
+ *       properties:
+ *         vehicleId:
+ *           type: string
+ *           description: Demo vehicle; or give qrCode or chassisNumber instead
+ *         qrCode:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         slotStart:
+ *           type: string
+ *           format: date-time
+ *         slotEnd:
+ *           type: string
+ *           format: date-time
+ *           description: After slotStart, at most 8 hours later
+ *         customerName:
+ *           type: string
+ *           description: Defaults to the customer on the quotation
+ *         mobile:
+ *           type: string
+ *           pattern: '^[0-9]{10}$'
+ *           description: Defaults to the customer on the quotation
+ *         licenceNumber:
+ *           type: string
+ *           example: MH1220110012345
+ *         quotation:
+ *           type: string
+ *           description: Quotation (lead) the ride came from
+ *         notes:
+ *           type: string
+ *     TestRide:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         rideNumber:
+ *           type: string
+ *           example: TR-2026-0001
+ *         branch:
+ *           type: string
+ *         vehicle:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         modelName:
+ *           type: string
+ *         customerName:
+ *           type: string
+ *         mobile:
+ *           type: string
+ *         licenceNumber:
+ *           type: string
+ *         slotStart:
+ *           type: string
+ *           format: date-time
+ *         slotEnd:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [scheduled, out, completed, cancelled, no_show]
+ *         odometerOut:
+ *           type: number
+ *         odometerIn:
+ *           type: number
+ *         distance:
+ *           type: number
+ *         checkedOutAt:
+ *           type: string
+ *           format: date-time
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ *         quotation:
+ *           type: string
+ *         customer:
+ *           type: string
+ *         conversion:
+ *           type: object
+ *           properties:
+ *             booking:
+ *               type: string
+ *             bookingNumber:
+ *               type: string
+ *             convertedAt:
+ *               type: string
+ *               format: date-time
+ *         cancellationReason:
+ *           type: string
+ *         notes:
+ *           type: string
+ *     TestRideResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             ride:
+ *               $ref: '#/components/schemas/TestRide'
+ */
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/vehicles:
+ *   get:
+ *     summary: List demo vehicles
+ *     description: Each vehicle comes with the ride it is out on, if any, and its upcoming rides.
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *     responses:
+ *       200:
+ *         description: Demo vehicles
+ *   post:
+ *     summary: Add a vehicle to the demo fleet
+ *     description: |
+ *       Only in-stock vehicles that are not allocated to or reserved for a booking can be
+ *       flagged as demo.
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *               qrCode:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *               odometer:
+ *                 type: number
+ *                 description: Current reading; later check-outs cannot be below it
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Vehicle flagged as demo
+ *       400:
+ *         description: Vehicle not in stock or already a demo vehicle
+ *       403:
+ *         description: Vehicle of another branch
+ *       404:
+ *         description: Vehicle not found
+ *       409:
+ *         description: Vehicle allocated to or reserved for a booking
+ */
+router.route('/vehicles')
+  .get(
+    protect,
+    requirePermission('DEMO_FLEET.READ'),
+    demoFleetController.getDemoVehicles
+  )
+  .post(
+    protect,
+    requirePermission('DEMO_FLEET.MANAGE'),
+    logAction('UPDATE', 'Vehicle'),
+    demoFleetController.flagDemoVehicle
+  );
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/vehicles/{vehicleId}:
+ *   delete:
+ *     summary: Take a vehicle off the demo fleet
+ *     description: Returns the vehicle to sellable stock. Open test rides on it must be closed first.
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle back in sellable stock
+ *       400:
+ *         description: Not a demo vehicle
+ *       409:
+ *         description: Test ride still scheduled or out on the vehicle
+ */
+router.delete(
+  '/vehicles/:vehicleId',
+  protect,
+  requirePermission('DEMO_FLEET.MANAGE'),
+  logAction('UPDATE', 'Vehicle'),
+  demoFleetController.unflagDemoVehicle
+);
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/test-rides:
+ *   get:
+ *     summary: List test rides
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *       - in: query
+ *         name: vehicle
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quotation
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma separated statuses
+ *       - in: query
+ *         name: mobile
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Slot start from
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Test rides, latest slot first
+ *   post:
+ *     summary: Book a test ride
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TestRideInput'
+ *     responses:
+ *       201:
+ *         description: Test ride booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestRideResponse'
+ *       400:
+ *         description: Not a demo vehicle, invalid slot or validation error
+ *       404:
+ *         description: Vehicle or quotation not found
+ *       409:
+ *         description: Slot overlaps another test ride on the vehicle
+ */
+router.route('/test-rides')
+  .get(
+    protect,
+    requirePermission('DEMO_FLEET.READ'),
+    demoFleetController.getTestRides
+  )
+  .post(
+    protect,
+    requirePermission('DEMO_FLEET.CREATE'),
+    logAction('CREATE', 'TestRide'),
+    demoFleetController.createTestRide
+  );
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/conversion:
+ *   get:
+ *     summary: Test-ride-to-booking conversion
+ *     description: |
+ *       Completed rides of the period (by slot start) and how many of them led to a booking,
+ *       overall and by model. Newly found bookings are linked to their rides. windowOpen counts
+ *       unconverted rides that may still convert.
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only (all branches when omitted); everyone else sees their own branch
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days before to
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Conversion report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversionDays:
+ *                       type: integer
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         rides:
+ *                           type: integer
+ *                         converted:
+ *                           type: integer
+ *                         conversionRate:
+ *                           type: number
+ *                           description: Percent
+ *                         withQuotation:
+ *                           type: integer
+ *                         windowOpen:
+ *                           type: integer
+ *                     models:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           model:
+ *                             type: string
+ *                           modelName:
+ *                             type: string
+ *                           rides:
+ *                             type: integer
+ *                           converted:
+ *                             type: integer
+ *                           conversionRate:
+ *                             type: number
+ *       400:
+ *         description: Invalid dates
+ */
+router.get(
+  '/conversion',
+  protect,
+  requirePermission('DEMO_FLEET.READ'),
+  demoFleetController.getConversionReport
+);
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/test-rides/{id}:
+ *   get:
+ *     summary: Get a test ride
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test ride
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TestRideResponse'
+ *       404:
+ *         description: Test ride not found
+ */
+router.get(
+  '/test-rides/:id',
+  protect,
+  requirePermission('DEMO_FLEET.READ'),
+  demoFleetController.getTestRide
+);
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/test-rides/{id}/check-out:
+ *   post:
+ *     summary: Hand the demo vehicle to the customer
+ *     description: The reading cannot be below the vehicle's reading at its last check-in.
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - odometer
+ *             properties:
+ *               odometer:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Ride is out
+ *       400:
+ *         description: Ride not scheduled or invalid reading
+ *       409:
+ *         description: Vehicle still out on another ride
+ */
+router.post(
+  '/test-rides/:id/check-out',
+  protect,
+  requirePermission('DEMO_FLEET.UPDATE'),
+  logAction('CHECK_OUT', 'TestRide'),
+  demoFleetController.checkOutTestRide
+);
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/test-rides/{id}/check-in:
+ *   post:
+ *     summary: Take the demo vehicle back
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - odometer
+ *             properties:
+ *               odometer:
+ *                 type: number
+ *                 description: Not below the check-out reading
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ride completed
+ *       400:
+ *         description: Ride not out or invalid reading
+ */
+router.post(
+  '/test-rides/:id/check-in',
+  protect,
+  requirePermission('DEMO_FLEET.UPDATE'),
+  logAction('CHECK_IN', 'TestRide'),
+  demoFleetController.checkInTestRide
+);
+
+/**
+ * @swagger
+ * /api/v1/demo-fleet/test-rides/{id}/cancel:
+ *   post:
+ *     summary: Cancel a scheduled test ride or mark it as a no-show
+ *     tags: [Demo Fleet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *               noShow:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Ride cancelled and its slot freed
+ *       400:
+ *         description: Ride not scheduled
+ */
+router.post(
+  '/test-rides/:id/cancel',
+  protect,
+  requirePermission('DEMO_FLEET.UPDATE'),
+  logAction('CANCEL', 'TestRide'),
+  demoFleetController.cancelTestRide
+);
+
+module.exports = router;
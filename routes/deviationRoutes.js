@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const deviationController = require('../controllers/deviationController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Deviation
+ *   description: |
+ *     Branch manager deviation budgets. Every deviation given on a booking's down payment is
+ *     recorded in the deviation ledger with the booking and the user who gave it. Managers on
+ *     a MONTHLY or QUARTERLY budget (deviationBudgetPeriod, set through
+ *     PUT /api/v1/users/{id}/deviation) start every calendar month or quarter from zero; the
+ *     reset is recorded as a RESET entry. An ALERT entry is raised once per period when a
+ *     manager has used 80% of the budget.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeviationUtilisation:
+ *       type: object
+ *       properties:
+ *         manager:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         branch:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         period:
+ *           type: string
+ *           enum: [NONE, MONTHLY, QUARTERLY]
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         allotted:
+ *           type: number
+ *           example: 50000
+ *         used:
+ *           type: number
+ *           example: 42000
+ *         available:
+ *           type: number
+ *           example: 8000
+ *         perTransactionLimit:
+ *           type: number
+ *         utilisation:
+ *           type: number
+ *           description: Percentage of the allotted budget used
+ *           example: 84
+ *         deviations:
+ *           type: integer
+ *           description: Deviations given in the current period
+ *         alert:
+ *           type: boolean
+ *           description: At or above the utilisation threshold
+ *         alertedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/deviations/ledger:
+ *   get:
+ *     summary: Deviation ledger entries
+ *     tags: [Deviation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: manager
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; other users see their own branch
+ *       - in: query
+ *         name: booking
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [CONSUMED, RESET, ALERT]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Ledger entries, newest first
+ *       400:
+ *         description: Invalid filter
+ */
+router.get(
+  '/ledger',
+  protect,
+  requirePermission('DEVIATION.READ'),
+  deviationController.getLedger
+);
+
+/**
+ * @swagger
+ * /api/v1/deviations/report:
+ *   get:
+ *     summary: Deviation used against allotted per manager and branch
+ *     description: Figures are for the current budget period of each manager.
+ *     tags: [Deviation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; other users see their own branch
+ *     responses:
+ *       200:
+ *         description: Utilisation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     threshold:
+ *                       type: number
+ *                       example: 80
+ *                     managers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeviationUtilisation'
+ *                     branches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     totals:
+ *                       type: object
+ */
+router.get(
+  '/report',
+  protect,
+  requirePermission('DEVIATION.READ'),
+  deviationController.getReport
+);
+
+/**
+ * @swagger
+ * /api/v1/deviations/alerts:
+ *   get:
+ *     summary: Managers at or above 80% utilisation of their deviation budget
+ *     tags: [Deviation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Managers over the threshold, most utilised first
+ */
+router.get(
+  '/alerts',
+  protect,
+  requirePermission('DEVIATION.READ'),
+  deviationController.getAlerts
+);
+
+/**
+ * @swagger
+ * /api/v1/deviations/reset:
+ *   post:
+ *     summary: Reset the budgets whose period has ended
+ *     description: Runs the periodic reset now instead of waiting for the nightly job.
+ *     tags: [Deviation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of manager budgets reset
+ */
+router.post(
+  '/reset',
+  protect,
+  requirePermission('DEVIATION.MANAGE'),
+  deviationController.resetDuePeriods
+);
+
+/**
+ * @swagger
+ * /api/v1/deviations/managers/{id}/reset:
+ *   post:
+ *     summary: Reset a manager's deviation usage by hand
+ *     tags: [Deviation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Manager with the usage reset
+ *       403:
+ *         description: Manager of another branch
+ *       404:
+ *         description: Manager not found
+ */
+router.post(
+  '/managers/:id/reset',
+  protect,
+  requirePermission('DEVIATION.UPDATE'),
+  logAction('UPDATE', 'User'),
+  deviationController.resetManager
+);
+
+module.exports = router;
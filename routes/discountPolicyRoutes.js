@@ -0,0 +1,367 @@
+const express = require('express');
+const router = express.Router();
+const discountPolicyController = require('../controllers/discountPolicyController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Discount Policy
+ *   description: |
+ *     Rule-based booking discount limits by model, branch, customer type, period and the role
+ *     of the user giving the discount. Empty scope lists match everything. Of the matching
+ *     rules the highest priority wins, then the most specific one. The rule gives the
+ *     discount approved automatically and the approver role needed beyond it; without a
+ *     matching rule the sales executive's own discount limit applies and a MANAGER approves
+ *     the rest. Bookings keep the outcome in discountPolicy.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DiscountPolicyInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Festive B2C scooters
+ *         description:
+ *           type: string
+ *         models:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Empty for every model
+ *         branches:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Empty for every branch
+ *         customerTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [B2B, B2C, CSD]
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Roles of the user giving the discount
+ *           example: [SALES_EXECUTIVE]
+ *         validFrom:
+ *           type: string
+ *           format: date
+ *         validTo:
+ *           type: string
+ *           format: date
+ *         priority:
+ *           type: integer
+ *           example: 10
+ *         autoApprove:
+ *           type: object
+ *           description: The lower of the limits set applies; nothing is auto-approved when neither is set
+ *           properties:
+ *             maxAmount:
+ *               type: number
+ *               example: 2000
+ *             maxPercent:
+ *               type: number
+ *               description: Of the discountable price
+ *               example: 3
+ *         approvalLevels:
+ *           type: array
+ *           description: Lowest level first; only the last may leave maxAmount empty
+ *           items:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: MANAGER
+ *               maxAmount:
+ *                 type: number
+ *                 example: 5000
+ *         isActive:
+ *           type: boolean
+ *     DiscountPolicyEvaluation:
+ *       type: object
+ *       properties:
+ *         policy:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             priority:
+ *               type: integer
+ *         source:
+ *           type: string
+ *           enum: [POLICY, USER_LIMIT]
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         requestedDiscount:
+ *           type: number
+ *         eligibleAmount:
+ *           type: number
+ *         autoApproveLimit:
+ *           type: number
+ *         autoApproved:
+ *           type: boolean
+ *         approverRole:
+ *           type: string
+ *           nullable: true
+ *         approverLimit:
+ *           type: number
+ *           nullable: true
+ *         exceedsPolicy:
+ *           type: boolean
+ *           description: Above the highest approval level; bookings refuse such a discount
+ *         explanation:
+ *           type: array
+ *           items:
+ *             type: string
+ *         candidates:
+ *           type: array
+ *           description: Every active rule with the reasons it did not match
+ *           items:
+ *             type: object
+ *             properties:
+ *               policy:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *               specificity:
+ *                 type: integer
+ *               matched:
+ *                 type: boolean
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/discount-policies:
+ *   get:
+ *     summary: List discount policies
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Rules for this model, including the ones for every model
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerType
+ *         schema:
+ *           type: string
+ *           enum: [B2B, B2C, CSD]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Discount policies, active and highest priority first
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a discount policy
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiscountPolicyInput'
+ *     responses:
+ *       201:
+ *         description: Created policy
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Model, branch or role not found
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('DISCOUNT_POLICY.READ'),
+    discountPolicyController.getPolicies
+  )
+  .post(
+    protect,
+    requirePermission('DISCOUNT_POLICY.CREATE'),
+    logAction('CREATE', 'DiscountPolicy'),
+    discountPolicyController.createPolicy
+  );
+
+/**
+ * @swagger
+ * /api/v1/discount-policies/evaluate:
+ *   post:
+ *     summary: Dry run of the discount policy
+ *     description: |
+ *       Explains which rule applies to a discount on the model and what approval it needs,
+ *       without creating a booking. Percentage discounts are of the model's discountable
+ *       price at the branch.
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *               - customerType
+ *               - discount
+ *             properties:
+ *               model:
+ *                 type: string
+ *               branch:
+ *                 type: string
+ *               customerType:
+ *                 type: string
+ *                 enum: [B2B, B2C, CSD]
+ *               userId:
+ *                 type: string
+ *                 description: User giving the discount; defaults to the caller
+ *               discount:
+ *                 type: object
+ *                 properties:
+ *                   value:
+ *                     type: number
+ *                     example: 3500
+ *                   type:
+ *                     type: string
+ *                     enum: [FIXED, PERCENTAGE]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Evaluation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DiscountPolicyEvaluation'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Model or user not found
+ */
+router.post(
+  '/evaluate',
+  protect,
+  requirePermission('DISCOUNT_POLICY.READ'),
+  discountPolicyController.evaluatePolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/discount-policies/{id}:
+ *   get:
+ *     summary: Get a discount policy
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Discount policy
+ *       404:
+ *         description: Not found
+ *   patch:
+ *     summary: Update a discount policy
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiscountPolicyInput'
+ *     responses:
+ *       200:
+ *         description: Updated policy
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     summary: Delete a discount policy
+ *     description: Bookings keep the name of the policy they were evaluated under.
+ *     tags: [Discount Policy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.route('/:id')
+  .get(
+    protect,
+    requirePermission('DISCOUNT_POLICY.READ'),
+    discountPolicyController.getPolicy
+  )
+  .patch(
+    protect,
+    requirePermission('DISCOUNT_POLICY.UPDATE'),
+    logAction('UPDATE', 'DiscountPolicy'),
+    discountPolicyController.updatePolicy
+  )
+  .delete(
+    protect,
+    requirePermission('DISCOUNT_POLICY.DELETE'),
+    logAction('DELETE', 'DiscountPolicy'),
+    discountPolicyController.deletePolicy
+  );
+
+module.exports = router;
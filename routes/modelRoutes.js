@@ -36,6 +36,10 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           type: string
  *           enum: [active, inactive]
  *           default: active
+ *         vin_prefix:
+ *           type: string
+ *           description: Leading VIN characters (WMI and descriptor) of the model's chassis numbers
+ *           example: MBLHAW12
  *         prices:
  *           type: array
  *           items:
@@ -67,6 +71,10 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           type: string
  *           enum: [EV, ICE,CSD]
  *           example: EV
+ *         vin_prefix:
+ *           type: string
+ *           description: Leading VIN characters (WMI and descriptor) of the model's chassis numbers
+ *           example: MBLHAW12
  *         prices:
  *           type: array
  *           items:
@@ -96,6 +104,10 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           type: string
  *           enum: [active, inactive]
  *           example: inactive
+ *         vin_prefix:
+ *           type: string
+ *           description: Leading VIN characters (WMI and descriptor) of the model's chassis numbers
+ *           example: MBLHAW12
  * 
  *     PriceUpdate:
  *       type: object
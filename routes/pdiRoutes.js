@@ -0,0 +1,443 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const pdiController = require('../controllers/pdiController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const AppError = require('../utils/appError');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../uploads/pdi');
+    fs.mkdir(uploadDir, { recursive: true }, (err) => {
+      if (err) {
+        console.error('Failed to create upload directory:', err);
+        return cb(new AppError('Failed to create upload directory', 500));
+      }
+      cb(null, uploadDir);
+    });
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+    cb(null, `pdi-${uniqueSuffix}${ext}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png/;
+    if (filetypes.test(file.mimetype) && filetypes.test(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new AppError('Only JPEG, JPG and PNG photos are allowed', 400), false);
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 30
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: PDI
+ *   description: Pre-delivery inspection checklists and inspection records
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PdiTemplateItem:
+ *       type: object
+ *       required:
+ *         - key
+ *         - label
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: battery_soc
+ *         label:
+ *           type: string
+ *           example: Battery state of charge
+ *         inputType:
+ *           type: string
+ *           enum: [CHECK, NUMBER, TEXT]
+ *           default: CHECK
+ *         required:
+ *           type: boolean
+ *           default: true
+ *         photoRequired:
+ *           type: boolean
+ *           default: false
+ *         minValue:
+ *           type: number
+ *           description: NUMBER items below this value fail
+ *         maxValue:
+ *           type: number
+ *           description: NUMBER items above this value fail
+ *         unit:
+ *           type: string
+ *           example: '%'
+ *         matchVehicleField:
+ *           type: string
+ *           enum: [chassisNumber, engineNumber, motorNumber, chargerNumber, batteryNumber, keyNumber]
+ *           description: TEXT items fail when the value differs from this vehicle field
+ *     PdiTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - vehicleType
+ *         - items
+ *       properties:
+ *         name:
+ *           type: string
+ *         vehicleType:
+ *           type: string
+ *           enum: [EV, ICE]
+ *         model:
+ *           type: string
+ *           description: Optional model ID; a model specific template wins over the type template
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PdiTemplateItem'
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *         isActive:
+ *           type: boolean
+ *     PdiInspection:
+ *       type: object
+ *       properties:
+ *         vehicle:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         template:
+ *           type: string
+ *         templateVersion:
+ *           type: integer
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               result:
+ *                 type: string
+ *                 enum: [PASS, FAIL, NA]
+ *               value: {}
+ *               remarks:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: string
+ *         result:
+ *           type: string
+ *           enum: [PASSED, FAILED]
+ *         failedItems:
+ *           type: array
+ *           items:
+ *             type: string
+ *         inspectedBy:
+ *           type: string
+ *         inspectedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/pdi/templates:
+ *   get:
+ *     summary: List PDI checklist templates
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: vehicleType
+ *         schema:
+ *           type: string
+ *           enum: [EV, ICE]
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a PDI checklist template
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PdiTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.route('/templates')
+  .get(
+    protect,
+    requirePermission('PDI.READ'),
+    pdiController.getTemplates
+  )
+  .post(
+    protect,
+    requirePermission('PDI.CREATE'),
+    logAction('CREATE', 'PdiTemplate'),
+    pdiController.createTemplate
+  );
+
+/**
+ * @swagger
+ * /api/v1/pdi/templates/{id}:
+ *   get:
+ *     summary: Get a PDI checklist template
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ *   put:
+ *     summary: Update a PDI checklist template
+ *     description: Changing the items increments the template version.
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PdiTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Template not found
+ *   delete:
+ *     summary: Delete a PDI checklist template
+ *     description: Templates already used by inspections are deactivated instead.
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deactivated
+ *       204:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+router.route('/templates/:id')
+  .get(
+    protect,
+    requirePermission('PDI.READ'),
+    pdiController.getTemplate
+  )
+  .put(
+    protect,
+    requirePermission('PDI.UPDATE'),
+    logAction('UPDATE', 'PdiTemplate'),
+    pdiController.updateTemplate
+  )
+  .delete(
+    protect,
+    requirePermission('PDI.DELETE'),
+    logAction('DELETE', 'PdiTemplate'),
+    pdiController.deleteTemplate
+  );
+
+/**
+ * @swagger
+ * /api/v1/pdi/vehicles/{vehicleId}/checklist:
+ *   get:
+ *     summary: Get the PDI checklist that applies to a vehicle
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vehicle PDI status and applicable template
+ *       400:
+ *         description: No active template for the vehicle type
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/vehicles/:vehicleId/checklist',
+  protect,
+  requirePermission('PDI.READ'),
+  pdiController.getVehicleChecklist
+);
+
+/**
+ * @swagger
+ * /api/v1/pdi/vehicles/{vehicleId}/inspections:
+ *   get:
+ *     summary: List PDI inspections of a vehicle
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inspections, newest first, with the vehicle's current PDI status
+ *       404:
+ *         description: Vehicle not found
+ *   post:
+ *     summary: Record a PDI inspection
+ *     description: |
+ *       Every required checklist item needs a PASS/FAIL/NA result. NUMBER items outside
+ *       their limits and TEXT items that do not match the vehicle fail automatically.
+ *       Any failed item fails the inspection; a booking cannot be completed or delivered
+ *       until the latest inspection of its vehicle has passed.
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: string
+ *                 description: JSON array of { key, result (PASS|FAIL|NA), value, remarks }
+ *                 example: '[{"key":"battery_soc","result":"PASS","value":92}]'
+ *               remarks:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: General photos. Item photos are sent as photos_<itemKey>.
+ *     responses:
+ *       201:
+ *         description: Inspection recorded (result PASSED or FAILED)
+ *       400:
+ *         description: Incomplete checklist or vehicle already delivered
+ *       404:
+ *         description: Vehicle not found
+ */
+router.route('/vehicles/:vehicleId/inspections')
+  .get(
+    protect,
+    requirePermission('PDI.READ'),
+    pdiController.getVehicleInspections
+  )
+  .post(
+    protect,
+    requirePermission('PDI.CREATE'),
+    upload.any(),
+    logAction('CREATE', 'PdiInspection'),
+    pdiController.createInspection
+  );
+
+/**
+ * @swagger
+ * /api/v1/pdi/inspections/{id}:
+ *   get:
+ *     summary: Get a PDI inspection
+ *     tags: [PDI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inspection details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PdiInspection'
+ *       404:
+ *         description: Inspection not found
+ */
+router.get('/inspections/:id',
+  protect,
+  requirePermission('PDI.READ'),
+  pdiController.getInspection
+);
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const router = express.Router();
+const purchaseInvoiceController = require('../controllers/purchaseInvoiceController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Purchase Invoice
+ *   description: OEM purchase invoices and goods receipt (GRN) that vehicles are inwarded against
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseInvoiceLineInput:
+ *       type: object
+ *       required:
+ *         - chassisNumber
+ *         - taxableValue
+ *         - gstRate
+ *       properties:
+ *         chassisNumber:
+ *           type: string
+ *           example: MA1TA2C45K1234567
+ *         model:
+ *           type: string
+ *           description: Model ID; inwarding the chassis as another model is rejected
+ *         modelName:
+ *           type: string
+ *           description: Used when no model ID is given
+ *         colorName:
+ *           type: string
+ *         taxableValue:
+ *           type: number
+ *           example: 85000
+ *         otherCharges:
+ *           type: number
+ *           description: Freight, insurance and other charges billed on the line
+ *           example: 1200
+ *         gstRate:
+ *           type: number
+ *           example: 28
+ *     PurchaseInvoiceInput:
+ *       type: object
+ *       required:
+ *         - invoiceNumber
+ *         - invoiceDate
+ *         - supplierName
+ *         - branch
+ *         - items
+ *       properties:
+ *         invoiceNumber:
+ *           type: string
+ *           example: OEM/24-25/001234
+ *         invoiceDate:
+ *           type: string
+ *           format: date
+ *         supplierName:
+ *           type: string
+ *           example: Example Motors Ltd
+ *         supplierGstin:
+ *           type: string
+ *         branch:
+ *           type: string
+ *           description: Branch the vehicles are unloaded at
+ *         dispatchNumber:
+ *           type: string
+ *         truckNumber:
+ *           type: string
+ *           example: MH12AB1234
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PurchaseInvoiceLineInput'
+ *     PurchaseInvoice:
+ *       allOf:
+ *         - $ref: '#/components/schemas/PurchaseInvoiceInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             grnNumber:
+ *               type: string
+ *               example: GRN-LX2K9A1B
+ *             status:
+ *               type: string
+ *               enum: [pending, partially_received, received, cancelled]
+ *             totals:
+ *               type: object
+ *               properties:
+ *                 taxableValue:
+ *                   type: number
+ *                 otherCharges:
+ *                   type: number
+ *                 gstAmount:
+ *                   type: number
+ *                 invoiceValue:
+ *                   type: number
+ *             receivedCount:
+ *               type: integer
+ *             items:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/PurchaseInvoiceLineInput'
+ *                   - type: object
+ *                     properties:
+ *                       gstAmount:
+ *                         type: number
+ *                       landedCost:
+ *                         type: number
+ *                         description: Taxable value plus other charges; copied onto the vehicle as costPrice
+ *                       vehicle:
+ *                         type: string
+ *                         description: Vehicle inwarded for the line
+ *                       receivedAt:
+ *                         type: string
+ *                         format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/purchase-invoices:
+ *   get:
+ *     summary: List purchase invoices
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Invoice number, GRN number or chassis number
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated purchase invoices
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Record an OEM purchase invoice
+ *     description: Line GST and landed cost and the invoice totals are calculated. A chassis can only be on one active invoice.
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseInvoiceInput'
+ *     responses:
+ *       201:
+ *         description: Purchase invoice created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/PurchaseInvoice'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Branch or model not found
+ *       409:
+ *         description: Invoice already recorded or chassis already on another invoice
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('PURCHASE_INVOICE.READ'),
+    purchaseInvoiceController.getInvoices
+  )
+  .post(
+    protect,
+    requirePermission('PURCHASE_INVOICE.CREATE'),
+    logAction('CREATE', 'PurchaseInvoice'),
+    purchaseInvoiceController.createInvoice
+  );
+
+/**
+ * @swagger
+ * /api/v1/purchase-invoices/{id}:
+ *   get:
+ *     summary: Get a purchase invoice
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase invoice details
+ *       404:
+ *         description: Purchase invoice not found
+ *   put:
+ *     summary: Correct a purchase invoice
+ *     description: Allowed until the first vehicle is received against it. Sending items replaces all lines.
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PurchaseInvoiceInput'
+ *     responses:
+ *       200:
+ *         description: Purchase invoice updated
+ *       400:
+ *         description: Validation error or vehicles already received
+ *       404:
+ *         description: Purchase invoice not found
+ *       409:
+ *         description: Chassis already on another invoice
+ */
+router.route('/:id')
+  .get(
+    protect,
+    requirePermission('PURCHASE_INVOICE.READ'),
+    purchaseInvoiceController.getInvoice
+  )
+  .put(
+    protect,
+    requirePermission('PURCHASE_INVOICE.UPDATE'),
+    logAction('UPDATE', 'PurchaseInvoice'),
+    purchaseInvoiceController.updateInvoice
+  );
+
+/**
+ * @swagger
+ * /api/v1/purchase-invoices/{id}/reconciliation:
+ *   get:
+ *     summary: Received vs invoiced chassis
+ *     description: |
+ *       Invoice lines split into received and pending, with their landed cost. Pending chassis
+ *       that already exist as vehicles were inwarded without the invoice and are listed under
+ *       `inwardedWithoutInvoice`; re-importing them with the invoice links them.
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation
+ *       404:
+ *         description: Purchase invoice not found
+ */
+router.get(
+  '/:id/reconciliation',
+  protect,
+  requirePermission('PURCHASE_INVOICE.READ'),
+  purchaseInvoiceController.getReconciliation
+);
+
+/**
+ * @swagger
+ * /api/v1/purchase-invoices/{id}/cancel:
+ *   put:
+ *     summary: Cancel a purchase invoice
+ *     description: Only invoices with no vehicles received can be cancelled.
+ *     tags: [Purchase Invoice]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Purchase invoice cancelled
+ *       400:
+ *         description: Reason missing, already cancelled or vehicles received
+ *       404:
+ *         description: Purchase invoice not found
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  requirePermission('PURCHASE_INVOICE.DELETE'),
+  logAction('CANCEL', 'PurchaseInvoice'),
+  purchaseInvoiceController.cancelInvoice
+);
+
+module.exports = router;
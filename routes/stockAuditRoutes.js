@@ -0,0 +1,485 @@
+const express = require('express');
+const router = express.Router();
+const stockAuditController = require('../controllers/stockAuditController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Audit
+ *   description: Physical stock audits (cycle counts) of a branch yard using QR scanning
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockAuditScanInput:
+ *       type: object
+ *       description: Either the scanned QR code or, when the label cannot be read, the chassis number
+ *       properties:
+ *         qrCode:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *           example: MA1TA2C45K1234567
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *     StockAuditScan:
+ *       type: object
+ *       properties:
+ *         vehicle:
+ *           type: string
+ *           description: Empty when the code matches no vehicle
+ *         code:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         method:
+ *           type: string
+ *           enum: [QR, MANUAL]
+ *         result:
+ *           type: string
+ *           enum: [MATCHED, UNEXPECTED, WRONG_STATUS, UNKNOWN]
+ *           description: |
+ *             MATCHED = expected in this yard, UNEXPECTED = registered at another branch,
+ *             WRONG_STATUS = registered here but in transit or sold, UNKNOWN = no vehicle record
+ *         vehicleBranch:
+ *           type: string
+ *         vehicleStatus:
+ *           type: string
+ *         note:
+ *           type: string
+ *         scannedBy:
+ *           type: string
+ *         scannedAt:
+ *           type: string
+ *           format: date-time
+ *     StockAuditCorrection:
+ *       type: object
+ *       required:
+ *         - vehicle
+ *         - action
+ *       properties:
+ *         vehicle:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [MOVE_TO_BRANCH, SET_STATUS]
+ *           description: |
+ *             MOVE_TO_BRANCH registers an unexpected vehicle at the audited branch
+ *             (not allowed while it is on an open stock transfer).
+ *             SET_STATUS sets the status of a missing, unexpected or wrong-status vehicle.
+ *         status:
+ *           type: string
+ *           enum: [in_stock, service, damaged]
+ *           description: Required for SET_STATUS
+ *     StockAudit:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         auditNumber:
+ *           type: string
+ *           example: SA-LX2K9A1B
+ *         branch:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [in_progress, completed, signed_off, cancelled]
+ *         expected:
+ *           type: array
+ *           description: Vehicles registered at the branch when the audit started
+ *           items:
+ *             type: object
+ *             properties:
+ *               vehicle:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *               modelName:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *         scans:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/StockAuditScan'
+ *         summary:
+ *           type: object
+ *           description: Reconciliation counts, frozen when the audit is completed
+ *         corrections:
+ *           type: array
+ *           items:
+ *             type: object
+ *         report:
+ *           type: object
+ *           properties:
+ *             path:
+ *               type: string
+ *             generatedAt:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/stock-audits:
+ *   get:
+ *     summary: List stock audits
+ *     description: Non super admins only see audits of their own branch. Scans are omitted from the list.
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_progress, completed, signed_off, cancelled]
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; all branches when omitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated stock audits
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Start a stock audit
+ *     description: |
+ *       Snapshots the vehicles registered at the branch that should be in the yard
+ *       (not approved, in stock, service or damaged). Only one audit can run per branch.
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branchId:
+ *                 type: string
+ *                 description: Required for super admins; everyone else audits their own branch
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Audit started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     audit:
+ *                       $ref: '#/components/schemas/StockAudit'
+ *       400:
+ *         description: branchId missing or invalid
+ *       404:
+ *         description: Branch not found or inactive
+ *       409:
+ *         description: An audit is already in progress for the branch
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('STOCK_AUDIT.READ'),
+    stockAuditController.getAudits
+  )
+  .post(
+    protect,
+    requirePermission('STOCK_AUDIT.CREATE'),
+    logAction('CREATE', 'StockAudit'),
+    stockAuditController.startAudit
+  );
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}:
+ *   get:
+ *     summary: Get a stock audit with its expected and scanned vehicles
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock audit details
+ *       403:
+ *         description: Audit belongs to another branch
+ *       404:
+ *         description: Stock audit not found
+ */
+router.get(
+  '/:id',
+  protect,
+  requirePermission('STOCK_AUDIT.READ'),
+  stockAuditController.getAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/scans:
+ *   post:
+ *     summary: Record a scanned vehicle
+ *     description: Scanning a vehicle (or unknown code) again returns the first scan with duplicate set.
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockAuditScanInput'
+ *     responses:
+ *       201:
+ *         description: Scan recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scan:
+ *                       $ref: '#/components/schemas/StockAuditScan'
+ *                     duplicate:
+ *                       type: boolean
+ *       200:
+ *         description: Already scanned; the earlier scan is returned
+ *       400:
+ *         description: Code missing or audit not in progress
+ *       403:
+ *         description: Audit belongs to another branch
+ *       404:
+ *         description: Stock audit not found
+ */
+router.post(
+  '/:id/scans',
+  protect,
+  requirePermission('STOCK_AUDIT.UPDATE'),
+  stockAuditController.recordScan
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/reconciliation:
+ *   get:
+ *     summary: Expected vs found for an audit
+ *     description: |
+ *       Lists matched, missing (expected but not scanned), unexpected (registered at another branch),
+ *       wrong-status and unknown vehicles with summary counts. Available while scanning is in progress.
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation
+ *       403:
+ *         description: Audit belongs to another branch
+ *       404:
+ *         description: Stock audit not found
+ */
+router.get(
+  '/:id/reconciliation',
+  protect,
+  requirePermission('STOCK_AUDIT.READ'),
+  stockAuditController.getReconciliation
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/complete:
+ *   put:
+ *     summary: Finish scanning and freeze the reconciliation summary
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit completed
+ *       400:
+ *         description: Audit not in progress
+ *       404:
+ *         description: Stock audit not found
+ */
+router.put(
+  '/:id/complete',
+  protect,
+  requirePermission('STOCK_AUDIT.UPDATE'),
+  logAction('UPDATE', 'StockAudit'),
+  stockAuditController.completeAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/sign-off:
+ *   put:
+ *     summary: Sign off a completed audit
+ *     description: |
+ *       Applies the optional corrections to the vehicle records, marks the audit signed off
+ *       and generates the audit report PDF. Corrections are validated together; none are
+ *       applied if any of them is invalid.
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *                 maxLength: 500
+ *               corrections:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StockAuditCorrection'
+ *     responses:
+ *       200:
+ *         description: Audit signed off
+ *       400:
+ *         description: Audit not completed or invalid correction
+ *       404:
+ *         description: Stock audit not found
+ *       409:
+ *         description: Vehicle to move is on an open stock transfer
+ */
+router.put(
+  '/:id/sign-off',
+  protect,
+  requirePermission('STOCK_AUDIT.APPROVE'),
+  logAction('APPROVE', 'StockAudit'),
+  stockAuditController.signOffAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/cancel:
+ *   put:
+ *     summary: Cancel an audit that is in progress
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit cancelled
+ *       400:
+ *         description: Audit not in progress
+ *       404:
+ *         description: Stock audit not found
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  requirePermission('STOCK_AUDIT.UPDATE'),
+  logAction('CANCEL', 'StockAudit'),
+  stockAuditController.cancelAudit
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-audits/{id}/report:
+ *   get:
+ *     summary: Download the signed-off audit report PDF
+ *     tags: [Stock Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: regenerate
+ *         schema:
+ *           type: boolean
+ *         description: Rebuild the PDF even if it exists
+ *     responses:
+ *       200:
+ *         description: Audit report PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Audit not signed off
+ *       404:
+ *         description: Stock audit not found
+ */
+router.get(
+  '/:id/report',
+  protect,
+  requirePermission('STOCK_AUDIT.READ'),
+  stockAuditController.downloadReport
+);
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const stockLevelController = require('../controllers/stockLevelController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Level
+ *   description: |
+ *     Minimum and target stock per branch, model and color, with low-stock alerts and OEM
+ *     reorder suggestions. Available stock is the free in_stock vehicles (not allocated to a
+ *     booking) less the open bookings waiting for a chassis; below the minimum the suggestion
+ *     orders up to the target. Suggestions are generated daily at 06:00.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockLevelInput:
+ *       type: object
+ *       required:
+ *         - branch
+ *         - model
+ *         - color
+ *         - minimumStock
+ *         - targetStock
+ *       properties:
+ *         branch:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439012
+ *         model:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439031
+ *         color:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439041
+ *         minimumStock:
+ *           type: integer
+ *           minimum: 0
+ *           example: 3
+ *         targetStock:
+ *           type: integer
+ *           description: Not below minimumStock
+ *           example: 8
+ *     ReorderLine:
+ *       type: object
+ *       properties:
+ *         model:
+ *           type: string
+ *         modelName:
+ *           type: string
+ *         color:
+ *           type: string
+ *         colorName:
+ *           type: string
+ *         minimumStock:
+ *           type: integer
+ *         targetStock:
+ *           type: integer
+ *         inStock:
+ *           type: integer
+ *           description: Free in_stock vehicles
+ *         awaitingAllocation:
+ *           type: integer
+ *           description: Open bookings without a chassis
+ *         available:
+ *           type: integer
+ *         belowMinimum:
+ *           type: boolean
+ *         suggestedQuantity:
+ *           type: integer
+ *           description: Quantity to indent from the OEM
+ */
+
+/**
+ * @swagger
+ * /api/v1/stock-levels:
+ *   get:
+ *     summary: List stock levels
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock levels
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Create or update stock levels
+ *     description: Levels are matched on branch, model and color. Up to 200 per request.
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - levels
+ *             properties:
+ *               levels:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/StockLevelInput'
+ *     responses:
+ *       200:
+ *         description: Saved stock levels
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Level of another branch
+ *       404:
+ *         description: Branch, model or color not found
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('STOCK_LEVEL.READ'),
+    stockLevelController.getLevels
+  )
+  .put(
+    protect,
+    requirePermission('STOCK_LEVEL.UPDATE'),
+    logAction('UPDATE', 'StockLevel'),
+    stockLevelController.saveLevels
+  );
+
+/**
+ * @swagger
+ * /api/v1/stock-levels/alerts:
+ *   get:
+ *     summary: Low-stock alerts for the dashboard
+ *     description: Model/color combinations currently below their minimum, largest shortfall first.
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *     responses:
+ *       200:
+ *         description: Low-stock lines with branch, branchName and shortfall
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     alerts:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ReorderLine'
+ *                           - type: object
+ *                             properties:
+ *                               branch:
+ *                                 type: string
+ *                               branchName:
+ *                                 type: string
+ *                               shortfall:
+ *                                 type: integer
+ */
+router.get(
+  '/alerts',
+  protect,
+  requirePermission('STOCK_LEVEL.READ'),
+  stockLevelController.getLowStockAlerts
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-levels/reorder-suggestions:
+ *   get:
+ *     summary: Latest OEM reorder suggestion of each branch
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else sees their own branch
+ *     responses:
+ *       200:
+ *         description: Suggestions with forDate, lines (ReorderLine) and totals
+ */
+router.get(
+  '/reorder-suggestions',
+  protect,
+  requirePermission('STOCK_LEVEL.READ'),
+  stockLevelController.getReorderSuggestions
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-levels/reorder-suggestions/generate:
+ *   post:
+ *     summary: Regenerate today's reorder suggestion now
+ *     description: Replaces the suggestion generated earlier today, e.g. after inward or new bookings.
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; all branches when omitted
+ *     responses:
+ *       200:
+ *         description: Regenerated suggestions
+ */
+router.post(
+  '/reorder-suggestions/generate',
+  protect,
+  requirePermission('STOCK_LEVEL.UPDATE'),
+  logAction('GENERATE', 'ReorderSuggestion'),
+  stockLevelController.generateReorderSuggestions
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-levels/reorder-suggestions/export:
+ *   get:
+ *     summary: Export the latest reorder suggestion as an OEM indent (Excel)
+ *     description: Sheet "OEM Indent" has the lines to order; "All Stock Levels" every configured level.
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; everyone else exports their own branch
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: No suggestion generated yet
+ */
+router.get(
+  '/reorder-suggestions/export',
+  protect,
+  requirePermission('STOCK_LEVEL.READ'),
+  stockLevelController.exportReorderSuggestions
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-levels/{id}:
+ *   delete:
+ *     summary: Remove a stock level
+ *     tags: [Stock Level]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Stock level removed
+ *       403:
+ *         description: Level of another branch
+ *       404:
+ *         description: Stock level not found
+ */
+router.delete(
+  '/:id',
+  protect,
+  requirePermission('STOCK_LEVEL.DELETE'),
+  logAction('DELETE', 'StockLevel'),
+  stockLevelController.deleteLevel
+);
+
+module.exports = router;
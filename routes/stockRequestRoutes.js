@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const stockRequestController = require('../controllers/stockRequestController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stock Request
+ *   description: Branches requesting stock from other branches; accepted requests become stock transfers
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockRequestInput:
+ *       type: object
+ *       required:
+ *         - supplyingBranch
+ *         - model
+ *         - color
+ *         - quantity
+ *       properties:
+ *         requestingBranch:
+ *           type: string
+ *           description: Super admins only; everyone else requests for their own branch
+ *         supplyingBranch:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439012
+ *         model:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439031
+ *         color:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439041
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           example: 3
+ *         neededBy:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *     StockRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/StockRequestInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             requestNumber:
+ *               type: string
+ *               example: SR-LX2K9A1B
+ *             status:
+ *               type: string
+ *               enum: [open, accepted, rejected, cancelled]
+ *             requestedBy:
+ *               type: string
+ *             respondedBy:
+ *               type: string
+ *             respondedAt:
+ *               type: string
+ *               format: date-time
+ *             rejectionReason:
+ *               type: string
+ *             cancellationReason:
+ *               type: string
+ *             transfer:
+ *               type: string
+ *               description: Stock transfer created on acceptance
+ *             fulfilledQuantity:
+ *               type: integer
+ *               description: Units sent on the transfer (may be fewer than requested)
+ */
+
+/**
+ * @swagger
+ * /api/v1/stock-requests:
+ *   get:
+ *     summary: List stock requests of a branch
+ *     description: Non super admins only see requests of their own branch.
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing, both]
+ *           default: both
+ *         description: incoming = requests the branch has to supply, outgoing = requests the branch raised
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, accepted, rejected, cancelled]
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; all branches when omitted
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated stock requests
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Request stock from another branch
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockRequestInput'
+ *     responses:
+ *       201:
+ *         description: Stock request created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     request:
+ *                       $ref: '#/components/schemas/StockRequest'
+ *       400:
+ *         description: Validation error or color not available for the model
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Branch, model or color not found
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('STOCK_REQUEST.READ'),
+    stockRequestController.getRequests
+  )
+  .post(
+    protect,
+    requirePermission('STOCK_REQUEST.CREATE'),
+    logAction('CREATE', 'StockRequest'),
+    stockRequestController.createRequest
+  );
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/dashboard:
+ *   get:
+ *     summary: Open stock requests of a branch
+ *     description: |
+ *       Incoming (to supply) and outgoing (raised) requests of the branch, split into
+ *       `open` (awaiting an answer) and `inTransfer` (accepted, transfer not received yet).
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Required for super admins; everyone else sees their own branch
+ *     responses:
+ *       200:
+ *         description: Dashboard with counts and request lists
+ *       400:
+ *         description: branchId missing
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/dashboard',
+  protect,
+  requirePermission('STOCK_REQUEST.READ'),
+  stockRequestController.getDashboard
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/{id}:
+ *   get:
+ *     summary: Get a stock request
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock request details
+ *       403:
+ *         description: Request belongs to other branches
+ *       404:
+ *         description: Stock request not found
+ */
+router.get(
+  '/:id',
+  protect,
+  requirePermission('STOCK_REQUEST.READ'),
+  stockRequestController.getRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/{id}/candidates:
+ *   get:
+ *     summary: Vehicles the supplying branch can send for a request
+ *     description: |
+ *       Undamaged in-stock vehicles of the requested model and color at the supplying branch,
+ *       oldest inward first, excluding vehicles reserved or allocated to bookings or already on a transfer.
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidate vehicles
+ *       403:
+ *         description: Only the supplying branch can view candidates
+ *       404:
+ *         description: Stock request not found
+ */
+router.get(
+  '/:id/candidates',
+  protect,
+  requirePermission('STOCK_REQUEST.READ'),
+  stockRequestController.getCandidates
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/{id}/accept:
+ *   put:
+ *     summary: Accept a stock request
+ *     description: |
+ *       The supplying branch picks the chassis numbers to send (up to the requested quantity).
+ *       A stock transfer from the supplying to the requesting branch is created in `requested`
+ *       status and follows the normal transfer approval, dispatch and receipt flow.
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - chassisNumbers
+ *             properties:
+ *               chassisNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["MA1TA2C45K1234567"]
+ *               expectedDeliveryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to the request's neededBy date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request accepted and transfer created
+ *       400:
+ *         description: Request not open, too many or ineligible vehicles
+ *       403:
+ *         description: Only the supplying branch can accept
+ *       404:
+ *         description: Stock request not found
+ *       409:
+ *         description: Request was answered meanwhile or a vehicle is already on a transfer
+ */
+router.put(
+  '/:id/accept',
+  protect,
+  requirePermission('STOCK_REQUEST.UPDATE'),
+  logAction('APPROVE', 'StockRequest'),
+  stockRequestController.acceptRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/{id}/reject:
+ *   put:
+ *     summary: Reject a stock request
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       400:
+ *         description: Reason missing or request not open
+ *       403:
+ *         description: Only the supplying branch can reject
+ *       404:
+ *         description: Stock request not found
+ */
+router.put(
+  '/:id/reject',
+  protect,
+  requirePermission('STOCK_REQUEST.UPDATE'),
+  logAction('REJECT', 'StockRequest'),
+  stockRequestController.rejectRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/stock-requests/{id}/cancel:
+ *   put:
+ *     summary: Withdraw an open stock request
+ *     tags: [Stock Request]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       400:
+ *         description: Request not open
+ *       403:
+ *         description: Only the requesting branch can cancel
+ *       404:
+ *         description: Stock request not found
+ */
+router.put(
+  '/:id/cancel',
+  protect,
+  requirePermission('STOCK_REQUEST.UPDATE'),
+  logAction('CANCEL', 'StockRequest'),
+  stockRequestController.cancelRequest
+);
+
+module.exports = router;
@@ -51,7 +51,7 @@ const upload = multer({
  * @swagger
  * tags:
  *   name: Stock Transfer
- *   description: Unconditional vehicle stock transfer management endpoints
+ *   description: Vehicle stock transfers between branches (request, approval, dispatch and receipt)
  */
 
 
@@ -82,8 +82,8 @@ const upload = multer({
  *           example: 507f1f77bcf86cd799439011
  *         status:
  *           type: string
- *           enum: [completed, cancelled]
- *           example: completed
+ *           enum: [pending, in_transit, received, cancelled]
+ *           example: in_transit
  *         receivedAt:
  *           type: string
  *           format: date-time
@@ -91,10 +91,63 @@ const upload = multer({
  *         receivedBy:
  *           type: string
  *           example: 507f1f77bcf86cd799439012
+ *         discrepancy:
+ *           type: string
+ *           description: Condition mismatch found on receipt (also logged as a vehicle damage)
+ *           example: "Scratch on rear bumper"
  *         notes:
  *           type: string
  *           example: "Handle with care"
  *
+ *     TransferDispatchInput:
+ *       type: object
+ *       required:
+ *         - vehicleNumber
+ *         - driverName
+ *         - ewayBillNumber
+ *       properties:
+ *         vehicleNumber:
+ *           type: string
+ *           description: Registration number of the carrier vehicle
+ *           example: "MH12AB1234"
+ *         driverName:
+ *           type: string
+ *           example: "Ramesh Patil"
+ *         driverPhone:
+ *           type: string
+ *           example: "9876543210"
+ *         transporterName:
+ *           type: string
+ *           example: "Shree Logistics"
+ *         ewayBillNumber:
+ *           type: string
+ *           example: "331000123456"
+ *
+ *     TransferReceiptInput:
+ *       type: object
+ *       description: One scanned vehicle; qrCode is preferred, chassisNumber is the manual fallback
+ *       properties:
+ *         qrCode:
+ *           type: string
+ *           description: QR code value of the vehicle, as read by the scanner
+ *           example: "VH-1700000000000-ABC123"
+ *         chassisNumber:
+ *           type: string
+ *           example: "MA1TA2C45K1234567"
+ *         discrepancy:
+ *           type: string
+ *           maxLength: 500
+ *           description: Damage or mismatch found on receipt; the vehicle is received as damaged
+ *           example: "Dent on left door"
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Image URLs of the discrepancy
+ *         notes:
+ *           type: string
+ *           maxLength: 500
+ *
  *     StockTransferInput:
  *       type: object
  *       required:
@@ -152,8 +205,48 @@ const upload = multer({
  *             $ref: '#/components/schemas/TransferItemResponse'
  *         status:
  *           type: string
- *           enum: [completed, cancelled]
- *           example: completed
+ *           enum: [requested, approved, dispatched, in_transit, partially_received, received, rejected, cancelled]
+ *           example: dispatched
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *         dispatch:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TransferDispatchInput'
+ *             - type: object
+ *               properties:
+ *                 dispatchedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 dispatchedBy:
+ *                   type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         inTransitAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ *         cancellationReason:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *           example: "TR-LX2K9A1B"
  *         initiatedBy:
  *           type: string
  *           example: 507f1f77bcf86cd799439012
@@ -231,10 +324,11 @@ const upload = multer({
  * @swagger
  * /api/v1/transfers:
  *   post:
- *     summary: Create and complete a stock transfer (Admin+)
+ *     summary: Request a stock transfer
  *     description: |
- *       Creates and immediately completes a stock transfer, moving vehicles to destination branch.
- *       The transfer will be marked as completed and vehicles will be updated to new location.
+ *       Creates a transfer in `requested` status. Every vehicle must be in stock at the source
+ *       branch and not already on another open transfer. Vehicles do not move until the
+ *       destination branch confirms receipt.
  *     tags: [Stock Transfer]
  *     security:
  *       - bearerAuth: []
@@ -255,7 +349,7 @@ const upload = multer({
  *             notes: "Priority shipment"
  *     responses:
  *       201:
- *         description: Transfer created and completed successfully
+ *         description: Transfer requested successfully
  *         content:
  *           application/json:
  *             schema:
@@ -272,6 +366,9 @@ const upload = multer({
  *           - Source and destination branches cannot be the same
  *           - At least one vehicle is required for transfer
  *           - Invalid branch or vehicle IDs
+ *           - Some vehicles not available at the source branch
+ *       409:
+ *         description: A vehicle is already on an open transfer
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
@@ -310,7 +407,7 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [completed, cancelled]
+ *           enum: [requested, approved, dispatched, in_transit, partially_received, received, rejected, cancelled]
  *         description: Filter by transfer status
  *       - in: query
  *         name: dateFrom
@@ -400,9 +497,9 @@ router.get('/:transferId',
  *   put:
  *     summary: Cancel a stock transfer (Admin+)
  *     description: |
- *       Cancel a completed stock transfer. This will:
- *       - Mark the transfer as cancelled
- *       - Revert all vehicles to the source branch
+ *       Cancel a transfer that has nothing received yet. This will:
+ *       - Mark the transfer and its open items as cancelled
+ *       - Return dispatched vehicles to stock at the source branch
  *     tags: [Stock Transfer]
  *     security:
  *       - bearerAuth: []
@@ -461,9 +558,10 @@ router.put(
  *   put:
  *     summary: Cancel a transfer item (Admin+)
  *     description: |
- *       Cancel a specific item in a transfer. This will:
+ *       Cancel a vehicle that has not been received yet, e.g. one that never arrived. This will:
  *       - Mark the item as cancelled
- *       - Revert the vehicle to the source branch
+ *       - Return the vehicle to stock at the source branch if it was dispatched
+ *       - Close the transfer once nothing is left to receive
  *     tags: [Stock Transfer]
  *     security:
  *       - bearerAuth: []
@@ -521,6 +619,326 @@ router.put(
   stockTransferController.updateTransferItemStatus
 );
 
+/**
+ * @swagger
+ * /api/v1/transfers/{transferId}/approve:
+ *   put:
+ *     summary: Approve a requested stock transfer
+ *     description: |
+ *       Moves a `requested` transfer to `approved` so the source branch can dispatch it.
+ *     tags: [Stock Transfer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439013
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/StockTransferResponse'
+ *       400:
+ *         description: Transfer is not in a status that allows this action
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Transfer not found
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:transferId/approve',
+  protect,
+  requirePermission('STOCK_TRANSFER.APPROVE'),
+  logAction('APPROVE_TRANSFER', 'StockTransfer'),
+  stockTransferController.approveTransfer
+);
+
+/**
+ * @swagger
+ * /api/v1/transfers/{transferId}/reject:
+ *   put:
+ *     summary: Reject a requested stock transfer
+ *     description: |
+ *       Moves a `requested` transfer to `rejected`; its vehicles stay where they are.
+ *     tags: [Stock Transfer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439013
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Destination branch has enough stock"
+ *     responses:
+ *       200:
+ *         description: Transfer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/StockTransferResponse'
+ *       400:
+ *         description: Transfer is not in a status that allows this action
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Transfer not found
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:transferId/reject',
+  protect,
+  requirePermission('STOCK_TRANSFER.APPROVE'),
+  logAction('REJECT_TRANSFER', 'StockTransfer'),
+  stockTransferController.rejectTransfer
+);
+
+/**
+ * @swagger
+ * /api/v1/transfers/{transferId}/dispatch:
+ *   put:
+ *     summary: Dispatch an approved stock transfer
+ *     description: |
+ *       Records the carrier vehicle, driver and e-way bill and marks the transfer `dispatched`.
+ *       Vehicles are marked `in_transit` but stay at the source branch until received.
+ *       Only users of the source branch (or super admins) can dispatch.
+ *     tags: [Stock Transfer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439013
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferDispatchInput'
+ *     responses:
+ *       200:
+ *         description: Transfer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/StockTransferResponse'
+ *       400:
+ *         description: Transfer is not in a status that allows this action
+ *       409:
+ *         description: A vehicle is no longer in stock at the source branch
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Transfer not found
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:transferId/dispatch',
+  protect,
+  requirePermission('STOCK_TRANSFER.UPDATE'),
+  logAction('DISPATCH_TRANSFER', 'StockTransfer'),
+  stockTransferController.dispatchTransfer
+);
+
+/**
+ * @swagger
+ * /api/v1/transfers/{transferId}/in-transit:
+ *   put:
+ *     summary: Mark a dispatched stock transfer as in transit
+ *     description: |
+ *       Confirms the carrier has left with the vehicles (`dispatched` to `in_transit`).
+ *     tags: [Stock Transfer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439013
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/StockTransferResponse'
+ *       400:
+ *         description: Transfer is not in a status that allows this action
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Transfer not found
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:transferId/in-transit',
+  protect,
+  requirePermission('STOCK_TRANSFER.UPDATE'),
+  logAction('MARK_TRANSFER_IN_TRANSIT', 'StockTransfer'),
+  stockTransferController.markTransferInTransit
+);
+
+/**
+ * @swagger
+ * /api/v1/transfers/{transferId}/receive:
+ *   post:
+ *     summary: Confirm receipt of a scanned vehicle
+ *     description: |
+ *       The destination branch scans each vehicle's QR code (or keys in its chassis number) to confirm receipt.
+ *       The vehicle moves to the destination branch and the transfer becomes `partially_received`
+ *       or `received`. A reported discrepancy is logged as a damage on the vehicle, which is
+ *       received with status `damaged`. Only users of the destination branch (or super admins) can receive.
+ *     tags: [Stock Transfer]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transferId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 507f1f77bcf86cd799439013
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransferReceiptInput'
+ *           example:
+ *             qrCode: "VH-1700000000000-ABC123"
+ *             discrepancy: "Dent on left door"
+ *     responses:
+ *       200:
+ *         description: Vehicle received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transfer:
+ *                       $ref: '#/components/schemas/StockTransferResponse'
+ *                     vehicle:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         chassisNumber:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           example: in_stock
+ *                         unloadLocation:
+ *                           type: string
+ *                     allocationProposals:
+ *                       type: array
+ *                       description: The received vehicle proposed to the head of its backorder queue
+ *                       items:
+ *                         $ref: '#/components/schemas/AllocationProposal'
+ *                     message:
+ *                       type: string
+ *       400:
+ *         description: Transfer is not receivable or the vehicle is not part of it
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Transfer or scanned vehicle not found
+ *       409:
+ *         description: Vehicle already received
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:transferId/receive',
+  protect,
+  requirePermission('STOCK_TRANSFER.UPDATE'),
+  logAction('RECEIVE_TRANSFER_VEHICLE', 'StockTransfer'),
+  stockTransferController.receiveTransferVehicle
+);
+
 
 /**
  * @swagger
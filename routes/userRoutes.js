@@ -57,6 +57,11 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           description: Maximum deviation amount per transaction
  *           minimum: 0
  *           example: 1000
+ *         deviationBudgetPeriod:
+ *           type: string
+ *           enum: [NONE, MONTHLY, QUARTERLY]
+ *           description: Period after which the deviation usage resets to zero; NONE keeps it until reset by hand
+ *           example: MONTHLY
  */
 
 /**
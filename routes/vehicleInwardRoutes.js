@@ -58,6 +58,36 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           type: string
  *           description: Unique chassis number
  *           example: CHS1234567890
+ *         vinDetails:
+ *           type: object
+ *           description: Decoded from the chassis number (VIN) at inward
+ *           properties:
+ *             wmi:
+ *               type: string
+ *               example: MBL
+ *             manufacturer:
+ *               type: string
+ *               example: Hero MotoCorp
+ *             modelYear:
+ *               type: integer
+ *               example: 2026
+ *             plantCode:
+ *               type: string
+ *             serialNumber:
+ *               type: string
+ *             checkDigitValid:
+ *               type: boolean
+ *             flags:
+ *               type: array
+ *               description: Model year not matching the inward date or VIN not matching the model's vin_prefix
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                     enum: [INVALID_MODEL_YEAR, MODEL_YEAR_MISMATCH, MODEL_MISMATCH]
+ *                   message:
+ *                     type: string
  *         motorNumber:
  *           type: string
  *           description: Motor number (for EVs)
@@ -92,6 +122,9 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *                 type: string
  *                 format: date-time
  *                 description: When damage was reported
+ *               claim:
+ *                 type: string
+ *                 description: Damage claim opened for the damage
  *         qrCode:
  *           type: string
  *           description: Unique QR code identifier
@@ -104,6 +137,62 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           enum: [in_stock, in_transit, sold, service, damaged]
  *           description: Current vehicle status
  *           default: in_stock
+ *         reservation:
+ *           type: object
+ *           description: Soft hold for a booking; absent when the vehicle is not reserved
+ *           properties:
+ *             booking:
+ *               type: string
+ *             reservedBy:
+ *               type: string
+ *             reservedAt:
+ *               type: string
+ *               format: date-time
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *             note:
+ *               type: string
+ *         isDemo:
+ *           type: boolean
+ *           description: Demo/test-ride vehicle, left out of sellable stock (see /api/v1/demo-fleet)
+ *         demo:
+ *           type: object
+ *           properties:
+ *             since:
+ *               type: string
+ *               format: date-time
+ *             flaggedBy:
+ *               type: string
+ *             note:
+ *               type: string
+ *             odometer:
+ *               type: number
+ *               description: Reading at the last test ride check-in
+ *         yardLocation:
+ *           $ref: '#/components/schemas/YardLocation'
+ *         yardHistory:
+ *           type: array
+ *           description: Moves within the yard, oldest first; an entry without a bay is the vehicle leaving the yard
+ *           items:
+ *             type: object
+ *             properties:
+ *               bay:
+ *                 type: string
+ *               zone:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               method:
+ *                 type: string
+ *                 enum: [inward, scan, manual, left_yard]
+ *               note:
+ *                 type: string
+ *               movedAt:
+ *                 type: string
+ *                 format: date-time
+ *               movedBy:
+ *                 type: string
  *         addedBy:
  *           $ref: '#/components/schemas/User'
  *           description: User who added the vehicle
@@ -147,7 +236,9 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           example: KEY123456
  *         chassisNumber:
  *           type: string
- *           example: CHS1234567890
+ *           description: 17 character VIN without the letters I, O or Q
+ *           pattern: '^[A-HJ-NPR-Z0-9]{17}$'
+ *           example: MBLHAW12XT1234567
  *         motorNumber:
  *           type: string
  *           example: MOTOR123456
@@ -160,6 +251,16 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           type: string
  *           example: ENG123456
  *           required: when type is ICE
+ *         purchaseInvoice:
+ *           type: string
+ *           description: |
+ *             Purchase invoice (GRN) the vehicle is inwarded against. The chassis must be an
+ *             unreceived line of the invoice for the same branch; its landed cost and input GST
+ *             are copied onto the vehicle.
+ *         yardBay:
+ *           type: string
+ *           description: Code or ID of the yard bay at the unload location the vehicle is parked in
+ *           example: A-12
  * 
  *     DamageInput:
  *       type: object
@@ -177,6 +278,16 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           items:
  *             type: string
  *           example: ["image1.jpg", "image2.jpg"]
+ *         responsibleParty:
+ *           type: string
+ *           enum: [transporter, oem]
+ *           description: Who the damage is claimed from; can also be set when the claim is submitted
+ *         partyName:
+ *           type: string
+ *           example: Example Roadways
+ *         estimatedRepairCost:
+ *           type: number
+ *           example: 4500
  * 
  *     StatusUpdate:
  *       type: object
@@ -188,6 +299,61 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *           enum: [in_stock, in_transit, sold, service, damaged]
  *           description: New status for the vehicle
  *           example: in_transit
+ *         note:
+ *           type: string
+ *           description: Kept on the vehicle's movement log
+ * 
+ *     VehicleMovement:
+ *       type: object
+ *       description: Entry of the append-only movement log of a vehicle
+ *       properties:
+ *         _id:
+ *           type: string
+ *         vehicle:
+ *           type: string
+ *         chassisNumber:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [INWARD, APPROVAL, STATUS_CHANGE, BRANCH_CHANGE, RESERVATION, RESERVATION_RELEASE, ALLOCATION, DEALLOCATION, DELIVERY, DAMAGE, REPAIR]
+ *         status:
+ *           type: string
+ *           description: Vehicle status after the movement
+ *         branch:
+ *           type: string
+ *           description: Vehicle branch after the movement
+ *         fromStatus:
+ *           type: string
+ *         fromBranch:
+ *           type: string
+ *         source:
+ *           type: object
+ *           description: Document that caused the movement
+ *           properties:
+ *             kind:
+ *               type: string
+ *               enum: [PurchaseInvoice, Import, StockTransfer, Booking, Delivery, DamageClaim, StockAudit, Ledger]
+ *             id:
+ *               type: string
+ *             reference:
+ *               type: string
+ *               example: TRF-000123
+ *         note:
+ *           type: string
+ *         metadata:
+ *           type: object
+ *         actor:
+ *           type: string
+ *         actorDetails:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  * 
  *     VehicleCounts:
  *       type: object
@@ -281,7 +447,9 @@ const { requirePermission } = require('../middlewares/requirePermission');
  *                 example: CHARGER123
  *     responses:
  *       201:
- *         description: Vehicle created successfully
+ *         description: |
+ *           Vehicle created successfully. data.allocationProposals lists the proposal made
+ *           when the vehicle was offered to the head of its backorder queue.
  *         content:
  *           application/json:
  *             schema:
@@ -343,6 +511,11 @@ router.post(
  *                   properties:
  *                     approvedCount:
  *                       type: integer
+ *                     allocationProposals:
+ *                       type: array
+ *                       description: Approved vehicles proposed to the head of their backorder queue
+ *                       items:
+ *                         $ref: '#/components/schemas/AllocationProposal'
  *                     message:
  *                       type: string
  *       400:
@@ -364,6 +537,81 @@ router.post(
   vehicleController.approveVehicles
 );
 
+/**
+ * @swagger
+ * /api/v1/vehicles/qr-labels:
+ *   post:
+ *     summary: Print a sheet of QR stickers
+ *     description: |
+ *       Renders an A4 PDF of QR labels for the selected vehicles, picked by ID, by inward batch
+ *       (the OEM invoice they were inwarded against) or by inward date range. Each label carries
+ *       the vehicle's QR code with the chassis number, model and color. Layouts match common
+ *       A4 label stock (columns x rows). At most 1000 labels per request; users who are not
+ *       super admins only print labels of their own branch.
+ *     tags: [Vehicle Inward]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Exactly one of vehicleIds, purchaseInvoice or from/to
+ *             properties:
+ *               vehicleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Printed in the order given
+ *               purchaseInvoice:
+ *                 type: string
+ *                 description: Inward batch - vehicles inwarded against this OEM invoice
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 description: Inward date range start
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: Inward date range end (inclusive)
+ *               branch:
+ *                 type: string
+ *                 description: Restrict to one branch (super admin only)
+ *               layout:
+ *                 type: string
+ *                 enum: ['2x4', '2x7', '3x7', '3x8', '4x10']
+ *                 default: '3x8'
+ *                 description: |
+ *                   2x4 - 99.1 x 67.7 mm, 2x7 - 99.1 x 38.1 mm, 3x7 - 63.5 x 38.1 mm,
+ *                   3x8 - 63.5 x 33.9 mm, 4x10 - 45.7 x 25.4 mm
+ *               offset:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Labels already used on the first sheet, skipped when printing
+ *           example:
+ *             purchaseInvoice: 6650f1c2a1b2c3d4e5f60789
+ *             layout: '2x7'
+ *     responses:
+ *       200:
+ *         description: Label sheet PDF; X-Label-Count and X-Sheet-Count headers carry the totals
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid selection, layout or offset, or more than 1000 vehicles selected
+ *       404:
+ *         description: No vehicles found to label
+ */
+router.post(
+  '/qr-labels',
+  protect,
+  requirePermission('VEHICLE_INWARD.READ'),
+  vehicleController.printQrLabels
+);
+
 /**
  * @swagger
  * /api/v1/vehicles/export-csv:
@@ -478,6 +726,14 @@ router.get('/row/export-csv',
  *         schema:
  *           type: string
  *         description: Branch ID for imported vehicles
+ *       - in: query
+ *         name: purchase_invoice_id
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Purchase invoice (GRN) the rows are inwarded against. Rows whose chassis is not an
+ *           unreceived line of the invoice are reported as errors; the response includes the
+ *           invoice receipt status.
  *     requestBody:
  *       required: true
  *       content:
@@ -505,6 +761,25 @@ router.get('/row/export-csv',
  *                   type: integer
  *                 updated:
  *                   type: integer
+ *                 vinFlags:
+ *                   type: array
+ *                   description: Imported rows whose VIN model year or prefix does not fit (rows with an invalid VIN are skipped)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       chassisNumber:
+ *                         type: string
+ *                       flags:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 allocationProposals:
+ *                   type: array
+ *                   description: Inwarded vehicles proposed to the head of their backorder queue
+ *                   items:
+ *                     $ref: '#/components/schemas/AllocationProposal'
  *                 errors:
  *                   type: array
  *                   items:
@@ -597,6 +872,14 @@ router.get('/export-excel',
  *         schema:
  *           type: string
  *         description: Branch ID for imported vehicles
+ *       - in: query
+ *         name: purchase_invoice_id
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Purchase invoice (GRN) the rows are inwarded against. Rows whose chassis is not an
+ *           unreceived line of the invoice are reported as errors; the response includes the
+ *           invoice receipt status.
  *     requestBody:
  *       required: true
  *       content:
@@ -624,6 +907,25 @@ router.get('/export-excel',
  *                   type: integer
  *                 updated:
  *                   type: integer
+ *                 vinFlags:
+ *                   type: array
+ *                   description: Imported rows whose VIN model year or prefix does not fit (rows with an invalid VIN are skipped)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       chassisNumber:
+ *                         type: string
+ *                       flags:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                 allocationProposals:
+ *                   type: array
+ *                   description: Inwarded vehicles proposed to the head of their backorder queue
+ *                   items:
+ *                     $ref: '#/components/schemas/AllocationProposal'
  *                 errors:
  *                   type: array
  *                   items:
@@ -681,6 +983,115 @@ router.get(
   vehicleController.getVehicleCounts
 );
 
+/**
+ * @swagger
+ * /api/v1/vehicles/reports/stock-ageing:
+ *   get:
+ *     summary: Stock ageing and valuation report
+ *     description: |
+ *       Unsold vehicles per branch, model and color, bucketed by days since inward
+ *       (0-30, 31-60, 61-90, 90+) and valued at the model's ex-showroom price for the branch.
+ *       Vehicles on a stock transfer that has not been received yet are reported in a
+ *       separate IN_TRANSIT bucket against the destination branch. Totals also carry
+ *       the landed cost of vehicles inwarded against a purchase invoice (`total.cost`,
+ *       `uncostedUnits` counts the rest). Users who are not super admins only see their own branch.
+ *
+ *       With `as_of` the stock at that date is rebuilt from the vehicle movement log: each vehicle
+ *       inwarded by then is taken in its last recorded status and branch, and a vehicle dispatched
+ *       on a transfer counts as IN_TRANSIT at the destination. Vehicles with no movement recorded
+ *       by then are taken in their current state and counted in `unloggedUnits`.
+ *     tags: [Vehicle Inward]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch_id
+ *         schema:
+ *           type: string
+ *         description: Restrict to one branch (super admin only; all branches by default)
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [EV, ICE]
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Model ID
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Stock as of the end of this date, rebuilt from the vehicle movement log
+ *     responses:
+ *       200:
+ *         description: Ageing report with per branch/model/color rows, branch totals and grand totals
+ *       400:
+ *         description: Invalid filter or user not assigned to a branch
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/stock-ageing',
+  protect,
+  requirePermission('VEHICLE_INWARD.READ'),
+  vehicleController.getStockAgeingReport
+);
+
+/**
+ * @swagger
+ * /api/v1/vehicles/reports/stock-ageing/export:
+ *   get:
+ *     summary: Export the stock ageing report to Excel
+ *     description: Same filters as the report. The workbook has a branch summary sheet and a model/color detail sheet.
+ *     tags: [Vehicle Inward]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branch_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [EV, ICE]
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: as_of
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Stock as of the end of this date, rebuilt from the vehicle movement log
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid filter or user not assigned to a branch
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports/stock-ageing/export',
+  protect,
+  requirePermission('VEHICLE_INWARD.READ'),
+  logAction('EXPORT_EXCEL', 'Vehicle'),
+  vehicleController.exportStockAgeingExcel
+);
+
 /**
  * @swagger
  * /api/v1/vehicles:
@@ -778,6 +1189,61 @@ router.get('/:vehicleId',
   protect,
   requirePermission('VEHICLE_INWARD.READ'),
    vehicleController.getVehicleById);
+
+/**
+ * @swagger
+ * /api/v1/vehicles/{vehicleId}/history:
+ *   get:
+ *     summary: Movement log of a vehicle
+ *     description: |
+ *       Every inward, approval, status and branch change, reservation, allocation to a booking,
+ *       delivery, damage and repair of the vehicle, oldest first, with the acting user and the
+ *       document that caused it. The log is append-only.
+ *     tags: [Vehicle Inward]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: vehicleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Comma separated movement types, e.g. STATUS_CHANGE,BRANCH_CHANGE
+ *     responses:
+ *       200:
+ *         description: The vehicle and its movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       type: object
+ *                     movements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VehicleMovement'
+ *       400:
+ *         description: Invalid vehicle ID or movement type
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/:vehicleId/history',
+  protect,
+  requirePermission('VEHICLE_INWARD.READ'),
+  vehicleController.getVehicleHistory
+);
 /**
  * @swagger
  * /api/v1/vehicles/status/{status}:
@@ -980,6 +1446,9 @@ router.get('/model/:model/details',
  * /api/v1/vehicles/{vehicleId}/damage:
  *   post:
  *     summary: Add damage report to vehicle (Admin+, Inventory Manager)
+ *     description: |
+ *       Opens a damage claim against the transporter or OEM (see Damage Claim) and marks the
+ *       vehicle damaged. It cannot be allocated until the repair is marked done on the claim.
  *     tags: [Vehicle Inward]
  *     security:
  *       - bearerAuth: []
@@ -1002,7 +1471,17 @@ router.get('/model/:model/details',
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Vehicle'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       $ref: '#/components/schemas/Vehicle'
+ *                     claim:
+ *                       $ref: '#/components/schemas/DamageClaim'
  *       400:
  *         description: Missing description/images or invalid vehicle ID
  *       401:
@@ -1176,11 +1655,43 @@ router.get('/branch/:branchId',
  *         description: Chassis number of the vehicle to retrieve
  *     responses:
  *       200:
- *         description: Vehicle details
+ *         description: |
+ *           Vehicle details (data.vehicle) and where the chassis is (data.location): branch,
+ *           and for vehicles in the yard the zone and bay they are parked in.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Vehicle'
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     vehicle:
+ *                       $ref: '#/components/schemas/Vehicle'
+ *                     location:
+ *                       type: object
+ *                       properties:
+ *                         branch:
+ *                           type: string
+ *                         branchName:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                         inYard:
+ *                           type: boolean
+ *                           description: False once dispatched, delivered or otherwise out of the yard
+ *                         zone:
+ *                           type: string
+ *                         bay:
+ *                           type: string
+ *                           description: Bay code; empty when the vehicle has not been parked in a bay
+ *                         bayId:
+ *                           type: string
+ *                         since:
+ *                           type: string
+ *                           format: date-time
  *       400:
  *         description: Chassis number is required
  *       404:
@@ -1274,6 +1785,7 @@ router.put(
  * /api/v1/vehicles/model/{modelId}/{colorId}/chassis-numbers:
  *   get:
  *     summary: Get chassis numbers by model ID and color ID (Public)
+ *     description: In-stock vehicles only. Vehicles reserved by another user for their booking are left out until the reservation expires or is released.
  *     tags: [Vehicle Inward]
  *     parameters:
  *       - in: path
@@ -0,0 +1,384 @@
+const express = require('express');
+const router = express.Router();
+const yardBayController = require('../controllers/yardBayController');
+const { protect } = require('../middlewares/auth');
+const { logAction } = require('../middlewares/audit');
+const { requirePermission } = require('../middlewares/requirePermission');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Yard Bay
+ *   description: |
+ *     Zones and parking bays of a branch yard. Vehicles are parked in a bay at inward
+ *     (yardBay on POST /vehicles) or by scanning the vehicle QR and the bay label; every move
+ *     is kept in the vehicle's yardHistory. Vehicles leave their bay when dispatched on a
+ *     transfer or delivered.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     YardBayInput:
+ *       type: object
+ *       required:
+ *         - zone
+ *         - code
+ *       properties:
+ *         zone:
+ *           type: string
+ *           example: A
+ *         code:
+ *           type: string
+ *           description: Unique within the branch, as printed on the bay label
+ *           example: A-12
+ *         capacity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         notes:
+ *           type: string
+ *           maxLength: 200
+ *     YardBay:
+ *       allOf:
+ *         - $ref: '#/components/schemas/YardBayInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             branch:
+ *               type: string
+ *             isActive:
+ *               type: boolean
+ *             occupied:
+ *               type: integer
+ *               description: Vehicles parked in the bay (list only)
+ *     YardLocation:
+ *       type: object
+ *       properties:
+ *         bay:
+ *           type: string
+ *         zone:
+ *           type: string
+ *         code:
+ *           type: string
+ *         assignedAt:
+ *           type: string
+ *           format: date-time
+ *         assignedBy:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/yard-bays:
+ *   get:
+ *     summary: List the yard bays of a branch
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Required for super admins; everyone else sees their own branch
+ *       - in: query
+ *         name: zone
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Bays with the number of vehicles parked in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 results:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bays:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/YardBay'
+ *   post:
+ *     summary: Create yard bays
+ *     description: Up to 500 bays per request, e.g. a whole zone.
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bays
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 description: Required for super admins; everyone else creates bays of their own branch
+ *               bays:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/YardBayInput'
+ *     responses:
+ *       201:
+ *         description: Bays created
+ *       400:
+ *         description: Validation error or duplicate codes in the request
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: A bay code already exists at the branch
+ */
+router.route('/')
+  .get(
+    protect,
+    requirePermission('YARD_BAY.READ'),
+    yardBayController.getBays
+  )
+  .post(
+    protect,
+    requirePermission('YARD_BAY.CREATE'),
+    logAction('CREATE', 'YardBay'),
+    yardBayController.createBays
+  );
+
+/**
+ * @swagger
+ * /api/v1/yard-bays/occupancy:
+ *   get:
+ *     summary: Bay occupancy of a branch yard
+ *     description: Zones with their bays, the vehicles parked in each and the yard vehicles without a bay.
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: branchId
+ *         schema:
+ *           type: string
+ *         description: Required for super admins; everyone else sees their own branch
+ *       - in: query
+ *         name: zone
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Occupancy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     branch:
+ *                       type: string
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         bays:
+ *                           type: integer
+ *                         capacity:
+ *                           type: integer
+ *                         occupied:
+ *                           type: integer
+ *                         unassignedVehicles:
+ *                           type: integer
+ *                     zones:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           zone:
+ *                             type: string
+ *                           capacity:
+ *                             type: integer
+ *                           occupied:
+ *                             type: integer
+ *                           bays:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 _id:
+ *                                   type: string
+ *                                 code:
+ *                                   type: string
+ *                                 capacity:
+ *                                   type: integer
+ *                                 occupied:
+ *                                   type: integer
+ *                                 free:
+ *                                   type: integer
+ *                                 vehicles:
+ *                                   type: array
+ *                                   items:
+ *                                     type: object
+ *                                     properties:
+ *                                       chassisNumber:
+ *                                         type: string
+ *                                       modelName:
+ *                                         type: string
+ *                                       color:
+ *                                         type: string
+ *                                       status:
+ *                                         type: string
+ *                                       since:
+ *                                         type: string
+ *                                         format: date-time
+ */
+router.get(
+  '/occupancy',
+  protect,
+  requirePermission('YARD_BAY.READ'),
+  yardBayController.getOccupancy
+);
+
+/**
+ * @swagger
+ * /api/v1/yard-bays/assign:
+ *   post:
+ *     summary: Park a vehicle in a bay
+ *     description: |
+ *       Scan the vehicle QR (or key in the chassis number) and the bay label. The move is added
+ *       to the vehicle's yardHistory as a scan, or manual when keyed in.
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bay
+ *             properties:
+ *               qrCode:
+ *                 type: string
+ *               chassisNumber:
+ *                 type: string
+ *                 example: MA1TA2C45K1234567
+ *               bay:
+ *                 type: string
+ *                 description: Bay code or ID at the vehicle's branch
+ *                 example: A-12
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Vehicle parked, with its yardLocation
+ *       400:
+ *         description: Bay not in use, vehicle not in the yard or already in the bay
+ *       403:
+ *         description: Vehicle of another branch
+ *       404:
+ *         description: Vehicle or bay not found
+ *       409:
+ *         description: Bay is full
+ */
+router.post(
+  '/assign',
+  protect,
+  requirePermission('YARD_BAY.ASSIGN'),
+  logAction('ASSIGN', 'YardBay'),
+  yardBayController.assignBay
+);
+
+/**
+ * @swagger
+ * /api/v1/yard-bays/{id}:
+ *   put:
+ *     summary: Update a yard bay
+ *     description: The code cannot change. A bay with vehicles in it cannot be taken out of use.
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               zone:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated bay
+ *       403:
+ *         description: Bay of another branch
+ *       404:
+ *         description: Bay not found
+ *       409:
+ *         description: Bay still has vehicles parked in it
+ *   delete:
+ *     summary: Remove an empty yard bay
+ *     tags: [Yard Bay]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Bay removed
+ *       403:
+ *         description: Bay of another branch
+ *       404:
+ *         description: Bay not found
+ *       409:
+ *         description: Bay still has vehicles parked in it
+ */
+router.route('/:id')
+  .put(
+    protect,
+    requirePermission('YARD_BAY.UPDATE'),
+    logAction('UPDATE', 'YardBay'),
+    yardBayController.updateBay
+  )
+  .delete(
+    protect,
+    requirePermission('YARD_BAY.DELETE'),
+    logAction('DELETE', 'YardBay'),
+    yardBayController.deleteBay
+  );
+
+module.exports = router;
@@ -0,0 +1,504 @@
+// services/approvalEngine.js
+// Multi-level approvals shared by every document type that needs sign-off.
+// Admins define approval chains (models/ApprovalChain) per document type and
+// amount threshold; a document covered by a chain gets an approval request
+// (models/ApprovalRequest) that walks the chain's steps in order. Each step is
+// approved or rejected with a comment by a user holding the step's role. A
+// step left past its SLA escalates: the escalation role may then act on it as
+// well. When the last step approves, or any step rejects, the outcome is
+// applied to the document the same way its own approve/reject endpoint would.
+//
+// Documents without a matching chain keep their existing approval endpoints;
+// while a request is open those endpoints refuse to decide the document.
+
+const mongoose = require('mongoose');
+const ApprovalChain = require('../models/ApprovalChain');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Booking = require('../models/Booking');
+const BookingChangeRequest = require('../models/BookingChangeRequest');
+const BrokerLedger = require('../models/BrokerLedger');
+const CashVoucher = require('../models/CashVoucher');
+const ContraVoucher = require('../models/ContraVoucherModel');
+const Ledger = require('../models/Ledger');
+const Vehicle = require('../models/vehicleInwardModel');
+const WorkShopReceiptVoucher = require('../models/workshopReciptModel');
+const AppError = require('../utils/appError');
+const bookingStateMachine = require('./bookingStateMachine');
+const bookingChangeRequest = require('./bookingChangeRequest');
+const discountPolicy = require('./discountPolicy');
+const ledgerEntryApproval = require('./ledgerEntryApproval');
+const vehicleReservation = require('./vehicleReservation');
+const vehicleMovement = require('./vehicleMovement');
+const backorderQueue = require('./backorderQueue');
+
+const { roleNamesOf } = discountPolicy;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const voucherDocument = (label, Model) => ({
+  label,
+  load: (id) => Model.findById(id),
+  describe: (voucher) => ({
+    number: voucher.voucherId,
+    amount: voucher.amount,
+    branch: voucher.branch,
+    summary: `${label} to ${voucher.recipientName}`
+  }),
+  isOpen: (voucher) => voucher.status === 'pending',
+  apply: async (voucher, outcome, { comment }) => {
+    voucher.status = outcome === 'APPROVED' ? 'approved' : 'rejected';
+    if (comment) voucher.remark = [voucher.remark, comment].filter(Boolean).join(' | ');
+    await voucher.save();
+  }
+});
+
+/**
+ * Document types the engine can approve. Each adapter loads the document,
+ * describes it for the inbox, tells whether it still awaits approval and
+ * applies the final outcome.
+ */
+const DOCUMENTS = {
+  BOOKING: {
+    label: 'Booking',
+    load: (id) => Booking.findById(id),
+    describe: (booking) => ({
+      number: booking.bookingNumber,
+      amount: booking.discountedAmount,
+      branch: booking.branch,
+      summary: `Booking for ${booking.customerDetails?.name || 'customer'}`
+    }),
+    isOpen: (booking) => bookingStateMachine.PENDING_STATES.includes(booking.status),
+    apply: async (booking, outcome, { userId, user, comment }) => {
+      if (outcome === 'REJECTED') {
+        await bookingStateMachine.applyTransition(booking, 'REJECT', { userId, note: comment });
+        await booking.save();
+        await vehicleReservation.releaseBookingReservations(booking._id, { userId, note: 'Booking rejected' });
+        return;
+      }
+
+      // Approving the booking approves its discounts, as approveBooking does
+      await assertNoOpenRequest('BOOKING_DISCOUNT', booking._id);
+      await discountPolicy.assertCanApprove(booking.discountPolicy, user);
+      await bookingStateMachine.applyTransition(booking, 'APPROVE', { userId, note: comment });
+      const reserved = await vehicleReservation.allocateFromReservation(booking, { userId });
+      await booking.save();
+      await vehicleReservation.releaseBookingReservations(booking._id, { userId });
+      if (reserved) {
+        await vehicleMovement.recordAllocation(booking, { userId, note: 'Allocated from vehicle reservation' });
+      }
+    }
+  },
+
+  BOOKING_DISCOUNT: {
+    label: 'Booking discount',
+    load: (id) => Booking.findById(id),
+    describe: (booking) => ({
+      number: booking.bookingNumber,
+      amount: booking.discountPolicy?.requestedDiscount || 0,
+      branch: booking.branch,
+      summary: `Discount on booking for ${booking.customerDetails?.name || 'customer'}`
+    }),
+    isOpen: (booking) =>
+      !!booking.discountPolicy && !booking.discountPolicy.autoApproved && !booking.discountPolicy.approvedAt &&
+      (booking.discounts || []).some(d => d.approvalStatus === 'PENDING'),
+    apply: async (booking, outcome, { userId, comment }) => {
+      (booking.discounts || []).forEach(d => {
+        if (d.approvalStatus !== 'PENDING') return;
+        d.approvalStatus = outcome;
+        d.approvedBy = userId;
+        d.approvalNote = comment || d.approvalNote;
+      });
+      if (outcome === 'APPROVED') {
+        booking.discountPolicy.approvedBy = userId;
+        booking.discountPolicy.approvedAt = new Date();
+      }
+      await booking.save();
+    }
+  },
+
+  BOOKING_UPDATE_REQUEST: {
+    label: 'Booking update request',
+    load: (id) => BookingChangeRequest.findById(id),
+    describe: async (request) => {
+      const booking = await Booking.findById(request.booking).select('branch').lean();
+      return {
+        number: `${request.bookingNumber} v${request.version}`,
+        amount: 0,
+        branch: booking?.branch,
+        summary: `Change of ${request.changes.map(c => c.label || c.field).join(', ')}`
+      };
+    },
+    isOpen: (request) => request.status === 'PENDING',
+    apply: (request, outcome, { userId, comment }) =>
+      bookingChangeRequest.reviewRequest(
+        request,
+        { accepted: outcome === 'APPROVED' ? 'ALL' : [], note: comment },
+        { userId }
+      )
+  },
+
+  LEDGER_ENTRY: {
+    label: 'Ledger entry',
+    load: (id) => Ledger.findById(id),
+    describe: async (entry) => {
+      const booking = entry.booking
+        ? await Booking.findById(entry.booking).select('branch bookingNumber').lean()
+        : null;
+      return {
+        number: booking?.bookingNumber,
+        amount: entry.amount,
+        branch: booking?.branch,
+        summary: `${entry.paymentMode || entry.type} entry`
+      };
+    },
+    isOpen: (entry) => entry.approvalStatus === 'Pending',
+    apply: async (entry, outcome, { userId, comment }) => {
+      if (outcome === 'APPROVED') {
+        await ledgerEntryApproval.approveLedgerEntry(entry, { userId, remark: comment });
+        return;
+      }
+      entry.approvalStatus = 'Rejected';
+      entry.approvedBy = userId;
+      entry.approvedAt = new Date();
+      entry.rejectionReason = comment;
+      await entry.save();
+    }
+  },
+
+  // The document is the transaction inside the broker's ledger at a branch
+  BROKER_TRANSACTION: {
+    label: 'Broker transaction',
+    load: async (id) => {
+      const ledger = await BrokerLedger.findOne({ 'transactions._id': id });
+      return ledger ? { ledger, transaction: ledger.transactions.id(id) } : null;
+    },
+    describe: ({ ledger, transaction }) => ({
+      amount: transaction.amount,
+      branch: ledger.branch,
+      summary: `Broker ${transaction.type.toLowerCase()} transaction`
+    }),
+    isOpen: ({ transaction }) => transaction.approvalStatus === 'Pending',
+    apply: async ({ ledger, transaction }, outcome, { userId, comment }) => {
+      transaction.approvalStatus = outcome === 'APPROVED' ? 'Approved' : 'Rejected';
+      transaction.approvedBy = userId;
+      transaction.approvedAt = new Date();
+      if (outcome === 'REJECTED') {
+        transaction.rejectionReason = comment;
+      } else {
+        if (comment) transaction.remark = comment;
+        // The balance is recomputed on save; on-account credit is not
+        if (transaction.type === 'CREDIT' && transaction.isOnAccount) {
+          ledger.onAccount += transaction.amount;
+        }
+      }
+      await ledger.save();
+    }
+  },
+
+  CASH_VOUCHER: voucherDocument('Cash voucher', CashVoucher),
+  CONTRA_VOUCHER: voucherDocument('Contra voucher', ContraVoucher),
+  WORKSHOP_RECEIPT: voucherDocument('Workshop receipt', WorkShopReceiptVoucher),
+
+  VEHICLE_INWARD: {
+    label: 'Vehicle inward',
+    load: (id) => Vehicle.findById(id),
+    describe: (vehicle) => ({
+      number: vehicle.chassisNumber,
+      amount: 0,
+      branch: vehicle.unloadLocation,
+      summary: `Inward of ${vehicle.modelName || 'vehicle'}`
+    }),
+    isOpen: (vehicle) => vehicle.status === 'not_approved',
+    // A rejected inward stays not_approved; the request keeps the reason
+    apply: async (vehicle, outcome, { userId }) => {
+      if (outcome !== 'APPROVED') return;
+      await Vehicle.updateOne(
+        { _id: vehicle._id, status: 'not_approved' },
+        { $set: { status: 'in_stock', lastUpdatedBy: userId } }
+      );
+      await vehicleMovement.recordMovements([vehicle._id], 'APPROVAL', {
+        userId,
+        from: { status: 'not_approved' }
+      });
+      await backorderQueue.proposeForVehicles([vehicle._id], { trigger: 'approval', userId });
+    }
+  }
+};
+
+const adapterFor = (documentType) => {
+  const adapter = DOCUMENTS[documentType];
+  if (!adapter) {
+    throw new AppError(`Unknown document type: ${documentType}. Use one of ${Object.keys(DOCUMENTS).join(', ')}`, 400);
+  }
+  return adapter;
+};
+
+const isSuperAdmin = async (user) =>
+  typeof user?.isSuperAdmin === 'function' && await user.isSuperAdmin();
+
+/**
+ * Chain for a document: active, of its type, covering its branch and with a
+ * threshold below its amount. The highest threshold wins, then a chain naming
+ * the branch over one for every branch.
+ */
+async function findChain(documentType, { amount = 0, branch } = {}) {
+  const chains = await ApprovalChain.find({ documentType, isActive: true }).lean();
+
+  return chains
+    .filter(chain => chain.amountAbove == null || amount > chain.amountAbove)
+    .filter(chain => !chain.branches?.length || (branch && chain.branches.some(b => String(b) === String(branch))))
+    .sort((a, b) =>
+      (b.amountAbove ?? -1) - (a.amountAbove ?? -1) ||
+      (b.branches?.length ? 1 : 0) - (a.branches?.length ? 1 : 0)
+    )[0] || null;
+}
+
+function openRequestFor(documentType, documentId) {
+  return ApprovalRequest.findOne({ documentType, document: documentId, status: 'PENDING' });
+}
+
+/**
+ * Existing approve/reject endpoints call this so a document under a chain is
+ * only decided through the chain.
+ * @throws {AppError} 409 when a request is open for any of the documents
+ */
+async function assertNoOpenRequest(documentType, documentIds) {
+  const ids = [].concat(documentIds).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return;
+
+  const open = await ApprovalRequest.findOne({ documentType, document: { $in: ids }, status: 'PENDING' })
+    .select('chainName documentNumber')
+    .lean();
+  if (open) {
+    throw new AppError(
+      (`${adapterFor(documentType).label} ${open.documentNumber || ''} is awaiting approval through ` +
+      `the "${open.chainName}" chain; decide it from the approvals inbox`).replace(/\s+/g, ' '),
+      409
+    );
+  }
+}
+
+const startStep = (request, index, now = new Date()) => {
+  const step = request.steps[index];
+  step.status = 'PENDING';
+  step.startedAt = now;
+  step.dueAt = new Date(now.getTime() + (step.slaHours || 24) * HOUR_MS);
+  request.currentStep = index;
+};
+
+/**
+ * Raise an approval request for the document under the chain covering it.
+ * @param {object} [options]
+ * @param {boolean} [options.ifConfigured] - return null instead of failing
+ *   when no chain covers the document, and the open request if there is one
+ * @returns {Promise<ApprovalRequest|null>}
+ */
+async function submit(documentType, documentId, { userId, ifConfigured = false } = {}) {
+  const adapter = adapterFor(documentType);
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new AppError('Invalid document ID format', 400);
+  }
+
+  const open = await openRequestFor(documentType, documentId);
+  if (open) {
+    if (ifConfigured) return open;
+    throw new AppError(`${adapter.label} already has an open approval request`, 409);
+  }
+
+  const document = await adapter.load(documentId);
+  if (!document) {
+    throw new AppError(`No ${adapter.label.toLowerCase()} found with that ID`, 404);
+  }
+  if (!adapter.isOpen(document)) {
+    if (ifConfigured) return null;
+    throw new AppError(`${adapter.label} is not awaiting approval`, 400);
+  }
+
+  const info = await adapter.describe(document);
+  const chain = await findChain(documentType, { amount: Number(info.amount || 0), branch: info.branch });
+  if (!chain) {
+    if (ifConfigured) return null;
+    throw new AppError(`No approval chain covers this ${adapter.label.toLowerCase()}`, 404);
+  }
+
+  const request = new ApprovalRequest({
+    documentType,
+    document: documentId,
+    documentNumber: info.number,
+    summary: info.summary,
+    amount: Number(info.amount || 0),
+    branch: info.branch,
+    chain: chain._id,
+    chainName: chain.name,
+    steps: chain.steps.map(step => ({ ...step, status: 'WAITING' })),
+    requestedBy: userId,
+    trail: [{ action: 'SUBMITTED', user: userId }]
+  });
+  startStep(request, 0);
+  return request.save();
+}
+
+/**
+ * Raise a request when a chain covers the document; a no-op otherwise.
+ */
+function submitIfConfigured(documentType, documentId, { userId } = {}) {
+  return submit(documentType, documentId, { userId, ifConfigured: true });
+}
+
+/**
+ * Whether the user may decide the current step: super admins always, else
+ * holders of the step's role (of the document's branch for BRANCH steps) and,
+ * once escalated, holders of the escalation role.
+ */
+async function canAct(request, user, roles) {
+  if (request.status !== 'PENDING') return false;
+  if (await isSuperAdmin(user)) return true;
+
+  const step = request.steps[request.currentStep];
+  const names = roles || await roleNamesOf(user);
+  if (step.escalatedTo && names.includes(step.escalatedTo)) return true;
+  if (!names.includes(step.role)) return false;
+  return step.scope !== 'BRANCH' || !request.branch ||
+    (!!user.branch && String(user.branch._id || user.branch) === String(request.branch));
+}
+
+/**
+ * Approve or reject the current step. The last approval, or any rejection,
+ * completes the request and applies the outcome to the document.
+ * @throws {AppError} 403 when the user cannot act on the step (or approve the
+ *   booking's discount), 409 when the document was decided elsewhere in the
+ *   meantime or has its own request still open
+ */
+async function decide(request, { decision, comment, user }) {
+  if (!['APPROVE', 'REJECT'].includes(decision)) {
+    throw new AppError('Decision must be APPROVE or REJECT', 400);
+  }
+  if (request.status !== 'PENDING') {
+    throw new AppError(`Approval request is already ${request.status.toLowerCase()}`, 400);
+  }
+  if (decision === 'REJECT' && !comment?.trim()) {
+    throw new AppError('A comment is required to reject', 400);
+  }
+  if (!(await canAct(request, user))) {
+    const step = request.steps[request.currentStep];
+    throw new AppError(`This step needs approval by ${step.role}${step.scope === 'BRANCH' ? ' of the branch' : ''}`, 403);
+  }
+
+  const now = new Date();
+  const userId = user._id || user.id;
+  const outcome = decision === 'APPROVE' ? 'APPROVED' : 'REJECTED';
+  const step = request.steps[request.currentStep];
+
+  Object.assign(step, { status: outcome, decidedBy: userId, decidedAt: now, comment: comment?.trim() });
+  request.trail.push({ action: outcome, step: request.currentStep, role: step.role, user: userId, comment: comment?.trim(), at: now });
+
+  if (outcome === 'APPROVED' && request.currentStep < request.steps.length - 1) {
+    startStep(request, request.currentStep + 1, now);
+    return request.save();
+  }
+
+  const adapter = adapterFor(request.documentType);
+  const document = await adapter.load(request.document);
+  if (!document || !adapter.isOpen(document)) {
+    request.status = 'CANCELLED';
+    request.completedAt = now;
+    request.trail.push({ action: 'CANCELLED', user: userId, comment: `${adapter.label} no longer awaits approval`, at: now });
+    await request.save();
+    throw new AppError(`${adapter.label} was decided outside the approval chain; the request is cancelled`, 409);
+  }
+
+  await adapter.apply(document, outcome, { userId, user, comment: comment?.trim() });
+
+  request.status = outcome;
+  request.completedAt = now;
+  request.trail.push({ action: 'COMPLETED', user: userId, at: now });
+  return request.save();
+}
+
+/**
+ * Escalate the current step of every request past its SLA. The step's
+ * escalation role, or else the next step's role, may then act on it.
+ * @returns {Promise<number>} requests escalated
+ */
+async function escalateOverdue(now = new Date()) {
+  const requests = await ApprovalRequest.find({
+    status: 'PENDING',
+    steps: { $elemMatch: { status: 'PENDING', dueAt: { $lt: now }, escalatedAt: null } }
+  });
+
+  for (const request of requests) {
+    const step = request.steps[request.currentStep];
+    const target = step.escalateToRole || request.steps[request.currentStep + 1]?.role;
+    step.escalatedAt = now;
+    step.escalatedTo = target;
+    request.trail.push({
+      action: 'ESCALATED',
+      step: request.currentStep,
+      role: target,
+      comment: `SLA of ${step.slaHours} hour(s) for ${step.role} breached`,
+      at: now
+    });
+    // eslint-disable-next-line no-await-in-loop
+    await request.save();
+  }
+  return requests.length;
+}
+
+/**
+ * Open requests the user can decide now, most overdue first.
+ */
+async function inbox(user, { documentType } = {}) {
+  const roles = await roleNamesOf(user);
+  const query = { status: 'PENDING' };
+  if (documentType) query.documentType = documentType;
+  if (!(await isSuperAdmin(user))) {
+    query.steps = {
+      $elemMatch: { status: 'PENDING', $or: [{ role: { $in: roles } }, { escalatedTo: { $in: roles } }] }
+    };
+  }
+
+  const requests = await ApprovalRequest.find(query)
+    .populate([{ path: 'branchDetails' }, { path: 'requestedByDetails' }])
+    .sort({ createdAt: 1 });
+
+  const now = new Date();
+  const out = [];
+  for (const request of requests) {
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await canAct(request, user, roles))) continue;
+    const step = request.steps[request.currentStep];
+    out.push({
+      ...request.toJSON(),
+      step: { index: request.currentStep, ...step.toObject() },
+      overdue: step.dueAt < now
+    });
+  }
+  return out.sort((a, b) => a.step.dueAt - b.step.dueAt);
+}
+
+/**
+ * Every approval request raised for a document, oldest first.
+ */
+function trailFor(documentType, documentId) {
+  adapterFor(documentType);
+  return ApprovalRequest.find({ documentType, document: documentId })
+    .populate([
+      { path: 'requestedByDetails' },
+      { path: 'trail.user', select: 'name email' }
+    ])
+    .sort({ createdAt: 1 });
+}
+
+module.exports = {
+  DOCUMENT_TYPES: Object.keys(DOCUMENTS),
+  findChain,
+  openRequestFor,
+  assertNoOpenRequest,
+  submit,
+  submitIfConfigured,
+  canAct,
+  decide,
+  escalateOverdue,
+  inbox,
+  trailFor
+};
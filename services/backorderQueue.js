@@ -0,0 +1,460 @@
+// services/backorderQueue.js
+// Backorder queue of bookings waiting for stock. The queue of a branch, model
+// and color holds its open bookings without a chassis, ordered by booking date
+// and, among bookings of the same day, by the payment received so far (higher
+// first). When vehicles are inwarded, approved or received on a transfer each
+// one is proposed to the head of its queue (see models/AllocationProposal) and
+// the booking's sales executive gets a WhatsApp message; accepting the
+// proposal allocates the chassis. Proposals also wait in the executive's inbox
+// (GET /backorders/proposals?mine=true), which is all they get when WhatsApp is
+// not configured or the message fails.
+//
+// The expected wait of a queued booking counts the stock that can serve it now
+// (free in_stock vehicles and inwarded vehicles awaiting approval); beyond that
+// it is the shortfall divided by the recent inward rate of the model/color at
+// the branch. Vehicles in transit to the branch or on an OEM invoice not yet
+// received are reported as incoming.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const Booking = require('../models/Booking');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Color = require('../models/Color');
+const User = require('../models/User');
+const AllocationProposal = require('../models/AllocationProposal');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const whatsappService = require('../utils/whatsappService');
+const { startOfDay, branchMatch } = require('../utils/queryHelpers');
+const bookingStateMachine = require('./bookingStateMachine');
+const chassisAllocation = require('./chassisAllocation');
+const stockTransferLifecycle = require('./stockTransferLifecycle');
+const stockReorder = require('./stockReorder');
+
+const { BOOKING_STATUS, TERMINAL_STATES } = bookingStateMachine;
+const { keyOf } = stockReorder;
+
+// Days of inward history the expected wait is estimated from
+const INWARD_RATE_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WAITING_FILTER = {
+  status: { $nin: TERMINAL_STATES },
+  $or: [{ chassisNumber: { $exists: false } }, { chassisNumber: null }, { chassisNumber: '' }]
+};
+
+// Booking date first; on the same day the higher payment goes first
+const compareBookings = (a, b) =>
+  startOfDay(a.createdAt) - startOfDay(b.createdAt) ||
+  (b.receivedAmount || 0) - (a.receivedAmount || 0) ||
+  a.createdAt - b.createdAt;
+
+const countBy = (docs, key) => docs.reduce((counts, doc) => {
+  const k = key(doc);
+  counts.set(k, (counts.get(k) || 0) + 1);
+  return counts;
+}, new Map());
+
+/**
+ * Open bookings without a chassis, queued per branch/model/color.
+ * @returns {Promise<Map<string, Booking[]>>} ordered queues keyed by keyOf(branch, model, color)
+ */
+async function waitingBookings({ branchIds, model, color } = {}) {
+  const bookings = await Booking.find({
+    ...WAITING_FILTER,
+    // Subdealer bookings have no branch and no branch stock to wait for
+    branch: branchIds ? { $in: branchIds } : { $exists: true, $ne: null },
+    ...(model && { model }),
+    ...(color && { color })
+  })
+    .select('bookingNumber branch model color status createdAt receivedAmount salesExecutive customerDetails.name customerDetails.mobile1')
+    .populate('model', 'model_name')
+    .populate('color', 'name')
+    .lean();
+
+  const queues = new Map();
+  bookings
+    // Bookings of a deleted model or color cannot be served
+    .filter(booking => booking.model && booking.color)
+    .forEach(booking => {
+      const key = keyOf(booking.branch, booking.model._id, booking.color._id);
+      if (!queues.has(key)) queues.set(key, []);
+      queues.get(key).push(booking);
+    });
+  queues.forEach(queue => queue.sort(compareBookings));
+  return queues;
+}
+
+// Stock that can serve, or is on its way to, the queues of the branches
+async function supplyFor(branchIds) {
+  const since = new Date(Date.now() - INWARD_RATE_WINDOW_DAYS * DAY_MS);
+  const vehicleKey = (v) => keyOf(v.unloadLocation, v.model, v.color?.id);
+
+  const [inStock, awaitingApproval, recentInward, onTransfer, invoices] = await Promise.all([
+    stockReorder.countInStock(branchIds),
+    Vehicle.find({ ...branchMatch('unloadLocation', branchIds), status: 'not_approved' })
+      .select('unloadLocation model color.id').lean(),
+    Vehicle.find({ ...branchMatch('unloadLocation', branchIds), createdAt: { $gte: since } })
+      .select('unloadLocation model color.id').lean(),
+    stockTransferLifecycle.vehiclesOnOpenTransfers({ inTransitOnly: true }),
+    PurchaseInvoice.find({
+      ...branchMatch('branch', branchIds),
+      status: { $in: ['pending', 'partially_received'] }
+    }).select('branch items').lean()
+  ]);
+
+  // In transit vehicles count towards the destination branch
+  const transitVehicles = await Vehicle.find({ _id: { $in: [...onTransfer.keys()] } })
+    .select('model color.id').lean();
+  const inTransit = countBy(transitVehicles, (v) =>
+    keyOf(onTransfer.get(v._id.toString()).toBranch, v.model, v.color?.id));
+
+  // Invoice lines only carry the color name
+  const pendingLines = invoices.flatMap(invoice => invoice.items
+    .filter(item => !item.vehicle && item.model)
+    .map(item => ({ branch: invoice.branch, model: item.model, colorName: (item.colorName || '').toLowerCase() })));
+  const colors = pendingLines.length > 0 ? await Color.find().select('name').lean() : [];
+  const colorId = new Map(colors.map(c => [c.name.toLowerCase(), c._id]));
+  const onOrder = countBy(
+    pendingLines.filter(line => colorId.has(line.colorName)),
+    (line) => keyOf(line.branch, line.model, colorId.get(line.colorName))
+  );
+
+  return {
+    inStock,
+    awaitingApproval: countBy(awaitingApproval, vehicleKey),
+    inTransit,
+    onOrder,
+    recentInward: countBy(recentInward, vehicleKey)
+  };
+}
+
+/**
+ * Expected wait of the booking at `position` (1 = head) of a queue.
+ * @returns {{expectedWaitDays: number|null, basis: string}} basis is 'stock' when it
+ *   can be served now, 'incoming' when covered by vehicles in transit or on order,
+ *   'inward_rate' otherwise; days are null without recent inward to estimate from
+ */
+function estimateWait(position, { inStock, awaitingApproval, inTransit, onOrder, inwardPerDay }) {
+  const readyNow = inStock + awaitingApproval;
+  if (position <= readyNow) return { expectedWaitDays: 0, basis: 'stock' };
+
+  const shortfall = position - readyNow;
+  return {
+    expectedWaitDays: inwardPerDay > 0 ? Math.ceil(shortfall / inwardPerDay) : null,
+    basis: shortfall <= inTransit + onOrder ? 'incoming' : 'inward_rate'
+  };
+}
+
+/**
+ * Backorder queues with the position and expected wait of every booking.
+ * @param {{branchIds?: ObjectId[], model?: string, color?: string}} filters - all
+ *   branches when branchIds is omitted
+ * @returns {Promise<Array<{branch, model, modelName, color, colorName, supply, bookings}>>}
+ */
+async function buildQueues({ branchIds, model, color } = {}) {
+  const [queues, supply, openProposals] = await Promise.all([
+    waitingBookings({ branchIds, model, color }),
+    supplyFor(branchIds),
+    AllocationProposal.find({ ...branchMatch('branch', branchIds), status: 'proposed' })
+      .select('booking chassisNumber').lean()
+  ]);
+  const proposedFor = new Map(openProposals.map(p => [p.booking.toString(), p]));
+
+  return [...queues.entries()].map(([key, bookings]) => {
+    const head = bookings[0];
+    const groupSupply = {
+      inStock: supply.inStock.get(key) || 0,
+      awaitingApproval: supply.awaitingApproval.get(key) || 0,
+      inTransit: supply.inTransit.get(key) || 0,
+      onOrder: supply.onOrder.get(key) || 0,
+      inwardPerDay: (supply.recentInward.get(key) || 0) / INWARD_RATE_WINDOW_DAYS
+    };
+
+    return {
+      branch: head.branch,
+      model: head.model._id,
+      modelName: head.model.model_name,
+      color: head.color._id,
+      colorName: head.color.name,
+      supply: {
+        ...groupSupply,
+        inwardPerDay: Math.round(groupSupply.inwardPerDay * 100) / 100
+      },
+      bookings: bookings.map((booking, index) => ({
+        booking: booking._id,
+        bookingNumber: booking.bookingNumber,
+        customerName: booking.customerDetails?.name,
+        status: booking.status,
+        bookingDate: booking.createdAt,
+        receivedAmount: booking.receivedAmount || 0,
+        salesExecutive: booking.salesExecutive,
+        position: index + 1,
+        proposedChassis: proposedFor.get(booking._id.toString())?.chassisNumber,
+        ...estimateWait(index + 1, groupSupply)
+      }))
+    };
+  }).sort((a, b) =>
+    String(a.branch).localeCompare(String(b.branch)) ||
+    a.modelName.localeCompare(b.modelName) ||
+    a.colorName.localeCompare(b.colorName));
+}
+
+/**
+ * Queue position and expected wait of one booking, or null when it is not
+ * waiting for a chassis.
+ */
+async function queueEntry(booking) {
+  const [queue] = await buildQueues({
+    branchIds: [booking.branch],
+    model: booking.model,
+    color: booking.color
+  });
+  const entry = queue?.bookings.find(b => b.booking.equals(booking._id));
+  if (!entry) return null;
+
+  const { bookings, ...group } = queue;
+  return { ...group, queueLength: bookings.length, ...entry };
+}
+
+/**
+ * Mark open proposals superseded whose booking no longer waits for a chassis
+ * or whose vehicle is no longer available.
+ * @returns {Promise<number>} proposals superseded
+ */
+async function supersedeStale({ branchIds } = {}) {
+  const open = await AllocationProposal.find({ ...branchMatch('branch', branchIds), status: 'proposed' })
+    .select('booking vehicle chassisNumber')
+    .lean();
+  if (open.length === 0) return 0;
+
+  const [bookings, vehicles, allocated] = await Promise.all([
+    Booking.find({ _id: { $in: open.map(p => p.booking) }, ...WAITING_FILTER }).select('_id').lean(),
+    Vehicle.find({
+      _id: { $in: open.map(p => p.vehicle) },
+      status: { $in: ['not_approved', 'in_stock'] },
+      isDemo: { $ne: true },
+      delivery: { $exists: false }
+    }).select('_id').lean(),
+    Booking.distinct('chassisNumber', {
+      chassisNumber: { $in: open.map(p => p.chassisNumber) },
+      status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED] }
+    })
+  ]);
+  const waiting = new Set(bookings.map(b => b._id.toString()));
+  const available = new Set(vehicles.map(v => v._id.toString()));
+
+  const stale = open.filter(p =>
+    !waiting.has(p.booking.toString()) ||
+    !available.has(p.vehicle.toString()) ||
+    allocated.includes(p.chassisNumber));
+  if (stale.length === 0) return 0;
+
+  await AllocationProposal.updateMany(
+    { _id: { $in: stale.map(p => p._id) }, status: 'proposed' },
+    { $set: { status: 'superseded', resolvedAt: new Date(), resolutionNote: 'Booking or vehicle no longer available' } }
+  );
+  return stale.length;
+}
+
+// First booking of the vehicle's queue without an open proposal that has not
+// turned this vehicle down before
+async function queueHead(vehicle) {
+  const key = keyOf(vehicle.unloadLocation, vehicle.model, vehicle.color.id);
+  const queue = (await waitingBookings({
+    branchIds: [vehicle.unloadLocation],
+    model: vehicle.model,
+    color: vehicle.color.id
+  })).get(key) || [];
+  if (queue.length === 0) return null;
+
+  const [proposed, dismissed] = await Promise.all([
+    AllocationProposal.distinct('booking', { booking: { $in: queue.map(b => b._id) }, status: 'proposed' }),
+    AllocationProposal.distinct('booking', { vehicle: vehicle._id, status: 'dismissed' })
+  ]);
+  const skip = new Set([...proposed, ...dismissed].map(String));
+
+  const index = queue.findIndex(booking => !skip.has(booking._id.toString()));
+  return index === -1 ? null : { booking: queue[index], position: index + 1 };
+}
+
+/**
+ * Send the sales executive of the proposal's booking a WhatsApp message and
+ * record when in notifiedAt. Failures are only logged.
+ */
+async function notifySalesExecutive(proposal, booking) {
+  if (!proposal.salesExecutive || !whatsappService.isConfigured()) return;
+
+  try {
+    const executive = await User.findById(proposal.salesExecutive).select('mobile').lean();
+    if (!executive?.mobile) return;
+
+    await whatsappService.sendWhatsAppText(executive.mobile,
+      `Chassis ${proposal.chassisNumber} is proposed for booking ${proposal.bookingNumber}` +
+      `${booking.customerDetails?.name ? ` (${booking.customerDetails.name})` : ''}. ` +
+      'Please accept or dismiss the proposal in the backorder inbox.');
+    proposal.notifiedAt = new Date();
+    await AllocationProposal.updateOne({ _id: proposal._id }, { $set: { notifiedAt: proposal.notifiedAt } });
+  } catch (err) {
+    logger.error(`Backorder: notifying sales executive of proposal ${proposal._id} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Propose each vehicle to the head of its backorder queue and notify the
+ * booking's sales executive. Vehicles that are damaged, allocated, reserved or
+ * already proposed are skipped. Failures are logged and never thrown, so the
+ * inward or receipt that made the vehicles available is not affected.
+ * @param {{trigger: 'inward'|'approval'|'transfer', userId}} options
+ * @returns {Promise<AllocationProposal[]>} the proposals made
+ */
+async function proposeForVehicles(vehicleIds, { trigger, userId }) {
+  const proposals = [];
+  try {
+    const now = new Date();
+    const vehicles = await Vehicle.find({
+      _id: { $in: vehicleIds },
+      status: { $in: ['not_approved', 'in_stock'] },
+      hasDamage: { $ne: true },
+      isDemo: { $ne: true },
+      delivery: { $exists: false },
+      $or: [
+        { 'reservation.expiresAt': { $exists: false } },
+        { 'reservation.expiresAt': { $lte: now } }
+      ]
+    })
+      .select('chassisNumber model color unloadLocation status')
+      .sort({ createdAt: 1, chassisNumber: 1 });
+    if (vehicles.length === 0) return proposals;
+
+    await supersedeStale({ branchIds: [...new Set(vehicles.map(v => String(v.unloadLocation)))] });
+
+    const [allocated, alreadyProposed] = await Promise.all([
+      Booking.distinct('chassisNumber', {
+        chassisNumber: { $in: vehicles.map(v => v.chassisNumber) },
+        status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED] }
+      }),
+      AllocationProposal.distinct('vehicle', { vehicle: { $in: vehicles.map(v => v._id) }, status: 'proposed' })
+    ]);
+    const skip = new Set([...allocated, ...alreadyProposed.map(String)]);
+
+    for (const vehicle of vehicles) {
+      if (skip.has(vehicle.chassisNumber) || skip.has(vehicle._id.toString())) continue;
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const head = await queueHead(vehicle);
+        if (!head) continue;
+
+        // eslint-disable-next-line no-await-in-loop
+        const proposal = await AllocationProposal.create({
+          booking: head.booking._id,
+          bookingNumber: head.booking.bookingNumber,
+          vehicle: vehicle._id,
+          chassisNumber: vehicle.chassisNumber,
+          branch: vehicle.unloadLocation,
+          model: vehicle.model,
+          color: vehicle.color.id,
+          trigger,
+          queuePosition: head.position,
+          salesExecutive: head.booking.salesExecutive,
+          proposedBy: userId
+        });
+        logger.info(`Backorder: chassis ${vehicle.chassisNumber} proposed for booking ${head.booking.bookingNumber}` +
+          ` (queue position ${head.position})`);
+        // eslint-disable-next-line no-await-in-loop
+        await notifySalesExecutive(proposal, head.booking);
+        proposals.push(proposal);
+      } catch (err) {
+        // Proposed by a concurrent inward meanwhile
+        if (err.code === 11000) continue;
+        logger.error(`Backorder proposal for chassis ${vehicle.chassisNumber} failed: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error(`Backorder proposals after ${trigger} failed: ${err.message}`);
+  }
+  return proposals;
+}
+
+const resolve = async (proposal, status, { userId, note }) => {
+  const resolved = await AllocationProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'proposed' },
+    { $set: { status, resolvedBy: userId, resolvedAt: new Date(), resolutionNote: note } },
+    { new: true }
+  );
+  if (!resolved) {
+    throw new AppError('Proposal has already been resolved, please reload', 409);
+  }
+  return resolved;
+};
+
+/**
+ * Allocate the proposed vehicle to the booking. A vehicle that is no longer
+ * available supersedes the proposal.
+ * @returns {Promise<{proposal, booking}>}
+ */
+async function acceptProposal(proposal, { userId }) {
+  if (proposal.status !== 'proposed') {
+    throw new AppError(`Cannot accept a proposal that is ${proposal.status}`, 400);
+  }
+
+  const vehicle = await Vehicle.findById(proposal.vehicle).select('status');
+  if (vehicle?.status === 'not_approved') {
+    throw new AppError(`Vehicle ${proposal.chassisNumber} has not been approved into stock yet`, 400);
+  }
+  const booking = await Booking.findById(proposal.booking);
+  if (!booking) {
+    throw new AppError('Booking of the proposal no longer exists', 404);
+  }
+
+  const accepted = await resolve(proposal, 'accepted', { userId });
+  try {
+    await chassisAllocation.allocateVehicle(booking, proposal.chassisNumber, {
+      userId,
+      note: 'Backorder allocation',
+      metadata: { allocationProposal: proposal._id }
+    });
+  } catch (err) {
+    const gone = err instanceof AppError && err.statusCode === 409;
+    await AllocationProposal.updateOne(
+      { _id: proposal._id },
+      gone
+        ? { $set: { status: 'superseded', resolutionNote: err.message } }
+        : { $set: { status: 'proposed' }, $unset: { resolvedBy: 1, resolvedAt: 1 } }
+    );
+    throw err;
+  }
+
+  return { proposal: accepted, booking };
+}
+
+/**
+ * Turn the proposal down and offer the vehicle to the next booking in the queue.
+ * @returns {Promise<{proposal, next: AllocationProposal|null}>}
+ */
+async function dismissProposal(proposal, { userId, reason }) {
+  if (proposal.status !== 'proposed') {
+    throw new AppError(`Cannot dismiss a proposal that is ${proposal.status}`, 400);
+  }
+  if (!reason || !reason.trim()) {
+    throw new AppError('A reason is required to dismiss a proposal', 400);
+  }
+
+  const dismissed = await resolve(proposal, 'dismissed', { userId, note: reason.trim() });
+  const [next] = await proposeForVehicles([proposal.vehicle], { trigger: proposal.trigger, userId });
+
+  return { proposal: dismissed, next: next || null };
+}
+
+module.exports = {
+  INWARD_RATE_WINDOW_DAYS,
+  compareBookings,
+  estimateWait,
+  buildQueues,
+  queueEntry,
+  supersedeStale,
+  proposeForVehicles,
+  acceptProposal,
+  dismissProposal
+};
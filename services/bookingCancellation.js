@@ -0,0 +1,410 @@
+// services/bookingCancellation.js
+// Booking cancellation workflow. A cancellation request captures the reason,
+// charges and refund details; once approved (automatically when the refund
+// is within CANCELLATION_APPROVAL_LIMIT) it is executed:
+//   - booking moves to CANCELLED through the booking state machine
+//   - the allocated chassis is released back to in_stock, as is any vehicle
+//     still reserved for the booking
+//   - approved Ledger receipts and the opening debit get reversing entries;
+//     receipts still pending approval are rejected
+//   - broker Exchange/Commission DEBITs get reversing CREDITs
+//   - a refund voucher is left PENDING until it is paid out
+//
+// The refund is the customer's approved receipts less the charges.
+
+const Ledger = require('../models/Ledger');
+const BrokerLedger = require('../models/BrokerLedger');
+const Vehicle = require('../models/vehicleInwardModel');
+const CashVoucher = require('../models/CashVoucher');
+const CashLocation = require('../models/cashLocation');
+const BookingCancellation = require('../models/BookingCancellation');
+const AppError = require('../utils/appError');
+const bookingStateMachine = require('./bookingStateMachine');
+const { releaseBookingReservations } = require('./vehicleReservation');
+const vehicleMovement = require('./vehicleMovement');
+
+const DEFAULT_APPROVAL_LIMIT = 10000;
+
+/**
+ * Refund amount above which a manager has to approve the cancellation.
+ */
+function getApprovalLimit() {
+  const limit = Number(process.env.CANCELLATION_APPROVAL_LIMIT);
+  return Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_APPROVAL_LIMIT;
+}
+
+/**
+ * Whether a Ledger row is money the customer paid that a cancellation hands
+ * back: an approved receipt not yet reversed. Finance disbursements belong to
+ * the financer, and broker exchange/commission debits are returned by their
+ * own reversal, so neither is refunded.
+ */
+const isRefundableReceipt = (entry) =>
+  !entry.isDebit &&
+  entry.approvalStatus === 'Approved' &&
+  !entry.reversedBy &&
+  entry.type !== 'CANCELLATION_REVERSAL' &&
+  entry.type !== 'Finance Disbursement' &&
+  entry.paymentMode !== 'Finance Disbursement';
+
+/**
+ * Total of the customer's refundable receipts for the booking.
+ */
+async function customerReceiptsTotal(booking) {
+  const entries = await Ledger.find({ booking: booking._id })
+    .select('amount type paymentMode isDebit approvalStatus reversedBy')
+    .lean();
+  return entries
+    .filter(isRefundableReceipt)
+    .reduce((sum, entry) => sum + (entry.amount || 0), 0);
+}
+
+/**
+ * Create a cancellation request for the booking. Executes it straight away
+ * when no approval is needed.
+ * @returns {Promise<{cancellation, executed: boolean}>}
+ */
+async function requestCancellation(booking, { reason, cancellationCharges = 0, refundMode, cashLocation, bank, userId }) {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Cancellation reason is required', 400);
+  }
+
+  const evaluation = await bookingStateMachine.evaluateTransition(booking, 'CANCEL');
+  if (!evaluation.allowed) {
+    throw new AppError(evaluation.failedGuards.map(g => g.message).join('; '), 400);
+  }
+
+  const pending = await BookingCancellation.exists({ booking: booking._id, status: 'PENDING_APPROVAL' });
+  if (pending) {
+    throw new AppError('A cancellation request is already pending approval for this booking', 400);
+  }
+
+  const charges = Number(cancellationCharges) || 0;
+  if (charges < 0) {
+    throw new AppError('Cancellation charges cannot be negative', 400);
+  }
+
+  const amountReceived = await customerReceiptsTotal(booking);
+  const refundAmount = Math.max(0, amountReceived - charges);
+
+  const mode = refundAmount > 0 ? refundMode : 'None';
+  if (refundAmount > 0 && !['Cash', 'Bank'].includes(mode)) {
+    throw new AppError('Refund mode must be Cash or Bank when a refund is due', 400);
+  }
+
+  const approvalLimit = getApprovalLimit();
+  const requiresApproval = refundAmount > approvalLimit;
+
+  const cancellation = await BookingCancellation.create({
+    booking: booking._id,
+    branch: booking.branch,
+    reason: String(reason).trim(),
+    statusAtRequest: booking.status,
+    amountReceived,
+    cancellationCharges: charges,
+    refund: {
+      amount: refundAmount,
+      mode,
+      cashLocation: mode === 'Cash' ? cashLocation : undefined,
+      bank: mode === 'Bank' ? bank : undefined,
+      status: refundAmount > 0 ? 'PENDING' : 'NOT_APPLICABLE'
+    },
+    requiresApproval,
+    approvalLimit,
+    status: 'PENDING_APPROVAL',
+    requestedBy: userId
+  });
+
+  booking.cancellation = cancellation._id;
+
+  if (requiresApproval) {
+    await booking.save();
+    return { cancellation, executed: false };
+  }
+
+  cancellation.status = 'APPROVED';
+  cancellation.approvedBy = userId;
+  cancellation.approvedAt = new Date();
+  cancellation.approvalNote = `Auto-approved (refund within ${approvalLimit})`;
+  await executeCancellation(cancellation, booking, userId);
+
+  return { cancellation, executed: true };
+}
+
+/**
+ * Approve a pending request and execute it.
+ */
+async function approveCancellation(cancellation, booking, { userId, note }) {
+  if (cancellation.status !== 'PENDING_APPROVAL') {
+    throw new AppError(`Cancellation request is already ${cancellation.status}`, 400);
+  }
+
+  cancellation.status = 'APPROVED';
+  cancellation.approvedBy = userId;
+  cancellation.approvedAt = new Date();
+  cancellation.approvalNote = note;
+  await executeCancellation(cancellation, booking, userId);
+  return cancellation;
+}
+
+/**
+ * Reject a pending request; the booking is left untouched.
+ */
+async function rejectCancellation(cancellation, { userId, reason }) {
+  if (cancellation.status !== 'PENDING_APPROVAL') {
+    throw new AppError(`Cancellation request is already ${cancellation.status}`, 400);
+  }
+
+  cancellation.status = 'REJECTED';
+  cancellation.approvedBy = userId;
+  cancellation.approvedAt = new Date();
+  cancellation.rejectionReason = reason;
+  if (cancellation.refund.amount > 0) {
+    cancellation.refund.status = 'NOT_APPLICABLE';
+  }
+  await cancellation.save();
+  return cancellation;
+}
+
+/**
+ * Apply an approved cancellation to the booking and its related records.
+ */
+async function executeCancellation(cancellation, booking, userId) {
+  await bookingStateMachine.applyTransition(booking, 'CANCEL', {
+    userId,
+    note: cancellation.reason,
+    metadata: {
+      cancellation: cancellation._id,
+      cancellationCharges: cancellation.cancellationCharges,
+      refundAmount: cancellation.refund.amount
+    }
+  });
+
+  const releasedVehicle = await releaseVehicle(booking, userId);
+  if (releasedVehicle) {
+    cancellation.reversals.vehicle = releasedVehicle._id;
+    cancellation.reversals.chassisNumber = releasedVehicle.chassisNumber;
+  }
+
+  cancellation.reversals.ledgerEntries = await reverseLedgerEntries(booking, userId, cancellation.reason);
+  cancellation.reversals.brokerTransactions = await reverseBrokerTransactions(booking, userId);
+  cancellation.executedAt = new Date();
+
+  await booking.save();
+  await releaseBookingReservations(booking._id, { userId, note: 'Booking cancelled' });
+  await cancellation.save();
+  return cancellation;
+}
+
+/**
+ * Put the allocated vehicle back in stock and detach the chassis from the
+ * booking so it can be allocated elsewhere.
+ */
+async function releaseVehicle(booking, userId) {
+  if (!booking.chassisNumber && !booking.vehicleRef) return null;
+
+  const vehicle = booking.vehicleRef
+    ? await Vehicle.findById(booking.vehicleRef)
+    : await Vehicle.findOne({ chassisNumber: booking.chassisNumber });
+
+  const previousStatus = vehicle?.status;
+  if (vehicle && ['sold', 'in_stock'].includes(vehicle.status)) {
+    vehicle.status = 'in_stock';
+    vehicle.lastUpdatedBy = userId;
+    await vehicle.save();
+  }
+  if (vehicle) {
+    await vehicleMovement.recordMovement(vehicle, 'DEALLOCATION', {
+      userId,
+      from: { status: previousStatus },
+      source: { kind: 'Booking', id: booking._id, reference: booking.bookingNumber },
+      note: 'Released on booking cancellation'
+    });
+  }
+
+  if (booking.chassisNumber) {
+    booking.chassisNumberHistory.push({
+      number: booking.chassisNumber,
+      changedAt: new Date(),
+      changedBy: userId,
+      reason: 'Released on booking cancellation',
+      statusAtChange: booking.status
+    });
+  }
+  booking.chassisNumber = undefined;
+  booking.vehicleRef = undefined;
+
+  return vehicle;
+}
+
+/**
+ * Post a reversing entry for every live Ledger row of the booking: approved
+ * receipts are reversed with a debit, the opening debit with a credit.
+ * Receipts still pending approval were never confirmed, so they are rejected
+ * instead of reversed.
+ * @returns {Promise<ObjectId[]>} ids of the reversal entries
+ */
+async function reverseLedgerEntries(booking, userId, reason) {
+  await Ledger.updateMany(
+    { booking: booking._id, isDebit: { $ne: true }, approvalStatus: 'Pending' },
+    {
+      $set: {
+        approvalStatus: 'Rejected',
+        rejectionReason: 'booking cancelled',
+        approvedBy: userId,
+        approvedAt: new Date()
+      }
+    }
+  );
+
+  const entries = await Ledger.find({
+    booking: booking._id,
+    type: { $ne: 'CANCELLATION_REVERSAL' },
+    reversedBy: { $exists: false },
+    $or: [
+      { isDebit: true, approvalStatus: { $ne: 'Rejected' } },
+      { isDebit: { $ne: true }, approvalStatus: 'Approved' }
+    ]
+  });
+
+  const reversalIds = [];
+  for (const entry of entries) {
+    // eslint-disable-next-line no-await-in-loop
+    const reversal = await Ledger.create({
+      booking: booking._id,
+      type: 'CANCELLATION_REVERSAL',
+      paymentMode: entry.isDebit ? undefined : entry.paymentMode,
+      cashLocation: entry.cashLocation,
+      bank: entry.bank,
+      subPaymentMode: entry.subPaymentMode,
+      amount: entry.amount,
+      receivedBy: userId,
+      isDebit: !entry.isDebit,
+      debitReason: entry.isDebit ? undefined : 'BOOKING_CANCELLED',
+      debitStatus: 'Approved',
+      transactionReference: entry.transactionReference,
+      remark: `Reversal of ${entry.isDebit ? 'debit' : 'receipt'} on booking cancellation: ${reason}`,
+      source: { kind: 'BOOKING_CANCELLATION', refId: entry._id, refModel: 'Ledger' },
+      reversalOf: entry._id,
+      approvalStatus: 'Approved',
+      approvedBy: userId,
+      approvedAt: new Date()
+    });
+
+    entry.reversedBy = reversal._id;
+    // eslint-disable-next-line no-await-in-loop
+    await entry.save({ validateBeforeSave: false });
+    reversalIds.push(reversal._id);
+  }
+
+  return reversalIds;
+}
+
+/**
+ * Reverse broker Exchange/Commission DEBITs recorded against the booking.
+ */
+async function reverseBrokerTransactions(booking, userId) {
+  const ledgers = await BrokerLedger.find({
+    transactions: {
+      $elemMatch: {
+        type: 'DEBIT',
+        booking: booking._id,
+        modeOfPayment: { $in: ['Exchange', 'Commission'] },
+        isReversed: { $ne: true }
+      }
+    }
+  });
+
+  const out = [];
+  for (const ledger of ledgers) {
+    const originals = ledger.transactions.filter(tx =>
+      tx.type === 'DEBIT' &&
+      String(tx.booking) === String(booking._id) &&
+      ['Exchange', 'Commission'].includes(tx.modeOfPayment) &&
+      !tx.isReversed
+    );
+
+    for (const tx of originals) {
+      tx.isReversed = true;
+      ledger.transactions.push({
+        type: 'CREDIT',
+        amount: tx.amount,
+        modeOfPayment: tx.modeOfPayment,
+        subPaymentMode: tx.subPaymentMode,
+        bank: tx.bank,
+        cashLocation: tx.cashLocation,
+        booking: booking._id,
+        branch: tx.branch || ledger.branch,
+        remark: `Reversal on cancellation of booking ${booking.bookingNumber}`,
+        createdBy: userId,
+        approvalStatus: tx.approvalStatus,
+        approvedBy: tx.approvalStatus === 'Approved' ? userId : undefined,
+        approvedAt: tx.approvalStatus === 'Approved' ? new Date() : undefined,
+        reversalOf: tx._id
+      });
+      const reversal = ledger.transactions[ledger.transactions.length - 1];
+      out.push({
+        ledger: ledger._id,
+        originalTransaction: tx._id,
+        reversalTransaction: reversal._id,
+        modeOfPayment: tx.modeOfPayment,
+        amount: tx.amount
+      });
+    }
+
+    ledger.lastUpdatedBy = userId;
+    // eslint-disable-next-line no-await-in-loop
+    await ledger.save();
+  }
+
+  return out;
+}
+
+/**
+ * Mark the refund voucher as paid. Cash refunds of branch bookings are also
+ * written to the cash book as a debit CashVoucher against the refund's cash
+ * location.
+ */
+async function markRefundPaid(cancellation, booking, { userId, transactionReference }) {
+  if (cancellation.status !== 'APPROVED') {
+    throw new AppError('Refund can only be paid for an approved cancellation', 400);
+  }
+  if (cancellation.refund.status !== 'PENDING') {
+    throw new AppError(`Refund is ${cancellation.refund.status}`, 400);
+  }
+  if (cancellation.refund.mode === 'Bank' && !transactionReference) {
+    throw new AppError('Transaction reference is required for bank refunds', 400);
+  }
+
+  if (cancellation.refund.mode === 'Cash' && booking.branch) {
+    const location = await CashLocation.findById(cancellation.refund.cashLocation).select('name');
+    const voucher = await CashVoucher.create({
+      voucherType: 'debit',
+      recipientName: booking.customerDetails?.name || 'Customer',
+      amount: cancellation.refund.amount,
+      cashLocation: location?.name || String(cancellation.refund.cashLocation),
+      expenseType: 'Booking Refund',
+      remark: `Refund ${cancellation.refund.voucherNumber} for booking ${booking.bookingNumber}`,
+      status: 'approved',
+      branch: booking.branch
+    });
+    cancellation.refund.cashVoucher = voucher._id;
+  }
+
+  cancellation.refund.status = 'PAID';
+  cancellation.refund.transactionReference = transactionReference;
+  cancellation.refund.paidAt = new Date();
+  cancellation.refund.paidBy = userId;
+  await cancellation.save();
+  return cancellation;
+}
+
+module.exports = {
+  getApprovalLimit,
+  customerReceiptsTotal,
+  requestCancellation,
+  approveCancellation,
+  rejectCancellation,
+  executeCancellation,
+  markRefundPaid
+};
@@ -0,0 +1,585 @@
+// services/bookingChangeRequest.js
+// Versioned change requests on a booking, submitted by the customer through
+// the booking QR form or by staff. The requested updates are turned into a
+// field-by-field diff against the booking (customer details, model, color,
+// accessories, price components and payment); the approver accepts some
+// fields and rejects the rest. Accepted fields that move the price (model,
+// accessories, price components) have the booking's price totals recomputed.
+//
+// Each request keeps the booking as it was before and after the review, so
+// every past version of the booking can be looked up. The legacy
+// pendingUpdates/updateRequestStatus fields on Booking are kept in step for
+// the existing screens.
+
+const mongoose = require('mongoose');
+const _ = require('lodash');
+const BookingChangeRequest = require('../models/BookingChangeRequest');
+const Booking = require('../models/Booking');
+const Model = require('../models/ModelModel');
+const Header = require('../models/HeaderModel');
+const Accessory = require('../models/Accessory');
+const Color = require('../models/Color');
+const FinanceProvider = require('../models/FinanceProvider');
+const AppError = require('../utils/appError');
+const { TERMINAL_STATES } = require('./bookingStateMachine');
+
+const CUSTOMER_FIELDS = {
+  salutation: 'Salutation',
+  name: 'Customer name',
+  panNo: 'PAN number',
+  dob: 'Date of birth',
+  occupation: 'Occupation',
+  address: 'Address',
+  taluka: 'Taluka',
+  district: 'District',
+  pincode: 'Pincode',
+  mobile1: 'Mobile number',
+  mobile2: 'Alternate mobile number',
+  aadharNumber: 'Aadhar number',
+  nomineeName: 'Nominee name',
+  nomineeRelation: 'Nominee relation',
+  nomineeAge: 'Nominee age'
+};
+
+const PAYMENT_FIELDS = {
+  type: 'Payment type',
+  financer: 'Financer',
+  scheme: 'Finance scheme',
+  emiPlan: 'EMI plan',
+  gcApplicable: 'GC applicable',
+  gcAmount: 'GC amount'
+};
+
+const SECTIONS = ['customerDetails', 'model', 'color', 'accessories', 'priceComponents', 'payment'];
+
+// Booking fields kept in the before/after versions
+const SNAPSHOT_FIELDS = [
+  'customerDetails', 'model', 'color', 'accessories', 'priceComponents', 'discounts', 'payment',
+  'hpa', 'rtoAmount', 'accessoriesTotal', 'totalAmount', 'discountedAmount', 'receivedAmount',
+  'balanceAmount', 'status', 'chassisNumber'
+];
+
+const TOTAL_FIELDS = ['accessoriesTotal', 'totalAmount', 'discountedAmount', 'balanceAmount'];
+
+const ACCESSORIES_TOTAL_KEY = 'ACCESSORIES TOTAL';
+
+const isId = (value) => mongoose.Types.ObjectId.isValid(String(value));
+
+// Comparable form of a booking value: ids as strings, dates as YYYY-MM-DD,
+// empty values as null
+function normalize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'string') return value.trim() === '' ? null : value.trim();
+  return value;
+}
+
+const normalizeDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new AppError('Invalid date of birth', 400);
+  return date.toISOString().slice(0, 10);
+};
+
+const snapshot = (booking) => _.pick(booking.toObject({ depopulate: true, virtuals: false }), SNAPSHOT_FIELDS);
+const totalsOf = (booking) => _.pick(booking, TOTAL_FIELDS);
+
+const assertObject = (value, name) => {
+  if (!_.isPlainObject(value)) throw new AppError(`${name} must be an object`, 400);
+};
+
+const assertKnownKeys = (value, known, name) => {
+  const unknown = Object.keys(value).filter(key => !Object.hasOwn(known, key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unsupported ${name} fields: ${unknown.join(', ')}`, 400);
+  }
+};
+
+// Price of a header on the model for the booking's branch or subdealer
+const priceOf = (model, headerId, booking) => (model.prices || []).find(p =>
+  String(p.header_id) === String(headerId) &&
+  (booking.bookingType === 'SUBDEALER'
+    ? p.subdealer_id && String(p.subdealer_id) === String(booking.subdealer)
+    : p.branch_id && String(p.branch_id) === String(booking.branch))
+);
+
+const accessoryIdsOf = (booking) => (booking.accessories || [])
+  .filter(line => !line.isAdjustment && line.accessory)
+  .map(line => line.accessory.toString());
+
+function customerChanges(booking, updates) {
+  assertObject(updates, 'customerDetails');
+  assertKnownKeys(updates, CUSTOMER_FIELDS, 'customerDetails');
+
+  const current = booking.customerDetails || {};
+  const changes = [];
+  for (const [key, value] of Object.entries(updates)) {
+    const from = key === 'dob' ? normalizeDate(current.dob) : normalize(current[key]);
+    let to = key === 'dob' ? normalizeDate(value) : normalize(value);
+    if (key === 'nomineeAge' && to !== null) to = Number(to);
+    if (key === 'panNo' && to !== null) to = to.toUpperCase();
+    if (_.isEqual(from, to)) continue;
+    changes.push({ field: `customerDetails.${key}`, section: 'customerDetails', label: CUSTOMER_FIELDS[key], from, to });
+  }
+  return changes;
+}
+
+async function resolveModel(modelId) {
+  if (!isId(modelId)) throw new AppError('Invalid model ID', 400);
+  const model = await Model.findById(modelId).select('model_name type prices');
+  if (!model) throw new AppError('Model not found', 404);
+  return model;
+}
+
+// The legacy QR form sends the color name; staff send the color id
+async function resolveColor(value) {
+  const color = isId(value)
+    ? await Color.findById(value).select('name models')
+    : await Color.findOne({ name: String(value).trim() }).select('name models');
+  if (!color) throw new AppError(`Color ${value} not found`, 404);
+  return color;
+}
+
+async function accessoryChanges(booking, selection, targetModel) {
+  if (!Array.isArray(selection)) throw new AppError('accessories must be an array of accessory IDs', 400);
+  const ids = [...new Set(selection.map(item => String(_.isPlainObject(item) ? item.id : item)))];
+  const invalid = ids.filter(id => !isId(id));
+  if (invalid.length > 0) throw new AppError(`Invalid accessory IDs: ${invalid.join(', ')}`, 400);
+
+  const current = accessoryIdsOf(booking);
+  const added = ids.filter(id => !current.includes(id));
+  const removed = current.filter(id => !ids.includes(id));
+  if (added.length === 0 && removed.length === 0) return [];
+
+  const accessories = await Accessory.find({ _id: { $in: [...added, ...removed] } }).select('name price status applicable_models').lean();
+  const byId = new Map(accessories.map(a => [a._id.toString(), a]));
+
+  const unavailable = added.filter(id => byId.get(id)?.status !== 'active');
+  if (unavailable.length > 0) throw new AppError(`Invalid accessory IDs: ${unavailable.join(', ')}`, 400);
+  const incompatible = added
+    .map(id => byId.get(id))
+    .filter(a => !(a.applicable_models || []).some(m => String(m) === String(targetModel)));
+  if (incompatible.length > 0) {
+    throw new AppError(`Incompatible accessories: ${incompatible.map(a => a.name).join(', ')}`, 400);
+  }
+
+  const change = (id, included) => ({
+    field: `accessories.${id}`,
+    section: 'accessories',
+    label: `Accessory ${byId.get(id)?.name || id}`,
+    from: !included,
+    to: included,
+    toText: byId.get(id) ? `${byId.get(id).name} (${byId.get(id).price})` : undefined,
+    financial: true
+  });
+  return [...added.map(id => change(id, true)), ...removed.map(id => change(id, false))];
+}
+
+/**
+ * Price component edits: a new discounted value of a component, an optional
+ * component added (priced from the model when no value is given) or removed
+ * with selected: false.
+ */
+async function componentChanges(booking, edits, model) {
+  if (!Array.isArray(edits)) throw new AppError('priceComponents must be an array', 400);
+
+  const headerIds = edits.map(edit => String(edit?.header ?? ''));
+  const invalid = headerIds.filter(id => !isId(id));
+  if (invalid.length > 0) throw new AppError(`Invalid price component headers: ${invalid.join(', ')}`, 400);
+  const headers = await Header.find({ _id: { $in: headerIds } }).select('header_key is_mandatory').lean();
+  const byId = new Map(headers.map(h => [h._id.toString(), h]));
+
+  const changes = [];
+  for (const edit of edits) {
+    const headerId = String(edit.header);
+    const header = byId.get(headerId);
+    if (!header) throw new AppError(`Price component header ${headerId} not found`, 404);
+    const component = (booking.priceComponents || []).find(c => String(c.header) === headerId);
+    const from = component ? component.discountedValue : null;
+    let to;
+
+    if (edit.selected === false) {
+      if (component?.isMandatory || header.is_mandatory) {
+        throw new AppError(`${header.header_key} is mandatory and cannot be removed`, 400);
+      }
+      to = null;
+    } else {
+      const originalValue = component ? component.originalValue : priceOf(model, headerId, booking)?.value;
+      if (originalValue === undefined) {
+        throw new AppError(`${header.header_key} is not priced for this model`, 400);
+      }
+      to = edit.discountedValue === undefined || edit.discountedValue === null || edit.discountedValue === ''
+        ? Number(originalValue)
+        : Number(edit.discountedValue);
+      if (!Number.isFinite(to) || to < 0 || to > originalValue) {
+        throw new AppError(`${header.header_key} must be between 0 and ${originalValue}`, 400);
+      }
+    }
+
+    if (from === to) continue;
+    changes.push({ field: `priceComponents.${headerId}`, section: 'priceComponents', label: header.header_key, from, to, financial: true });
+  }
+  return changes;
+}
+
+async function paymentChanges(booking, updates) {
+  assertObject(updates, 'payment');
+  assertKnownKeys(updates, PAYMENT_FIELDS, 'payment');
+
+  const current = booking.payment || {};
+  const next = { ...updates };
+  if (next.type !== undefined) {
+    next.type = String(next.type).toUpperCase();
+    if (!['CASH', 'FINANCE'].includes(next.type)) throw new AppError('Payment type must be CASH or FINANCE', 400);
+  }
+  const type = next.type ?? current.type;
+  const financer = next.financer !== undefined ? next.financer : current.financer;
+  if (type === 'FINANCE' && !financer) throw new AppError('Financer selection is required', 400);
+
+  let financerDoc = null;
+  if (next.financer) {
+    if (!isId(next.financer)) throw new AppError('Invalid financer ID', 400);
+    financerDoc = await FinanceProvider.findById(next.financer).select('name').lean();
+    if (!financerDoc) throw new AppError('Invalid financer selected', 400);
+  }
+  if (next.gcAmount !== undefined && next.gcAmount !== null && next.gcAmount !== '') {
+    next.gcAmount = Number(next.gcAmount);
+    if (!Number.isFinite(next.gcAmount) || next.gcAmount < 0) {
+      throw new AppError('GC amount must be a non-negative number', 400);
+    }
+  }
+  if (next.gcApplicable !== undefined) next.gcApplicable = next.gcApplicable === true || next.gcApplicable === 'true';
+
+  const changes = [];
+  for (const [key, value] of Object.entries(next)) {
+    const from = normalize(current[key]);
+    const to = normalize(value);
+    if (_.isEqual(from, to)) continue;
+    changes.push({
+      field: `payment.${key}`,
+      section: 'payment',
+      label: PAYMENT_FIELDS[key],
+      from,
+      to,
+      ...(key === 'financer' && financerDoc && { toText: financerDoc.name })
+    });
+  }
+  return changes;
+}
+
+/**
+ * Field-by-field diff of the requested updates against the booking.
+ * @param {{customerDetails?, model?, color?, accessories?, priceComponents?, payment?}} updates
+ */
+async function buildChanges(booking, updates) {
+  assertObject(updates, 'updates');
+  const unknown = Object.keys(updates).filter(key => !SECTIONS.includes(key));
+  if (unknown.length > 0) throw new AppError(`Unsupported update fields: ${unknown.join(', ')}`, 400);
+
+  const changes = [];
+  if (updates.customerDetails !== undefined) changes.push(...customerChanges(booking, updates.customerDetails));
+
+  let model = null;
+  const modelChange = updates.model !== undefined && String(updates.model) !== String(booking.model);
+  if (modelChange) {
+    model = await resolveModel(updates.model);
+    const current = await Model.findById(booking.model).select('model_name').lean();
+    changes.push({
+      field: 'model',
+      section: 'model',
+      label: 'Model',
+      from: normalize(booking.model),
+      to: model._id.toString(),
+      fromText: current?.model_name,
+      toText: model.model_name,
+      financial: true
+    });
+  }
+  const targetModel = model ? model._id : booking.model;
+
+  if (updates.color !== undefined && updates.color !== null && updates.color !== '') {
+    const color = await resolveColor(updates.color);
+    if (color.models?.length && !color.models.some(m => String(m) === String(targetModel))) {
+      throw new AppError(`Color ${color.name} is not available for the model`, 400);
+    }
+    if (String(color._id) !== String(booking.color)) {
+      const current = await Color.findById(booking.color).select('name').lean();
+      changes.push({
+        field: 'color',
+        section: 'color',
+        label: 'Color',
+        from: normalize(booking.color),
+        to: color._id.toString(),
+        fromText: current?.name,
+        toText: color.name
+      });
+    }
+  }
+
+  if ((modelChange || changes.some(c => c.section === 'color')) && booking.chassisNumber) {
+    throw new AppError('Release the allocated chassis before changing the model or color', 400);
+  }
+
+  if (updates.accessories !== undefined) {
+    changes.push(...(await accessoryChanges(booking, updates.accessories, targetModel)));
+  }
+  if (updates.priceComponents !== undefined) {
+    if (modelChange) {
+      throw new AppError('Change price components in a separate request once the model change is approved', 400);
+    }
+    const current = await resolveModel(booking.model);
+    changes.push(...(await componentChanges(booking, updates.priceComponents, current)));
+  }
+  if (updates.payment !== undefined) changes.push(...(await paymentChanges(booking, updates.payment)));
+
+  return changes;
+}
+
+// Booking value a change was computed against, to catch edits made meanwhile
+function currentValue(booking, change) {
+  const [section, key] = change.field.split(/\.(.+)/);
+  switch (change.section) {
+    case 'accessories':
+      return accessoryIdsOf(booking).includes(key);
+    case 'priceComponents': {
+      const component = (booking.priceComponents || []).find(c => String(c.header) === key);
+      return component ? component.discountedValue : null;
+    }
+    case 'model':
+    case 'color':
+      return normalize(booking[section]);
+    default:
+      return key === 'dob' ? normalizeDate(booking[section]?.dob) : normalize(booking[section]?.[key]);
+  }
+}
+
+// Re-price accessories, price components and totals after accepted financial changes
+async function recomputePricing(booking, changes) {
+  const model = await resolveModel(booking.model);
+  const modelChanged = changes.some(c => c.section === 'model');
+
+  if (modelChanged) {
+    // Keep the discount given on each component, priced for the new model
+    const components = booking.priceComponents.map(component => {
+      const price = priceOf(model, component.header, booking);
+      if (!price) return null;
+      const discount = Number(component.originalValue) - Number(component.discountedValue);
+      return {
+        ...component.toObject(),
+        originalValue: Number(price.value),
+        discountedValue: Math.max(Number(price.value) - discount, 0),
+        metadata: price.metadata || component.metadata
+      };
+    }).filter(Boolean);
+
+    const mandatory = await Header.find({ type: model.type, is_mandatory: true }).lean();
+    for (const header of mandatory) {
+      const price = priceOf(model, header._id, booking);
+      if (!price || components.some(c => String(c.header) === String(header._id))) continue;
+      components.push({
+        header: header._id,
+        originalValue: Number(price.value),
+        discountedValue: Number(price.value),
+        isDiscountable: !!header.is_discount,
+        isMandatory: true,
+        metadata: price.metadata || {}
+      });
+    }
+    booking.priceComponents = components;
+  }
+
+  for (const change of changes.filter(c => c.section === 'priceComponents')) {
+    const headerId = change.field.split('.')[1];
+    const index = booking.priceComponents.findIndex(c => String(c.header) === headerId);
+    if (change.to === null) {
+      if (index >= 0) booking.priceComponents.splice(index, 1);
+    } else if (index >= 0) {
+      booking.priceComponents[index].discountedValue = change.to;
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const header = await Header.findById(headerId).lean();
+      const price = priceOf(model, headerId, booking);
+      booking.priceComponents.push({
+        header: headerId,
+        originalValue: Number(price.value),
+        discountedValue: change.to,
+        isDiscountable: !!header?.is_discount,
+        isMandatory: false,
+        metadata: price.metadata || {}
+      });
+    }
+  }
+
+  const accessoryChanged = changes.some(c => c.section === 'accessories');
+  if (modelChanged || accessoryChanged) {
+    const ids = new Set(accessoryIdsOf(booking));
+    for (const change of changes.filter(c => c.section === 'accessories')) {
+      const id = change.field.split('.')[1];
+      if (change.to) ids.add(id);
+      else ids.delete(id);
+    }
+
+    const accessories = await Accessory.find({ _id: { $in: [...ids] } }).select('price').lean();
+    const lines = accessories.map(acc => ({ accessory: acc._id, price: Number(acc.price || 0), discount: 0, isAdjustment: false }));
+    let accessoriesTotal = 0;
+    if (lines.length > 0) {
+      const totalHeader = await Header.findOne({ header_key: ACCESSORIES_TOTAL_KEY, type: model.type }).lean();
+      const packagePrice = Number((totalHeader && priceOf(model, totalHeader._id, booking)?.value) || 0);
+      const selectedTotal = lines.reduce((sum, line) => sum + line.price, 0);
+      accessoriesTotal = Math.max(selectedTotal, packagePrice);
+      if (selectedTotal < packagePrice) {
+        lines.push({ accessory: null, price: packagePrice - selectedTotal, discount: 0, isAdjustment: true });
+      }
+    }
+    booking.accessories = lines;
+    booking.accessoriesTotal = accessoriesTotal;
+  }
+
+  // Same basis as the booking edit: list prices plus accessories and RTO, less component discounts
+  const listPrice = booking.priceComponents.reduce((sum, c) => sum + Number(c.originalValue), 0);
+  const totalDiscount = booking.priceComponents.reduce((sum, c) => sum + (Number(c.originalValue) - Number(c.discountedValue)), 0);
+  booking.totalAmount = listPrice + Number(booking.accessoriesTotal || 0) + Number(booking.rtoAmount || 0);
+  booking.discountedAmount = booking.totalAmount - totalDiscount;
+}
+
+const assertOpen = (booking) => {
+  if (TERMINAL_STATES.includes(booking.status)) {
+    throw new AppError(`A ${booking.status} booking cannot be changed`, 400);
+  }
+};
+
+const pendingRequestOf = (bookingId) => BookingChangeRequest.findOne({ booking: bookingId, status: 'PENDING' });
+
+/**
+ * Open a change request for the booking with the diff of the updates.
+ * @param {{source: 'QR_FORM'|'STAFF', userId?}} options
+ */
+async function submitRequest(booking, updates, { source, userId }) {
+  assertOpen(booking);
+  const pending = await pendingRequestOf(booking._id).select('version');
+  if (pending) {
+    throw new AppError(`Booking already has a pending change request (version ${pending.version})`, 409);
+  }
+
+  const changes = await buildChanges(booking, updates);
+  if (changes.length === 0) {
+    throw new AppError('The updates do not change anything on the booking', 400);
+  }
+
+  const last = await BookingChangeRequest.findOne({ booking: booking._id }).sort({ version: -1 }).select('version').lean();
+  const request = await BookingChangeRequest.create({
+    booking: booking._id,
+    bookingNumber: booking.bookingNumber,
+    version: (last?.version || 0) + 1,
+    source,
+    requested: updates,
+    changes,
+    before: snapshot(booking),
+    totals: { before: totalsOf(booking) },
+    requestedBy: userId
+  });
+
+  await Booking.updateOne({ _id: booking._id }, {
+    $set: {
+      pendingUpdates: updates,
+      updateRequestStatus: 'PENDING',
+      updateRequestedBy: userId || null,
+      ...(source === 'QR_FORM' && { updateRequestSubmitted: true })
+    }
+  });
+  return request;
+}
+
+/**
+ * Decide a pending request: the accepted fields are applied to the booking,
+ * all others are rejected. Fields changed on the booking since the request
+ * was submitted cannot be accepted.
+ * @param {{accepted: string[]|'ALL', note?: string, notes?: Object<string, string>}} decision
+ *   notes - per-field reason, keyed by field
+ */
+async function reviewRequest(request, { accepted, note, notes = {} }, { userId }) {
+  if (request.status !== 'PENDING') {
+    throw new AppError(`Change request version ${request.version} is already ${request.status}`, 400);
+  }
+  const fields = request.changes.map(c => c.field);
+  const acceptedFields = accepted === 'ALL' ? fields : accepted;
+  if (!Array.isArray(acceptedFields)) {
+    throw new AppError('accepted must be an array of fields or ALL', 400);
+  }
+  const unknown = acceptedFields.filter(field => !fields.includes(field));
+  if (unknown.length > 0) {
+    throw new AppError(`Not part of the request: ${unknown.join(', ')}`, 400);
+  }
+
+  const booking = await Booking.findById(request.booking);
+  if (!booking) throw new AppError('Booking not found', 404);
+
+  const acceptedChanges = request.changes.filter(c => acceptedFields.includes(c.field));
+  if (acceptedChanges.length > 0) {
+    assertOpen(booking);
+    const stale = acceptedChanges.filter(c => !_.isEqual(currentValue(booking, c), c.from));
+    if (stale.length > 0) {
+      throw new AppError(`Changed on the booking since the request was submitted: ${stale.map(c => c.field).join(', ')}`, 409);
+    }
+
+    for (const change of acceptedChanges.filter(c => ['customerDetails', 'model', 'color', 'payment'].includes(c.section))) {
+      booking.set(change.field, change.to);
+    }
+    if (acceptedChanges.some(c => c.financial)) {
+      await recomputePricing(booking, acceptedChanges);
+    }
+  }
+
+  const status = acceptedChanges.length === 0
+    ? 'REJECTED'
+    : acceptedChanges.length === request.changes.length ? 'APPROVED' : 'PARTIALLY_APPROVED';
+
+  booking.pendingUpdates = null;
+  booking.updateRequestStatus = status;
+  booking.updateApprovedBy = userId;
+  booking.updateRequestNote = note || '';
+  await booking.save();
+
+  for (const change of request.changes) {
+    change.decision = acceptedFields.includes(change.field) ? 'ACCEPTED' : 'REJECTED';
+    if (notes[change.field]) change.note = notes[change.field];
+  }
+  request.status = status;
+  request.reviewedBy = userId;
+  request.reviewedAt = new Date();
+  request.reviewNote = note;
+  if (acceptedChanges.length > 0) {
+    request.after = snapshot(booking);
+    request.totals = { before: request.totals?.before, after: totalsOf(booking) };
+  }
+  await request.save();
+
+  return { request, booking };
+}
+
+// All change requests of a booking, oldest version first
+function listRequests(bookingId) {
+  return BookingChangeRequest.find({ booking: bookingId })
+    .sort({ version: 1 })
+    .populate('requestedByDetails')
+    .populate('reviewedByDetails');
+}
+
+function getRequest(bookingId, version) {
+  return BookingChangeRequest.findOne({ booking: bookingId, version })
+    .populate('requestedByDetails')
+    .populate('reviewedByDetails');
+}
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  PAYMENT_FIELDS,
+  buildChanges,
+  recomputePricing,
+  pendingRequestOf,
+  submitRequest,
+  reviewRequest,
+  listRequests,
+  getRequest
+};
@@ -0,0 +1,206 @@
+// services/bookingDelivery.js
+// Vehicle delivery (gate pass). Recording a delivery is the physical hand-over
+// of the allocated vehicle and is only possible when the booking could be
+// completed:
+//   - booking moves to COMPLETED through the booking state machine
+//   - the vehicle is marked sold and linked to the delivery and its passed PDI
+//   - a gate pass PDF is generated from templates/gatePass.html
+
+const fs = require('fs');
+const path = require('path');
+const Delivery = require('../models/Delivery');
+const Vehicle = require('../models/vehicleInwardModel');
+const Accessory = require('../models/Accessory');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { generateGatePassPDF } = require('../utils/pdfGenerator');
+const bookingStateMachine = require('./bookingStateMachine');
+const yardLocation = require('./yardLocation');
+const vehicleMovement = require('./vehicleMovement');
+
+const GATE_PASS_DIR = path.join(__dirname, '../uploads/gate-passes');
+
+// Readiness keys reported by GET /bookings/:id/ready-for-delivery, keyed by
+// the COMPLETE transition guard they come from
+const REQUIREMENT_KEYS = {
+  status: 'bookingApproved',
+  chassisAllocated: 'chassisAllocated',
+  kycVerified: 'kycApproved',
+  financeLetterApproved: 'financeLetterApproved',
+  balanceCleared: 'balanceCleared',
+  pdiPassed: 'pdiPassed'
+};
+
+/**
+ * Check whether the booking can be delivered, i.e. whether it may move to
+ * COMPLETED right now.
+ * @returns {Promise<{isReady, requirements, missingRequirements}>}
+ */
+async function getDeliveryReadiness(booking) {
+  const evaluation = await bookingStateMachine.evaluateTransition(booking, 'COMPLETE');
+
+  const requirements = {};
+  Object.values(REQUIREMENT_KEYS).forEach(key => { requirements[key] = true; });
+  evaluation.failedGuards.forEach(g => { requirements[REQUIREMENT_KEYS[g.guard]] = false; });
+
+  // The status guard short-circuits the others, so evaluate them directly
+  if (!requirements.bookingApproved) {
+    requirements.chassisAllocated = !!booking.chassisNumber;
+    requirements.kycApproved = booking.kycStatus === 'APPROVED';
+    requirements.financeLetterApproved = booking.payment?.type !== 'FINANCE' ||
+      booking.financeLetterStatus === 'APPROVED';
+    requirements.balanceCleared = await bookingStateMachine.GUARDS.balanceCleared.check(booking);
+    requirements.pdiPassed = await bookingStateMachine.GUARDS.pdiPassed.check(booking);
+  }
+
+  const missingRequirements = Object.entries(requirements)
+    .filter(([, ok]) => !ok)
+    .map(([key]) => key.replace(/([A-Z])/g, ' $1').toLowerCase());
+
+  return {
+    isReady: missingRequirements.length === 0,
+    requirements,
+    missingRequirements,
+    failedGuards: evaluation.failedGuards
+  };
+}
+
+const toFile = (file) => file && {
+  path: `/uploads/documents/${file.filename}`,
+  originalName: file.originalname,
+  size: file.size,
+  mimetype: file.mimetype
+};
+
+/**
+ * Accessories handed over default to the ones on the booking; explicit
+ * entries override them.
+ */
+async function resolveAccessories(booking, accessories) {
+  if (Array.isArray(accessories) && accessories.length) {
+    return accessories;
+  }
+
+  const ids = (booking.accessories || [])
+    .filter(a => a.accessory && !a.isAdjustment)
+    .map(a => a.accessory);
+  if (!ids.length) return [];
+
+  const docs = await Accessory.find({ _id: { $in: ids } }).select('name');
+  return docs.map(a => ({ accessory: a._id, name: a.name, quantity: 1, handedOver: true }));
+}
+
+/**
+ * Render the gate pass PDF for a delivery and store its path. Failures are
+ * logged and leave the delivery without a gate pass so it can be retried.
+ */
+async function generateGatePass(delivery) {
+  await delivery.populate([
+    { path: 'booking', select: 'bookingNumber customerDetails' },
+    { path: 'vehicle' },
+    { path: 'pdiInspection', select: 'items inspectedAt' },
+    { path: 'branch', select: 'name address city' },
+    { path: 'deliveredBy', select: 'name' }
+  ]);
+
+  if (!fs.existsSync(GATE_PASS_DIR)) {
+    fs.mkdirSync(GATE_PASS_DIR, { recursive: true });
+  }
+
+  const fileName = `gate_pass_${delivery.gatePassNumber}.pdf`;
+  try {
+    await generateGatePassPDF(delivery.toObject({ virtuals: false }), path.join(GATE_PASS_DIR, fileName));
+    delivery.gatePass = { path: `/uploads/gate-passes/${fileName}`, generatedAt: new Date() };
+  } catch (err) {
+    logger.error(`Gate pass for ${delivery.gatePassNumber} not generated: ${err.message}`);
+  }
+
+  delivery.depopulate();
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * Record the delivery of the booking's allocated vehicle.
+ * @param {Document} booking
+ * @param {object} data - deliveryDate, odometerReading, accessories, receivedBy, remarks
+ * @param {{userId, files?: {customerSignature?, customerPhoto?}}} options
+ * @throws {AppError} 400 when the booking is not ready for delivery, 409 when already delivered
+ */
+async function createDelivery(booking, data, { userId, files = {} }) {
+  if (booking.delivery || await Delivery.exists({ booking: booking._id })) {
+    throw new AppError('This booking has already been delivered', 409);
+  }
+
+  const readiness = await getDeliveryReadiness(booking);
+  if (!readiness.isReady) {
+    const err = new AppError(`Booking is not ready for delivery: ${readiness.missingRequirements.join(', ')}`, 400);
+    err.failedGuards = readiness.failedGuards;
+    throw err;
+  }
+
+  const vehicle = booking.vehicleRef
+    ? await Vehicle.findById(booking.vehicleRef)
+    : await Vehicle.findOne({ chassisNumber: booking.chassisNumber });
+  if (!vehicle) {
+    throw new AppError(`Vehicle with chassis number ${booking.chassisNumber} not found`, 400);
+  }
+  if (vehicle.delivery) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} has already been delivered`, 409);
+  }
+
+  const delivery = new Delivery({
+    booking: booking._id,
+    vehicle: vehicle._id,
+    chassisNumber: vehicle.chassisNumber,
+    branch: booking.branch,
+    deliveryDate: data.deliveryDate || new Date(),
+    odometerReading: data.odometerReading,
+    accessories: await resolveAccessories(booking, data.accessories),
+    pdiInspection: vehicle.lastPdi,
+    receivedBy: data.receivedBy || booking.customerDetails?.name,
+    customerSignature: toFile(files.customerSignature),
+    customerPhoto: toFile(files.customerPhoto),
+    remarks: data.remarks,
+    deliveredBy: userId
+  });
+  await delivery.save();
+
+  try {
+    await bookingStateMachine.applyTransition(booking, 'COMPLETE', {
+      userId,
+      note: data.remarks || `Delivered against gate pass ${delivery.gatePassNumber}`,
+      metadata: { delivery: delivery._id, gatePassNumber: delivery.gatePassNumber }
+    });
+    booking.delivery = delivery._id;
+    if (!booking.vehicleRef) booking.vehicleRef = vehicle._id;
+    await booking.save();
+  } catch (err) {
+    // Booking could not be completed; don't leave an orphan gate pass behind
+    await Delivery.deleteOne({ _id: delivery._id });
+    throw err;
+  }
+
+  const previousStatus = vehicle.status;
+  vehicle.status = 'sold';
+  vehicle.delivery = delivery._id;
+  vehicle.deliveredAt = delivery.deliveryDate;
+  vehicle.lastUpdatedBy = userId;
+  await vehicle.save();
+  await yardLocation.vacateBays([vehicle._id], { userId, note: `Delivered against gate pass ${delivery.gatePassNumber}` });
+  await vehicleMovement.recordMovement(vehicle, 'DELIVERY', {
+    userId,
+    from: { status: previousStatus },
+    source: { kind: 'Delivery', id: delivery._id, reference: delivery.gatePassNumber },
+    metadata: { booking: booking._id, bookingNumber: booking.bookingNumber }
+  });
+
+  return generateGatePass(delivery);
+}
+
+module.exports = {
+  GATE_PASS_DIR,
+  getDeliveryReadiness,
+  generateGatePass,
+  createDelivery
+};
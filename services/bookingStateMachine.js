@@ -0,0 +1,298 @@
+// services/bookingStateMachine.js
+// Central definition of the booking lifecycle: which status changes are
+// allowed, what must be true before they happen, and what they change on
+// the booking besides its status. Controllers never assign booking.status
+// directly; they call applyTransition() and save the booking.
+
+const AppError = require('../utils/appError');
+const { computeBookingFinancials } = require('../utils/bookingFinancials');
+const { getBookingPdiStatus } = require('./vehiclePdi');
+
+const BOOKING_STATUS = {
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  // Legacy pseudo-state written by older clients when the requested discount
+  // exceeded the sales executive's limit. Treated as PENDING_APPROVAL.
+  PENDING_APPROVAL_DISCOUNT: 'PENDING_APPROVAL (Discount_Exceeded)',
+  ALLOCATED: 'ALLOCATED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+  KYC_PENDING: 'KYC_PENDING',
+  KYC_VERIFIED: 'KYC_VERIFIED'
+};
+
+const PENDING_STATES = [
+  BOOKING_STATUS.PENDING_APPROVAL,
+  BOOKING_STATUS.PENDING_APPROVAL_DISCOUNT
+];
+
+const TERMINAL_STATES = [
+  BOOKING_STATUS.REJECTED,
+  BOOKING_STATUS.COMPLETED,
+  BOOKING_STATUS.CANCELLED
+];
+
+/**
+ * Preconditions referenced by transitions. Each check receives the booking
+ * document and resolves to true when the condition holds.
+ */
+const GUARDS = {
+  kycVerified: {
+    message: 'KYC must be approved',
+    check: async (booking) => booking.kycStatus === 'APPROVED'
+  },
+  financeLetterApproved: {
+    message: 'Finance letter must be approved for finance bookings',
+    check: async (booking) =>
+      booking.payment?.type !== 'FINANCE' || booking.financeLetterStatus === 'APPROVED'
+  },
+  chassisAllocated: {
+    message: 'A chassis number must be allocated',
+    check: async (booking) => !!booking.chassisNumber
+  },
+  balanceCleared: {
+    message: 'Outstanding balance must be zero',
+    check: async (booking) => {
+      const { finalBalance } = await computeBookingFinancials(booking);
+      return (finalBalance ?? booking.balanceAmount ?? 0) <= 0;
+    }
+  },
+  pdiPassed: {
+    message: 'Allocated vehicle must have passed its latest pre-delivery inspection',
+    check: async (booking) => (await getBookingPdiStatus(booking)).status === 'PASSED'
+  }
+};
+
+/**
+ * Side effects applied together with the status change. They only mutate the
+ * booking document; persisting it is left to the caller.
+ */
+const EFFECTS = {
+  recordApproval: (booking, { userId, note }) => {
+    booking.approvedBy = userId;
+    booking.approvedAt = new Date();
+    booking.approvalNote = note || booking.approvalNote;
+    (booking.discounts || []).forEach(d => {
+      d.approvedBy = userId;
+      d.approvalStatus = 'APPROVED';
+      d.approvalNote = note || 'Approved';
+    });
+  },
+  recordRejection: (booking, { userId, note }) => {
+    booking.approvedBy = userId;
+    (booking.discounts || []).forEach(d => {
+      d.approvedBy = userId;
+      d.approvalStatus = 'REJECTED';
+      d.approvalNote = note;
+    });
+  },
+  lockChassisChanges: (booking) => {
+    booking.chassisNumberChangeAllowed = false;
+  }
+};
+
+/**
+ * Allowed transitions keyed by action. `to` may be a function of the current
+ * status when an action keeps the booking where it is.
+ */
+const TRANSITIONS = {
+  APPROVE: {
+    label: 'Approve booking',
+    from: [...PENDING_STATES, BOOKING_STATUS.ALLOCATED, BOOKING_STATUS.KYC_PENDING, BOOKING_STATUS.KYC_VERIFIED],
+    to: BOOKING_STATUS.APPROVED,
+    permission: 'BOOKING.BOOKING_ACTIONS',
+    guards: [],
+    effects: ['recordApproval']
+  },
+  REJECT: {
+    label: 'Reject booking',
+    from: [...PENDING_STATES, BOOKING_STATUS.ALLOCATED],
+    to: BOOKING_STATUS.REJECTED,
+    permission: 'BOOKING.BOOKING_ACTIONS',
+    guards: [],
+    effects: ['recordRejection']
+  },
+  ALLOCATE_CHASSIS: {
+    label: 'Allocate chassis number',
+    from: [...PENDING_STATES, BOOKING_STATUS.ALLOCATED, BOOKING_STATUS.APPROVED],
+    // Approved bookings stay approved; the chassis is only recorded.
+    to: (current) => current === BOOKING_STATUS.APPROVED ? BOOKING_STATUS.APPROVED : BOOKING_STATUS.ALLOCATED,
+    permission: 'BOOKING.BOOKING_ACTIONS',
+    guards: [],
+    effects: []
+  },
+  COMPLETE: {
+    label: 'Complete booking',
+    from: [BOOKING_STATUS.APPROVED],
+    to: BOOKING_STATUS.COMPLETED,
+    permission: 'BOOKING.BOOKING_ACTIONS',
+    guards: ['chassisAllocated', 'kycVerified', 'financeLetterApproved', 'balanceCleared', 'pdiPassed'],
+    effects: ['lockChassisChanges']
+  },
+  CANCEL: {
+    label: 'Cancel booking',
+    from: Object.values(BOOKING_STATUS).filter(s =>
+      s !== BOOKING_STATUS.COMPLETED && s !== BOOKING_STATUS.CANCELLED
+    ),
+    to: BOOKING_STATUS.CANCELLED,
+    permission: 'BOOKING.BOOKING_ACTIONS',
+    guards: [],
+    effects: []
+  }
+};
+
+const resolveTarget = (transition, current) =>
+  typeof transition.to === 'function' ? transition.to(current) : transition.to;
+
+/**
+ * Returns the permission keys ("MODULE.ACTION") the user holds, or null for
+ * super admins who implicitly hold all of them.
+ */
+async function getUserPermissionKeys(user) {
+  if (!user) return new Set();
+  if (typeof user.isSuperAdmin === 'function' && await user.isSuperAdmin()) return null;
+  if (typeof user.getAllPermissions !== 'function') return new Set();
+
+  const permissions = await user.getAllPermissions();
+  return new Set(permissions.map(p => `${p.module}.${p.action}`.toUpperCase()));
+}
+
+/**
+ * Evaluate a single action against the booking without changing it.
+ * @returns {Promise<{action, label, from, to, allowed, failedGuards}>}
+ */
+async function evaluateTransition(booking, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new AppError(`Unknown booking action: ${action}`, 400);
+  }
+
+  const current = booking.status;
+  const result = {
+    action,
+    label: transition.label,
+    from: current,
+    to: resolveTarget(transition, current),
+    permission: transition.permission,
+    allowed: false,
+    failedGuards: []
+  };
+
+  if (!transition.from.includes(current)) {
+    result.failedGuards.push({
+      guard: 'status',
+      message: `Cannot ${transition.label.toLowerCase()} while booking is ${current}`
+    });
+    return result;
+  }
+
+  for (const name of transition.guards) {
+    const guard = GUARDS[name];
+    // eslint-disable-next-line no-await-in-loop
+    if (!(await guard.check(booking))) {
+      result.failedGuards.push({ guard: name, message: guard.message });
+    }
+  }
+
+  result.allowed = result.failedGuards.length === 0;
+  return result;
+}
+
+/**
+ * List every action defined from the booking's current status, flagged with
+ * whether the given user may perform it right now.
+ */
+async function getAvailableTransitions(booking, user) {
+  const keys = await getUserPermissionKeys(user);
+  const out = [];
+
+  for (const action of Object.keys(TRANSITIONS)) {
+    const transition = TRANSITIONS[action];
+    if (!transition.from.includes(booking.status)) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const evaluation = await evaluateTransition(booking, action);
+    const hasPermission = keys === null || keys.has(transition.permission);
+    out.push({
+      ...evaluation,
+      hasPermission,
+      allowed: evaluation.allowed && hasPermission
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Move the booking through `action`: checks the source status and guards,
+ * applies side effects, sets the new status and appends a statusHistory
+ * entry. The booking is not saved.
+ * @throws {AppError} 400 when the transition is not allowed
+ */
+async function applyTransition(booking, action, { userId, note, metadata } = {}) {
+  const evaluation = await evaluateTransition(booking, action);
+  if (!evaluation.allowed) {
+    const err = new AppError(evaluation.failedGuards.map(g => g.message).join('; '), 400);
+    err.failedGuards = evaluation.failedGuards;
+    throw err;
+  }
+
+  const transition = TRANSITIONS[action];
+  for (const name of transition.effects) {
+    EFFECTS[name](booking, { userId, note, metadata });
+  }
+
+  recordStatusChange(booking, {
+    from: evaluation.from,
+    to: evaluation.to,
+    action,
+    userId,
+    note,
+    metadata
+  });
+  booking.status = evaluation.to;
+
+  return evaluation;
+}
+
+/**
+ * Append an entry to booking.statusHistory without validating it. Used for
+ * the initial status at creation and by applyTransition().
+ */
+function recordStatusChange(booking, { from = null, to, action, userId, note, metadata }) {
+  if (!booking.statusHistory) booking.statusHistory = [];
+  booking.statusHistory.push({
+    from,
+    to,
+    action,
+    changedBy: userId,
+    changedAt: new Date(),
+    note,
+    metadata
+  });
+}
+
+/**
+ * Find the action that moves a booking from `from` to `to`, if any. Lets
+ * generic update endpoints route a requested status through the machine.
+ */
+function findActionForTarget(from, to) {
+  return Object.keys(TRANSITIONS).find(action => {
+    const transition = TRANSITIONS[action];
+    return transition.from.includes(from) && resolveTarget(transition, from) === to;
+  }) || null;
+}
+
+module.exports = {
+  BOOKING_STATUS,
+  PENDING_STATES,
+  TERMINAL_STATES,
+  TRANSITIONS,
+  GUARDS,
+  evaluateTransition,
+  getAvailableTransitions,
+  applyTransition,
+  recordStatusChange,
+  findActionForTarget
+};
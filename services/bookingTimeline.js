@@ -0,0 +1,364 @@
+// services/bookingTimeline.js
+// Builds a single chronological feed for a booking out of the places its
+// history is spread across: status history, chassis changes, Ledger entries,
+// KYC / finance letter decisions, insurance, RTO progress, delivery,
+// cancellation and update requests. Each event carries a timestamp and the acting user.
+
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const KYC = require('../models/KYC');
+const FinanceLetter = require('../models/FinanceLetter');
+const Insurance = require('../models/insuranceModel');
+const NewInsurance = require('../models/newInsurance');
+const RtoProcess = require('../models/RtoProcessModel');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const BookingCancellation = require('../models/BookingCancellation');
+const Delivery = require('../models/Delivery');
+
+// Customer update requests only leave a trail in the AuditLog
+const UPDATE_REQUEST_ACTIONS = [
+  'SUBMIT_UPDATE_REQUEST',
+  'APPROVE_UPDATE_REQUEST',
+  'REJECT_UPDATE_REQUEST'
+];
+
+const event = (at, type, title, { actor, source, refId, details } = {}) => ({
+  at: at ? new Date(at) : null,
+  type,
+  title,
+  actor: actor || null,
+  source: source || 'Booking',
+  refId: refId || null,
+  details: details || {}
+});
+
+function bookingEvents(booking, { hasUpdateRequestLogs } = {}) {
+  const events = [];
+  const history = booking.statusHistory || [];
+
+  if (!history.some(h => h.action === 'CREATE')) {
+    events.push(event(booking.createdAt, 'BOOKING_CREATED', `Booking ${booking.bookingNumber} created`, {
+      actor: booking.createdBy,
+      refId: booking._id
+    }));
+  }
+
+  for (const h of history) {
+    events.push(event(h.changedAt, 'STATUS_CHANGE', h.from ? `${h.from} → ${h.to}` : `Booking created as ${h.to}`, {
+      actor: h.changedBy,
+      refId: booking._id,
+      details: { action: h.action, from: h.from, to: h.to, note: h.note, ...(h.metadata || {}) }
+    }));
+  }
+
+  // Bookings approved before status history existed
+  if (booking.approvedAt && !history.some(h => h.action === 'APPROVE')) {
+    events.push(event(booking.approvedAt, 'STATUS_CHANGE', 'Approved', {
+      actor: booking.approvedBy,
+      refId: booking._id,
+      details: { action: 'APPROVE', to: 'APPROVED', note: booking.approvalNote }
+    }));
+  }
+
+  for (const c of booking.chassisNumberHistory || []) {
+    events.push(event(c.changedAt, 'CHASSIS_CHANGE', `Chassis ${c.number} replaced`, {
+      actor: c.changedBy,
+      refId: booking._id,
+      details: { previousChassisNumber: c.number, reason: c.reason, statusAtChange: c.statusAtChange }
+    }));
+  }
+
+  if (booking.dealForm?.uploadedAt) {
+    events.push(event(booking.dealForm.uploadedAt, 'DOCUMENT', 'Deal form uploaded', {
+      actor: booking.dealForm.uploadedBy,
+      refId: booking._id
+    }));
+  }
+  if (booking.deliveryChallan?.uploadedAt) {
+    events.push(event(booking.deliveryChallan.uploadedAt, 'DOCUMENT', 'Delivery challan uploaded', {
+      actor: booking.deliveryChallan.uploadedBy,
+      refId: booking._id
+    }));
+  }
+
+  // Update requests made before they were audit-logged only leave their last state on the booking
+  if (!hasUpdateRequestLogs && booking.updateRequestStatus && booking.updateRequestStatus !== 'NONE') {
+    events.push(event(booking.updatedAt, 'UPDATE_REQUEST', `Update request ${booking.updateRequestStatus.toLowerCase()}`, {
+      actor: booking.updateApprovedBy || booking.updateRequestedBy,
+      refId: booking._id,
+      details: {
+        status: booking.updateRequestStatus,
+        note: booking.updateRequestNote,
+        pendingFields: booking.pendingUpdates ? Object.keys(booking.pendingUpdates) : []
+      }
+    }));
+  }
+
+  return events;
+}
+
+function ledgerEvents(entries) {
+  const events = [];
+  for (const e of entries) {
+    let type = e.isDebit ? 'DEBIT' : 'RECEIPT';
+    if (e.type === 'CANCELLATION_REVERSAL') type = 'REVERSAL';
+
+    const label = type === 'RECEIPT'
+      ? `Receipt of ${e.amount} (${e.paymentMode})`
+      : type === 'DEBIT'
+        ? `Debit of ${e.amount} (${e.debitReason || 'debit'})`
+        : `Reversal of ${e.amount}`;
+
+    events.push(event(e.receiptDate || e.createdAt, type, label, {
+      actor: e.receivedBy,
+      source: 'Ledger',
+      refId: e._id,
+      details: {
+        amount: e.amount,
+        paymentMode: e.paymentMode,
+        transactionReference: e.transactionReference,
+        approvalStatus: e.approvalStatus,
+        remark: e.remark
+      }
+    }));
+
+    if (e.approvedAt && e.approvalStatus !== 'Pending') {
+      events.push(event(e.approvedAt, 'RECEIPT_APPROVAL', `Ledger entry ${e.approvalStatus.toLowerCase()}`, {
+        actor: e.approvedBy,
+        source: 'Ledger',
+        refId: e._id,
+        details: { amount: e.amount, approvalStatus: e.approvalStatus, rejectionReason: e.rejectionReason }
+      }));
+    }
+  }
+  return events;
+}
+
+function documentEvents(kyc, financeLetter) {
+  const events = [];
+
+  if (kyc) {
+    events.push(event(kyc.createdAt, 'KYC', 'KYC submitted', {
+      actor: kyc.submittedBy,
+      source: 'KYC',
+      refId: kyc._id
+    }));
+    if (kyc.status !== 'PENDING') {
+      events.push(event(kyc.verificationDate || kyc.updatedAt, 'KYC', `KYC ${kyc.status.toLowerCase()}`, {
+        actor: kyc.verifiedBy,
+        source: 'KYC',
+        refId: kyc._id,
+        details: { status: kyc.status, note: kyc.verificationNote }
+      }));
+    }
+  }
+
+  if (financeLetter) {
+    events.push(event(financeLetter.createdAt, 'FINANCE_LETTER', 'Finance letter submitted', {
+      source: 'FinanceLetter',
+      refId: financeLetter._id
+    }));
+    if (financeLetter.status !== 'PENDING') {
+      events.push(event(financeLetter.updatedAt, 'FINANCE_LETTER', `Finance letter ${financeLetter.status.toLowerCase()}`, {
+        actor: financeLetter.verifiedBy,
+        source: 'FinanceLetter',
+        refId: financeLetter._id,
+        details: { status: financeLetter.status, note: financeLetter.verificationNote }
+      }));
+    }
+  }
+
+  return events;
+}
+
+function insuranceEvents(policies) {
+  const events = [];
+  for (const p of policies) {
+    events.push(event(p.insuranceDate || p.createdAt, 'INSURANCE', p.policyNumber ? `Insurance ${p.policyNumber} recorded` : 'Insurance recorded', {
+      actor: p.createdBy,
+      source: 'Insurance',
+      refId: p._id,
+      details: { policyNumber: p.policyNumber, status: p.status, paymentStatus: p.paymentStatus }
+    }));
+    if (p.approvalDate) {
+      events.push(event(p.approvalDate, 'INSURANCE', 'Insurance approved', {
+        actor: p.approvedBy,
+        source: 'Insurance',
+        refId: p._id
+      }));
+    }
+  }
+  return events;
+}
+
+function rtoEvents(rto) {
+  if (!rto) return [];
+  const events = [
+    event(rto.createdAt, 'RTO', `RTO application ${rto.applicationNumber}`, {
+      actor: rto.createdBy,
+      source: 'RtoProcess',
+      refId: rto._id,
+      details: { applicationNumber: rto.applicationNumber, rtoAmount: rto.rtoAmount }
+    })
+  ];
+
+  if (rto.updatedAt && rto.updatedAt > rto.createdAt) {
+    events.push(event(rto.updatedAt, 'RTO', `RTO progress: papers ${rto.rtoPaperStatus}, status ${rto.rtoStatus}`, {
+      actor: rto.updatedBy || rto.createdBy,
+      source: 'RtoProcess',
+      refId: rto._id,
+      details: {
+        rtoStatus: rto.rtoStatus,
+        rtoPaperStatus: rto.rtoPaperStatus,
+        rtoNumber: rto.rtoNumber,
+        numberPlate: rto.numberPlate,
+        hsrbOrdering: rto.hsrbOrdering,
+        hsrbInstallation: rto.hsrbInstallation,
+        rcConfirmation: rto.rcConfirmation
+      }
+    }));
+  }
+
+  if (rto.rcDispatchDate) {
+    events.push(event(rto.rcDispatchDate, 'RTO', 'RC dispatched', {
+      source: 'RtoProcess',
+      refId: rto._id
+    }));
+  }
+  return events;
+}
+
+function deliveryEvents(delivery) {
+  if (!delivery) return [];
+  return [
+    event(delivery.deliveryDate || delivery.createdAt, 'DELIVERY', `Vehicle delivered (gate pass ${delivery.gatePassNumber})`, {
+      actor: delivery.deliveredBy,
+      source: 'Delivery',
+      refId: delivery._id,
+      details: {
+        gatePassNumber: delivery.gatePassNumber,
+        chassisNumber: delivery.chassisNumber,
+        odometerReading: delivery.odometerReading,
+        receivedBy: delivery.receivedBy
+      }
+    })
+  ];
+}
+
+function cancellationEvents(cancellations) {
+  const events = [];
+  for (const c of cancellations) {
+    events.push(event(c.createdAt, 'CANCELLATION', 'Cancellation requested', {
+      actor: c.requestedBy,
+      source: 'BookingCancellation',
+      refId: c._id,
+      details: { reason: c.reason, cancellationCharges: c.cancellationCharges, refundAmount: c.refund?.amount }
+    }));
+    if (c.status === 'REJECTED') {
+      events.push(event(c.approvedAt, 'CANCELLATION', 'Cancellation rejected', {
+        actor: c.approvedBy,
+        source: 'BookingCancellation',
+        refId: c._id,
+        details: { rejectionReason: c.rejectionReason }
+      }));
+    }
+    if (c.refund?.paidAt) {
+      events.push(event(c.refund.paidAt, 'REFUND', `Refund ${c.refund.voucherNumber} paid`, {
+        actor: c.refund.paidBy,
+        source: 'BookingCancellation',
+        refId: c._id,
+        details: { amount: c.refund.amount, mode: c.refund.mode }
+      }));
+    }
+  }
+  return events;
+}
+
+const UPDATE_REQUEST_TITLES = {
+  SUBMIT_UPDATE_REQUEST: 'Update request submitted',
+  APPROVE_UPDATE_REQUEST: 'Update request approved',
+  REJECT_UPDATE_REQUEST: 'Update request rejected'
+};
+
+function updateRequestEvents(logs) {
+  return logs.map(l => event(l.timestamp || l.createdAt, 'UPDATE_REQUEST', UPDATE_REQUEST_TITLES[l.action], {
+    actor: l.user,
+    source: 'AuditLog',
+    refId: l._id,
+    details: {
+      action: l.action,
+      updatedFields: l.metadata?.updatedFields,
+      note: l.metadata?.note
+    }
+  }));
+}
+
+/**
+ * Replace actor ids with { id, name, email }. Free-text actors (RtoProcess
+ * stores user names as strings) are returned as { name }.
+ */
+async function resolveActors(events) {
+  const ids = new Set();
+  for (const e of events) {
+    if (e.actor && mongoose.Types.ObjectId.isValid(String(e.actor))) ids.add(String(e.actor));
+  }
+
+  const users = await User.find({ _id: { $in: [...ids] } }).select('name email').lean();
+  const byId = new Map(users.map(u => [String(u._id), u]));
+
+  for (const e of events) {
+    if (!e.actor) continue;
+    const user = byId.get(String(e.actor));
+    e.actor = user
+      ? { id: user._id, name: user.name, email: user.email }
+      : { name: String(e.actor) };
+  }
+  return events;
+}
+
+/**
+ * Build the timeline for a booking document.
+ * @param {Document} booking
+ * @param {{ types?: string[], order?: 'asc'|'desc' }} options
+ */
+async function buildBookingTimeline(booking, { types, order = 'asc' } = {}) {
+  const bookingId = booking._id;
+
+  const [ledgerEntries, kyc, financeLetter, insurances, newInsurances, rto, delivery, cancellations, auditLogs] = await Promise.all([
+    Ledger.find({ booking: bookingId }).lean(),
+    KYC.findOne({ booking: bookingId }).lean(),
+    FinanceLetter.findOne({ booking: bookingId }).lean(),
+    Insurance.find({ booking: bookingId }).lean(),
+    NewInsurance.find({ booking: bookingId }).lean(),
+    RtoProcess.findOne({ bookingId }).lean(),
+    Delivery.findOne({ booking: bookingId }).lean(),
+    BookingCancellation.find({ booking: bookingId }).lean(),
+    AuditLog.find({ entity: 'Booking', entityId: bookingId, action: { $in: UPDATE_REQUEST_ACTIONS }, status: 'SUCCESS' }).lean()
+  ]);
+
+  const hasUpdateRequestLogs = auditLogs.length > 0;
+
+  let events = [
+    ...bookingEvents(booking, { hasUpdateRequestLogs }),
+    ...ledgerEvents(ledgerEntries),
+    ...documentEvents(kyc, financeLetter),
+    ...insuranceEvents([...insurances, ...newInsurances]),
+    ...rtoEvents(rto),
+    ...deliveryEvents(delivery),
+    ...cancellationEvents(cancellations),
+    ...updateRequestEvents(auditLogs)
+  ].filter(e => e.at);
+
+  if (Array.isArray(types) && types.length) {
+    const wanted = new Set(types.map(t => String(t).toUpperCase()));
+    events = events.filter(e => wanted.has(e.type));
+  }
+
+  events.sort((a, b) => (order === 'desc' ? b.at - a.at : a.at - b.at));
+  return resolveActors(events);
+}
+
+module.exports = {
+  buildBookingTimeline
+};
@@ -0,0 +1,227 @@
+// services/chassisAllocation.js
+// Automatic chassis allocation. Candidates for a booking are the undamaged
+// in-stock vehicles of its model and color at its branch, oldest inward first
+// (FIFO), so ageing stock is sold before newer arrivals. A vehicle reserved
+// for the booking always comes first; vehicles reserved for other bookings,
+// allocated to another open booking or on an open stock transfer are never
+// offered.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const Booking = require('../models/Booking');
+const AppError = require('../utils/appError');
+const bookingStateMachine = require('./bookingStateMachine');
+const vehicleReservation = require('./vehicleReservation');
+const stockTransferLifecycle = require('./stockTransferLifecycle');
+const vehicleMovement = require('./vehicleMovement');
+
+const DEFAULT_ALTERNATES = 4;
+
+// Booking.chassisNumber only accepts 17 character VINs (no I, O or Q)
+const CHASSIS_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+/**
+ * Candidate vehicles for the booking in allocation order.
+ * @param {{limit?: number, chassisNumbers?: string[]}} options - number of vehicles
+ *   to return; chassisNumbers restricts the candidates to those vehicles
+ * @returns {Promise<Vehicle[]>}
+ */
+async function findCandidates(booking, { limit = DEFAULT_ALTERNATES + 1, chassisNumbers } = {}) {
+  if (!booking.branch) {
+    throw new AppError('Automatic allocation is only available for branch bookings', 400);
+  }
+
+  const STATUS = bookingStateMachine.BOOKING_STATUS;
+  const now = new Date();
+
+  const [allocated, onTransfer] = await Promise.all([
+    Booking.find({
+      _id: { $ne: booking._id },
+      chassisNumber: { $exists: true, $ne: null },
+      status: { $nin: [STATUS.CANCELLED, STATUS.REJECTED] },
+      model: booking.model,
+      color: booking.color
+    }).select('chassisNumber').lean(),
+    stockTransferLifecycle.vehiclesOnOpenTransfers()
+  ]);
+
+  const filter = {
+    model: booking.model,
+    'color.id': booking.color,
+    unloadLocation: booking.branch,
+    status: 'in_stock',
+    hasDamage: { $ne: true },
+    isDemo: { $ne: true },
+    delivery: { $exists: false },
+    chassisNumber: {
+      $regex: CHASSIS_PATTERN,
+      $nin: allocated.map(b => b.chassisNumber),
+      ...(chassisNumbers && { $in: chassisNumbers })
+    },
+    _id: { $nin: [...onTransfer.keys()] }
+  };
+  const select = 'chassisNumber modelName color status createdAt reservation';
+
+  // The vehicle held for this booking goes first, then free stock oldest first
+  const [reserved, free] = await Promise.all([
+    Vehicle.findOne({
+      ...filter,
+      'reservation.booking': booking._id,
+      'reservation.expiresAt': { $gt: now }
+    }).select(select),
+    Vehicle.find({
+      ...filter,
+      $or: [
+        { 'reservation.expiresAt': { $exists: false } },
+        { 'reservation.expiresAt': { $lte: now } }
+      ]
+    })
+      .select(select)
+      .sort({ createdAt: 1, chassisNumber: 1 })
+      .limit(limit)
+  ]);
+
+  return (reserved ? [reserved, ...free] : free).slice(0, limit);
+}
+
+/**
+ * Candidate plus alternates for a booking, without allocating anything.
+ */
+async function previewAllocation(booking, { alternates = DEFAULT_ALTERNATES } = {}) {
+  const vehicles = await findCandidates(booking, { limit: alternates + 1 });
+  const now = Date.now();
+  const describe = (vehicle) => ({
+    vehicleId: vehicle._id,
+    chassisNumber: vehicle.chassisNumber,
+    modelName: vehicle.modelName,
+    color: vehicle.color?.name,
+    inwardDate: vehicle.createdAt,
+    ageDays: Math.floor((now - vehicle.createdAt) / (24 * 60 * 60 * 1000)),
+    reservedForBooking: !!vehicle.reservation?.booking?.equals(booking._id)
+  });
+
+  return {
+    candidate: vehicles[0] ? describe(vehicles[0]) : null,
+    alternates: vehicles.slice(1).map(describe)
+  };
+}
+
+const assertAllocatable = async (booking) => {
+  if (booking.chassisNumber) {
+    throw new AppError('Booking already has a chassis allocated', 400);
+  }
+
+  const evaluation = await bookingStateMachine.evaluateTransition(booking, 'ALLOCATE_CHASSIS');
+  if (!evaluation.allowed) {
+    throw new AppError(evaluation.failedGuards.map(g => g.message).join('; '), 400);
+  }
+};
+
+// Record the vehicle on the booking through ALLOCATE_CHASSIS and save it
+async function allocate(booking, vehicle, { userId, note, metadata }) {
+  booking.chassisNumber = vehicle.chassisNumber;
+  booking.vehicleRef = vehicle._id;
+  booking.chassisNumberChangeAllowed = true;
+
+  await bookingStateMachine.applyTransition(booking, 'ALLOCATE_CHASSIS', {
+    userId,
+    note,
+    metadata: { chassisNumber: vehicle.chassisNumber, ...metadata }
+  });
+
+  try {
+    await booking.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(`Chassis ${vehicle.chassisNumber} was allocated to another booking meanwhile`, 409);
+    }
+    throw err;
+  }
+  await vehicleReservation.releaseBookingReservations(booking._id, { userId });
+  await vehicleMovement.recordAllocation(booking, { userId, note });
+
+  return vehicle;
+}
+
+/**
+ * Allocate the first candidate to a booking that has no chassis yet, through
+ * the ALLOCATE_CHASSIS transition. The booking is saved.
+ * @returns {Promise<Vehicle>} the allocated vehicle
+ */
+async function autoAllocate(booking, { userId }) {
+  await assertAllocatable(booking);
+
+  const [vehicle] = await findCandidates(booking, { limit: 1 });
+  if (!vehicle) {
+    throw new AppError('No matching in-stock vehicle available at the booking branch', 404);
+  }
+
+  return allocate(booking, vehicle, {
+    userId,
+    note: 'Automatic allocation (FIFO)',
+    metadata: { auto: true }
+  });
+}
+
+/**
+ * Allocate one specific vehicle to a booking that has no chassis yet. The
+ * vehicle must be a candidate for the booking (see findCandidates).
+ * @param {{userId, note?: string, metadata?: object}} options
+ * @returns {Promise<Vehicle>} the allocated vehicle
+ */
+async function allocateVehicle(booking, chassisNumber, { userId, note = 'Allocation', metadata = {} }) {
+  await assertAllocatable(booking);
+
+  const [vehicle] = await findCandidates(booking, { limit: 1, chassisNumbers: [chassisNumber] });
+  if (!vehicle) {
+    throw new AppError(`Vehicle ${chassisNumber} is no longer available for this booking`, 409);
+  }
+
+  return allocate(booking, vehicle, { userId, note, metadata });
+}
+
+/**
+ * Auto-allocate every approved booking of the branch that has no chassis,
+ * oldest booking first.
+ * @returns {Promise<{allocated: Array, skipped: Array}>}
+ */
+async function autoAllocateBranch(branchId, { userId }) {
+  const bookings = await Booking.find({
+    branch: branchId,
+    status: bookingStateMachine.BOOKING_STATUS.APPROVED,
+    $or: [{ chassisNumber: { $exists: false } }, { chassisNumber: null }, { chassisNumber: '' }]
+  }).sort({ createdAt: 1 });
+
+  const allocated = [];
+  const skipped = [];
+
+  for (const booking of bookings) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const vehicle = await autoAllocate(booking, { userId });
+      allocated.push({
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        chassisNumber: vehicle.chassisNumber,
+        vehicleId: vehicle._id
+      });
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      skipped.push({
+        bookingId: booking._id,
+        bookingNumber: booking.bookingNumber,
+        reason: err.message
+      });
+    }
+  }
+
+  return { allocated, skipped };
+}
+
+module.exports = {
+  DEFAULT_ALTERNATES,
+  findCandidates,
+  previewAllocation,
+  autoAllocate,
+  allocateVehicle,
+  autoAllocateBranch
+};
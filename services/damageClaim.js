@@ -0,0 +1,293 @@
+// services/damageClaim.js
+// Damage claims against the transporter or OEM:
+//   reported -> submitted -> approved -> settled
+// A reported or submitted claim can be rejected. The repair is tracked apart
+// from the claim: a vehicle stays 'damaged' and cannot be allocated until the
+// repair of every claim on it is marked done, whatever the claim outcome.
+
+const mongoose = require('mongoose');
+const DamageClaim = require('../models/DamageClaim');
+const Vehicle = require('../models/vehicleInwardModel');
+const Ledger = require('../models/Ledger');
+const AppError = require('../utils/appError');
+const vehicleMovement = require('./vehicleMovement');
+
+const CLAIM_STATUS = {
+  REPORTED: 'reported',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  SETTLED: 'settled',
+  REJECTED: 'rejected'
+};
+
+const TRANSITIONS = {
+  submit: { from: [CLAIM_STATUS.REPORTED], to: CLAIM_STATUS.SUBMITTED },
+  approve: { from: [CLAIM_STATUS.SUBMITTED], to: CLAIM_STATUS.APPROVED },
+  reject: { from: [CLAIM_STATUS.REPORTED, CLAIM_STATUS.SUBMITTED], to: CLAIM_STATUS.REJECTED },
+  settle: { from: [CLAIM_STATUS.APPROVED], to: CLAIM_STATUS.SETTLED }
+};
+
+const assertTransition = (claim, action) => {
+  if (!TRANSITIONS[action].from.includes(claim.status)) {
+    throw new AppError(`Cannot ${action} a claim that is ${claim.status}`, 400);
+  }
+};
+
+const setStatus = (claim, action, userId, note) => {
+  claim.status = TRANSITIONS[action].to;
+  claim.statusHistory.push({ status: claim.status, changedBy: userId, note });
+  claim.lastUpdatedBy = userId;
+};
+
+const saveClaim = async (claim) => {
+  try {
+    return await claim.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      throw new AppError('Claim was updated by someone else, please reload and retry', 409);
+    }
+    throw err;
+  }
+};
+
+const isAmount = (value) => value !== undefined && value !== null && value !== '' && Number(value) >= 0;
+
+const newClaimId = () => new mongoose.Types.ObjectId();
+
+// Entry pushed onto Vehicle.damages for a claim
+const damageEntry = (claimId, { description, images }, userId) => ({
+  description,
+  images,
+  reportedBy: userId,
+  claim: claimId
+});
+
+const buildClaim = (claimId, vehicle, damage, { userId, source = 'stock', transfer }) => new DamageClaim({
+  _id: claimId,
+  vehicle: vehicle._id,
+  chassisNumber: vehicle.chassisNumber,
+  branch: vehicle.unloadLocation,
+  source,
+  transfer,
+  description: damage.description,
+  images: damage.images,
+  responsibleParty: damage.responsibleParty,
+  partyName: damage.partyName,
+  estimatedRepairCost: damage.estimatedRepairCost,
+  reportedBy: userId,
+  statusHistory: [{ status: CLAIM_STATUS.REPORTED, changedBy: userId }]
+});
+
+/**
+ * Open the claim for a damage already recorded on the vehicle under claimId.
+ * @param {{description, images, responsibleParty?, partyName?, estimatedRepairCost?}} damage
+ * @param {{userId, source?: 'inward'|'transfer'|'stock', transfer?}} options
+ */
+async function openClaim(claimId, vehicle, damage, options) {
+  return buildClaim(claimId, vehicle, damage, options).save();
+}
+
+/**
+ * Record a damage on a vehicle and open its claim. The vehicle is marked
+ * damaged until the repair is done.
+ */
+async function reportDamage(vehicleId, damage, { userId }) {
+  const vehicle = await Vehicle.findById(vehicleId).select('chassisNumber unloadLocation status');
+  if (!vehicle) {
+    throw new AppError('No vehicle found with that ID', 404);
+  }
+  if (vehicle.status === 'sold') {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is sold`, 400);
+  }
+
+  // Validate the claim first so a rejected claim leaves no damage entry behind
+  const claimId = newClaimId();
+  const claim = buildClaim(claimId, vehicle, damage, { userId });
+  await claim.validate();
+
+  const set = { hasDamage: true, status: 'damaged', lastUpdatedBy: userId };
+  // Restored on repair; a vehicle already damaged keeps the one of its first damage
+  if (vehicle.status !== 'damaged') set.statusBeforeDamage = vehicle.status;
+
+  const updated = await Vehicle.findByIdAndUpdate(
+    vehicle._id,
+    {
+      $push: { damages: damageEntry(claimId, damage, userId) },
+      $set: set
+    },
+    { new: true, runValidators: true }
+  );
+  await claim.save();
+  await vehicleMovement.recordMovement(updated, 'DAMAGE', {
+    userId,
+    from: { status: vehicle.status },
+    source: { kind: 'DamageClaim', id: claim._id, reference: claim.claimNumber },
+    note: damage.description
+  });
+
+  return { claim, vehicle: updated };
+}
+
+async function submitClaim(claim, { responsibleParty, partyName, partyClaimNumber, estimatedRepairCost, note }, { userId }) {
+  assertTransition(claim, 'submit');
+
+  if (responsibleParty !== undefined) claim.responsibleParty = responsibleParty;
+  if (partyName !== undefined) claim.partyName = partyName;
+  if (partyClaimNumber !== undefined) claim.partyClaimNumber = partyClaimNumber;
+  if (estimatedRepairCost !== undefined) claim.estimatedRepairCost = estimatedRepairCost;
+
+  if (!claim.responsibleParty) {
+    throw new AppError('Responsible party (transporter or oem) is required to submit a claim', 400);
+  }
+  if (!claim.partyClaimNumber) {
+    throw new AppError(`Claim number issued by the ${claim.responsibleParty} is required`, 400);
+  }
+  if (!isAmount(claim.estimatedRepairCost)) {
+    throw new AppError('Estimated repair cost is required to submit a claim', 400);
+  }
+
+  setStatus(claim, 'submit', userId, note);
+  return saveClaim(claim);
+}
+
+async function approveClaim(claim, { approvedAmount, note }, { userId }) {
+  assertTransition(claim, 'approve');
+  if (!isAmount(approvedAmount)) {
+    throw new AppError('Approved amount is required', 400);
+  }
+
+  claim.approvedAmount = approvedAmount;
+  setStatus(claim, 'approve', userId, note);
+  return saveClaim(claim);
+}
+
+async function rejectClaim(claim, { reason }, { userId }) {
+  assertTransition(claim, 'reject');
+  if (!reason) {
+    throw new AppError('Rejection reason is required', 400);
+  }
+
+  claim.rejectionReason = reason;
+  setStatus(claim, 'reject', userId, reason);
+  return saveClaim(claim);
+}
+
+/**
+ * Record the amount received from the responsible party and post it to the
+ * ledger as an approved DAMAGE_CLAIM_SETTLEMENT receipt.
+ * @param {{settlementAmount, paymentMode, bank?, subPaymentMode?, cashLocation?, transactionReference?, note?}} payment
+ */
+async function settleClaim(claim, payment, { userId }) {
+  assertTransition(claim, 'settle');
+  const { settlementAmount, paymentMode, bank, subPaymentMode, cashLocation, transactionReference, note } = payment;
+  if (!isAmount(settlementAmount) || Number(settlementAmount) === 0) {
+    throw new AppError('Settlement amount must be greater than zero', 400);
+  }
+
+  const entry = new Ledger({
+    type: 'DAMAGE_CLAIM_SETTLEMENT',
+    paymentMode,
+    bank,
+    subPaymentMode,
+    cashLocation,
+    transactionReference,
+    amount: settlementAmount,
+    receivedBy: userId,
+    remark: `Settlement of damage claim ${claim.claimNumber} (${claim.chassisNumber}) from ${claim.partyName || claim.responsibleParty}`,
+    source: { kind: 'DAMAGE_CLAIM', refId: claim._id, refModel: 'DamageClaim' },
+    approvalStatus: 'Approved',
+    approvedBy: userId,
+    approvedAt: new Date()
+  });
+  await entry.validate();
+
+  claim.settlementAmount = settlementAmount;
+  claim.settledAt = new Date();
+  claim.ledgerEntry = entry._id;
+  setStatus(claim, 'settle', userId, note);
+  await claim.validate();
+
+  await entry.save();
+  try {
+    return await saveClaim(claim);
+  } catch (err) {
+    await Ledger.deleteOne({ _id: entry._id });
+    throw err;
+  }
+}
+
+/**
+ * Mark the repair of a claim done. Once no repair is pending on the vehicle
+ * its damage flag is cleared and a damaged vehicle goes back to the status it
+ * had before the damage, or to stock when damaged on receipt.
+ */
+async function markRepaired(claim, { actualRepairCost, notes }, { userId }) {
+  if (claim.repairStatus === 'done') {
+    throw new AppError(`Repair of claim ${claim.claimNumber} is already marked done`, 400);
+  }
+  if (!isAmount(actualRepairCost)) {
+    throw new AppError('Actual repair cost is required', 400);
+  }
+
+  claim.repairStatus = 'done';
+  claim.actualRepairCost = actualRepairCost;
+  claim.repairNotes = notes;
+  claim.repairedAt = new Date();
+  claim.repairedBy = userId;
+  claim.lastUpdatedBy = userId;
+  await saveClaim(claim);
+
+  const pending = await DamageClaim.countDocuments({ vehicle: claim.vehicle, repairStatus: 'pending' });
+  if (pending === 0) {
+    await Vehicle.updateOne({ _id: claim.vehicle }, { $set: { hasDamage: false, lastUpdatedBy: userId } });
+    const vehicle = await Vehicle.findById(claim.vehicle).select('status statusBeforeDamage');
+    const repaired = vehicle && await Vehicle.findOneAndUpdate(
+      { _id: claim.vehicle, status: 'damaged' },
+      { $set: { status: vehicle.statusBeforeDamage || 'in_stock' }, $unset: { statusBeforeDamage: 1 } },
+      { new: true }
+    );
+    if (repaired) {
+      await vehicleMovement.recordMovement(repaired, 'REPAIR', {
+        userId,
+        from: { status: 'damaged' },
+        source: { kind: 'DamageClaim', id: claim._id, reference: claim.claimNumber },
+        note: notes
+      });
+    }
+  }
+  return claim;
+}
+
+// Claims of the vehicle whose repair is not done yet
+const pendingRepairs = (vehicleId) =>
+  DamageClaim.find({ vehicle: vehicleId, repairStatus: 'pending' }).select('claimNumber').lean();
+
+/**
+ * A vehicle with a repair pending cannot be allocated.
+ * @throws {AppError} 409
+ */
+async function assertRepaired(vehicle) {
+  if (!vehicle) return;
+  const pending = await pendingRepairs(vehicle._id);
+  if (pending.length > 0) {
+    throw new AppError(
+      `Vehicle ${vehicle.chassisNumber} is awaiting repair (claim ${pending.map(c => c.claimNumber).join(', ')})`,
+      409
+    );
+  }
+}
+
+module.exports = {
+  CLAIM_STATUS,
+  newClaimId,
+  damageEntry,
+  openClaim,
+  reportDamage,
+  submitClaim,
+  approveClaim,
+  rejectClaim,
+  settleClaim,
+  markRepaired,
+  pendingRepairs,
+  assertRepaired
+};
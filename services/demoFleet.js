@@ -0,0 +1,363 @@
+// services/demoFleet.js
+// Demo vehicles of a branch and the test rides taken on them. A vehicle is
+// flagged as demo (Vehicle.isDemo) while it stands in stock; from then on
+// allocation, reservation and the stock counts leave it out until it is taken
+// off the demo fleet. Test rides (models/TestRide) book a time slot on a demo
+// vehicle, which must not overlap another open ride on it, and are checked out
+// and back in with odometer readings.
+//
+// A ride converts when the customer books at the branch within the conversion
+// window after the ride. Bookings carry no link to the quotation, so the
+// booking is matched on the customer's mobile number.
+
+const mongoose = require('mongoose');
+const TestRide = require('../models/TestRide');
+const Vehicle = require('../models/vehicleInwardModel');
+const Booking = require('../models/Booking');
+const Quotation = require('../models/QuotationModel');
+const AppError = require('../utils/appError');
+const { BOOKING_STATUS } = require('./bookingStateMachine');
+
+// Rides holding their slot on the vehicle
+const OPEN_STATUSES = ['scheduled', 'out'];
+
+const MAX_SLOT_HOURS = 8;
+const DEFAULT_CONVERSION_DAYS = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Days after a ride in which a booking counts as its conversion;
+ * TEST_RIDE_CONVERSION_DAYS overrides the default.
+ */
+function getConversionDays() {
+  const days = Number(process.env.TEST_RIDE_CONVERSION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_CONVERSION_DAYS;
+}
+
+const parseSlotDate = (value, name) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date and time`, 400);
+  }
+  return date;
+};
+
+const parseOdometer = (value) => {
+  const reading = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(reading) || reading < 0) {
+    throw new AppError('Odometer reading must be a number of 0 or more', 400);
+  }
+  return reading;
+};
+
+/**
+ * Flag an in-stock vehicle as demo. Vehicles allocated to or held for a
+ * booking stay sellable.
+ * @param {{userId, note?: string, odometer?: number}} options
+ */
+async function flagDemo(vehicle, { userId, note, odometer }) {
+  if (vehicle.isDemo) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is already a demo vehicle`, 400);
+  }
+  if (vehicle.status !== 'in_stock' || vehicle.delivery) {
+    throw new AppError('Only in-stock vehicles can be used as demo vehicles', 400);
+  }
+  if (vehicle.reservation?.expiresAt > new Date()) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is reserved for a booking`, 409);
+  }
+  const allocated = await Booking.exists({
+    chassisNumber: vehicle.chassisNumber,
+    status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED] }
+  });
+  if (allocated) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is allocated to a booking`, 409);
+  }
+
+  const demo = { since: new Date(), flaggedBy: userId, note };
+  if (odometer !== undefined && odometer !== null && odometer !== '') {
+    demo.odometer = parseOdometer(odometer);
+  }
+
+  // Conditional on the vehicle still being free stock
+  const flagged = await Vehicle.findOneAndUpdate(
+    { _id: vehicle._id, status: 'in_stock', isDemo: { $ne: true } },
+    { $set: { isDemo: true, demo, lastUpdatedBy: userId } },
+    { new: true, runValidators: true }
+  );
+  if (!flagged) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} changed meanwhile, try again`, 409);
+  }
+  return flagged;
+}
+
+// Return a demo vehicle to sellable stock once no ride is booked on it
+async function unflagDemo(vehicle, { userId }) {
+  if (!vehicle.isDemo) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is not a demo vehicle`, 400);
+  }
+  const openRide = await TestRide.findOne({ vehicle: vehicle._id, status: { $in: OPEN_STATUSES } }).select('rideNumber');
+  if (openRide) {
+    throw new AppError(`Close test ride ${openRide.rideNumber} before taking the vehicle off the demo fleet`, 409);
+  }
+
+  return Vehicle.findByIdAndUpdate(
+    vehicle._id,
+    { $set: { isDemo: false, lastUpdatedBy: userId }, $unset: { demo: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Reject a slot overlapping an open ride on the vehicle. Slots touching end
+ * to start do not overlap.
+ */
+async function assertSlotFree(vehicleId, slotStart, slotEnd, { excludeRide } = {}) {
+  const clash = await TestRide.findOne({
+    vehicle: vehicleId,
+    status: { $in: OPEN_STATUSES },
+    slotStart: { $lt: slotEnd },
+    slotEnd: { $gt: slotStart },
+    ...(excludeRide && { _id: { $ne: excludeRide } })
+  }).select('rideNumber slotStart slotEnd');
+
+  if (clash) {
+    throw new AppError(
+      `Slot clashes with test ride ${clash.rideNumber} (${clash.slotStart.toISOString()} to ${clash.slotEnd.toISOString()})`,
+      409
+    );
+  }
+}
+
+/**
+ * Book a test ride slot on a demo vehicle. With a quotation, the customer's
+ * name and mobile default to those on the quotation.
+ * @param {{slotStart, slotEnd, customerName?, mobile?, licenceNumber, quotation?, notes?}} details
+ */
+async function scheduleRide(vehicle, details, { userId }) {
+  if (!vehicle.isDemo) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is not a demo vehicle`, 400);
+  }
+  if (vehicle.status !== 'in_stock') {
+    throw new AppError(`Demo vehicle ${vehicle.chassisNumber} is ${vehicle.status} and cannot be ridden`, 400);
+  }
+
+  const slotStart = parseSlotDate(details.slotStart, 'slotStart');
+  const slotEnd = parseSlotDate(details.slotEnd, 'slotEnd');
+  if (slotEnd <= slotStart) {
+    throw new AppError('slotEnd must be after slotStart', 400);
+  }
+  if (slotEnd - slotStart > MAX_SLOT_HOURS * HOUR_MS) {
+    throw new AppError(`A test ride slot can be at most ${MAX_SLOT_HOURS} hours`, 400);
+  }
+
+  let quotation = null;
+  if (details.quotation) {
+    if (!mongoose.Types.ObjectId.isValid(details.quotation)) {
+      throw new AppError('Invalid quotation ID', 400);
+    }
+    quotation = await Quotation.findById(details.quotation).select('customer_id customerDetails');
+    if (!quotation) {
+      throw new AppError('Quotation not found', 404);
+    }
+  }
+
+  await assertSlotFree(vehicle._id, slotStart, slotEnd);
+
+  const ride = new TestRide({
+    branch: vehicle.unloadLocation,
+    vehicle: vehicle._id,
+    chassisNumber: vehicle.chassisNumber,
+    model: vehicle.model,
+    modelName: vehicle.modelName,
+    customerName: details.customerName || quotation?.customerDetails?.name,
+    mobile: details.mobile || quotation?.customerDetails?.mobile1,
+    licenceNumber: details.licenceNumber,
+    slotStart,
+    slotEnd,
+    quotation: quotation?._id,
+    customer: quotation?.customer_id,
+    notes: details.notes,
+    createdBy: userId
+  });
+  return ride.save();
+}
+
+const assertStatus = (ride, expected, action) => {
+  if (ride.status !== expected) {
+    throw new AppError(`Cannot ${action} test ride ${ride.rideNumber} in status ${ride.status}`, 400);
+  }
+};
+
+/**
+ * Hand the vehicle to the customer. The reading must not be below the
+ * vehicle's last recorded reading.
+ */
+async function checkOut(ride, { odometer }, { userId }) {
+  assertStatus(ride, 'scheduled', 'check out');
+  const reading = parseOdometer(odometer);
+
+  const [vehicle, rideOut] = await Promise.all([
+    Vehicle.findById(ride.vehicle).select('chassisNumber status isDemo demo'),
+    TestRide.findOne({ vehicle: ride.vehicle, status: 'out' }).select('rideNumber')
+  ]);
+  if (!vehicle || !vehicle.isDemo) {
+    throw new AppError(`Vehicle ${ride.chassisNumber} is no longer a demo vehicle`, 400);
+  }
+  if (rideOut) {
+    throw new AppError(`Vehicle ${ride.chassisNumber} is still out on test ride ${rideOut.rideNumber}`, 409);
+  }
+  if (vehicle.demo?.odometer !== undefined && reading < vehicle.demo.odometer) {
+    throw new AppError(`Odometer reading cannot be below the last reading of ${vehicle.demo.odometer}`, 400);
+  }
+
+  ride.status = 'out';
+  ride.odometerOut = reading;
+  ride.checkedOutAt = new Date();
+  ride.checkedOutBy = userId;
+  ride.lastUpdatedBy = userId;
+  return ride.save();
+}
+
+// Take the vehicle back and keep its reading for the next ride
+async function checkIn(ride, { odometer, notes }, { userId }) {
+  assertStatus(ride, 'out', 'check in');
+  const reading = parseOdometer(odometer);
+  if (reading < ride.odometerOut) {
+    throw new AppError(`Odometer reading cannot be below the check-out reading of ${ride.odometerOut}`, 400);
+  }
+
+  ride.status = 'completed';
+  ride.odometerIn = reading;
+  ride.checkedInAt = new Date();
+  ride.checkedInBy = userId;
+  ride.lastUpdatedBy = userId;
+  if (notes !== undefined) ride.notes = notes;
+  await ride.save();
+
+  await Vehicle.updateOne(
+    { _id: ride.vehicle, isDemo: true },
+    { $set: { 'demo.odometer': reading, lastUpdatedBy: userId } }
+  );
+  return ride;
+}
+
+// Cancel a scheduled ride, or record that the customer did not turn up
+async function cancelRide(ride, { reason, noShow = false }, { userId }) {
+  assertStatus(ride, 'scheduled', noShow ? 'mark as no-show' : 'cancel');
+
+  ride.status = noShow ? 'no_show' : 'cancelled';
+  ride.cancellationReason = reason;
+  ride.lastUpdatedBy = userId;
+  return ride.save();
+}
+
+/**
+ * Link completed rides to the first booking their customer made at the
+ * branch within the conversion window after the ride, and save the link.
+ * @param {TestRide[]} rides
+ * @returns {Promise<number>} rides newly linked
+ */
+async function matchConversions(rides) {
+  const pending = rides.filter(ride => ride.status === 'completed' && !ride.conversion?.booking);
+  if (pending.length === 0) return 0;
+
+  const windowMs = getConversionDays() * DAY_MS;
+  const earliest = new Date(Math.min(...pending.map(ride => ride.slotStart.getTime())));
+  const latest = new Date(Math.max(...pending.map(ride => ride.slotStart.getTime())) + windowMs);
+
+  const bookings = await Booking.find({
+    'customerDetails.mobile1': { $in: [...new Set(pending.map(ride => ride.mobile))] },
+    branch: { $in: [...new Set(pending.map(ride => ride.branch.toString()))] },
+    status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED] },
+    createdAt: { $gte: earliest, $lte: latest }
+  })
+    .select('bookingNumber branch customerDetails.mobile1 createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  let linked = 0;
+  for (const ride of pending) {
+    const start = ride.slotStart.getTime();
+    const booking = bookings.find(b =>
+      b.customerDetails?.mobile1 === ride.mobile &&
+      b.branch?.toString() === ride.branch.toString() &&
+      b.createdAt.getTime() >= start &&
+      b.createdAt.getTime() <= start + windowMs
+    );
+    if (!booking) continue;
+
+    ride.conversion = { booking: booking._id, bookingNumber: booking.bookingNumber, convertedAt: booking.createdAt };
+    // eslint-disable-next-line no-await-in-loop
+    await TestRide.updateOne({ _id: ride._id }, { $set: { conversion: ride.conversion } });
+    linked += 1;
+  }
+  return linked;
+}
+
+const rateOf = (converted, rides) => (rides > 0 ? +((converted / rides) * 100).toFixed(1) : 0);
+
+/**
+ * Test-ride-to-booking conversion of the rides completed in a period, overall
+ * and by model. Rides whose conversion window is still open may convert later.
+ * @param {{from: Date, to: Date, branchIds?: ObjectId[]}} filters
+ */
+async function conversionReport({ from, to, branchIds }) {
+  const rides = await TestRide.find({
+    status: 'completed',
+    slotStart: { $gte: from, $lte: to },
+    ...(branchIds && { branch: { $in: branchIds } })
+  }).select('rideNumber branch model modelName mobile slotStart status conversion quotation');
+
+  await matchConversions(rides);
+
+  const windowMs = getConversionDays() * DAY_MS;
+  const now = Date.now();
+  const byModel = new Map();
+  const totals = { rides: 0, converted: 0, withQuotation: 0, windowOpen: 0 };
+
+  for (const ride of rides) {
+    const key = ride.model ? ride.model.toString() : ride.modelName;
+    if (!byModel.has(key)) {
+      byModel.set(key, { model: ride.model, modelName: ride.modelName, rides: 0, converted: 0 });
+    }
+    const group = byModel.get(key);
+    const converted = Boolean(ride.conversion?.booking);
+
+    group.rides += 1;
+    totals.rides += 1;
+    if (converted) {
+      group.converted += 1;
+      totals.converted += 1;
+    } else if (ride.slotStart.getTime() + windowMs > now) {
+      totals.windowOpen += 1;
+    }
+    if (ride.quotation) totals.withQuotation += 1;
+  }
+
+  return {
+    from,
+    to,
+    conversionDays: getConversionDays(),
+    totals: { ...totals, conversionRate: rateOf(totals.converted, totals.rides) },
+    models: [...byModel.values()]
+      .map(group => ({ ...group, conversionRate: rateOf(group.converted, group.rides) }))
+      .sort((a, b) => b.rides - a.rides)
+  };
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  MAX_SLOT_HOURS,
+  getConversionDays,
+  flagDemo,
+  unflagDemo,
+  assertSlotFree,
+  scheduleRide,
+  checkOut,
+  checkIn,
+  cancelRide,
+  matchConversions,
+  conversionReport
+};
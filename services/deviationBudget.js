@@ -0,0 +1,242 @@
+// services/deviationBudget.js
+// Deviation budgets of branch managers. A manager is allotted
+// User.totalDeviationAmount to cover customers' down payment shortfalls; every
+// deviation given is written to the deviation ledger (models/DeviationLedger)
+// by User.useDeviation or User.recordDeviationUse, with the booking and the
+// user who gave it.
+//
+// A manager on a MONTHLY or QUARTERLY budget starts every calendar month or
+// quarter from zero: the reset job closes the period with a RESET entry. In
+// case the job has not run yet, callers giving deviation call resetIfDue()
+// before working out what is left of the budget, as createDisbursement does;
+// consume() does not reset. Crossing the utilisation threshold raises one
+// ALERT entry per period.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const DeviationLedger = require('../models/DeviationLedger');
+const logger = require('../config/logger');
+
+const BUDGET_PERIODS = ['NONE', 'MONTHLY', 'QUARTERLY'];
+const ALERT_THRESHOLD = 0.8;
+const MANAGER_ROLE = 'MANAGER';
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * First day of the month or calendar quarter containing the date; null for
+ * budgets without a period.
+ */
+function periodStartOf(period, date = new Date()) {
+  if (period === 'MONTHLY') return new Date(date.getFullYear(), date.getMonth(), 1);
+  if (period === 'QUARTERLY') return new Date(date.getFullYear(), date.getMonth() - (date.getMonth() % 3), 1);
+  return null;
+}
+
+function periodEndOf(period, start) {
+  if (!start) return null;
+  const months = period === 'QUARTERLY' ? 3 : 1;
+  return new Date(start.getFullYear(), start.getMonth() + months, 1);
+}
+
+function utilisationOf(manager) {
+  const allotted = Number(manager.totalDeviationAmount || 0);
+  const used = Number(manager.currentDeviationUsage || 0);
+  return allotted > 0 ? used / allotted : 0;
+}
+
+/**
+ * Close the manager's budget period when a new one has begun.
+ * @returns {Promise<boolean>} whether the usage was reset
+ */
+async function resetIfDue(manager, { now = new Date(), userId } = {}) {
+  const start = periodStartOf(manager.deviationBudgetPeriod, now);
+  if (!start || (manager.deviationPeriodStart && manager.deviationPeriodStart >= start)) {
+    return false;
+  }
+
+  await manager.resetDeviationUsage({
+    approvedBy: userId,
+    periodStart: start,
+    note: `${manager.deviationBudgetPeriod.toLowerCase()} budget period started`
+  });
+  return true;
+}
+
+/**
+ * Reset every manager whose budget period has ended.
+ * @returns {Promise<number>} managers reset
+ */
+async function resetDuePeriods(now = new Date()) {
+  const managers = await User.find({ deviationBudgetPeriod: { $in: ['MONTHLY', 'QUARTERLY'] } });
+
+  let reset = 0;
+  for (const manager of managers) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      if (await resetIfDue(manager, { now })) reset += 1;
+    } catch (err) {
+      logger.error(`[Deviation] Error resetting budget of manager ${manager._id}: ${err.message}`);
+    }
+  }
+  return reset;
+}
+
+/**
+ * Raise the utilisation alert once per period when the manager crosses the
+ * threshold.
+ * @returns {Promise<DeviationLedger|null>} the ALERT entry raised
+ */
+async function checkUtilisation(manager, { now = new Date() } = {}) {
+  const utilisation = utilisationOf(manager);
+  if (utilisation < ALERT_THRESHOLD || manager.deviationAlertedAt) return null;
+
+  manager.deviationAlertedAt = now;
+  await manager.save();
+
+  const percent = Math.round(utilisation * 100);
+  logger.warn(`[Deviation] Manager ${manager.name || manager._id} has used ${percent}% of the deviation budget`);
+  return DeviationLedger.create({
+    manager: manager._id,
+    branch: manager.branch,
+    type: 'ALERT',
+    usage: manager.currentDeviationUsage,
+    allotted: manager.totalDeviationAmount,
+    period: manager.deviationBudgetPeriod,
+    periodStart: manager.deviationPeriodStart,
+    note: `${percent}% of the deviation budget used`,
+    at: now
+  });
+}
+
+/**
+ * Give deviation from the manager's budget and record it. Call resetIfDue()
+ * first; the amount is taken from the budget as it stands, bounded by the
+ * caller (createDisbursement takes at most what is left and the
+ * per-transaction limit, when one is set).
+ * @param {User} manager
+ * @param {number} amount
+ * @param {{booking?, disbursement?, approvedBy?, note?}} context
+ * @returns {Promise<{available: number, alert: DeviationLedger|null}>}
+ */
+async function consume(manager, amount, context = {}) {
+  const available = await manager.recordDeviationUse(round2(amount), context);
+  const alert = await checkUtilisation(manager);
+  return { available, alert };
+}
+
+const managerRoleId = async () => {
+  const role = await Role.findOne({ name: MANAGER_ROLE }).select('_id').lean();
+  return role?._id;
+};
+
+/**
+ * Deviation used against allotted per manager and per branch, for the
+ * current budget period of each manager.
+ * @param {{branchIds?: ObjectId[], now?: Date}} filters - all branches when omitted
+ */
+async function utilisationReport({ branchIds, now = new Date() } = {}) {
+  const roleId = await managerRoleId();
+  if (!roleId) return { threshold: ALERT_THRESHOLD * 100, managers: [], branches: [], totals: summarise([]) };
+
+  const managers = await User.find({
+    roles: roleId,
+    ...(branchIds && { branch: { $in: branchIds } })
+  })
+    .select('name email branch totalDeviationAmount perTransactionDeviationLimit currentDeviationUsage ' +
+      'deviationBudgetPeriod deviationPeriodStart deviationAlertedAt status')
+    .populate('branch', 'name')
+    .lean();
+
+  const consumed = await DeviationLedger.aggregate([
+    { $match: { type: 'CONSUMED', manager: { $in: managers.map(m => m._id) } } },
+    { $sort: { at: 1 } },
+    { $group: { _id: '$manager', entries: { $push: { at: '$at', amount: '$amount' } } } }
+  ]);
+  const entriesOf = new Map(consumed.map(c => [String(c._id), c.entries]));
+
+  const rows = managers.map(manager => {
+    const periodStart = manager.deviationPeriodStart || periodStartOf(manager.deviationBudgetPeriod, now);
+    const inPeriod = (entriesOf.get(String(manager._id)) || [])
+      .filter(entry => !periodStart || entry.at >= periodStart);
+    const allotted = round2(manager.totalDeviationAmount);
+    const used = round2(manager.currentDeviationUsage);
+
+    return {
+      manager: { _id: manager._id, name: manager.name, email: manager.email, status: manager.status },
+      branch: manager.branch ? { _id: manager.branch._id, name: manager.branch.name } : null,
+      period: manager.deviationBudgetPeriod || 'NONE',
+      periodStart,
+      periodEnd: periodEndOf(manager.deviationBudgetPeriod, periodStart),
+      allotted,
+      used,
+      available: round2(Math.max(0, allotted - used)),
+      perTransactionLimit: round2(manager.perTransactionDeviationLimit),
+      utilisation: round2(utilisationOf(manager) * 100),
+      deviations: inPeriod.length,
+      alert: utilisationOf(manager) >= ALERT_THRESHOLD,
+      alertedAt: manager.deviationAlertedAt || null
+    };
+  }).sort((a, b) => b.utilisation - a.utilisation);
+
+  const byBranch = new Map();
+  rows.forEach(row => {
+    const key = row.branch ? String(row.branch._id) : 'none';
+    if (!byBranch.has(key)) byBranch.set(key, { branch: row.branch, rows: [] });
+    byBranch.get(key).rows.push(row);
+  });
+
+  return {
+    threshold: ALERT_THRESHOLD * 100,
+    managers: rows,
+    branches: [...byBranch.values()]
+      .map(({ branch, rows: branchRows }) => ({ branch, managers: branchRows.length, ...summarise(branchRows) }))
+      .sort((a, b) => b.utilisation - a.utilisation),
+    totals: summarise(rows)
+  };
+}
+
+function summarise(rows) {
+  const allotted = round2(rows.reduce((sum, r) => sum + r.allotted, 0));
+  const used = round2(rows.reduce((sum, r) => sum + r.used, 0));
+  return {
+    allotted,
+    used,
+    available: round2(Math.max(0, allotted - used)),
+    utilisation: allotted > 0 ? round2((used / allotted) * 100) : 0,
+    alerts: rows.filter(r => r.alert).length
+  };
+}
+
+/**
+ * Ledger entries, newest first.
+ * @param {{manager?, branchIds?, booking?, type?, from?: Date, to?: Date}} filters
+ */
+function ledgerQuery({ manager, branchIds, booking, type, from, to } = {}) {
+  const query = {};
+  if (manager) query.manager = new mongoose.Types.ObjectId(manager);
+  if (branchIds) query.branch = { $in: branchIds };
+  if (booking) query.booking = new mongoose.Types.ObjectId(booking);
+  if (type) query.type = type;
+  if (from || to) {
+    query.at = {};
+    if (from) query.at.$gte = from;
+    if (to) query.at.$lte = to;
+  }
+  return query;
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  ALERT_THRESHOLD,
+  periodStartOf,
+  periodEndOf,
+  utilisationOf,
+  resetIfDue,
+  resetDuePeriods,
+  checkUtilisation,
+  consume,
+  utilisationReport,
+  ledgerQuery
+};
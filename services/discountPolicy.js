@@ -0,0 +1,296 @@
+// services/discountPolicy.js
+// Rule-based discount limits for bookings. A discount policy
+// (models/DiscountPolicy) applies to a scope of models, branches, customer
+// types and roles of the user giving the discount, for an optional period.
+// Of the rules matching a booking the highest priority wins, then the most
+// specific one (most scope lists set), then the most recently updated.
+//
+// The rule gives the discount approved without sign-off and the approval
+// levels beyond it. When no rule matches, the sales executive's own limit
+// (User.discount) is auto-approved and a MANAGER approves the rest, as before
+// policies existed. A discount above the last approval level is refused.
+
+const mongoose = require('mongoose');
+const DiscountPolicy = require('../models/DiscountPolicy');
+const Role = require('../models/Role');
+const Header = require('../models/HeaderModel');
+const AppError = require('../utils/appError');
+
+const FALLBACK_APPROVER_ROLE = 'MANAGER';
+const HYPOTHECATION_KEY = 'HYPOTHECATION CHARGES (IF APPLICABLE)';
+
+const SCOPES = [
+  { field: 'models', key: 'model', label: 'model' },
+  { field: 'branches', key: 'branch', label: 'branch' },
+  { field: 'customerTypes', key: 'customerType', label: 'customer type' },
+  { field: 'roles', key: 'roles', label: 'role' }
+];
+
+const round2 = (n) => Math.round(Number(n || 0) * 100) / 100;
+
+/**
+ * Role names of the user, whether or not roles are populated.
+ */
+async function roleNamesOf(user) {
+  const roles = user?.roles || [];
+  if (roles.every(role => role && role.name)) {
+    return roles.map(role => String(role.name).toUpperCase());
+  }
+  const docs = await Role.find({ _id: { $in: roles } }).select('name').lean();
+  return docs.map(role => String(role.name).toUpperCase());
+}
+
+/**
+ * Original value of the discountable price components of a booking.
+ */
+function discountableTotal(priceComponents = []) {
+  return round2(priceComponents
+    .filter(c => c.isDiscountable && c.headerDetails?.header_key !== HYPOTHECATION_KEY)
+    .reduce((sum, c) => sum + Number(c.originalValue || 0), 0));
+}
+
+/**
+ * Discountable price of a model at a branch, from the model's price list.
+ * Used by the dry run when no booking exists yet.
+ */
+async function modelDiscountableTotal(model, branch) {
+  const prices = (model.prices || []).filter(p =>
+    p.header_id && (!branch || (p.branch_id && String(p.branch_id) === String(branch)))
+  );
+  const headers = await Header.find({
+    _id: { $in: prices.map(p => p.header_id) },
+    is_discount: true,
+    header_key: { $ne: HYPOTHECATION_KEY }
+  }).select('_id').lean();
+  const discountable = new Set(headers.map(h => String(h._id)));
+
+  return round2(prices
+    .filter(p => discountable.has(String(p.header_id)))
+    .reduce((sum, p) => sum + Number(p.value || 0), 0));
+}
+
+/**
+ * Whether the policy applies to the context, with the reason for every scope
+ * that does not match.
+ */
+function matchPolicy(policy, context) {
+  const reasons = [];
+  let specificity = 0;
+
+  for (const { field, key, label } of SCOPES) {
+    const allowed = (policy[field] || []).map(String);
+    if (allowed.length === 0) continue;
+    specificity += 1;
+
+    const values = [].concat(context[key] || []).filter(Boolean).map(String);
+    if (!values.some(value => allowed.includes(value))) {
+      reasons.push(values.length > 0
+        ? `${label} ${values.join('/')} is not covered`
+        : `policy is limited to certain ${label}s`);
+    }
+  }
+
+  if (policy.validFrom && context.date < policy.validFrom) {
+    reasons.push(`starts on ${policy.validFrom.toISOString().slice(0, 10)}`);
+  }
+  if (policy.validTo && context.date > policy.validTo) {
+    reasons.push(`ended on ${policy.validTo.toISOString().slice(0, 10)}`);
+  }
+  if (policy.validFrom || policy.validTo) specificity += 1;
+
+  return { matched: reasons.length === 0, specificity, reasons };
+}
+
+/**
+ * Pick the rule for the context from the active policies.
+ * @returns {Promise<{policy, candidates}>} candidates explains every rule considered
+ */
+async function selectPolicy(context) {
+  const policies = await DiscountPolicy.find({ isActive: true }).lean();
+
+  const candidates = policies.map(policy => ({
+    policy,
+    ...matchPolicy(policy, context)
+  }));
+
+  const matching = candidates
+    .filter(c => c.matched)
+    .sort((a, b) =>
+      (b.policy.priority || 0) - (a.policy.priority || 0) ||
+      b.specificity - a.specificity ||
+      new Date(b.policy.updatedAt) - new Date(a.policy.updatedAt)
+    );
+
+  return {
+    policy: matching[0]?.policy || null,
+    candidates: candidates.map(c => ({
+      policy: c.policy._id,
+      name: c.policy.name,
+      priority: c.policy.priority || 0,
+      specificity: c.specificity,
+      matched: c.matched,
+      reasons: c.reasons
+    }))
+  };
+}
+
+/**
+ * Discount the policy approves without sign-off: the lower of the amount and
+ * percentage limits that are set, nothing when neither is.
+ */
+function autoApproveLimitOf(policy, eligibleAmount) {
+  const { maxAmount, maxPercent } = policy.autoApprove || {};
+  const limits = [];
+  if (maxAmount != null) limits.push(Number(maxAmount));
+  if (maxPercent != null) limits.push((eligibleAmount * maxPercent) / 100);
+  return limits.length > 0 ? round2(Math.min(...limits)) : 0;
+}
+
+const formatAmount = (amount) => `₹${round2(amount).toLocaleString('en-IN')}`;
+
+/**
+ * Evaluate the discount policy for a booking discount.
+ * @param {object} context
+ * @param {ObjectId} context.model
+ * @param {ObjectId} [context.branch] - not set for subdealer bookings
+ * @param {string} context.customerType - B2B, B2C or CSD
+ * @param {object} context.user - user giving the discount
+ * @param {number} context.discount - discount amount requested
+ * @param {number} context.eligibleAmount - discountable price, for percentage limits
+ * @param {Date} [context.date]
+ * @returns {Promise<object>} the applicable limit, the approver needed and why
+ */
+async function evaluate({ model, branch, customerType, user, discount, eligibleAmount = 0, date = new Date() }) {
+  const roles = await roleNamesOf(user);
+  const requestedDiscount = round2(discount);
+  const { policy, candidates } = await selectPolicy({ model, branch, customerType, roles, date });
+
+  const result = {
+    policy: policy ? { _id: policy._id, name: policy.name, priority: policy.priority || 0 } : null,
+    source: policy ? 'POLICY' : 'USER_LIMIT',
+    roles,
+    requestedDiscount,
+    eligibleAmount: round2(eligibleAmount),
+    autoApproveLimit: 0,
+    autoApproved: false,
+    approverRole: null,
+    approverLimit: null,
+    exceedsPolicy: false,
+    explanation: [],
+    candidates
+  };
+
+  let levels;
+  if (policy) {
+    result.autoApproveLimit = autoApproveLimitOf(policy, result.eligibleAmount);
+    levels = policy.approvalLevels || [];
+    result.explanation.push(`Policy "${policy.name}" applies (priority ${policy.priority || 0})`);
+    const { maxAmount, maxPercent } = policy.autoApprove || {};
+    if (maxPercent != null && maxAmount != null) {
+      result.explanation.push(
+        `Auto-approval limit is the lower of ${formatAmount(maxAmount)} and ` +
+        `${maxPercent}% of the discountable ${formatAmount(result.eligibleAmount)}: ` +
+        formatAmount(result.autoApproveLimit)
+      );
+    } else if (maxPercent != null) {
+      result.explanation.push(
+        `Auto-approval limit is ${maxPercent}% of the discountable ${formatAmount(result.eligibleAmount)}: ` +
+        formatAmount(result.autoApproveLimit)
+      );
+    } else {
+      result.explanation.push(`Auto-approval limit is ${formatAmount(result.autoApproveLimit)}`);
+    }
+  } else {
+    result.autoApproveLimit = round2(user?.discount || 0);
+    levels = [{ role: FALLBACK_APPROVER_ROLE }];
+    result.explanation.push(
+      `No discount policy matched; the user's own discount limit of ${formatAmount(result.autoApproveLimit)} applies`
+    );
+  }
+
+  if (requestedDiscount <= result.autoApproveLimit) {
+    result.autoApproved = true;
+    result.explanation.push(`Discount of ${formatAmount(requestedDiscount)} is approved automatically`);
+    return result;
+  }
+
+  const level = levels.find(l => l.maxAmount == null || requestedDiscount <= l.maxAmount);
+  if (!level) {
+    result.exceedsPolicy = true;
+    const top = levels[levels.length - 1];
+    result.explanation.push(top
+      ? `Discount of ${formatAmount(requestedDiscount)} exceeds the highest approval limit of ${formatAmount(top.maxAmount)}`
+      : `Discount of ${formatAmount(requestedDiscount)} exceeds the auto-approval limit and the policy has no approvers`);
+    return result;
+  }
+
+  result.approverRole = level.role;
+  result.approverLimit = level.maxAmount ?? null;
+  result.explanation.push(
+    `Discount of ${formatAmount(requestedDiscount)} needs approval by ${level.role}` +
+    (level.maxAmount != null ? ` (approves up to ${formatAmount(level.maxAmount)})` : '')
+  );
+  return result;
+}
+
+/**
+ * The part of an evaluation kept on the booking (Booking.discountPolicy).
+ */
+function toBookingRecord(result) {
+  return {
+    policy: result.policy?._id,
+    policyName: result.policy?.name,
+    source: result.source,
+    requestedDiscount: result.requestedDiscount,
+    autoApproveLimit: result.autoApproveLimit,
+    autoApproved: result.autoApproved,
+    approverRole: result.approverRole || undefined,
+    evaluatedAt: new Date()
+  };
+}
+
+/**
+ * Whether the user may approve the booking's discount: anyone once an
+ * approval chain approved it, super admins always, otherwise the approver
+ * role the policy asked for or a higher level of the same policy.
+ */
+async function canApprove(record, user) {
+  if (!record?.approverRole || record.autoApproved || record.approvedAt) return true;
+  if (typeof user.isSuperAdmin === 'function' && await user.isSuperAdmin()) return true;
+
+  const roles = await roleNamesOf(user);
+  const allowed = [record.approverRole];
+  if (record.policy && mongoose.Types.ObjectId.isValid(record.policy)) {
+    const policy = await DiscountPolicy.findById(record.policy).select('approvalLevels').lean();
+    const levels = policy?.approvalLevels || [];
+    const index = levels.findIndex(l => l.role === record.approverRole);
+    if (index >= 0) allowed.push(...levels.slice(index + 1).map(l => l.role));
+  }
+  return roles.some(role => allowed.includes(role));
+}
+
+/**
+ * @throws {AppError} 403 when the user cannot approve the booking's discount
+ */
+async function assertCanApprove(record, user) {
+  if (!(await canApprove(record, user))) {
+    throw new AppError(
+      `Discount of ${formatAmount(record.requestedDiscount)} needs approval by ${record.approverRole}`,
+      403
+    );
+  }
+}
+
+module.exports = {
+  FALLBACK_APPROVER_ROLE,
+  roleNamesOf,
+  discountableTotal,
+  modelDiscountableTotal,
+  matchPolicy,
+  selectPolicy,
+  autoApproveLimitOf,
+  evaluate,
+  toBookingRecord,
+  canApprove,
+  assertCanApprove
+};
@@ -0,0 +1,270 @@
+// services/duplicateBooking.js
+// Duplicate customer / booking detection. A new booking is compared with the
+// active bookings (not rejected, completed or cancelled) on the customer's
+// primary mobile, PAN, Aadhaar and the exchange vehicle's chassis number.
+//
+// A match is HIGH severity when the customer already has an active booking
+// for the same model, when the PAN or Aadhaar is on a booking under another
+// name, or when the exchange vehicle is already offered on another booking.
+// Other matches (the customer booking another model) are LOW.
+//
+// DUPLICATE_BOOKING_MODE decides what createBooking does: WARN (default)
+// creates the booking and returns the matches, BLOCK refuses a booking with a
+// HIGH match, OFF skips the check. The daily report lists every group of
+// active bookings sharing one of the values.
+
+const _ = require('lodash');
+const Booking = require('../models/Booking');
+const DuplicateBookingReport = require('../models/DuplicateBookingReport');
+const { startOfDay } = require('../utils/queryHelpers');
+const { TERMINAL_STATES } = require('./bookingStateMachine');
+
+const MODES = ['WARN', 'BLOCK', 'OFF'];
+const DEFAULT_MODE = 'WARN';
+
+const FIELDS = [
+  { key: 'MOBILE', path: 'customerDetails.mobile1', label: 'mobile number' },
+  { key: 'PAN', path: 'customerDetails.panNo', label: 'PAN' },
+  { key: 'AADHAR', path: 'customerDetails.aadharNumber', label: 'Aadhaar' },
+  { key: 'EXCHANGE_CHASSIS', path: 'exchangeDetails.chassisNumber', label: 'exchange chassis number' }
+];
+const IDENTITY_FIELDS = ['PAN', 'AADHAR'];
+
+const BOOKING_SELECT = 'bookingNumber customerDetails.name customerDetails.mobile1 customerDetails.panNo ' +
+  'customerDetails.aadharNumber exchangeDetails.chassisNumber model branch subdealer status createdAt';
+
+/**
+ * What createBooking does with duplicates; DUPLICATE_BOOKING_MODE overrides
+ * the default.
+ */
+function getMode() {
+  const mode = String(process.env.DUPLICATE_BOOKING_MODE || '').trim().toUpperCase();
+  return MODES.includes(mode) ? mode : DEFAULT_MODE;
+}
+
+const normaliseName = (name) => String(name || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+const maskValue = (key, value) =>
+  (key === 'AADHAR' && value ? `XXXXXXXX${String(value).slice(-4)}` : value);
+
+// Values of the duplicate fields of a booking, empty ones left out
+function keysOf(booking) {
+  return FIELDS
+    .map(({ key, path }) => ({ key, value: String(_.get(booking, path) || '').trim() }))
+    .filter(({ value }) => value)
+    .map(({ key, value }) => ({ key, value: key === 'MOBILE' ? value : value.toUpperCase() }));
+}
+
+const summaryOf = (booking) => ({
+  _id: booking._id,
+  bookingNumber: booking.bookingNumber,
+  customerName: booking.customerDetails?.name,
+  model: booking.model,
+  branch: booking.branch || booking.subdealer,
+  status: booking.status,
+  bookedAt: booking.createdAt,
+  link: `/api/v1/bookings/${booking._id}`
+});
+
+/**
+ * Compare one existing booking with the candidate.
+ * @returns {object|null} the match with its severity and reasons
+ */
+function compare(candidate, existing) {
+  const candidateKeys = keysOf(candidate);
+  const existingKeys = new Map(keysOf(existing).map(({ key, value }) => [key, value]));
+  const matchedOn = candidateKeys
+    .filter(({ key, value }) => existingKeys.get(key) === value)
+    .map(({ key }) => key);
+  if (matchedOn.length === 0) return null;
+
+  const sameModel = !!candidate.model && String(candidate.model) === String(existing.model);
+  const nameMismatch = normaliseName(candidate.customerDetails?.name) !== normaliseName(existing.customerDetails?.name);
+  const sameCustomer = matchedOn.some(key => key !== 'EXCHANGE_CHASSIS');
+
+  const reasons = [];
+  if (sameCustomer && sameModel) {
+    reasons.push('Customer already has an active booking for this model');
+  }
+  if (nameMismatch) {
+    matchedOn.filter(key => IDENTITY_FIELDS.includes(key)).forEach(key => {
+      reasons.push(`${FIELDS.find(f => f.key === key).label} is on a booking under the name ${existing.customerDetails?.name}`);
+    });
+  }
+  if (matchedOn.includes('EXCHANGE_CHASSIS')) {
+    reasons.push('Exchange vehicle is already offered on another active booking');
+  }
+  const severity = reasons.length > 0 ? 'HIGH' : 'LOW';
+  if (severity === 'LOW') {
+    reasons.push('Customer has another active booking');
+  }
+
+  return {
+    booking: summaryOf(existing),
+    matchedOn,
+    values: matchedOn.reduce((acc, key) => ({
+      ...acc,
+      [key]: maskValue(key, existingKeys.get(key))
+    }), {}),
+    sameModel,
+    nameMismatch,
+    severity,
+    reasons
+  };
+}
+
+/**
+ * Active bookings sharing the candidate's mobile, PAN, Aadhaar or exchange
+ * chassis number, HIGH severity first.
+ * @param {object} candidate - booking data (customerDetails, exchangeDetails, model)
+ * @param {{excludeId?}} [options] - the candidate's own booking, if saved
+ */
+async function findDuplicates(candidate, { excludeId } = {}) {
+  const conditions = keysOf(candidate).map(({ key, value }) => {
+    const { path } = FIELDS.find(f => f.key === key);
+    // Exchange chassis numbers are stored as typed
+    return key === 'EXCHANGE_CHASSIS'
+      ? { [path]: { $regex: `^${_.escapeRegExp(value)}$`, $options: 'i' } }
+      : { [path]: value };
+  });
+  if (conditions.length === 0) return [];
+
+  const existing = await Booking.find({
+    status: { $nin: TERMINAL_STATES },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    $or: conditions
+  })
+    .select(BOOKING_SELECT)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return existing
+    .map(booking => compare(candidate, booking))
+    .filter(Boolean)
+    .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'HIGH' ? -1 : 1));
+}
+
+/**
+ * Run the duplicate check for a booking about to be created.
+ * @returns {Promise<{mode, blocked: boolean, duplicates: Array}>}
+ */
+async function checkNewBooking(bookingData) {
+  const mode = getMode();
+  if (mode === 'OFF') return { mode, blocked: false, duplicates: [] };
+
+  const duplicates = await findDuplicates(bookingData);
+  return {
+    mode,
+    blocked: mode === 'BLOCK' && duplicates.some(d => d.severity === 'HIGH'),
+    duplicates
+  };
+}
+
+/**
+ * What the booking keeps of the check (Booking.suspectedDuplicates).
+ */
+const toBookingRecords = (duplicates) => duplicates.map(d => ({
+  booking: d.booking._id,
+  bookingNumber: d.booking.bookingNumber,
+  matchedOn: d.matchedOn,
+  severity: d.severity
+}));
+
+/**
+ * Groups of active bookings sharing a mobile, PAN, Aadhaar or exchange
+ * chassis number, HIGH severity and largest first.
+ */
+async function buildReport() {
+  const groups = [];
+
+  for (const { key, path, label } of FIELDS) {
+    // eslint-disable-next-line no-await-in-loop
+    const shared = await Booking.aggregate([
+      { $match: { status: { $nin: TERMINAL_STATES }, [path]: { $exists: true, $nin: [null, ''] } } },
+      { $group: { _id: key === 'MOBILE' ? `$${path}` : { $toUpper: `$${path}` }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    if (shared.length === 0) continue;
+
+    // eslint-disable-next-line no-await-in-loop
+    const bookings = await Booking.find({ _id: { $in: shared.flatMap(s => s.ids) } })
+      .select(BOOKING_SELECT)
+      .lean();
+    const byId = new Map(bookings.map(b => [String(b._id), b]));
+
+    shared.forEach(({ _id: value, ids }) => {
+      const members = ids.map(id => byId.get(String(id))).filter(Boolean)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      const models = new Set(members.map(m => String(m.model)));
+      const names = new Set(members.map(m => normaliseName(m.customerDetails?.name)));
+
+      const sameModel = models.size < members.length;
+      const nameMismatch = names.size > 1;
+      const reasons = [];
+      if (key !== 'EXCHANGE_CHASSIS' && sameModel) reasons.push('Same customer has several active bookings for one model');
+      if (IDENTITY_FIELDS.includes(key) && nameMismatch) reasons.push(`Same ${label} under different names`);
+      if (key === 'EXCHANGE_CHASSIS') reasons.push('Exchange vehicle offered on several active bookings');
+      const severity = reasons.length > 0 ? 'HIGH' : 'LOW';
+      if (severity === 'LOW') reasons.push(`Same ${label} on several active bookings`);
+
+      groups.push({
+        matchedOn: key,
+        value: maskValue(key, value),
+        severity,
+        reasons,
+        sameModel,
+        nameMismatch,
+        bookings: members.map(m => {
+          const { _id, link, ...rest } = summaryOf(m);
+          return { booking: _id, ...rest };
+        })
+      });
+    });
+  }
+
+  return groups.sort((a, b) =>
+    (a.severity === b.severity ? 0 : a.severity === 'HIGH' ? -1 : 1) ||
+    b.bookings.length - a.bookings.length);
+}
+
+const totalsOf = (groups) => ({
+  groups: groups.length,
+  high: groups.filter(g => g.severity === 'HIGH').length,
+  bookings: new Set(groups.flatMap(g => g.bookings.map(b => String(b.booking)))).size
+});
+
+/**
+ * Build and store today's report.
+ */
+async function generateReport({ userId, asOf = new Date() } = {}) {
+  const groups = await buildReport();
+  return DuplicateBookingReport.findOneAndUpdate(
+    { forDate: startOfDay(asOf) },
+    { $set: { groups, totals: totalsOf(groups), generatedAt: new Date(), generatedBy: userId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+}
+
+/**
+ * Most recent stored report, limited to the groups touching the branches.
+ * @param {{branchIds?: ObjectId[]}} filters - all branches when omitted
+ */
+async function latestReport({ branchIds } = {}) {
+  const report = await DuplicateBookingReport.findOne().sort({ forDate: -1 }).lean();
+  if (!report || !branchIds) return report;
+
+  const allowed = new Set(branchIds.map(String));
+  const groups = report.groups.filter(g => g.bookings.some(b => allowed.has(String(b.branch))));
+  return { ...report, groups, totals: totalsOf(groups) };
+}
+
+module.exports = {
+  MODES,
+  getMode,
+  findDuplicates,
+  checkNewBooking,
+  toBookingRecords,
+  buildReport,
+  generateReport,
+  latestReport
+};
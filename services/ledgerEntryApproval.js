@@ -0,0 +1,46 @@
+// services/ledgerEntryApproval.js
+// Approval of a pending Ledger entry, shared by the ledger approve endpoint
+// and approval chains (services/approvalEngine). Approving a booking payment
+// also issues its Receipt and records the payment on the booking.
+
+const Booking = require('../models/Booking');
+const Receipt = require('../models/Receipt');
+
+/**
+ * Approve the entry, then add the payment to its booking's received and
+ * balance amounts with a generated receipt.
+ * @returns {Promise<{entry, receipt: Receipt|null}>}
+ */
+async function approveLedgerEntry(entry, { userId, remark }) {
+  entry.approvalStatus = 'Approved';
+  entry.approvedBy = userId;
+  entry.approvedAt = new Date();
+  if (remark) entry.remark = remark;
+  await entry.save();
+
+  const booking = entry.booking ? await Booking.findById(entry.booking) : null;
+  if (!booking) return { entry, receipt: null };
+
+  booking.receivedAmount += entry.amount;
+  booking.balanceAmount = booking.discountedAmount - booking.receivedAmount;
+
+  const receipt = await Receipt.create({
+    booking: entry.booking,
+    amount: entry.amount,
+    paymentMode: entry.paymentMode,
+    details: entry._id,
+    generatedBy: userId,
+    receiptNumber: `RCPT-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+    subPaymentMode: entry.subPaymentMode
+  });
+
+  booking.receipts.push(receipt._id);
+  booking.ledgerEntries.push(entry._id);
+  await booking.save();
+
+  return { entry, receipt };
+}
+
+module.exports = {
+  approveLedgerEntry
+};
@@ -0,0 +1,306 @@
+// services/purchaseInvoice.js
+// OEM purchase invoices and their goods receipt (GRN). Vehicles are inwarded
+// against an invoice line by chassis number; the line's landed cost and input
+// GST are carried onto the vehicle and the invoice tracks which invoiced
+// chassis have been received.
+
+const mongoose = require('mongoose');
+const PurchaseInvoice = require('../models/PurchaseInvoice');
+const Vehicle = require('../models/vehicleInwardModel');
+const Model = require('../models/ModelModel');
+const AppError = require('../utils/appError');
+
+const RECEIVABLE_STATUSES = ['pending', 'partially_received'];
+
+const normalizeChassis = (chassisNumber) => String(chassisNumber || '').trim().toUpperCase();
+
+/**
+ * Chassis numbers may only be on one active invoice.
+ * @param {string[]} chassisNumbers
+ * @param {ObjectId} [excludeInvoiceId] invoice being edited
+ */
+async function assertChassisNotInvoiced(chassisNumbers, excludeInvoiceId) {
+  const clashes = await PurchaseInvoice.find({
+    status: { $ne: 'cancelled' },
+    'items.chassisNumber': { $in: chassisNumbers },
+    ...(excludeInvoiceId && { _id: { $ne: excludeInvoiceId } })
+  }).select('invoiceNumber items.chassisNumber').lean();
+
+  if (clashes.length) {
+    const wanted = new Set(chassisNumbers);
+    const details = clashes.map(invoice => {
+      const chassis = invoice.items.map(i => i.chassisNumber).filter(c => wanted.has(c));
+      return `${chassis.join(', ')} (invoice ${invoice.invoiceNumber})`;
+    });
+    throw new AppError(`Chassis already invoiced: ${details.join('; ')}`, 409);
+  }
+}
+
+// Fill model names from the model master for lines that reference a model
+async function prepareItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Invoice must have at least one chassis', 400);
+  }
+
+  const modelIds = [...new Set(items.map(i => i.model).filter(Boolean).map(String))];
+  if (modelIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid model ID on invoice line', 400);
+  }
+  const models = await Model.find({ _id: { $in: modelIds } }).select('model_name').lean();
+  const modelById = new Map(models.map(m => [m._id.toString(), m]));
+
+  return items.map(item => {
+    const model = item.model && modelById.get(String(item.model));
+    if (item.model && !model) {
+      throw new AppError(`Model ${item.model} not found`, 404);
+    }
+    return {
+      chassisNumber: normalizeChassis(item.chassisNumber),
+      model: model?._id,
+      modelName: model?.model_name || item.modelName,
+      colorName: item.colorName,
+      taxableValue: item.taxableValue,
+      otherCharges: item.otherCharges,
+      gstRate: item.gstRate
+    };
+  });
+}
+
+async function createInvoice(data, { userId }) {
+  const items = await prepareItems(data.items);
+  await assertChassisNotInvoiced(items.map(i => i.chassisNumber));
+
+  try {
+    return await PurchaseInvoice.create({
+      invoiceNumber: data.invoiceNumber,
+      invoiceDate: data.invoiceDate,
+      supplierName: data.supplierName,
+      supplierGstin: data.supplierGstin,
+      branch: data.branch,
+      dispatchNumber: data.dispatchNumber,
+      truckNumber: data.truckNumber,
+      notes: data.notes,
+      items,
+      createdBy: userId
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(`Invoice ${data.invoiceNumber} of ${data.supplierName} is already recorded`, 409);
+    }
+    throw err;
+  }
+}
+
+const HEADER_FIELDS = [
+  'invoiceNumber', 'invoiceDate', 'supplierName', 'supplierGstin',
+  'branch', 'dispatchNumber', 'truckNumber', 'notes'
+];
+
+// Header and lines can be corrected until the first vehicle is received
+async function updateInvoice(invoice, data, { userId }) {
+  if (invoice.status !== 'pending' || invoice.items.some(item => item.vehicle)) {
+    throw new AppError('Only invoices with no vehicles received can be edited', 400);
+  }
+
+  HEADER_FIELDS.forEach(field => {
+    if (data[field] !== undefined) invoice[field] = data[field];
+  });
+  if (data.items !== undefined) {
+    const items = await prepareItems(data.items);
+    await assertChassisNotInvoiced(items.map(i => i.chassisNumber), invoice._id);
+    invoice.items = items;
+  }
+  invoice.lastUpdatedBy = userId;
+
+  try {
+    return await invoice.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError(`Invoice ${invoice.invoiceNumber} of ${invoice.supplierName} is already recorded`, 409);
+    }
+    throw err;
+  }
+}
+
+async function cancelInvoice(invoice, { userId, reason }) {
+  if (invoice.status === 'cancelled') {
+    throw new AppError('Invoice is already cancelled', 400);
+  }
+  if (invoice.items.some(item => item.vehicle)) {
+    throw new AppError('Invoices with received vehicles cannot be cancelled', 400);
+  }
+  if (!reason) {
+    throw new AppError('Cancellation reason is required', 400);
+  }
+
+  invoice.status = 'cancelled';
+  invoice.cancelledBy = userId;
+  invoice.cancelledAt = new Date();
+  invoice.cancellationReason = reason;
+  return invoice.save();
+}
+
+/**
+ * Invoice vehicles of a branch are inwarded against.
+ * @param {string} invoiceId
+ * @param {ObjectId|string} branchId unload location of the vehicles
+ */
+async function loadReceivableInvoice(invoiceId, branchId) {
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    throw new AppError('Invalid purchase invoice ID format', 400);
+  }
+
+  const invoice = await PurchaseInvoice.findById(invoiceId);
+  if (!invoice) {
+    throw new AppError('No purchase invoice found with that ID', 404);
+  }
+  if (!RECEIVABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError(`Purchase invoice ${invoice.invoiceNumber} is ${invoice.status}`, 400);
+  }
+  if (!invoice.branch.equals(branchId)) {
+    throw new AppError(`Purchase invoice ${invoice.invoiceNumber} is for another branch`, 400);
+  }
+  return invoice;
+}
+
+/**
+ * Invoice line for a chassis being inwarded.
+ * @param {{vehicle?: Vehicle, model?: ObjectId}} [options] vehicle already on record
+ *   for the chassis (re-imports keep their own line) and the model it is inwarded as
+ */
+function findLine(invoice, chassisNumber, { vehicle, model } = {}) {
+  const chassis = normalizeChassis(chassisNumber);
+  const line = invoice.items.find(item => item.chassisNumber === chassis);
+  if (!line) {
+    throw new AppError(`Chassis ${chassis} is not on invoice ${invoice.invoiceNumber}`, 400);
+  }
+  if (vehicle?.purchaseInvoice && !vehicle.purchaseInvoice.equals(invoice._id)) {
+    throw new AppError(`Chassis ${chassis} was inwarded against another purchase invoice`, 409);
+  }
+  if (line.vehicle && !(vehicle && line.vehicle.equals(vehicle._id))) {
+    throw new AppError(`Chassis ${chassis} of invoice ${invoice.invoiceNumber} is already received`, 409);
+  }
+  if (line.model && model && !line.model.equals(model)) {
+    throw new AppError(`Chassis ${chassis} is invoiced as ${line.modelName}`, 400);
+  }
+  return line;
+}
+
+// Vehicle fields taken from the invoice line
+const costFields = (invoice, line) => ({
+  purchaseInvoice: invoice._id,
+  costPrice: line.landedCost,
+  inputGst: line.gstAmount
+});
+
+async function markReceived(invoice, line, vehicleId, { userId }) {
+  const result = await PurchaseInvoice.updateOne(
+    {
+      _id: invoice._id,
+      items: { $elemMatch: { _id: line._id, $or: [{ vehicle: null }, { vehicle: vehicleId }] } }
+    },
+    {
+      $set: {
+        'items.$.vehicle': vehicleId,
+        'items.$.receivedAt': new Date(),
+        'items.$.receivedBy': userId
+      }
+    }
+  );
+  if (result.matchedCount === 0) {
+    throw new AppError(`Chassis ${line.chassisNumber} of invoice ${invoice.invoiceNumber} is already received`, 409);
+  }
+  line.vehicle = vehicleId;
+}
+
+// Recompute the receipt status from the invoice lines
+async function syncStatus(invoiceId) {
+  const invoice = await PurchaseInvoice.findById(invoiceId).select('invoiceNumber status items.vehicle').lean();
+  if (!invoice) return null;
+
+  const received = invoice.items.filter(item => item.vehicle).length;
+  let { status } = invoice;
+  if (status !== 'cancelled') {
+    status = 'partially_received';
+    if (received === 0) status = 'pending';
+    if (received === invoice.items.length) status = 'received';
+    if (status !== invoice.status) {
+      await PurchaseInvoice.updateOne({ _id: invoiceId }, { $set: { status } });
+    }
+  }
+
+  return { invoiceNumber: invoice.invoiceNumber, status, invoiced: invoice.items.length, received };
+}
+
+// A deleted vehicle frees its invoice line to be inwarded again
+async function releaseVehicle(vehicle) {
+  if (!vehicle.purchaseInvoice) return;
+  await PurchaseInvoice.updateOne(
+    { _id: vehicle.purchaseInvoice, 'items.vehicle': vehicle._id },
+    { $unset: { 'items.$.vehicle': 1, 'items.$.receivedAt': 1, 'items.$.receivedBy': 1 } }
+  );
+  await syncStatus(vehicle.purchaseInvoice);
+}
+
+/**
+ * Received vs invoiced chassis. Pending chassis that already exist as vehicles
+ * were inwarded without the invoice; re-importing them with the invoice links them.
+ * @returns {Promise<{summary, received, pending, inwardedWithoutInvoice}>}
+ */
+async function reconcile(invoice) {
+  const received = invoice.items.filter(item => item.vehicle);
+  const pending = invoice.items.filter(item => !item.vehicle);
+
+  const unlinked = pending.length
+    ? await Vehicle.find({
+      chassisNumber: { $in: pending.map(item => item.chassisNumber) },
+      purchaseInvoice: { $exists: false }
+    }).select('chassisNumber unloadLocation status').lean()
+    : [];
+
+  const sum = (lines, field) => Math.round(lines.reduce((total, line) => total + (line[field] || 0), 0) * 100) / 100;
+
+  return {
+    summary: {
+      invoiced: invoice.items.length,
+      received: received.length,
+      pending: pending.length,
+      inwardedWithoutInvoice: unlinked.length,
+      receivedCost: sum(received, 'landedCost'),
+      pendingCost: sum(pending, 'landedCost')
+    },
+    received: received.map(item => ({
+      chassisNumber: item.chassisNumber,
+      modelName: item.modelName,
+      vehicle: item.vehicle,
+      landedCost: item.landedCost,
+      receivedAt: item.receivedAt
+    })),
+    pending: pending.map(item => ({
+      chassisNumber: item.chassisNumber,
+      modelName: item.modelName,
+      colorName: item.colorName,
+      landedCost: item.landedCost
+    })),
+    inwardedWithoutInvoice: unlinked.map(vehicle => ({
+      chassisNumber: vehicle.chassisNumber,
+      vehicle: vehicle._id,
+      branch: vehicle.unloadLocation,
+      status: vehicle.status
+    }))
+  };
+}
+
+module.exports = {
+  RECEIVABLE_STATUSES,
+  createInvoice,
+  updateInvoice,
+  cancelInvoice,
+  loadReceivableInvoice,
+  findLine,
+  costFields,
+  markReceived,
+  syncStatus,
+  releaseVehicle,
+  reconcile
+};
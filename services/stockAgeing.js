@@ -0,0 +1,261 @@
+// services/stockAgeing.js
+// Stock ageing and valuation. Unsold vehicles are grouped per branch, model
+// and color and bucketed by days since inward; vehicles dispatched on a stock
+// transfer that has not been received yet are reported in a separate
+// IN_TRANSIT bucket against the destination branch. Every unit is valued at
+// the model's ex-showroom price for that branch; totals also carry the landed
+// cost of vehicles inwarded against a purchase invoice. A report as of a past
+// date takes each vehicle's status and branch at that date from its movement
+// log (services/vehicleMovement).
+
+const mongoose = require('mongoose');
+const Vehicle = require('../models/vehicleInwardModel');
+const Model = require('../models/ModelModel');
+const Header = require('../models/HeaderModel');
+const Branch = require('../models/Branch');
+const stockTransferLifecycle = require('./stockTransferLifecycle');
+const vehicleMovement = require('./vehicleMovement');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGEING_BUCKETS = [
+  { key: '0-30', label: '0-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: Infinity }
+];
+
+const IN_TRANSIT_BUCKET = { key: 'IN_TRANSIT', label: 'In transit' };
+
+const BUCKETS = [...AGEING_BUCKETS, IN_TRANSIT_BUCKET];
+
+// Everything that has not been sold is still stock
+const STOCK_STATUSES = ['not_approved', 'in_stock', 'in_transit', 'service', 'damaged'];
+
+const bucketForAge = (ageDays) => AGEING_BUCKETS.find(b => ageDays <= b.maxDays).key;
+
+const emptyBuckets = () =>
+  BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: { count: 0, value: 0 } }), {});
+
+const isExShowroomHeader = (h) =>
+  h.header_key?.toLowerCase().includes('ex-showroom') ||
+  h.category_key?.toLowerCase().includes('ex-showroom');
+
+/**
+ * Ex-showroom price lookup per model. A branch specific price wins over a
+ * price configured for another branch.
+ * @returns {Promise<{priceFor: (modelId, branchId) => number|null, modelName: (modelId) => string}>}
+ */
+async function loadPriceLookup(modelIds) {
+  const headers = await Header.find().select('header_key category_key').lean();
+  const headerIds = new Set(headers.filter(isExShowroomHeader).map(h => h._id.toString()));
+
+  const models = await Model.find({ _id: { $in: modelIds } })
+    .select('model_name prices')
+    .lean();
+
+  const prices = new Map();
+  const names = new Map();
+  models.forEach(model => {
+    names.set(model._id.toString(), model.model_name);
+    prices.set(
+      model._id.toString(),
+      (model.prices || []).filter(p => p.header_id && headerIds.has(p.header_id.toString()) && !p.subdealer_id)
+    );
+  });
+
+  const priceFor = (modelId, branchId) => {
+    const modelPrices = modelId && prices.get(modelId.toString());
+    if (!modelPrices || modelPrices.length === 0) return null;
+    const branchPrice = branchId && modelPrices.find(p => p.branch_id && p.branch_id.equals(branchId));
+    return (branchPrice || modelPrices[0]).value;
+  };
+
+  return { priceFor, modelName: (modelId) => modelId && names.get(modelId.toString()) };
+}
+
+const VEHICLE_SELECT = 'model modelName color type unloadLocation costPrice createdAt';
+
+const ageBucket = (vehicle, asOf) =>
+  bucketForAge(Math.max(0, Math.floor((asOf - new Date(vehicle.createdAt)) / DAY_MS)));
+
+// Units of the current stock
+async function currentUnits({ branchIds, vehicleFilter, asOf }) {
+  // Dispatched vehicles not received yet count against the destination branch only
+  const onTransfer = await stockTransferLifecycle.vehiclesOnOpenTransfers({ inTransitOnly: true });
+  const transitBranch = new Map();
+  onTransfer.forEach(({ toBranch }, vehicleId) => {
+    if (!branchIds || branchIds.some(id => id.equals(toBranch))) {
+      transitBranch.set(vehicleId, toBranch);
+    }
+  });
+
+  const toObjectIds = (ids) => [...ids].map(id => new mongoose.Types.ObjectId(id));
+  const transitIds = toObjectIds(transitBranch.keys());
+  const [stockVehicles, transitVehicles] = await Promise.all([
+    Vehicle.find({
+      ...vehicleFilter,
+      status: { $in: STOCK_STATUSES },
+      ...(branchIds && { unloadLocation: { $in: branchIds } }),
+      _id: { $nin: toObjectIds(onTransfer.keys()) }
+    }).select(VEHICLE_SELECT).lean(),
+    transitIds.length
+      ? Vehicle.find({ ...vehicleFilter, _id: { $in: transitIds } }).select(VEHICLE_SELECT).lean()
+      : []
+  ]);
+
+  return [
+    ...stockVehicles.map(vehicle => ({
+      vehicle,
+      branch: vehicle.unloadLocation,
+      bucket: ageBucket(vehicle, asOf)
+    })),
+    ...transitVehicles.map(vehicle => ({
+      vehicle,
+      branch: transitBranch.get(vehicle._id.toString()),
+      bucket: IN_TRANSIT_BUCKET.key
+    }))
+  ];
+}
+
+/**
+ * Units of the stock at a past date. Each vehicle inwarded by then is taken
+ * in the state of its last movement up to that date; a vehicle without one
+ * (inwarded before the log existed) is taken in its current state and
+ * counted in `unloggedUnits`.
+ */
+async function historicalUnits({ branchIds, vehicleFilter, asOf }) {
+  const vehicles = await Vehicle.find({ ...vehicleFilter, createdAt: { $lte: asOf } })
+    .select(`${VEHICLE_SELECT} status`)
+    .lean();
+  const states = await vehicleMovement.stateAsOf(asOf, vehicles.map(v => v._id));
+
+  const inScope = (branch) => !branchIds || (branch && branchIds.some(id => id.equals(branch)));
+  const units = [];
+  let unloggedUnits = 0;
+  vehicles.forEach(vehicle => {
+    const state = states.get(vehicle._id.toString());
+    const status = state ? state.status : vehicle.status;
+    if (!STOCK_STATUSES.includes(status)) return;
+
+    // In transit vehicles count against the destination of their transfer when known
+    const inTransit = status === 'in_transit';
+    const branch = (inTransit && state?.toBranch) || (state ? state.branch : vehicle.unloadLocation);
+    if (!inScope(branch)) return;
+
+    if (!state) unloggedUnits += 1;
+    units.push({
+      vehicle,
+      branch,
+      bucket: inTransit ? IN_TRANSIT_BUCKET.key : ageBucket(vehicle, asOf)
+    });
+  });
+  return { units, unloggedUnits };
+}
+
+/**
+ * Build the stock ageing report.
+ * @param {{branchIds?: ObjectId[], type?: string, model?: string, asOf?: Date, historical?: boolean}} filters
+ *   branchIds restricts the report to those branches; all branches otherwise.
+ *   historical rebuilds the stock as of `asOf` from the vehicle movement log
+ * @returns {Promise<{asOf, historical, buckets, rows, branches, totals, unpricedUnits, uncostedUnits, unloggedUnits?}>}
+ */
+async function buildStockAgeingReport({ branchIds, type, model, asOf = new Date(), historical = false } = {}) {
+  const vehicleFilter = {};
+  if (type) vehicleFilter.type = type;
+  if (model) vehicleFilter.model = new mongoose.Types.ObjectId(model);
+
+  let units;
+  let unloggedUnits;
+  if (historical) {
+    ({ units, unloggedUnits } = await historicalUnits({ branchIds, vehicleFilter, asOf }));
+  } else {
+    units = await currentUnits({ branchIds, vehicleFilter, asOf });
+  }
+
+  const modelIds = [...new Set(units.map(u => u.vehicle.model).filter(Boolean).map(String))];
+  const branchIdsInReport = [...new Set(units.map(u => u.branch).filter(Boolean).map(String))];
+  const [{ priceFor, modelName }, branchDocs] = await Promise.all([
+    loadPriceLookup(modelIds),
+    Branch.find({ _id: { $in: branchIdsInReport } }).select('name city').lean()
+  ]);
+  const branchById = new Map(branchDocs.map(b => [b._id.toString(), b]));
+
+  const rowsByKey = new Map();
+  const branchesByKey = new Map();
+  const emptyTotal = () => ({ count: 0, value: 0, cost: 0 });
+  const totals = { buckets: emptyBuckets(), total: emptyTotal() };
+  let unpricedUnits = 0;
+  let uncostedUnits = 0;
+
+  const add = (target, bucket, price, cost) => {
+    target.buckets[bucket].count += 1;
+    target.buckets[bucket].value += price || 0;
+    target.total.count += 1;
+    target.total.value += price || 0;
+    target.total.cost += cost || 0;
+  };
+
+  units.forEach(({ vehicle, branch, bucket }) => {
+    const branchKey = branch ? branch.toString() : 'unassigned';
+    const branchDoc = branchById.get(branchKey);
+    const color = vehicle.color?.name || 'N/A';
+    const price = priceFor(vehicle.model, branch);
+    if (price === null) unpricedUnits += 1;
+    if (vehicle.costPrice == null) uncostedUnits += 1;
+
+    const rowKey = `${branchKey}|${vehicle.model || vehicle.modelName}|${color}`;
+    if (!rowsByKey.has(rowKey)) {
+      rowsByKey.set(rowKey, {
+        branchId: branch || null,
+        branchName: branchDoc?.name || 'Unknown Location',
+        modelId: vehicle.model || null,
+        modelName: modelName(vehicle.model) || vehicle.modelName || 'Unknown Model',
+        type: vehicle.type,
+        color,
+        unitPrice: price,
+        buckets: emptyBuckets(),
+        total: emptyTotal()
+      });
+    }
+    add(rowsByKey.get(rowKey), bucket, price, vehicle.costPrice);
+
+    if (!branchesByKey.has(branchKey)) {
+      branchesByKey.set(branchKey, {
+        branchId: branch || null,
+        branchName: branchDoc?.name || 'Unknown Location',
+        branchCity: branchDoc?.city,
+        buckets: emptyBuckets(),
+        total: emptyTotal()
+      });
+    }
+    add(branchesByKey.get(branchKey), bucket, price, vehicle.costPrice);
+    add(totals, bucket, price, vehicle.costPrice);
+  });
+
+  const byName = (a, b) =>
+    a.branchName.localeCompare(b.branchName) ||
+    (a.modelName || '').localeCompare(b.modelName || '') ||
+    (a.color || '').localeCompare(b.color || '');
+
+  return {
+    asOf,
+    historical,
+    buckets: BUCKETS.map(({ key, label }) => ({ key, label })),
+    rows: [...rowsByKey.values()].sort(byName),
+    branches: [...branchesByKey.values()].sort(byName),
+    totals,
+    unpricedUnits,
+    uncostedUnits,
+    unloggedUnits
+  };
+}
+
+module.exports = {
+  AGEING_BUCKETS,
+  IN_TRANSIT_BUCKET,
+  BUCKETS,
+  STOCK_STATUSES,
+  bucketForAge,
+  buildStockAgeingReport
+};
@@ -0,0 +1,310 @@
+// services/stockAudit.js
+// Physical stock audits (cycle counts). Starting an audit snapshots the
+// vehicles the system expects in the branch yard; staff then scan what is
+// physically there. Each scan is classified against the snapshot and the
+// reconciliation reports missing, unexpected (registered at another branch),
+// wrong-status and unknown vehicles. Sign-off can apply bulk corrections and
+// produces the audit report PDF from templates/stockAuditReport.html.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/vehicleInwardModel');
+const StockAudit = require('../models/StockAudit');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { generateStockAuditReportPDF } = require('../utils/pdfGenerator');
+const { findScannedVehicle } = require('./vehicleScan');
+const stockTransferLifecycle = require('./stockTransferLifecycle');
+const vehicleMovement = require('./vehicleMovement');
+
+const REPORT_DIR = path.join(__dirname, '../uploads/stock-audits');
+
+// in_transit and sold vehicles are not expected to be in the yard
+const EXPECTED_STATUSES = ['not_approved', 'in_stock', 'service', 'damaged'];
+
+// Statuses a sign-off correction may set
+const CORRECTABLE_STATUSES = ['in_stock', 'service', 'damaged'];
+
+const assertStatus = (audit, status, action) => {
+  if (audit.status !== status) {
+    throw new AppError(`Cannot ${action} an audit that is ${audit.status}`, 400);
+  }
+};
+
+async function startAudit(branchId, { userId, notes }) {
+  if (await StockAudit.exists({ branch: branchId, status: 'in_progress' })) {
+    throw new AppError('An audit is already in progress for this branch', 409);
+  }
+
+  const vehicles = await Vehicle.find({
+    unloadLocation: branchId,
+    status: { $in: EXPECTED_STATUSES }
+  }).select('chassisNumber modelName color status').lean();
+
+  try {
+    return await StockAudit.create({
+      branch: branchId,
+      notes,
+      startedBy: userId,
+      expected: vehicles.map(v => ({
+        vehicle: v._id,
+        chassisNumber: v.chassisNumber,
+        modelName: v.modelName,
+        color: v.color?.name,
+        status: v.status
+      }))
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError('An audit is already in progress for this branch', 409);
+    }
+    throw err;
+  }
+}
+
+const classify = (audit, vehicle) => {
+  if (!vehicle) return 'UNKNOWN';
+  if (audit.expected.some(e => e.vehicle.equals(vehicle._id))) return 'MATCHED';
+  if (vehicle.unloadLocation && vehicle.unloadLocation.equals(audit.branch)) {
+    // Registered here after the audit started, or its status says it has left the yard
+    return EXPECTED_STATUSES.includes(vehicle.status) ? 'MATCHED' : 'WRONG_STATUS';
+  }
+  return 'UNEXPECTED';
+};
+
+/**
+ * Record one scanned vehicle. Scanning the same vehicle (or unknown code)
+ * twice returns the first scan with duplicate: true.
+ * @returns {Promise<{scan, duplicate: boolean}>}
+ */
+async function recordScan(audit, { qrCode, chassisNumber, note }, { userId }) {
+  assertStatus(audit, 'in_progress', 'scan into');
+
+  const { vehicle, code, method } = await findScannedVehicle({ qrCode, chassisNumber });
+  const sameScan = (s) => (vehicle ? s.vehicle && s.vehicle.equals(vehicle._id) : !s.vehicle && s.code === code);
+
+  const existing = audit.scans.find(sameScan);
+  if (existing) {
+    return { scan: existing, duplicate: true };
+  }
+
+  const scan = {
+    vehicle: vehicle?._id,
+    code,
+    chassisNumber: vehicle?.chassisNumber || (method === 'MANUAL' ? code : undefined),
+    method,
+    result: classify(audit, vehicle),
+    vehicleBranch: vehicle?.unloadLocation,
+    vehicleStatus: vehicle?.status,
+    note,
+    scannedBy: userId,
+    scannedAt: new Date()
+  };
+
+  // Several people scan the same yard at once, so push atomically instead of saving the document
+  const guard = vehicle
+    ? { 'scans.vehicle': { $ne: vehicle._id } }
+    : { $nor: [{ scans: { $elemMatch: { vehicle: null, code } } }] };
+  const result = await StockAudit.updateOne(
+    { _id: audit._id, status: 'in_progress', ...guard },
+    { $push: { scans: scan } }
+  );
+
+  if (result.modifiedCount === 0) {
+    const fresh = await StockAudit.findById(audit._id);
+    assertStatus(fresh, 'in_progress', 'scan into');
+    return { scan: fresh.scans.find(sameScan), duplicate: true };
+  }
+  return { scan, duplicate: false };
+}
+
+/**
+ * Expected vs found for the audit.
+ * @returns {{summary, matched, missing, unexpected, wrongStatus, unknown}}
+ */
+function reconcile(audit) {
+  const scanned = new Set(audit.scans.filter(s => s.vehicle).map(s => s.vehicle.toString()));
+  const byResult = (result) => audit.scans.filter(s => s.result === result);
+
+  const report = {
+    matched: byResult('MATCHED'),
+    missing: audit.expected.filter(e => !scanned.has(e.vehicle.toString())),
+    unexpected: byResult('UNEXPECTED'),
+    wrongStatus: byResult('WRONG_STATUS'),
+    unknown: byResult('UNKNOWN')
+  };
+
+  return {
+    summary: {
+      expected: audit.expected.length,
+      matched: report.matched.length,
+      missing: report.missing.length,
+      unexpected: report.unexpected.length,
+      wrongStatus: report.wrongStatus.length,
+      unknown: report.unknown.length
+    },
+    ...report
+  };
+}
+
+// Stop scanning and freeze the reconciliation summary
+async function completeAudit(audit, { userId }) {
+  assertStatus(audit, 'in_progress', 'complete');
+  audit.summary = reconcile(audit).summary;
+  audit.status = 'completed';
+  audit.completedBy = userId;
+  audit.completedAt = new Date();
+  return audit.save();
+}
+
+async function cancelAudit(audit, { userId }) {
+  assertStatus(audit, 'in_progress', 'cancel');
+  audit.status = 'cancelled';
+  audit.cancelledBy = userId;
+  audit.cancelledAt = new Date();
+  return audit.save();
+}
+
+/**
+ * Validate the requested corrections against the audit discrepancies.
+ * MOVE_TO_BRANCH re-registers an unexpected vehicle at the audited branch,
+ * SET_STATUS fixes the status of any vehicle with a discrepancy.
+ */
+async function planCorrections(audit, corrections) {
+  const { missing, unexpected, wrongStatus } = reconcile(audit);
+  const discrepancies = new Map();
+  missing.forEach(e => discrepancies.set(e.vehicle.toString(), 'missing'));
+  unexpected.forEach(s => discrepancies.set(s.vehicle.toString(), 'unexpected'));
+  wrongStatus.forEach(s => discrepancies.set(s.vehicle.toString(), 'wrongStatus'));
+
+  const vehicleIds = corrections.map(c => String(c.vehicle));
+  if (vehicleIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Every correction needs a valid vehicle ID', 400);
+  }
+  if (new Set(vehicleIds).size !== vehicleIds.length) {
+    throw new AppError('Only one correction per vehicle is allowed', 400);
+  }
+
+  const [vehicles, onTransfer] = await Promise.all([
+    Vehicle.find({ _id: { $in: vehicleIds } }).select('chassisNumber unloadLocation status'),
+    stockTransferLifecycle.vehiclesOnOpenTransfers()
+  ]);
+  const vehicleById = new Map(vehicles.map(v => [v._id.toString(), v]));
+
+  return corrections.map(({ vehicle: vehicleId, action, status }) => {
+    const vehicle = vehicleById.get(String(vehicleId));
+    const kind = discrepancies.get(String(vehicleId));
+    if (!vehicle || !kind) {
+      throw new AppError(`Vehicle ${vehicleId} is not a discrepancy of this audit`, 400);
+    }
+
+    if (action === 'MOVE_TO_BRANCH') {
+      if (kind !== 'unexpected') {
+        throw new AppError(`${vehicle.chassisNumber}: only unexpected vehicles can be moved to the audited branch`, 400);
+      }
+      if (onTransfer.has(vehicle._id.toString())) {
+        throw new AppError(`${vehicle.chassisNumber} is on an open stock transfer`, 409);
+      }
+      return {
+        vehicle,
+        update: { unloadLocation: audit.branch },
+        entry: { action, from: String(vehicle.unloadLocation), to: String(audit.branch) }
+      };
+    }
+
+    if (action === 'SET_STATUS') {
+      if (!CORRECTABLE_STATUSES.includes(status)) {
+        throw new AppError(`${vehicle.chassisNumber}: status must be one of ${CORRECTABLE_STATUSES.join(', ')}`, 400);
+      }
+      return {
+        vehicle,
+        update: { status },
+        entry: { action, from: vehicle.status, to: status }
+      };
+    }
+
+    throw new AppError(`Unknown correction action ${action}`, 400);
+  });
+}
+
+/**
+ * Sign off a completed audit, applying the optional corrections first. The
+ * report PDF is generated afterwards; a failure only leaves it to be
+ * regenerated on download.
+ * @param {{userId, remarks?: string, corrections?: Array<{vehicle, action, status?}>}} options
+ */
+async function signOffAudit(audit, { userId, remarks, corrections = [] }) {
+  assertStatus(audit, 'completed', 'sign off');
+
+  const plan = await planCorrections(audit, corrections);
+  for (const { vehicle, update, entry } of plan) {
+    // eslint-disable-next-line no-await-in-loop
+    await Vehicle.updateOne({ _id: vehicle._id }, { $set: { ...update, lastUpdatedBy: userId } });
+    // eslint-disable-next-line no-await-in-loop
+    await vehicleMovement.recordChange(
+      { status: vehicle.status, branch: vehicle.unloadLocation },
+      { _id: vehicle._id, chassisNumber: vehicle.chassisNumber, status: vehicle.status, unloadLocation: vehicle.unloadLocation, ...update },
+      {
+        userId,
+        source: { kind: 'StockAudit', id: audit._id, reference: audit.auditNumber },
+        note: `Stock audit correction ${entry.action}`
+      }
+    );
+    audit.corrections.push({
+      vehicle: vehicle._id,
+      chassisNumber: vehicle.chassisNumber,
+      ...entry,
+      appliedBy: userId
+    });
+  }
+
+  audit.status = 'signed_off';
+  audit.signedOffBy = userId;
+  audit.signedOffAt = new Date();
+  audit.signOffRemarks = remarks;
+  await audit.save();
+
+  return generateReport(audit);
+}
+
+async function generateReport(audit) {
+  await audit.populate([
+    { path: 'branch', select: 'name address city' },
+    { path: 'startedBy', select: 'name' },
+    { path: 'signedOffBy', select: 'name' },
+    { path: 'scans.vehicleBranch', select: 'name' }
+  ]);
+
+  if (!fs.existsSync(REPORT_DIR)) {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+  }
+
+  const fileName = `stock_audit_${audit.auditNumber}.pdf`;
+  try {
+    const data = audit.toObject({ virtuals: false });
+    await generateStockAuditReportPDF(
+      { ...data, reconciliation: reconcile(data) },
+      path.join(REPORT_DIR, fileName)
+    );
+    audit.report = { path: `/uploads/stock-audits/${fileName}`, generatedAt: new Date() };
+  } catch (err) {
+    logger.error(`Stock audit report for ${audit.auditNumber} not generated: ${err.message}`);
+  }
+
+  audit.depopulate();
+  await audit.save();
+  return audit;
+}
+
+module.exports = {
+  EXPECTED_STATUSES,
+  CORRECTABLE_STATUSES,
+  startAudit,
+  recordScan,
+  reconcile,
+  completeAudit,
+  cancelAudit,
+  signOffAudit,
+  generateReport
+};
@@ -0,0 +1,165 @@
+// services/stockReorder.js
+// Minimum / target stock levels and OEM reorder (indent) suggestions. The
+// available stock of a model/color at a branch is its in_stock vehicles not
+// allocated to a booking yet, less the open bookings still waiting for a
+// chassis. Below the minimum the suggestion orders up to the target.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const Booking = require('../models/Booking');
+const StockLevel = require('../models/StockLevel');
+const ReorderSuggestion = require('../models/ReorderSuggestion');
+const { startOfDay, branchMatch } = require('../utils/queryHelpers');
+const bookingStateMachine = require('./bookingStateMachine');
+
+const { BOOKING_STATUS, TERMINAL_STATES } = bookingStateMachine;
+
+const keyOf = (branch, model, color) => `${branch}:${model}:${color}`;
+
+// Free in_stock vehicles per branch/model/color
+async function countInStock(branchIds) {
+  const allocated = await Booking.distinct('chassisNumber', {
+    ...branchMatch('branch', branchIds),
+    chassisNumber: { $exists: true, $nin: [null, ''] },
+    status: { $nin: [BOOKING_STATUS.CANCELLED, BOOKING_STATUS.REJECTED] }
+  });
+
+  const groups = await Vehicle.aggregate([
+    {
+      $match: {
+        ...branchMatch('unloadLocation', branchIds),
+        status: 'in_stock',
+        isDemo: { $ne: true },
+        delivery: { $exists: false },
+        chassisNumber: { $nin: allocated }
+      }
+    },
+    { $group: { _id: { branch: '$unloadLocation', model: '$model', color: '$color.id' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(g => [keyOf(g._id.branch, g._id.model, g._id.color), g.count]));
+}
+
+// Open bookings without a chassis per branch/model/color
+async function countAwaitingAllocation(branchIds) {
+  const groups = await Booking.aggregate([
+    {
+      $match: {
+        ...branchMatch('branch', branchIds),
+        status: { $nin: TERMINAL_STATES },
+        $or: [{ chassisNumber: { $exists: false } }, { chassisNumber: null }, { chassisNumber: '' }]
+      }
+    },
+    { $group: { _id: { branch: '$branch', model: '$model', color: '$color' }, count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(g => [keyOf(g._id.branch, g._id.model, g._id.color), g.count]));
+}
+
+/**
+ * Compare every configured stock level with the current stock.
+ * @param {{branchIds?: ObjectId[]}} filters - all branches when omitted
+ * @returns {Promise<Array<{branch, lines, totals}>>} one entry per branch with stock levels
+ */
+async function buildSuggestions({ branchIds } = {}) {
+  const [levels, inStock, awaiting] = await Promise.all([
+    StockLevel.find(branchMatch('branch', branchIds))
+      .populate('model', 'model_name')
+      .populate('color', 'name')
+      .lean(),
+    countInStock(branchIds),
+    countAwaitingAllocation(branchIds)
+  ]);
+
+  const byBranch = new Map();
+  levels.forEach(level => {
+    // Levels of a deleted model or color are skipped
+    if (!level.model || !level.color) return;
+
+    const key = keyOf(level.branch, level.model._id, level.color._id);
+    const stock = inStock.get(key) || 0;
+    const waiting = awaiting.get(key) || 0;
+    const available = stock - waiting;
+    const belowMinimum = available < level.minimumStock;
+
+    const branchId = level.branch.toString();
+    if (!byBranch.has(branchId)) byBranch.set(branchId, { branch: level.branch, lines: [] });
+    byBranch.get(branchId).lines.push({
+      model: level.model._id,
+      modelName: level.model.model_name,
+      color: level.color._id,
+      colorName: level.color.name,
+      minimumStock: level.minimumStock,
+      targetStock: level.targetStock,
+      inStock: stock,
+      awaitingAllocation: waiting,
+      available,
+      belowMinimum,
+      suggestedQuantity: belowMinimum ? level.targetStock - available : 0
+    });
+  });
+
+  return [...byBranch.values()].map(({ branch, lines }) => {
+    lines.sort((a, b) =>
+      Number(b.belowMinimum) - Number(a.belowMinimum) ||
+      a.modelName.localeCompare(b.modelName) ||
+      a.colorName.localeCompare(b.colorName));
+    return {
+      branch,
+      lines,
+      totals: {
+        levels: lines.length,
+        belowMinimum: lines.filter(l => l.belowMinimum).length,
+        suggestedQuantity: lines.reduce((sum, l) => sum + l.suggestedQuantity, 0)
+      }
+    };
+  });
+}
+
+/**
+ * Store today's suggestion of every branch, replacing one generated earlier the same day.
+ * @param {{branchIds?: ObjectId[], userId?: ObjectId, asOf?: Date}} options - userId is
+ *   empty for the daily job
+ */
+async function generateSuggestions({ branchIds, userId, asOf = new Date() } = {}) {
+  const suggestions = await buildSuggestions({ branchIds });
+  const forDate = startOfDay(asOf);
+
+  return Promise.all(suggestions.map(({ branch, lines, totals }) =>
+    ReorderSuggestion.findOneAndUpdate(
+      { branch, forDate },
+      { $set: { lines, totals, generatedAt: new Date(), generatedBy: userId } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    )));
+}
+
+// Most recent stored suggestion of each branch
+async function latestSuggestions({ branchIds } = {}) {
+  const latest = await ReorderSuggestion.aggregate([
+    { $match: branchMatch('branch', branchIds) },
+    { $sort: { forDate: -1 } },
+    { $group: { _id: '$branch', id: { $first: '$_id' } } }
+  ]);
+  return ReorderSuggestion.find({ _id: { $in: latest.map(l => l.id) } })
+    .populate('branchDetails')
+    .sort({ branch: 1 });
+}
+
+/**
+ * Live low-stock list: lines below their minimum, largest shortfall first.
+ * @returns {Promise<Array>} lines with branch and shortfall
+ */
+async function lowStockAlerts({ branchIds } = {}) {
+  const suggestions = await buildSuggestions({ branchIds });
+  return suggestions
+    .flatMap(({ branch, lines }) => lines
+      .filter(line => line.belowMinimum)
+      .map(line => ({ branch, ...line, shortfall: line.minimumStock - line.available })))
+    .sort((a, b) => b.shortfall - a.shortfall);
+}
+
+module.exports = {
+  keyOf,
+  countInStock,
+  buildSuggestions,
+  generateSuggestions,
+  latestSuggestions,
+  lowStockAlerts
+};
@@ -0,0 +1,429 @@
+// services/stockTransferLifecycle.js
+// Stock transfer lifecycle:
+//   requested -> approved -> dispatched -> in_transit -> partially_received -> received
+// A requested transfer can be rejected and a transfer with nothing received yet
+// can be cancelled. Vehicles stay at the source branch (marked in_transit once
+// dispatched) until the receiving branch scans them in; only a confirmed
+// receipt moves Vehicle.unloadLocation to the destination branch.
+
+const mongoose = require('mongoose');
+const Vehicle = require('../models/vehicleInwardModel');
+const StockTransfer = require('../models/stockTransferModel');
+const Branch = require('../models/Branch');
+const AppError = require('../utils/appError');
+const { findScannedVehicle } = require('./vehicleScan');
+const damageClaim = require('./damageClaim');
+const yardLocation = require('./yardLocation');
+const vehicleMovement = require('./vehicleMovement');
+
+const TRANSFER_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  DISPATCHED: 'dispatched',
+  IN_TRANSIT: 'in_transit',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  IN_TRANSIT: 'in_transit',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Transfers created before this lifecycle used 'in_stock' for "not received yet"
+const LEGACY_PENDING = 'in_stock';
+
+const OPEN_STATUSES = [
+  TRANSFER_STATUS.REQUESTED,
+  TRANSFER_STATUS.APPROVED,
+  TRANSFER_STATUS.DISPATCHED,
+  TRANSFER_STATUS.IN_TRANSIT,
+  TRANSFER_STATUS.PARTIALLY_RECEIVED,
+  LEGACY_PENDING
+];
+
+const RECEIVABLE_STATUSES = [
+  TRANSFER_STATUS.DISPATCHED,
+  TRANSFER_STATUS.IN_TRANSIT,
+  TRANSFER_STATUS.PARTIALLY_RECEIVED
+];
+
+const TRANSITIONS = {
+  approve: { from: [TRANSFER_STATUS.REQUESTED], to: TRANSFER_STATUS.APPROVED },
+  reject: { from: [TRANSFER_STATUS.REQUESTED], to: TRANSFER_STATUS.REJECTED },
+  dispatch: { from: [TRANSFER_STATUS.APPROVED], to: TRANSFER_STATUS.DISPATCHED },
+  markInTransit: { from: [TRANSFER_STATUS.DISPATCHED], to: TRANSFER_STATUS.IN_TRANSIT },
+  cancel: {
+    from: [
+      TRANSFER_STATUS.REQUESTED,
+      TRANSFER_STATUS.APPROVED,
+      TRANSFER_STATUS.DISPATCHED,
+      TRANSFER_STATUS.IN_TRANSIT
+    ],
+    to: TRANSFER_STATUS.CANCELLED
+  }
+};
+
+const assertTransition = (transfer, action) => {
+  if (!TRANSITIONS[action].from.includes(transfer.status)) {
+    throw new AppError(`Cannot ${action.replace(/([A-Z])/g, ' $1').toLowerCase()} a transfer that is ${transfer.status}`, 400);
+  }
+};
+
+const setStatus = (transfer, status, userId, note) => {
+  transfer.status = status;
+  transfer.statusHistory.push({ status, changedBy: userId, note });
+};
+
+const saveTransfer = async (transfer) => {
+  try {
+    return await transfer.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.VersionError) {
+      throw new AppError('Transfer was updated by someone else, please reload and retry', 409);
+    }
+    throw err;
+  }
+};
+
+// Source of the vehicle movements a transfer causes
+const transferSource = (transfer) => ({ kind: 'StockTransfer', id: transfer._id, reference: transfer.trackingNumber });
+
+/**
+ * Vehicles on transfers that are still open, keyed by vehicle id.
+ * @param {{inTransitOnly?: boolean}} options - only vehicles that have left the source branch
+ * @returns {Promise<Map<string, {transferId, fromBranch, toBranch, status}>>}
+ */
+async function vehiclesOnOpenTransfers({ inTransitOnly = false } = {}) {
+  const itemStatuses = inTransitOnly
+    ? [ITEM_STATUS.IN_TRANSIT, LEGACY_PENDING]
+    : [ITEM_STATUS.PENDING, ITEM_STATUS.IN_TRANSIT, LEGACY_PENDING];
+
+  const transfers = await StockTransfer.find({
+    status: { $in: OPEN_STATUSES },
+    'items.status': { $in: itemStatuses }
+  }).select('fromBranch toBranch items').lean();
+
+  const vehicles = new Map();
+  transfers.forEach(transfer => {
+    transfer.items
+      .filter(item => itemStatuses.includes(item.status))
+      .forEach(item => vehicles.set(item.vehicle.toString(), {
+        transferId: transfer._id,
+        fromBranch: transfer.fromBranch,
+        toBranch: transfer.toBranch,
+        status: item.status
+      }));
+  });
+  return vehicles;
+}
+
+/**
+ * Create a transfer in 'requested' status. Every vehicle must be in stock at
+ * the source branch and not already on another open transfer.
+ * @param {{fromBranch, toBranch, items: Array<{vehicle, notes?}>, expectedDeliveryDate?, notes?, stockRequest?}} data
+ */
+async function createTransfer({ fromBranch, toBranch, items, expectedDeliveryDate, notes, stockRequest }, { userId }) {
+  if (String(fromBranch) === String(toBranch)) {
+    throw new AppError('Source and destination branches cannot be the same', 400);
+  }
+
+  const branches = await Branch.find({ _id: { $in: [fromBranch, toBranch] } });
+  if (branches.length !== 2) {
+    throw new AppError('Branch not found', 404);
+  }
+
+  const vehicleIds = [...new Set(items.map(i => String(i.vehicle)))];
+  if (vehicleIds.length !== items.length) {
+    throw new AppError('Duplicate vehicles', 400);
+  }
+
+  const available = await Vehicle.find({
+    _id: { $in: vehicleIds },
+    unloadLocation: fromBranch,
+    status: 'in_stock'
+  }).select('_id');
+  if (available.length !== vehicleIds.length) {
+    throw new AppError('Some vehicles not available', 400);
+  }
+
+  const onTransfer = await vehiclesOnOpenTransfers();
+  const busy = vehicleIds.filter(id => onTransfer.has(id));
+  if (busy.length > 0) {
+    throw new AppError(`Vehicles already on an open transfer: ${busy.join(', ')}`, 409);
+  }
+
+  return StockTransfer.create({
+    fromBranch,
+    toBranch,
+    expectedDeliveryDate: expectedDeliveryDate || new Date(),
+    items: items.map(item => ({
+      vehicle: item.vehicle,
+      status: ITEM_STATUS.PENDING,
+      notes: item.notes || ''
+    })),
+    initiatedBy: userId,
+    notes,
+    stockRequest,
+    transferDate: new Date(),
+    status: TRANSFER_STATUS.REQUESTED,
+    statusHistory: [{ status: TRANSFER_STATUS.REQUESTED, changedBy: userId }],
+    challanStatus: 'pending'
+  });
+}
+
+async function approveTransfer(transfer, { userId, note }) {
+  assertTransition(transfer, 'approve');
+  transfer.approvedBy = userId;
+  transfer.approvedAt = new Date();
+  setStatus(transfer, TRANSFER_STATUS.APPROVED, userId, note);
+  return saveTransfer(transfer);
+}
+
+async function rejectTransfer(transfer, { userId, reason }) {
+  assertTransition(transfer, 'reject');
+  if (!reason) {
+    throw new AppError('Rejection reason is required', 400);
+  }
+  transfer.rejectedBy = userId;
+  transfer.rejectedAt = new Date();
+  transfer.rejectionReason = reason;
+  transfer.items.forEach(item => { item.status = ITEM_STATUS.CANCELLED; });
+  setStatus(transfer, TRANSFER_STATUS.REJECTED, userId, reason);
+  return saveTransfer(transfer);
+}
+
+/**
+ * Hand the vehicles over to the carrier. Every vehicle must still be in stock
+ * at the source branch; they are marked in_transit but keep their location.
+ */
+async function dispatchTransfer(transfer, { userId, vehicleNumber, driverName, driverPhone, transporterName, ewayBillNumber }) {
+  assertTransition(transfer, 'dispatch');
+  if (!vehicleNumber || !driverName || !ewayBillNumber) {
+    throw new AppError('Carrier vehicle number, driver name and e-way bill number are required', 400);
+  }
+
+  const items = transfer.items.filter(item => item.status === ITEM_STATUS.PENDING);
+  if (items.length === 0) {
+    throw new AppError('Transfer has no vehicles left to dispatch', 400);
+  }
+
+  const vehicleIds = items.map(item => item.vehicle);
+  const unavailable = await Vehicle.find({
+    _id: { $in: vehicleIds },
+    $or: [
+      { unloadLocation: { $ne: transfer.fromBranch } },
+      { status: { $ne: 'in_stock' } }
+    ]
+  }).select('chassisNumber status').lean();
+  if (unavailable.length > 0) {
+    throw new AppError(
+      `Vehicles no longer in stock at the source branch: ${unavailable.map(v => v.chassisNumber).join(', ')}`,
+      409
+    );
+  }
+
+  transfer.dispatch = {
+    vehicleNumber,
+    driverName,
+    driverPhone,
+    transporterName,
+    ewayBillNumber,
+    dispatchedAt: new Date(),
+    dispatchedBy: userId
+  };
+  items.forEach(item => { item.status = ITEM_STATUS.IN_TRANSIT; });
+  setStatus(transfer, TRANSFER_STATUS.DISPATCHED, userId, `E-way bill ${ewayBillNumber}`);
+  await saveTransfer(transfer);
+
+  await Vehicle.updateMany(
+    { _id: { $in: vehicleIds } },
+    { $set: { status: 'in_transit', lastUpdatedBy: userId } }
+  );
+  await yardLocation.vacateBays(vehicleIds, { userId, note: `Dispatched on transfer ${transfer.trackingNumber}` });
+  await vehicleMovement.recordMovements(vehicleIds, 'STATUS_CHANGE', {
+    userId,
+    from: { status: 'in_stock' },
+    source: transferSource(transfer),
+    metadata: { toBranch: transfer.toBranch }
+  });
+  return transfer;
+}
+
+async function markInTransit(transfer, { userId, note }) {
+  assertTransition(transfer, 'markInTransit');
+  transfer.inTransitAt = new Date();
+  setStatus(transfer, TRANSFER_STATUS.IN_TRANSIT, userId, note);
+  return saveTransfer(transfer);
+}
+
+// Moves the transfer to partially_received/received (or cancelled) from its items
+const syncReceiptStatus = (transfer, userId) => {
+  const active = transfer.items.filter(item => item.status !== ITEM_STATUS.CANCELLED);
+  const received = active.filter(item => item.status === ITEM_STATUS.RECEIVED);
+
+  let status = transfer.status;
+  if (active.length === 0) {
+    status = TRANSFER_STATUS.CANCELLED;
+  } else if (received.length === active.length) {
+    status = TRANSFER_STATUS.RECEIVED;
+    transfer.receivedAt = new Date();
+    transfer.receivedBy = userId;
+  } else if (received.length > 0) {
+    status = TRANSFER_STATUS.PARTIALLY_RECEIVED;
+  }
+
+  if (status !== transfer.status) {
+    setStatus(transfer, status, userId);
+  }
+};
+
+/**
+ * Confirm receipt of one scanned vehicle at the destination branch. A
+ * discrepancy is logged as a damage report on the vehicle, with a damage claim
+ * against the transporter, and the vehicle is received as damaged.
+ * @param {{qrCode?: string, chassisNumber?: string, discrepancy?: string, images?: string[]}} scan
+ * @returns {Promise<{transfer, vehicle}>}
+ */
+async function receiveVehicle(transfer, { qrCode, chassisNumber, discrepancy, images = [], notes }, { userId }) {
+  if (!RECEIVABLE_STATUSES.includes(transfer.status)) {
+    throw new AppError(`Cannot receive vehicles on a transfer that is ${transfer.status}`, 400);
+  }
+
+  const { vehicle } = await findScannedVehicle({ qrCode, chassisNumber });
+  if (!vehicle) {
+    throw new AppError('No vehicle found for the scanned code', 404);
+  }
+
+  const item = transfer.items.find(i => i.vehicle.equals(vehicle._id));
+  if (!item) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is not part of this transfer`, 400);
+  }
+  if (item.status === ITEM_STATUS.RECEIVED) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} has already been received`, 409);
+  }
+  if (item.status !== ITEM_STATUS.IN_TRANSIT) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is ${item.status} on this transfer`, 400);
+  }
+
+  item.status = ITEM_STATUS.RECEIVED;
+  item.receivedAt = new Date();
+  item.receivedBy = userId;
+  if (discrepancy) item.discrepancy = discrepancy;
+  if (notes) item.notes = notes;
+  syncReceiptStatus(transfer, userId);
+  await saveTransfer(transfer);
+
+  const update = {
+    $set: {
+      unloadLocation: transfer.toBranch,
+      status: discrepancy ? 'damaged' : 'in_stock',
+      lastUpdatedBy: userId
+    }
+  };
+  // A discrepancy is transit damage, claimed from the transporter
+  let damage;
+  const claimId = damageClaim.newClaimId();
+  if (discrepancy) {
+    damage = {
+      description: `Transfer ${transfer.trackingNumber}: ${discrepancy}`.slice(0, 500),
+      images: Array.isArray(images) ? images : [images],
+      responsibleParty: 'transporter'
+    };
+    update.$set.hasDamage = true;
+    update.$push = { damages: damageClaim.damageEntry(claimId, damage, userId) };
+  }
+  const received = await Vehicle.findByIdAndUpdate(vehicle._id, update, { new: true, runValidators: true });
+  if (damage) {
+    await damageClaim.openClaim(claimId, received, damage, { userId, source: 'transfer', transfer: transfer._id });
+  }
+  await vehicleMovement.recordMovement(received, 'BRANCH_CHANGE', {
+    userId,
+    from: { status: 'in_transit', branch: transfer.fromBranch },
+    source: transferSource(transfer),
+    note: discrepancy
+  });
+
+  return { transfer, vehicle: received };
+}
+
+// Vehicles that were already dispatched go back to stock at the source branch
+const returnToStock = async (transfer, items, userId) => {
+  const dispatched = items
+    .filter(item => item.status === ITEM_STATUS.IN_TRANSIT)
+    .map(item => item.vehicle);
+  if (dispatched.length > 0) {
+    const returning = await Vehicle.find({ _id: { $in: dispatched }, status: 'in_transit' }).distinct('_id');
+    await Vehicle.updateMany(
+      { _id: { $in: returning }, status: 'in_transit' },
+      { $set: { status: 'in_stock', lastUpdatedBy: userId } }
+    );
+    await vehicleMovement.recordMovements(returning, 'STATUS_CHANGE', {
+      userId,
+      from: { status: 'in_transit' },
+      source: transferSource(transfer),
+      note: 'Returned to stock on transfer cancellation'
+    });
+  }
+};
+
+async function cancelTransfer(transfer, { userId, reason }) {
+  assertTransition(transfer, 'cancel');
+  const open = transfer.items.filter(item => item.status !== ITEM_STATUS.CANCELLED);
+  await returnToStock(transfer, open, userId);
+
+  open.forEach(item => { item.status = ITEM_STATUS.CANCELLED; });
+  transfer.cancelledBy = userId;
+  transfer.cancelledAt = new Date();
+  transfer.cancellationReason = reason;
+  setStatus(transfer, TRANSFER_STATUS.CANCELLED, userId, reason);
+  return saveTransfer(transfer);
+}
+
+/**
+ * Drop a single vehicle that has not been received from an open transfer,
+ * e.g. one that never arrived. The transfer closes once nothing is left to receive.
+ */
+async function cancelItem(transfer, itemId, { userId, notes }) {
+  if (!OPEN_STATUSES.includes(transfer.status)) {
+    throw new AppError(`Cannot change items of a transfer that is ${transfer.status}`, 400);
+  }
+
+  const item = transfer.items.id(itemId);
+  if (!item) {
+    throw new AppError('No item found with that ID in this transfer', 404);
+  }
+  if (![ITEM_STATUS.PENDING, ITEM_STATUS.IN_TRANSIT].includes(item.status)) {
+    throw new AppError(`Cannot cancel an item that is ${item.status}`, 400);
+  }
+
+  await returnToStock(transfer, [item], userId);
+  item.status = ITEM_STATUS.CANCELLED;
+  if (notes) item.notes = notes;
+  if (transfer.items.some(i => i.status === ITEM_STATUS.RECEIVED)) {
+    syncReceiptStatus(transfer, userId);
+  } else if (transfer.items.every(i => i.status === ITEM_STATUS.CANCELLED)) {
+    setStatus(transfer, TRANSFER_STATUS.CANCELLED, userId, notes);
+  }
+  return saveTransfer(transfer);
+}
+
+module.exports = {
+  TRANSFER_STATUS,
+  ITEM_STATUS,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  vehiclesOnOpenTransfers,
+  createTransfer,
+  approveTransfer,
+  rejectTransfer,
+  dispatchTransfer,
+  markInTransit,
+  receiveVehicle,
+  cancelTransfer,
+  cancelItem
+};
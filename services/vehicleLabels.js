@@ -0,0 +1,157 @@
+// services/vehicleLabels.js
+// Printable A4 sheets of QR stickers for inwarded vehicles. Each label
+// carries the QR of Vehicle.qrCode (what the yard and stock audit scans look
+// up) with the chassis number, model and color. Layouts match common A4
+// label stock; a partly used sheet can be reused by skipping its first labels.
+
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Vehicle = require('../models/vehicleInwardModel');
+const AppError = require('../utils/appError');
+
+const MAX_LABELS = 1000;
+
+// Label stock, in mm: columns x rows of width x height labels on A4 (210 x 297)
+const LABEL_LAYOUTS = {
+  '2x4': { columns: 2, rows: 4, width: 99.1, height: 67.7, top: 13.1, left: 4.65, columnGap: 2.5, rowGap: 0 },
+  '2x7': { columns: 2, rows: 7, width: 99.1, height: 38.1, top: 15.15, left: 4.65, columnGap: 2.5, rowGap: 0 },
+  '3x7': { columns: 3, rows: 7, width: 63.5, height: 38.1, top: 15.15, left: 7.2, columnGap: 2.5, rowGap: 0 },
+  '3x8': { columns: 3, rows: 8, width: 63.5, height: 33.9, top: 12.9, left: 7.2, columnGap: 2.5, rowGap: 0 },
+  '4x10': { columns: 4, rows: 10, width: 45.7, height: 25.4, top: 21.5, left: 9.7, columnGap: 2.6, rowGap: 0 }
+};
+
+const DEFAULT_LAYOUT = '3x8';
+
+function resolveLayout(key = DEFAULT_LAYOUT) {
+  const layout = LABEL_LAYOUTS[key];
+  if (!layout) {
+    throw new AppError(`Unknown label layout ${key}. Allowed: ${Object.keys(LABEL_LAYOUTS).join(', ')}`, 400);
+  }
+  return { key, ...layout, perSheet: layout.columns * layout.rows };
+}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date. Use YYYY-MM-DD.`, 400);
+  }
+  return date;
+};
+
+/**
+ * Vehicles to label, picked one of three ways: explicit ids (printed in the
+ * order given), an inward batch (the OEM invoice the vehicles were inwarded
+ * against) or an inward date range. Batches and ranges print oldest inward first.
+ * @param {{vehicleIds?: string[], purchaseInvoice?: string, from?: string, to?: string}} selection
+ * @param {{branchIds?: ObjectId[]}} scope - restricts to those branches; all branches otherwise
+ */
+async function selectVehicles({ vehicleIds, purchaseInvoice, from, to }, { branchIds } = {}) {
+  const modes = [vehicleIds !== undefined, !!purchaseInvoice, !!(from || to)].filter(Boolean).length;
+  if (modes !== 1) {
+    throw new AppError('Provide exactly one of vehicleIds, purchaseInvoice or a from/to date range', 400);
+  }
+
+  const filter = {};
+  if (vehicleIds !== undefined) {
+    if (!Array.isArray(vehicleIds) || vehicleIds.length === 0) {
+      throw new AppError('vehicleIds must be a non-empty array', 400);
+    }
+    const invalid = vehicleIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new AppError(`Invalid vehicle IDs: ${invalid.join(', ')}`, 400);
+    }
+    filter._id = { $in: vehicleIds };
+  } else if (purchaseInvoice) {
+    if (!mongoose.Types.ObjectId.isValid(purchaseInvoice)) {
+      throw new AppError('Invalid purchase invoice ID', 400);
+    }
+    filter.purchaseInvoice = purchaseInvoice;
+  } else {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, 'from');
+    if (to) {
+      const end = parseDate(to, 'to');
+      // A plain date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = end;
+    }
+    if (filter.createdAt.$gte && filter.createdAt.$lte && filter.createdAt.$gte > filter.createdAt.$lte) {
+      throw new AppError('from must not be after to', 400);
+    }
+  }
+  if (branchIds) filter.unloadLocation = { $in: branchIds };
+
+  const count = await Vehicle.countDocuments(filter);
+  if (count === 0) {
+    throw new AppError('No vehicles found to label', 404);
+  }
+  if (count > MAX_LABELS) {
+    throw new AppError(`At most ${MAX_LABELS} labels can be printed at once, ${count} vehicles selected`, 400);
+  }
+
+  const vehicles = await Vehicle.find(filter)
+    .select('chassisNumber qrCode modelName color.name unloadLocation createdAt')
+    .sort({ createdAt: 1, chassisNumber: 1 })
+    .lean();
+
+  if (vehicleIds !== undefined) {
+    const byId = new Map(vehicles.map(v => [v._id.toString(), v]));
+    return [...new Set(vehicleIds.map(String))].map(id => byId.get(id)).filter(Boolean);
+  }
+  return vehicles;
+}
+
+/**
+ * Lay the vehicles out on label sheets. Positions are in mm from the top left
+ * of the page.
+ * @param {{layout?: string, offset?: number}} options - offset skips that many
+ *   labels on the first sheet, for a partly used sheet
+ * @returns {Promise<{layout, pages: Array<{labels: Array}>, labels: number}>}
+ */
+async function buildLabelSheets(vehicles, { layout: layoutKey, offset = 0 } = {}) {
+  const layout = resolveLayout(layoutKey);
+  const skip = Number(offset);
+  if (!Number.isInteger(skip) || skip < 0 || skip >= layout.perSheet) {
+    throw new AppError(`offset must be a whole number from 0 to ${layout.perSheet - 1}`, 400);
+  }
+
+  // QR as large as the label allows next to the text
+  const qrSize = Math.min(layout.height - 4, layout.width * 0.45);
+  const fontSize = layout.height >= 60 ? 12 : layout.height >= 33 ? 9 : 7;
+
+  const pages = [];
+  for (const [index, vehicle] of vehicles.entries()) {
+    const slot = index + skip;
+    const pageIndex = Math.floor(slot / layout.perSheet);
+    const position = slot % layout.perSheet;
+    const row = Math.floor(position / layout.columns);
+    const column = position % layout.columns;
+    if (!pages[pageIndex]) pages[pageIndex] = { labels: [] };
+
+    // eslint-disable-next-line no-await-in-loop
+    const qr = await QRCode.toDataURL(vehicle.qrCode, { margin: 0, errorCorrectionLevel: 'M', width: 300 });
+    pages[pageIndex].labels.push({
+      top: +(layout.top + row * (layout.height + layout.rowGap)).toFixed(2),
+      left: +(layout.left + column * (layout.width + layout.columnGap)).toFixed(2),
+      qr,
+      chassisNumber: vehicle.chassisNumber,
+      modelName: vehicle.modelName,
+      color: vehicle.color?.name
+    });
+  }
+
+  return {
+    layout: { ...layout, qrSize: +qrSize.toFixed(2), fontSize },
+    pages,
+    labels: vehicles.length
+  };
+}
+
+module.exports = {
+  MAX_LABELS,
+  LABEL_LAYOUTS,
+  DEFAULT_LAYOUT,
+  resolveLayout,
+  selectVehicles,
+  buildLabelSheets
+};
@@ -0,0 +1,165 @@
+// services/vehicleMovement.js
+// Append-only movement log of a Vehicle (models/VehicleMovement): inward,
+// approval, status and branch changes, reservations, allocation to a booking,
+// delivery, damage and repair, each with the acting user and the document
+// that caused it. Every entry carries the vehicle's status and branch after
+// the event, which lets reports rebuild the stock as of a past date.
+//
+// Recording never fails the operation that moved the vehicle; a failed write
+// is logged instead.
+
+const mongoose = require('mongoose');
+const VehicleMovement = require('../models/VehicleMovement');
+const Vehicle = require('../models/vehicleInwardModel');
+const logger = require('../config/logger');
+
+const MOVEMENT_TYPES = VehicleMovement.schema.path('type').enumValues;
+
+const idOf = (value) => value?._id || value || undefined;
+
+/**
+ * Log entry for a vehicle in its state after the movement.
+ * @param {Vehicle} vehicle - with chassisNumber, status and unloadLocation
+ * @param {{userId, from?: {status?, branch?}, source?: {kind, id?, reference?}, note?: string, metadata?: object}} options
+ */
+const movementFor = (vehicle, type, { userId, from = {}, source, note, metadata } = {}) => ({
+  vehicle: vehicle._id,
+  chassisNumber: vehicle.chassisNumber,
+  type,
+  status: vehicle.status,
+  branch: idOf(vehicle.unloadLocation),
+  fromStatus: from.status,
+  fromBranch: idOf(from.branch),
+  actor: userId,
+  source,
+  note,
+  metadata
+});
+
+async function record(entries) {
+  if (entries.length === 0) return [];
+  try {
+    return await VehicleMovement.insertMany(entries, { ordered: false });
+  } catch (err) {
+    logger.error(`Error recording vehicle movements (${entries.map(e => e.chassisNumber).join(', ')}): ${err.message}`);
+    return [];
+  }
+}
+
+// Record one movement of a vehicle already loaded
+function recordMovement(vehicle, type, options) {
+  return record([movementFor(vehicle, type, options)]);
+}
+
+/**
+ * Record the same movement for several vehicles, loaded in their state after
+ * the movement.
+ */
+async function recordMovements(vehicleIds, type, options) {
+  if (vehicleIds.length === 0) return [];
+  try {
+    const vehicles = await Vehicle.find({ _id: { $in: vehicleIds } }).select('chassisNumber status unloadLocation').lean();
+    return record(vehicles.map(vehicle => movementFor(vehicle, type, options)));
+  } catch (err) {
+    logger.error(`Error recording vehicle movements: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Record an edit of a vehicle's status or branch: a BRANCH_CHANGE when the
+ * branch moved, otherwise a STATUS_CHANGE. Nothing is recorded when neither
+ * changed.
+ * @param {{status, branch}} before - state before the edit
+ * @param {Vehicle} vehicle - the vehicle after the edit
+ */
+function recordChange(before, vehicle, options = {}) {
+  const fromBranch = idOf(before.branch);
+  const toBranch = idOf(vehicle.unloadLocation);
+  const branchChanged = Boolean(fromBranch && toBranch) && fromBranch.toString() !== toBranch.toString();
+  if (!branchChanged && before.status === vehicle.status) return Promise.resolve([]);
+
+  return recordMovement(vehicle, branchChanged ? 'BRANCH_CHANGE' : 'STATUS_CHANGE', {
+    ...options,
+    from: { status: before.status, branch: fromBranch }
+  });
+}
+
+/**
+ * Record the allocation of the booking's chassis and, on a change of chassis,
+ * the release of the previous vehicle.
+ * @param {{userId, previousChassis?: string, note?: string}} options
+ */
+async function recordAllocation(booking, { userId, previousChassis, note }) {
+  try {
+    const released = previousChassis && previousChassis !== booking.chassisNumber ? previousChassis : null;
+    const vehicles = await Vehicle.find({ chassisNumber: { $in: [booking.chassisNumber, released].filter(Boolean) } })
+      .select('chassisNumber status unloadLocation')
+      .lean();
+    const source = { kind: 'Booking', id: booking._id, reference: booking.bookingNumber };
+
+    return record(vehicles.map(vehicle => movementFor(
+      vehicle,
+      vehicle.chassisNumber === released ? 'DEALLOCATION' : 'ALLOCATION',
+      { userId, source, note }
+    )));
+  } catch (err) {
+    logger.error(`Error recording allocation of booking ${booking.bookingNumber}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Movement log of a vehicle, oldest first.
+ * @param {{types?: string[]}} filters
+ */
+function historyFor(vehicleId, { types } = {}) {
+  return VehicleMovement.find({
+    vehicle: vehicleId,
+    ...(types?.length && { type: { $in: types } })
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate('actorDetails')
+    .populate('branchDetails');
+}
+
+/**
+ * Status and branch of vehicles at a past date, from the last movement of
+ * each vehicle at or before `asOf`. Vehicles without a movement by then are
+ * absent from the result. toBranch is the destination of a vehicle last
+ * dispatched on a transfer.
+ * @param {Array} [vehicleIds] - all logged vehicles when omitted
+ * @returns {Promise<Map<string, {status, branch, toBranch, at}>>} keyed by vehicle id
+ */
+async function stateAsOf(asOf, vehicleIds) {
+  const match = { createdAt: { $lte: asOf } };
+  if (vehicleIds) {
+    match.vehicle = { $in: vehicleIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const states = await VehicleMovement.aggregate([
+    { $match: match },
+    { $sort: { vehicle: 1, createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$vehicle',
+        status: { $last: '$status' },
+        branch: { $last: '$branch' },
+        toBranch: { $last: '$metadata.toBranch' },
+        at: { $last: '$createdAt' }
+      }
+    }
+  ]);
+  return new Map(states.map(({ _id, ...state }) => [_id.toString(), state]));
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  movementFor,
+  recordMovement,
+  recordMovements,
+  recordChange,
+  recordAllocation,
+  historyFor,
+  stateAsOf
+};
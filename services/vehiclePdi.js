@@ -0,0 +1,226 @@
+// services/vehiclePdi.js
+// Pre-delivery inspection (PDI). Checklists are configured per vehicle type
+// (EV / ICE), optionally overridden per model. Every inspection is recorded
+// against the Vehicle with a per-item PASS/FAIL/NA and photos; the outcome of
+// the latest inspection is kept on Vehicle.pdiStatus and gates completion of
+// the booking the vehicle is allocated to.
+
+const PdiTemplate = require('../models/PdiTemplate');
+const PdiInspection = require('../models/PdiInspection');
+const Vehicle = require('../models/vehicleInwardModel');
+const AppError = require('../utils/appError');
+
+const COMMON_ITEMS = [
+  { key: 'tyre_pressure', label: 'Tyre condition and pressure' },
+  { key: 'brakes', label: 'Front and rear brakes' },
+  { key: 'lights_horn', label: 'Lights, indicators and horn' },
+  { key: 'body_paint', label: 'Body panels and paint free of damage', photoRequired: true },
+  { key: 'mirrors', label: 'Mirrors fitted' },
+  { key: 'tool_kit', label: 'Tool kit and owner manual' }
+];
+
+// Seeded on startup when no template exists for a type
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Standard EV PDI',
+    vehicleType: 'EV',
+    items: [
+      { key: 'battery_soc', label: 'Battery state of charge', inputType: 'NUMBER', unit: '%', minValue: 80, maxValue: 100 },
+      { key: 'charger_serial', label: 'Charger serial number', inputType: 'TEXT', matchVehicleField: 'chargerNumber' },
+      { key: 'motor_number', label: 'Motor number', inputType: 'TEXT', matchVehicleField: 'motorNumber' },
+      { key: 'display_console', label: 'Display console and riding modes' },
+      ...COMMON_ITEMS
+    ]
+  },
+  {
+    name: 'Standard ICE PDI',
+    vehicleType: 'ICE',
+    items: [
+      { key: 'engine_oil', label: 'Engine oil level' },
+      { key: 'engine_number', label: 'Engine number', inputType: 'TEXT', matchVehicleField: 'engineNumber' },
+      { key: 'battery', label: 'Battery charged and terminals secured' },
+      { key: 'chain_clutch', label: 'Chain slack and clutch play' },
+      { key: 'fuel', label: 'Fuel filled' },
+      ...COMMON_ITEMS
+    ]
+  }
+];
+
+/**
+ * Create the default EV and ICE templates if none exist yet. Idempotent.
+ */
+async function ensureDefaultTemplates() {
+  for (const template of DEFAULT_TEMPLATES) {
+    // eslint-disable-next-line no-await-in-loop
+    const exists = await PdiTemplate.exists({ vehicleType: template.vehicleType });
+    // eslint-disable-next-line no-await-in-loop
+    if (!exists) await PdiTemplate.create(template);
+  }
+}
+
+/**
+ * Active template for the vehicle: a model specific one wins over the
+ * template for its type.
+ */
+async function getTemplateForVehicle(vehicle) {
+  const base = { vehicleType: vehicle.type, isActive: true };
+  const template =
+    (vehicle.model && await PdiTemplate.findOne({ ...base, model: vehicle.model }).sort({ version: -1 })) ||
+    await PdiTemplate.findOne({ ...base, model: null }).sort({ version: -1 });
+
+  if (!template) {
+    throw new AppError(`No active PDI template configured for ${vehicle.type} vehicles`, 400);
+  }
+  return template;
+}
+
+const normalize = (v) => String(v ?? '').trim().toUpperCase();
+
+/**
+ * Check submitted results against the template. Every required item needs a
+ * result; numeric limits and vehicle field matches override the submitted
+ * result with FAIL.
+ * @param {Array<{key, result, value, remarks}>} submitted
+ * @param {Object<string, string[]>} photosByKey - uploaded photo paths per item key
+ * @returns {{items, failedItems}}
+ */
+function evaluateItems(template, vehicle, submitted = [], photosByKey = {}) {
+  const byKey = new Map(submitted.map(i => [String(i.key).toLowerCase(), i]));
+  const unknown = [...byKey.keys()].filter(k => !template.items.some(t => t.key === k));
+  if (unknown.length) {
+    throw new AppError(`Unknown PDI items: ${unknown.join(', ')}`, 400);
+  }
+
+  const errors = [];
+  const items = [];
+
+  for (const def of template.items) {
+    const input = byKey.get(def.key);
+    const photos = photosByKey[def.key] || [];
+    let result = input?.result ? String(input.result).toUpperCase() : undefined;
+    let remarks = input?.remarks;
+
+    if (!result) {
+      if (def.required !== false) errors.push(`${def.label}: result is required`);
+      continue;
+    }
+    if (!['PASS', 'FAIL', 'NA'].includes(result)) {
+      errors.push(`${def.label}: result must be PASS, FAIL or NA`);
+      continue;
+    }
+    if (result === 'NA' && def.required !== false) {
+      errors.push(`${def.label}: cannot be marked NA`);
+      continue;
+    }
+    if (result !== 'NA' && def.photoRequired && photos.length === 0) {
+      errors.push(`${def.label}: a photo is required`);
+      continue;
+    }
+
+    if (result === 'PASS' && def.inputType === 'NUMBER') {
+      const value = Number(input.value);
+      if (input.value === undefined || input.value === '' || Number.isNaN(value)) {
+        errors.push(`${def.label}: a numeric value is required`);
+        continue;
+      }
+      if ((def.minValue != null && value < def.minValue) || (def.maxValue != null && value > def.maxValue)) {
+        result = 'FAIL';
+        remarks = remarks || `Value ${value}${def.unit || ''} outside ${def.minValue ?? '-'}–${def.maxValue ?? '-'}${def.unit || ''}`;
+      }
+    }
+
+    if (result === 'PASS' && def.matchVehicleField) {
+      const expected = vehicle[def.matchVehicleField];
+      if (!input.value) {
+        errors.push(`${def.label}: value is required`);
+        continue;
+      }
+      if (expected && normalize(input.value) !== normalize(expected)) {
+        result = 'FAIL';
+        remarks = remarks || `Does not match vehicle ${def.matchVehicleField} ${expected}`;
+      }
+    }
+
+    items.push({
+      key: def.key,
+      label: def.label,
+      result,
+      value: input.value,
+      remarks,
+      photos
+    });
+  }
+
+  if (errors.length) {
+    throw new AppError(`Incomplete PDI: ${errors.join('; ')}`, 400);
+  }
+
+  return {
+    items,
+    failedItems: items.filter(i => i.result === 'FAIL').map(i => i.key)
+  };
+}
+
+/**
+ * Record a PDI inspection for the vehicle and update its pdiStatus.
+ * @param {Document} vehicle
+ * @param {{items, remarks}} data
+ * @param {{userId, photosByKey?, photos?: string[]}} options
+ */
+async function recordInspection(vehicle, { items, remarks }, { userId, photosByKey = {}, photos = [] }) {
+  if (vehicle.delivery) {
+    throw new AppError('Vehicle has already been delivered', 400);
+  }
+
+  const template = await getTemplateForVehicle(vehicle);
+  const evaluated = evaluateItems(template, vehicle, items, photosByKey);
+
+  const inspection = await PdiInspection.create({
+    vehicle: vehicle._id,
+    chassisNumber: vehicle.chassisNumber,
+    vehicleType: vehicle.type,
+    template: template._id,
+    templateVersion: template.version,
+    items: evaluated.items,
+    failedItems: evaluated.failedItems,
+    photos,
+    result: evaluated.failedItems.length ? 'FAILED' : 'PASSED',
+    remarks,
+    inspectedBy: userId
+  });
+
+  await Vehicle.updateOne(
+    { _id: vehicle._id },
+    { $set: { pdiStatus: inspection.result, lastPdi: inspection._id, lastUpdatedBy: userId } }
+  );
+
+  return inspection;
+}
+
+/**
+ * PDI state of the vehicle allocated to a booking.
+ * @returns {Promise<{status: 'PASSED'|'FAILED'|'MISSING', vehicle, inspection}>}
+ */
+async function getBookingPdiStatus(booking) {
+  const vehicle = booking.vehicleRef
+    ? await Vehicle.findById(booking.vehicleRef).select('chassisNumber pdiStatus lastPdi')
+    : booking.chassisNumber
+      ? await Vehicle.findOne({ chassisNumber: booking.chassisNumber }).select('chassisNumber pdiStatus lastPdi')
+      : null;
+
+  if (!vehicle || !vehicle.lastPdi) {
+    return { status: 'MISSING', vehicle, inspection: null };
+  }
+
+  const inspection = await PdiInspection.findById(vehicle.lastPdi);
+  return { status: inspection ? inspection.result : 'MISSING', vehicle, inspection };
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  ensureDefaultTemplates,
+  getTemplateForVehicle,
+  evaluateItems,
+  recordInspection,
+  getBookingPdiStatus
+};
@@ -0,0 +1,228 @@
+// services/vehicleReservation.js
+// Soft holds of a specific in-stock vehicle for a booking. While a hold is
+// active the chassis is hidden from other users' chassis lists and cannot be
+// allocated to another booking. Holds expire on their own (see
+// jobs/vehicleReservationJob) and turn into a chassis allocation when the
+// booking is approved.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const Booking = require('../models/Booking');
+const AppError = require('../utils/appError');
+const bookingStateMachine = require('./bookingStateMachine');
+const vehicleMovement = require('./vehicleMovement');
+
+const DEFAULT_HOLD_HOURS = 48;
+const MAX_HOLD_HOURS = 7 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hold duration in hours; VEHICLE_RESERVATION_HOURS overrides the default.
+ */
+function getDefaultHoldHours() {
+  const hours = Number(process.env.VEHICLE_RESERVATION_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? Math.min(hours, MAX_HOLD_HOURS) : DEFAULT_HOLD_HOURS;
+}
+
+/**
+ * Query fragment matching vehicles that are not held, or whose hold has
+ * expired, or that are held by `userId` themselves.
+ */
+function availableToUserFilter(userId, now = new Date()) {
+  const conditions = [
+    { 'reservation.expiresAt': { $exists: false } },
+    { 'reservation.expiresAt': { $lte: now } }
+  ];
+  if (userId) conditions.push({ 'reservation.reservedBy': userId });
+  return { $or: conditions };
+}
+
+/**
+ * Active hold of a booking, if any.
+ */
+async function getBookingReservation(bookingId) {
+  return Vehicle.findOne({
+    'reservation.booking': bookingId,
+    'reservation.expiresAt': { $gt: new Date() }
+  }).select('chassisNumber model modelName color status unloadLocation reservation');
+}
+
+/**
+ * Hold `vehicle` for `booking`. A booking holds at most one vehicle; reserving
+ * another one releases the previous hold.
+ * @param {{hours?: number, note?: string, userId}} options
+ */
+async function reserveVehicle(booking, vehicle, { hours, note, userId }) {
+  const STATUS = bookingStateMachine.BOOKING_STATUS;
+  if (bookingStateMachine.TERMINAL_STATES.includes(booking.status)) {
+    throw new AppError(`Cannot reserve a vehicle for a ${booking.status} booking`, 400);
+  }
+  if (booking.chassisNumber) {
+    throw new AppError('Booking already has a chassis allocated', 400);
+  }
+  if (vehicle.status !== 'in_stock' || vehicle.delivery) {
+    throw new AppError('Only in-stock vehicles can be reserved', 400);
+  }
+  if (vehicle.isDemo) {
+    throw new AppError('Demo vehicles cannot be reserved', 400);
+  }
+  if (booking.model && vehicle.model && !vehicle.model.equals(booking.model)) {
+    throw new AppError('Vehicle model does not match the booking', 400);
+  }
+  if (booking.color && vehicle.color?.id && !vehicle.color.id.equals(booking.color)) {
+    throw new AppError('Vehicle color does not match the booking', 400);
+  }
+
+  const allocatedElsewhere = await Booking.exists({
+    _id: { $ne: booking._id },
+    chassisNumber: vehicle.chassisNumber,
+    status: { $nin: [STATUS.CANCELLED, STATUS.REJECTED] }
+  });
+  if (allocatedElsewhere) {
+    throw new AppError('Vehicle is already allocated to another booking', 409);
+  }
+
+  const holdHours = hours === undefined || hours === null || hours === '' ? getDefaultHoldHours() : Number(hours);
+  if (!Number.isFinite(holdHours) || holdHours <= 0 || holdHours > MAX_HOLD_HOURS) {
+    throw new AppError(`Reservation hours must be greater than 0 and at most ${MAX_HOLD_HOURS}`, 400);
+  }
+
+  const now = new Date();
+  const reserved = await Vehicle.findOneAndUpdate(
+    {
+      _id: vehicle._id,
+      status: 'in_stock',
+      isDemo: { $ne: true },
+      $or: [
+        { 'reservation.expiresAt': { $exists: false } },
+        { 'reservation.expiresAt': { $lte: now } },
+        { 'reservation.booking': booking._id }
+      ]
+    },
+    {
+      $set: {
+        reservation: {
+          booking: booking._id,
+          reservedBy: userId,
+          reservedAt: now,
+          expiresAt: new Date(now.getTime() + holdHours * HOUR_MS),
+          note
+        },
+        lastUpdatedBy: userId
+      }
+    },
+    { new: true }
+  );
+
+  if (!reserved) {
+    throw new AppError('Vehicle is already reserved for another booking', 409);
+  }
+
+  const source = { kind: 'Booking', id: booking._id, reference: booking.bookingNumber };
+  await releaseHolds(
+    { _id: { $ne: reserved._id }, 'reservation.booking': booking._id },
+    { userId, source, note: `Hold moved to ${reserved.chassisNumber}` }
+  );
+  await vehicleMovement.recordMovement(reserved, 'RESERVATION', {
+    userId,
+    source,
+    note,
+    metadata: { expiresAt: reserved.reservation.expiresAt }
+  });
+
+  return reserved;
+}
+
+// Clear the holds matching `filter` and log a release for each vehicle
+async function releaseHolds(filter, options) {
+  const vehicleIds = await Vehicle.find(filter).distinct('_id');
+  if (vehicleIds.length === 0) return 0;
+
+  const result = await Vehicle.updateMany(
+    { ...filter, _id: { $in: vehicleIds } },
+    { $unset: { reservation: 1 } }
+  );
+  await vehicleMovement.recordMovements(vehicleIds, 'RESERVATION_RELEASE', options);
+  return result.modifiedCount;
+}
+
+/**
+ * Drop every hold of the booking.
+ * @param {{userId?, note?: string}} [options] - recorded on the vehicle movement
+ * @returns {Promise<number>} number of vehicles released
+ */
+function releaseBookingReservations(bookingId, { userId, note } = {}) {
+  return releaseHolds(
+    { 'reservation.booking': bookingId },
+    { userId, note, source: { kind: 'Booking', id: bookingId } }
+  );
+}
+
+/**
+ * Clear holds whose expiry has passed.
+ * @returns {Promise<number>} number of vehicles released
+ */
+function expireReservations(now = new Date()) {
+  return releaseHolds(
+    { 'reservation.expiresAt': { $lte: now } },
+    { note: 'Reservation expired' }
+  );
+}
+
+/**
+ * Reject a hard allocation of `chassisNumber` to `bookingId` when the vehicle
+ * is held for a different booking.
+ */
+async function assertNotReservedForOther(chassisNumber, bookingId) {
+  const vehicle = await Vehicle.findOne({
+    chassisNumber: String(chassisNumber).toUpperCase(),
+    'reservation.expiresAt': { $gt: new Date() },
+    'reservation.booking': { $ne: bookingId }
+  }).select('reservation');
+
+  if (vehicle) {
+    throw new AppError(
+      `Vehicle is reserved for another booking until ${vehicle.reservation.expiresAt.toISOString()}`,
+      409
+    );
+  }
+}
+
+/**
+ * Turn the booking's active hold into a chassis allocation. Called once the
+ * booking has been approved; the booking is not saved. The hold itself is
+ * left in place until the caller has saved the booking and calls
+ * releaseBookingReservations().
+ * @returns {Promise<Document|null>} the allocated vehicle
+ */
+async function allocateFromReservation(booking, { userId }) {
+  if (booking.chassisNumber) return null;
+
+  const vehicle = await getBookingReservation(booking._id);
+  if (!vehicle || vehicle.status !== 'in_stock') return null;
+
+  booking.chassisNumber = vehicle.chassisNumber;
+  booking.vehicleRef = vehicle._id;
+  booking.chassisNumberChangeAllowed = true;
+
+  await bookingStateMachine.applyTransition(booking, 'ALLOCATE_CHASSIS', {
+    userId,
+    note: 'Allocated from vehicle reservation',
+    metadata: { chassisNumber: vehicle.chassisNumber, reservedBy: vehicle.reservation.reservedBy }
+  });
+
+  return vehicle;
+}
+
+module.exports = {
+  DEFAULT_HOLD_HOURS,
+  MAX_HOLD_HOURS,
+  getDefaultHoldHours,
+  availableToUserFilter,
+  getBookingReservation,
+  reserveVehicle,
+  releaseBookingReservations,
+  expireReservations,
+  assertNotReservedForOther,
+  allocateFromReservation
+};
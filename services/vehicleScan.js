@@ -0,0 +1,25 @@
+// services/vehicleScan.js
+// Resolves a yard scan to a vehicle: the QR code value is looked up the same
+// way as GET /vehicles/qr/:qrCode, a chassis number keyed in by hand is the
+// fallback when the label cannot be read.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const AppError = require('../utils/appError');
+
+/**
+ * @param {{qrCode?: string, chassisNumber?: string}} scan
+ * @returns {Promise<{vehicle: Vehicle|null, code: string, method: 'QR'|'MANUAL'}>}
+ */
+async function findScannedVehicle({ qrCode, chassisNumber } = {}) {
+  if (qrCode) {
+    const code = String(qrCode).trim();
+    return { vehicle: await Vehicle.findOne({ qrCode: code }), code, method: 'QR' };
+  }
+  if (chassisNumber) {
+    const code = String(chassisNumber).trim().toUpperCase();
+    return { vehicle: await Vehicle.findOne({ chassisNumber: code }), code, method: 'MANUAL' };
+  }
+  throw new AppError('qrCode or chassisNumber is required', 400);
+}
+
+module.exports = { findScannedVehicle };
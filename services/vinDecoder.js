@@ -0,0 +1,178 @@
+// services/vinDecoder.js
+// VIN (ISO 3779) validation and decoding for chassis numbers. A VIN is 17
+// characters without I, O and Q: WMI (1-3), vehicle descriptor (4-8), check
+// digit (9), model year (10), plant code (11) and serial number (12-17).
+// Structural errors reject the chassis; a model year that does not fit the
+// inward date or a VIN that does not start with the model's configured
+// vin_prefix is only flagged, as dealers receive legitimately old stock.
+
+const AppError = require('../utils/appError');
+
+const VIN_LENGTH = 17;
+const ILLEGAL_CHARACTERS = /[IOQ]/g;
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Year codes repeat every 30 years: A = 1980 / 2010 ... Y = 2000 / 2030, 1 = 2001 / 2031 ... 9 = 2009 / 2039
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CYCLE = 30;
+const FIRST_MODEL_YEAR = 1980;
+
+// Model years this far before the inward year are still accepted without a flag
+const MODEL_YEAR_TOLERANCE = 1;
+
+// World manufacturer identifiers of the two-wheeler makers the dealerships stock
+const MANUFACTURERS = {
+  MBL: 'Hero MotoCorp',
+  ME4: 'Honda Motorcycle & Scooter India',
+  MD2: 'Bajaj Auto',
+  MD6: 'TVS Motor Company',
+  ME3: 'Royal Enfield',
+  ME1: 'India Yamaha Motor',
+  MB8: 'Suzuki Motorcycle India'
+};
+
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const CHECK_DIGIT_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+const normalizeVin = (vin) => String(vin || '').trim().toUpperCase();
+
+/**
+ * Structural problems of a VIN; empty when it is well formed.
+ * @returns {string[]}
+ */
+function vinErrors(vin) {
+  const value = normalizeVin(vin);
+  const errors = [];
+  if (value.length !== VIN_LENGTH) {
+    errors.push(`Chassis number must be ${VIN_LENGTH} characters (got ${value.length})`);
+  }
+  const illegal = [...new Set(value.match(ILLEGAL_CHARACTERS) || [])];
+  if (illegal.length) {
+    errors.push(`Chassis number cannot contain the letters I, O or Q (found ${illegal.join(', ')})`);
+  }
+  if (/[^A-Z0-9]/.test(value)) {
+    errors.push('Chassis number can only contain letters and digits');
+  }
+  return errors;
+}
+
+const isValidVin = (vin) => VIN_PATTERN.test(normalizeVin(vin));
+
+function assertValidVin(vin) {
+  const errors = vinErrors(vin);
+  if (errors.length) {
+    throw new AppError(`Invalid chassis number ${normalizeVin(vin)}: ${errors.join('; ')}`, 400);
+  }
+  return normalizeVin(vin);
+}
+
+// North American check digit; informational only as not every OEM uses it
+function checkDigitFor(vin) {
+  const sum = [...vin].reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * CHECK_DIGIT_WEIGHTS[index];
+  }, 0);
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Model year from the year code: the latest year of the 30 year cycle that is
+ * not after the year following referenceYear.
+ * @returns {number|null} null for a character that is not a year code
+ */
+function modelYearFor(code, referenceYear = new Date().getFullYear()) {
+  const index = YEAR_CODES.indexOf(code);
+  if (index === -1) return null;
+
+  let year = FIRST_MODEL_YEAR + index;
+  while (year + YEAR_CYCLE <= referenceYear + 1) {
+    year += YEAR_CYCLE;
+  }
+  return year;
+}
+
+/**
+ * Decode a structurally valid VIN.
+ * @param {{referenceYear?: number}} [options] year the model year code is resolved against
+ */
+function decodeVin(vin, { referenceYear } = {}) {
+  const value = assertValidVin(vin);
+  const wmi = value.slice(0, 3);
+
+  return {
+    vin: value,
+    wmi,
+    manufacturer: MANUFACTURERS[wmi] || null,
+    descriptor: value.slice(3, 8),
+    checkDigit: value[8],
+    checkDigitValid: value[8] === checkDigitFor(value),
+    modelYearCode: value[9],
+    modelYear: modelYearFor(value[9], referenceYear),
+    plantCode: value[10],
+    serialNumber: value.slice(11)
+  };
+}
+
+/**
+ * Decode a VIN and flag what does not fit the vehicle it is recorded for.
+ * @param {{inwardDate?: Date, model?: {model_name: string, vin_prefix?: string}}} [context]
+ * @returns {{...decoded, flags: Array<{code: string, message: string}>}}
+ * @throws {AppError} 400 when the VIN is not structurally valid
+ */
+function inspectVin(vin, { inwardDate, model } = {}) {
+  const referenceYear = new Date(inwardDate || Date.now()).getFullYear();
+  const decoded = decodeVin(vin, { referenceYear });
+  const flags = [];
+
+  if (decoded.modelYear === null) {
+    flags.push({
+      code: 'INVALID_MODEL_YEAR',
+      message: `Position 10 (${decoded.modelYearCode}) is not a model year code`
+    });
+  } else if (decoded.modelYear < referenceYear - MODEL_YEAR_TOLERANCE) {
+    flags.push({
+      code: 'MODEL_YEAR_MISMATCH',
+      message: `Model year ${decoded.modelYear} does not match the inward year ${referenceYear}`
+    });
+  }
+
+  if (model?.vin_prefix && !decoded.vin.startsWith(model.vin_prefix)) {
+    flags.push({
+      code: 'MODEL_MISMATCH',
+      message: `VIN does not start with ${model.vin_prefix} configured for ${model.model_name}`
+    });
+  }
+
+  return { ...decoded, flags };
+}
+
+// Fields kept on the vehicle (Vehicle.vinDetails)
+const toVinDetails = ({ wmi, manufacturer, modelYear, plantCode, serialNumber, checkDigitValid, flags }) => ({
+  wmi,
+  manufacturer,
+  modelYear,
+  plantCode,
+  serialNumber,
+  checkDigitValid,
+  flags,
+  decodedAt: new Date()
+});
+
+module.exports = {
+  VIN_LENGTH,
+  MODEL_YEAR_TOLERANCE,
+  MANUFACTURERS,
+  normalizeVin,
+  vinErrors,
+  isValidVin,
+  assertValidVin,
+  modelYearFor,
+  decodeVin,
+  inspectVin,
+  toVinDetails
+};
@@ -0,0 +1,227 @@
+// services/yardLocation.js
+// Where a vehicle stands in the yard of its branch. Bays (models/YardBay) are
+// configured per branch and grouped into zones; a vehicle is parked in a bay
+// at inward or by scanning its QR at the bay, and every move is appended to
+// Vehicle.yardHistory. A vehicle leaves its bay when it is dispatched on a
+// transfer or delivered.
+
+const Vehicle = require('../models/vehicleInwardModel');
+const YardBay = require('../models/YardBay');
+const AppError = require('../utils/appError');
+
+// Statuses of vehicles physically standing in the yard
+const YARD_STATUSES = ['not_approved', 'in_stock', 'service', 'damaged'];
+
+/**
+ * Active bay of the branch, by id or bay code.
+ * @param {string} bayRef - bay id or code (as printed on the bay label)
+ */
+async function resolveBay(branchId, bayRef) {
+  if (!bayRef || !String(bayRef).trim()) {
+    throw new AppError('Yard bay is required', 400);
+  }
+
+  const ref = String(bayRef).trim();
+  const bay = /^[0-9a-f]{24}$/i.test(ref)
+    ? await YardBay.findOne({ _id: ref, branch: branchId })
+    : await YardBay.findOne({ branch: branchId, code: ref.toUpperCase() });
+
+  if (!bay) {
+    throw new AppError(`Yard bay ${ref} not found at the vehicle's branch`, 404);
+  }
+  if (!bay.isActive) {
+    throw new AppError(`Yard bay ${bay.code} is not in use`, 400);
+  }
+  return bay;
+}
+
+// Vehicles standing in each bay, keyed by bay id
+async function countOccupants(bayIds, { excludeVehicle } = {}) {
+  const groups = await Vehicle.aggregate([
+    {
+      $match: {
+        'yardLocation.bay': { $in: bayIds },
+        status: { $in: YARD_STATUSES },
+        ...(excludeVehicle && { _id: { $ne: excludeVehicle } })
+      }
+    },
+    { $group: { _id: '$yardLocation.bay', count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(g => [g._id.toString(), g.count]));
+}
+
+async function assertSpace(bay, vehicleId) {
+  const occupants = await countOccupants([bay._id], { excludeVehicle: vehicleId });
+  if ((occupants.get(bay._id.toString()) || 0) >= bay.capacity) {
+    throw new AppError(`Yard bay ${bay.code} is full`, 409);
+  }
+}
+
+const moveEntry = (bay, method, userId, note) => ({
+  bay: bay?._id,
+  zone: bay?.zone,
+  code: bay?.code,
+  method,
+  note,
+  movedAt: new Date(),
+  movedBy: userId
+});
+
+/**
+ * Yard fields of a vehicle parked in the bay at inward, for Vehicle.create.
+ * Checks the bay still has space.
+ */
+async function inwardFields(bay, userId) {
+  await assertSpace(bay);
+  return {
+    yardLocation: { bay: bay._id, zone: bay.zone, code: bay.code, assignedAt: new Date(), assignedBy: userId },
+    yardHistory: [moveEntry(bay, 'inward', userId)]
+  };
+}
+
+/**
+ * Park the vehicle in a bay of its branch.
+ * @param {{userId, method: 'scan'|'manual', note?: string}} options
+ * @returns {Promise<Vehicle>} the updated vehicle
+ */
+async function assignBay(vehicle, bay, { userId, method, note }) {
+  if (!bay.branch.equals(vehicle.unloadLocation)) {
+    throw new AppError(`Yard bay ${bay.code} is not at the vehicle's branch`, 400);
+  }
+  if (!YARD_STATUSES.includes(vehicle.status)) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is ${vehicle.status} and not in the yard`, 400);
+  }
+  if (vehicle.yardLocation?.bay?.equals(bay._id)) {
+    throw new AppError(`Vehicle ${vehicle.chassisNumber} is already in bay ${bay.code}`, 400);
+  }
+  await assertSpace(bay, vehicle._id);
+
+  const entry = moveEntry(bay, method, userId, note);
+  return Vehicle.findByIdAndUpdate(
+    vehicle._id,
+    {
+      $set: {
+        yardLocation: { bay: bay._id, zone: bay.zone, code: bay.code, assignedAt: entry.movedAt, assignedBy: userId },
+        lastUpdatedBy: userId
+      },
+      $push: { yardHistory: entry }
+    },
+    { new: true, runValidators: true }
+  );
+}
+
+/**
+ * Take vehicles out of their bays, e.g. when they are dispatched or delivered.
+ * Vehicles without a bay are left untouched.
+ */
+async function vacateBays(vehicleIds, { userId, note }) {
+  await Vehicle.updateMany(
+    { _id: { $in: vehicleIds }, 'yardLocation.bay': { $exists: true } },
+    {
+      $unset: { yardLocation: 1 },
+      $push: { yardHistory: moveEntry(null, 'left_yard', userId, note) }
+    }
+  );
+}
+
+/**
+ * "Where is this chassis": branch, zone and bay of a vehicle.
+ * @param {Vehicle} vehicle - with unloadLocation populated or not
+ */
+function whereIs(vehicle) {
+  const branch = vehicle.unloadLocation;
+  const inYard = YARD_STATUSES.includes(vehicle.status);
+  return {
+    branch: branch?._id || branch,
+    branchName: branch?.name,
+    status: vehicle.status,
+    inYard,
+    zone: inYard ? vehicle.yardLocation?.zone : undefined,
+    bay: inYard ? vehicle.yardLocation?.code : undefined,
+    bayId: inYard ? vehicle.yardLocation?.bay : undefined,
+    since: inYard ? vehicle.yardLocation?.assignedAt : undefined
+  };
+}
+
+/**
+ * Bays of a branch with the vehicles in them, by zone, plus the yard vehicles
+ * that have no bay yet.
+ * @param {{zone?: string, includeInactive?: boolean}} filters
+ */
+async function occupancy(branchId, { zone, includeInactive = false } = {}) {
+  const bays = await YardBay.find({
+    branch: branchId,
+    ...(zone && { zone: zone.toUpperCase() }),
+    ...(!includeInactive && { isActive: true })
+  })
+    .sort({ zone: 1, code: 1 })
+    .lean();
+
+  const [vehicles, unassigned] = await Promise.all([
+    Vehicle.find({
+      'yardLocation.bay': { $in: bays.map(b => b._id) },
+      status: { $in: YARD_STATUSES }
+    })
+      .select('chassisNumber modelName color.name status yardLocation')
+      .lean(),
+    Vehicle.countDocuments({
+      unloadLocation: branchId,
+      status: { $in: YARD_STATUSES },
+      'yardLocation.bay': { $exists: false }
+    })
+  ]);
+
+  const byBay = new Map();
+  vehicles.forEach(vehicle => {
+    const key = vehicle.yardLocation.bay.toString();
+    if (!byBay.has(key)) byBay.set(key, []);
+    byBay.get(key).push({
+      _id: vehicle._id,
+      chassisNumber: vehicle.chassisNumber,
+      modelName: vehicle.modelName,
+      color: vehicle.color?.name,
+      status: vehicle.status,
+      since: vehicle.yardLocation.assignedAt
+    });
+  });
+
+  const zones = new Map();
+  bays.forEach(bay => {
+    const occupants = byBay.get(bay._id.toString()) || [];
+    if (!zones.has(bay.zone)) zones.set(bay.zone, { zone: bay.zone, capacity: 0, occupied: 0, bays: [] });
+    const group = zones.get(bay.zone);
+    group.capacity += bay.capacity;
+    group.occupied += occupants.length;
+    group.bays.push({
+      _id: bay._id,
+      code: bay.code,
+      capacity: bay.capacity,
+      isActive: bay.isActive,
+      occupied: occupants.length,
+      free: Math.max(bay.capacity - occupants.length, 0),
+      vehicles: occupants
+    });
+  });
+
+  const groups = [...zones.values()];
+  return {
+    totals: {
+      bays: bays.length,
+      capacity: groups.reduce((sum, z) => sum + z.capacity, 0),
+      occupied: groups.reduce((sum, z) => sum + z.occupied, 0),
+      unassignedVehicles: unassigned
+    },
+    zones: groups
+  };
+}
+
+module.exports = {
+  YARD_STATUSES,
+  resolveBay,
+  countOccupants,
+  inwardFields,
+  assignBay,
+  vacateBays,
+  whereIs,
+  occupancy
+};
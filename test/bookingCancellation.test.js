@@ -0,0 +1,51 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Ledger = require('../models/Ledger');
+const BrokerLedger = require('../models/BrokerLedger');
+const { customerReceiptsTotal } = require('../services/bookingCancellation');
+
+const originalLedgerFind = Ledger.find;
+const originalBrokerLedgerFind = BrokerLedger.find;
+
+afterEach(() => {
+  Ledger.find = originalLedgerFind;
+  BrokerLedger.find = originalBrokerLedgerFind;
+});
+
+const stubLedgerRows = (rows) => {
+  Ledger.find = () => ({ select: () => ({ lean: async () => rows }) });
+};
+
+test('refund counts only approved, non-debit, non-reversed customer receipts', async () => {
+  const booking = { _id: new mongoose.Types.ObjectId(), branch: new mongoose.Types.ObjectId() };
+
+  stubLedgerRows([
+    { amount: 20000, type: 'BOOKING_PAYMENT', paymentMode: 'Cash', approvalStatus: 'Approved' },
+    { amount: 15000, type: 'BOOKING_PAYMENT', paymentMode: 'Bank', approvalStatus: 'Approved' },
+    // Pending receipt
+    { amount: 7000, type: 'BOOKING_PAYMENT', paymentMode: 'Bank', approvalStatus: 'Pending' },
+    // Debit entry
+    { amount: 500, type: 'DEBIT_ENTRY', isDebit: true, approvalStatus: 'Approved' },
+    // Receipt already reversed, and its reversal
+    { amount: 3000, type: 'BOOKING_PAYMENT', paymentMode: 'Cash', approvalStatus: 'Approved', reversedBy: new mongoose.Types.ObjectId() },
+    { amount: 3000, type: 'CANCELLATION_REVERSAL', isDebit: true, approvalStatus: 'Approved' },
+    // Paid by the financer, not the customer
+    { amount: 50000, type: 'Finance Disbursement', paymentMode: 'Finance Disbursement', approvalStatus: 'Approved' }
+  ]);
+  // Exchange vehicle offered through a broker; returned by the broker reversal
+  BrokerLedger.find = () => {
+    throw new Error('broker transactions must not count towards the refund');
+  };
+
+  assert.strictEqual(await customerReceiptsTotal(booking), 35000);
+});
+
+test('refund is zero without approved receipts', async () => {
+  stubLedgerRows([
+    { amount: 7000, type: 'BOOKING_PAYMENT', paymentMode: 'Bank', approvalStatus: 'Pending' },
+    { amount: 2000, type: 'BOOKING_PAYMENT', paymentMode: 'Bank', approvalStatus: 'Rejected' }
+  ]);
+
+  assert.strictEqual(await customerReceiptsTotal({ _id: new mongoose.Types.ObjectId() }), 0);
+});
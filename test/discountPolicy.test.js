@@ -0,0 +1,56 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const DiscountPolicy = require('../models/DiscountPolicy');
+const { autoApproveLimitOf, evaluate } = require('../services/discountPolicy');
+
+const originalFind = DiscountPolicy.find;
+
+afterEach(() => {
+  DiscountPolicy.find = originalFind;
+});
+
+const policyWith = (autoApprove) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Festive offer',
+  priority: 1,
+  isActive: true,
+  autoApprove,
+  approvalLevels: [{ role: 'MANAGER', maxAmount: 20000 }],
+  updatedAt: new Date()
+});
+
+test('percent-only policy auto-approves up to the percentage', () => {
+  assert.strictEqual(autoApproveLimitOf(policyWith({ maxPercent: 5 }), 100000), 5000);
+});
+
+test('amount-only policy auto-approves up to the amount', () => {
+  assert.strictEqual(autoApproveLimitOf(policyWith({ maxAmount: 2000 }), 100000), 2000);
+});
+
+test('policy with both limits auto-approves up to the lower one', () => {
+  assert.strictEqual(autoApproveLimitOf(policyWith({ maxAmount: 2000, maxPercent: 5 }), 100000), 2000);
+  assert.strictEqual(autoApproveLimitOf(policyWith({ maxAmount: 8000, maxPercent: 5 }), 100000), 5000);
+});
+
+test('policy without limits auto-approves nothing', () => {
+  assert.strictEqual(autoApproveLimitOf(policyWith({}), 100000), 0);
+  assert.strictEqual(autoApproveLimitOf(policyWith(undefined), 100000), 0);
+});
+
+test('percent-only policy is not capped by an unset amount when evaluating a discount', async () => {
+  const policy = policyWith({ maxPercent: 5 });
+  DiscountPolicy.find = () => ({ lean: async () => [policy] });
+
+  const result = await evaluate({
+    model: new mongoose.Types.ObjectId(),
+    customerType: 'B2C',
+    user: { roles: [{ name: 'SALES_EXECUTIVE' }] },
+    discount: 4000,
+    eligibleAmount: 100000
+  });
+
+  assert.strictEqual(result.source, 'POLICY');
+  assert.strictEqual(result.autoApproveLimit, 5000);
+  assert.strictEqual(result.autoApproved, true);
+});
@@ -9,10 +9,13 @@ async function computeBookingFinancials(bookingDoc) {
 
   const dealAmount = bookingDoc.discountedAmount ?? bookingDoc.dealAmount ?? bookingDoc.netAmount ?? 0;
 
-  // 1) Native Ledger entries (Pending/Approved)
+  // 1) Native Ledger entries (Pending/Approved), skipping cancellation reversals
+  //    and the entries they reversed since the pair nets to zero
   const ledgerRows = await Ledger.find({
     booking: bookingId,
-    approvalStatus: { $in: ['Pending', 'Approved'] }
+    approvalStatus: { $in: ['Pending', 'Approved'] },
+    type: { $ne: 'CANCELLATION_REVERSAL' },
+    reversedBy: { $exists: false }
   }).select('amount paymentMode approvalStatus').lean();
 
   let customerPayments = 0;
@@ -63,6 +66,7 @@ async function computeBookingFinancials(bookingDoc) {
       if (
         tx.type === 'DEBIT' &&
         tx.modeOfPayment === 'Exchange' &&
+        !tx.isReversed &&
         String(tx.booking) === String(bookingId)
       ) {
         exchangeValue += tx.amount || 0;
@@ -88,6 +92,7 @@ async function computeBookingFinancials(bookingDoc) {
       if (
         tx.type === 'DEBIT' &&
         tx.modeOfPayment === 'Commission' &&
+        !tx.isReversed &&
         String(tx.booking) === String(bookingId)
       ) {
         commissionValue += tx.amount || 0;
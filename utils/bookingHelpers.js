@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+
+// Error response of the booking workflow controllers: AppErrors and
+// validation errors keep their message, anything else gets the fallback
+exports.sendError = (res, err, fallbackMessage) => {
+  const statusCode = err.statusCode || (err.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode < 500 ? err.message : fallbackMessage,
+    failedGuards: err.failedGuards,
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+// Booking of req.params.id; responds 400/404 and resolves to null otherwise
+exports.loadBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid booking ID format' });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+  return booking;
+};
@@ -208,4 +208,107 @@ const generateQuotationPDF = async (quotationData, outputPath) => {
   }
 };
 
-module.exports = { generateQuotationPDF };
\ No newline at end of file
+const readImageAsBase64 = (filePath, mimetype) => {
+  if (!filePath || !fs.existsSync(filePath) || !fs.lstatSync(filePath).isFile()) return '';
+  return `data:${mimetype || 'image/png'};base64,${fs.readFileSync(filePath, 'base64')}`;
+};
+
+const formatDate = (date) => new Date(date || Date.now()).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const compileTemplate = (fileName) => {
+  const templatePath = path.join(__dirname, '../templates', fileName);
+  if (!fs.existsSync(templatePath) || !fs.lstatSync(templatePath).isFile()) {
+    throw new Error(`Template file not found or is not a file: ${templatePath}`);
+  }
+  return handlebars.compile(fs.readFileSync(templatePath, 'utf8'));
+};
+
+// Render HTML to an A4 PDF at outputPath; without a path the PDF is returned as a Buffer
+const renderPdf = async (html, outputPath, { margin } = {}) => {
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+  let pdf;
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    pdf = await page.pdf({
+      path: outputPath,
+      format: 'A4',
+      printBackground: true,
+      margin: margin || {
+        top: '10mm',
+        right: '10mm',
+        bottom: '10mm',
+        left: '10mm'
+      }
+    });
+  } finally {
+    await browser.close();
+  }
+  return outputPath || Buffer.from(pdf);
+};
+
+const generateGatePassPDF = async (deliveryData, outputPath) => {
+  try {
+    registerHelpers();
+
+    const logoBase64 = readImageAsBase64(path.join(__dirname, '../public/images/logo.png'));
+    if (!logoBase64) {
+      logger.warn('Logo file not found for gate pass');
+    }
+
+    const template = compileTemplate('gatePass.html');
+
+    const signature = deliveryData.customerSignature;
+    const html = template({
+      ...deliveryData,
+      logoBase64,
+      customerSignatureBase64: signature && /^image\//.test(signature.mimetype || '')
+        ? readImageAsBase64(path.join(__dirname, '..', signature.path), signature.mimetype)
+        : '',
+      deliveryDateFormatted: formatDate(deliveryData.deliveryDate)
+    });
+
+    return await renderPdf(html, outputPath);
+  } catch (err) {
+    logger.error(`Gate pass PDF generation error: ${err.message}`, { stack: err.stack });
+    throw new Error(`Gate pass PDF generation failed: ${err.message}`);
+  }
+};
+
+const generateStockAuditReportPDF = async (auditData, outputPath) => {
+  try {
+    registerHelpers();
+
+    const html = compileTemplate('stockAuditReport.html')({
+      ...auditData,
+      logoBase64: readImageAsBase64(path.join(__dirname, '../public/images/logo.png')),
+      startedAtFormatted: formatDate(auditData.createdAt),
+      signedOffAtFormatted: auditData.signedOffAt ? formatDate(auditData.signedOffAt) : ''
+    });
+
+    return await renderPdf(html, outputPath);
+  } catch (err) {
+    logger.error(`Stock audit report PDF generation error: ${err.message}`, { stack: err.stack });
+    throw new Error(`Stock audit report PDF generation failed: ${err.message}`);
+  }
+};
+
+// Label sheets position every label from the page edge themselves
+const generateQrLabelSheetPDF = async (sheetData) => {
+  try {
+    const html = compileTemplate('qrLabelSheet.html')(sheetData);
+    return await renderPdf(html, undefined, { margin: { top: '0', right: '0', bottom: '0', left: '0' } });
+  } catch (err) {
+    logger.error(`QR label sheet PDF generation error: ${err.message}`, { stack: err.stack });
+    throw new Error(`QR label sheet PDF generation failed: ${err.message}`);
+  }
+};
+
+module.exports = { generateQuotationPDF, generateGatePassPDF, generateStockAuditReportPDF, generateQrLabelSheetPDF };
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Midnight of the given date
+exports.startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Filter on a branch field, or nothing when all branches are visible
+exports.branchMatch = (field, branchIds) => (branchIds ? { [field]: { $in: branchIds } } : {});
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+
+// Plain text messages through the WhatsApp Business API, the same account
+// quotations are shared from (see attachmentController.shareOnWhatsApp)
+const isConfigured = () =>
+  !!(process.env.WHATSAPP_BUSINESS_ACCOUNT_ID && process.env.WHATSAPP_BUSINESS_TOKEN);
+
+// Digits only, with the 91 country code
+const formatNumber = (mobile) => {
+  const digits = String(mobile || '').replace(/\D/g, '');
+  if (digits.length < 10) {
+    throw new Error('Invalid mobile number format');
+  }
+  return digits.startsWith('91') && digits.length > 10 ? digits : `91${digits}`;
+};
+
+const sendWhatsAppText = async (mobile, body) => {
+  if (!isConfigured()) {
+    throw new Error('WhatsApp Business API is not configured');
+  }
+
+  const to = formatNumber(mobile);
+  const response = await axios.post(
+    `https://graph.facebook.com/v18.0/${process.env.WHATSAPP_BUSINESS_ACCOUNT_ID}/messages`,
+    {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to,
+      type: 'text',
+      text: { body }
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${process.env.WHATSAPP_BUSINESS_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    }
+  );
+
+  logger.info(`WhatsApp message sent to ${to}`);
+  return { to, messageId: response.data.messages?.[0]?.id };
+};
+
+module.exports = { isConfigured, sendWhatsAppText };